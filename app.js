@@ -2,8 +2,6 @@
  * app.js — API con integración de módulos médicos y subida de archivos
  */
 
-const path = require('path');
-const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
@@ -11,6 +9,7 @@ require('dotenv').config();
 // Config y middlewares propios
 const { testConnection } = require('./config/database');
 const { sanitizeInput, validateJSON, validateContentType } = require('./middleware/validation'); // usamos validateContentType actualizado
+const TimezoneService = require('./services/timezoneService');
 
 // Rutas principales (solo require, no deben requerir app)
 // Asegúrate que en tus archivos de rutas no haya `require('../app')` (evita dependencia circular)
@@ -20,26 +19,32 @@ const propietariosRoutes = require('./routes/propietariosRoutes');
 const mascotasRoutes = require('./routes/mascotasRoutes');
 const medicalRoutes = require('./routes/medicalRoutes'); // contiene rutas /medical-records...
 const citasRoutes = require('./routes/citasRoutes'); // router de citas
+const horariosRoutes = require('./routes/horariosRoutes'); // horarios del personal
+const appointmentTypesRoutes = require('./routes/appointmentTypesRoutes'); // catálogo de tipos de cita
+const listaEsperaRoutes = require('./routes/listaEsperaRoutes'); // lista de espera
+const notificacionesRoutes = require('./routes/notificacionesRoutes'); // outbox de notificaciones
+const vacunasRoutes = require('./routes/vacunasRoutes'); // catálogo de vacunas y vencimientos
+const encuentrosRoutes = require('./routes/encuentrosRoutes'); // encuentros clínicos (SOAP)
+const almacenamientoRoutes = require('./routes/almacenamientoRoutes'); // huérfanos y uso de espacio
+const NotificationService = require('./services/notificationService');
+const ReminderService = require('./services/reminderService');
+const WaitlistService = require('./services/waitlistService');
+const SoftDeleteService = require('./services/softDeleteService');
+const StorageService = require('./services/storageService');
+const { MAX_ADJUNTOS, MAX_FILE_BYTES } = require('./services/attachmentService');
 
 // Crear app y constantes (DEBEN ir antes de usar app.use)
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_PREFIX = process.env.API_PREFIX || '/api/v1';
 
-// --- Preparar carpeta uploads (y subcarpeta medical) ---
-const uploadsRoot = path.join(__dirname, 'uploads');
-const medicalUploads = path.join(uploadsRoot, 'medical');
+// Fechas en las respuestas JSON: hora de la clínica con offset explícito (services/timezoneService.js)
+app.set('json replacer', TimezoneService.jsonReplacer);
 
-try {
-  fs.mkdirSync(medicalUploads, { recursive: true });
-  try { fs.chmodSync(medicalUploads, 0o775); } catch(e){}
-  console.log('📁 Carpeta uploads ok:', medicalUploads);
-} catch (err) {
-  console.warn('⚠️ No se pudo crear carpeta uploads:', err.message || err);
-}
-
-// servir archivos estáticos de uploads
-app.use('/uploads', express.static(uploadsRoot));
+// --- Almacenamiento de archivos subidos (services/storageService.js) ---
+// uploads NO se sirve como estático: los adjuntos médicos se entregan por
+// /medical-records/:id/adjuntos/:adjuntoId/download (con token) o por enlace firmado
+console.log('📁 Almacenamiento de archivos:', StorageService.describe());
 
 // --- Middlewares ---
 app.use(express.json({ limit: '15mb' }));
@@ -99,18 +104,41 @@ app.use(`${API_PREFIX}`, medicalRoutes);
 // Rutas de citas
 app.use(`${API_PREFIX}/citas`, citasRoutes);
 
+// Horarios del personal (disponibilidad para slots)
+app.use(`${API_PREFIX}/horarios`, horariosRoutes);
+
+// Catálogo de tipos de cita (duración, ventanas, buffer, precio...)
+app.use(`${API_PREFIX}/appointment-types`, appointmentTypesRoutes);
+
+// Lista de espera (ofertas de huecos liberados)
+app.use(`${API_PREFIX}/lista-espera`, listaEsperaRoutes);
+
+// Notificaciones por correo (outbox, solo admin)
+app.use(`${API_PREFIX}/notificaciones`, notificacionesRoutes);
+app.use(`${API_PREFIX}/vacunas`, vacunasRoutes);
+app.use(`${API_PREFIX}/encuentros`, encuentrosRoutes);
+app.use(`${API_PREFIX}/almacenamiento`, almacenamientoRoutes);
+
 // docs (breve)
 app.get('/docs', (req, res) => {
   res.json({
     success: true,
     baseUrl: `${req.protocol}://${req.get('host')}${API_PREFIX}`,
+    timezone: TimezoneService.CLINIC_TIMEZONE,
     endpointsSummary: {
       users: `${API_PREFIX}/users`,
       auth: `${API_PREFIX}/auth`,
       propietarios: `${API_PREFIX}/propietarios`,
       mascotas: `${API_PREFIX}/mascotas`,
       medical: `${API_PREFIX}/medical-records`,
-      citas: `${API_PREFIX}/citas`
+      citas: `${API_PREFIX}/citas`,
+      horarios: `${API_PREFIX}/horarios`,
+      appointmentTypes: `${API_PREFIX}/appointment-types`,
+      listaEspera: `${API_PREFIX}/lista-espera`,
+      notificaciones: `${API_PREFIX}/notificaciones`,
+      vacunas: `${API_PREFIX}/vacunas`,
+      encuentros: `${API_PREFIX}/encuentros`,
+      almacenamiento: `${API_PREFIX}/almacenamiento`
     }
   });
 });
@@ -121,6 +149,18 @@ app.use((req, res) => {
   res.status(404).json({ success: false, message: 'Ruta no encontrada', requestedUrl: req.originalUrl });
 });
 
+const MULTER_STATUS = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_FILE_COUNT: 413,
+  LIMIT_PART_COUNT: 413,
+  LIMIT_FIELD_VALUE: 413
+};
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Archivo demasiado grande: máximo ${MAX_FILE_BYTES / 1024 / 1024} MB por archivo`,
+  LIMIT_FILE_COUNT: `Demasiados archivos: máximo ${MAX_ADJUNTOS} por subida`,
+  LIMIT_UNEXPECTED_FILE: 'Campo de archivo inesperado o demasiados archivos (usa "files", o "file" para uno solo)'
+};
+
 app.use((err, req, res, next) => {
   console.error('Error global:', err);
   if (err.type === 'entity.parse.failed') {
@@ -129,6 +169,17 @@ app.use((err, req, res, next) => {
   if (err.type === 'entity.too.large') {
     return res.status(413).json({ success: false, message: 'Payload demasiado grande' });
   }
+  // subidas rechazadas (routes/medicalRoutes.js): tipo no admitido, infectado, antivirus caído...
+  if (err.name === 'UploadError') {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  if (err.name === 'MulterError') {
+    return res.status(MULTER_STATUS[err.code] || 400).json({
+      success: false,
+      message: MULTER_MESSAGES[err.code] || 'Subida de archivos inválida',
+      error: err.field ? `${err.message} (${err.field})` : err.message
+    });
+  }
   res.status(err.status || 500).json({
     success: false,
     message: process.env.NODE_ENV === 'production' ? 'Error interno servidor' : err.message,
@@ -147,6 +198,15 @@ const initializeApp = async () => {
       console.log(`📋 API base: http://localhost:${PORT}${API_PREFIX}`);
     });
 
+    // worker de notificaciones, scheduler de recordatorios, caducidad de ofertas y purga en el mismo proceso (alternativa: `node worker.js`)
+    if (process.env.NOTIFICATIONS_WORKER === 'inline') {
+      NotificationService.startWorker();
+      ReminderService.startScheduler();
+      WaitlistService.startExpiryJob();
+      SoftDeleteService.startPurgeJob();
+      console.log('📬 Worker de notificaciones, recordatorios, lista de espera y purga activo');
+    }
+
     process.on('SIGTERM', () => server.close(() => process.exit(0)));
     process.on('SIGINT', () => server.close(() => process.exit(0)));
   } catch (err) {
@@ -0,0 +1,97 @@
+/**
+ * Máquina de estados de las citas
+ * @description Estados posibles de una cita y transiciones permitidas según
+ * quién las realiza. Cada transición lista las capacidades que la habilitan:
+ *   - 'write'  : personal con permiso citas:write (recepción, veterinario, admin)
+ *   - 'attend' : el veterinario asignado a la cita, con permiso citas:attend
+ *   - 'owner'  : el propietario de la cita
+ */
+
+/**
+ * Estados de una cita
+ * @type {Object<string,string>}
+ */
+const ESTADOS = {
+    PENDIENTE: 'pendiente',
+    CONFIRMADA: 'confirmada',
+    EN_CURSO: 'en_curso',
+    COMPLETADA: 'completada',
+    CANCELADA: 'cancelada',
+    NO_SHOW: 'no_show'
+};
+
+const ESTADOS_LIST = Object.values(ESTADOS);
+
+/**
+ * Estados que liberan el horario (no cuentan para solapamientos ni slots)
+ * @type {string[]}
+ */
+const ESTADOS_LIBERAN_HORARIO = [ESTADOS.CANCELADA, ESTADOS.NO_SHOW];
+
+/**
+ * Estados que requieren motivo al entrar en ellos
+ * @type {string[]}
+ */
+const ESTADOS_CON_MOTIVO = [ESTADOS.CANCELADA];
+
+/**
+ * Transiciones: origen -> { destino: capacidades que la permiten }
+ * completada y no_show son finales; una cancelada solo la reabre el personal, y solo si
+ * su horario sigue libre (ver CitaEstadoService.transition).
+ * @type {Object<string,Object<string,string[]>>}
+ */
+const TRANSITIONS = {
+    [ESTADOS.PENDIENTE]: {
+        [ESTADOS.CONFIRMADA]: ['write', 'owner'],
+        [ESTADOS.CANCELADA]: ['write', 'owner'],
+        [ESTADOS.NO_SHOW]: ['write']
+    },
+    [ESTADOS.CONFIRMADA]: {
+        [ESTADOS.PENDIENTE]: ['write'],
+        [ESTADOS.EN_CURSO]: ['write', 'attend'],
+        [ESTADOS.COMPLETADA]: ['write', 'attend'],
+        [ESTADOS.CANCELADA]: ['write', 'owner'],
+        [ESTADOS.NO_SHOW]: ['write', 'attend']
+    },
+    [ESTADOS.EN_CURSO]: {
+        [ESTADOS.CONFIRMADA]: ['write'],
+        [ESTADOS.COMPLETADA]: ['write', 'attend']
+    },
+    [ESTADOS.CANCELADA]: {
+        [ESTADOS.PENDIENTE]: ['write']
+    },
+    [ESTADOS.COMPLETADA]: {},
+    [ESTADOS.NO_SHOW]: {}
+};
+
+/**
+ * Capacidades que habilitan una transición (vacío si no está permitida)
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+const capabilitiesFor = (from, to) => {
+    return (TRANSITIONS[from] || {})[to] || [];
+};
+
+/**
+ * Destinos alcanzables desde un estado con las capacidades dadas
+ * @param {string} from
+ * @param {string[]} capabilities
+ * @returns {string[]}
+ */
+const nextEstados = (from, capabilities) => {
+    return Object.entries(TRANSITIONS[from] || {})
+        .filter(([, caps]) => caps.some(c => capabilities.includes(c)))
+        .map(([to]) => to);
+};
+
+module.exports = {
+    ESTADOS,
+    ESTADOS_LIST,
+    ESTADOS_LIBERAN_HORARIO,
+    ESTADOS_CON_MOTIVO,
+    TRANSITIONS,
+    capabilitiesFor,
+    nextEstados
+};
@@ -18,7 +18,10 @@ const dbConfig = {
     database: process.env.DB_NAME || 'usuarios_db',
     waitForConnections: true,
     connectionLimit: 10,
-    queueLimit: 0
+    queueLimit: 0,
+    // Fechas con hora en UTC (ver services/timezoneService.js); DATE como "YYYY-MM-DD"
+    timezone: 'Z',
+    dateStrings: ['DATE']
 };
 
 /**
@@ -27,6 +30,11 @@ const dbConfig = {
  */
 const pool = mysql.createPool(dbConfig);
 
+// Sesión en UTC para que NOW(), CURRENT_TIMESTAMP y las columnas TIMESTAMP coincidan con timezone 'Z'
+pool.on('connection', (connection) => {
+    connection.query("SET time_zone = '+00:00'");
+});
+
 /**
  * Función para probar la conexión a la base de datos
  * @returns {Promise<boolean>} True si la conexión es exitosa
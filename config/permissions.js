@@ -0,0 +1,95 @@
+/**
+ * Roles del personal y matriz de permisos
+ * @description Define qué puede hacer cada rol de la tabla usuarios. Qué roles
+ * atienden cada tipo de consulta se configura en el catálogo appointment_types.
+ * Los propietarios no usan esta matriz: su acceso se limita por pertenencia.
+ */
+
+/**
+ * Roles del personal de la clínica
+ * @type {Object<string,string>}
+ */
+const ROLES = {
+    ADMIN: 'admin',
+    VETERINARIO: 'veterinario',
+    RECEPCIONISTA: 'recepcionista',
+    GROOMER: 'groomer',
+    USER: 'user' // rol por defecto del registro público, sin permisos de gestión
+};
+
+const STAFF_ROLES = Object.values(ROLES);
+
+/**
+ * Permisos por rol. 'admin' tiene todos ('*').
+ * Formato: '<recurso>:<acción>'
+ *   - read: consultar
+ *   - write: crear / modificar / cambiar estado
+ *   - attend: atender (ser asignado a una cita, marcarla completada)
+ * @type {Object<string,string[]>}
+ */
+const PERMISSIONS = {
+    [ROLES.ADMIN]: ['*'],
+    [ROLES.VETERINARIO]: [
+        'citas:read', 'citas:write', 'citas:attend',
+        'mascotas:read', 'mascotas:write',
+        'propietarios:read',
+        'medical:read', 'medical:write'
+    ],
+    [ROLES.RECEPCIONISTA]: [
+        'citas:read', 'citas:write',
+        'mascotas:read', 'mascotas:write',
+        'propietarios:read', 'propietarios:write',
+        'medical:read'
+    ],
+    [ROLES.GROOMER]: [
+        'citas:read', 'citas:attend',
+        'mascotas:read',
+        'propietarios:read'
+    ],
+    [ROLES.USER]: []
+};
+
+/**
+ * Roles que atienden un tipo de consulta cuando el catálogo
+ * (appointment_types.roles) no indica otros.
+ * @type {string[]}
+ */
+const DEFAULT_ATTENDING_ROLES = [ROLES.VETERINARIO];
+
+/**
+ * Indica si un rol tiene un permiso
+ * @param {string} role
+ * @param {string} permission - ej: 'citas:write'
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+    const perms = PERMISSIONS[role] || [];
+    return perms.includes('*') || perms.includes(permission);
+};
+
+/**
+ * Roles que pueden ser asignados a citas (personal con permiso citas:attend)
+ * @type {string[]}
+ */
+const ATTENDING_ROLES = Object.keys(PERMISSIONS)
+    .filter(role => role !== ROLES.ADMIN && roleHasPermission(role, 'citas:attend'));
+
+/**
+ * Indica si un rol puede ser asignado a una cita de un tipo
+ * @param {string} role
+ * @param {string[]} [tipoRoles] - roles del tipo de consulta (appointment_types.roles)
+ * @returns {boolean}
+ */
+const canAttend = (role, tipoRoles) => {
+    return roleHasPermission(role, 'citas:attend') && (tipoRoles || DEFAULT_ATTENDING_ROLES).includes(role);
+};
+
+module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    PERMISSIONS,
+    ATTENDING_ROLES,
+    DEFAULT_ATTENDING_ROLES,
+    roleHasPermission,
+    canAttend
+};
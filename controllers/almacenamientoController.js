@@ -0,0 +1,36 @@
+// controllers/almacenamientoController.js
+const StorageAuditService = require('../services/storageAuditService');
+
+/**
+ * AlmacenamientoController - mantenimiento de los archivos subidos (solo admin):
+ * huérfanos, referencias rotas y uso de espacio por mascota y propietario.
+ */
+
+const AlmacenamientoController = {
+  // GET /almacenamiento  (informe; no modifica nada)
+  async report(req, res) {
+    try {
+      res.json({ success: true, data: await StorageAuditService.audit() });
+    } catch (err) {
+      console.error('Error auditando almacenamiento:', err);
+      res.status(500).json({ success: false, message: 'Error al auditar el almacenamiento', error: err.message });
+    }
+  },
+
+  // POST /almacenamiento/reconciliar  { huerfanos: true, referencias: true }
+  async reconcile(req, res) {
+    try {
+      const { huerfanos = false, referencias = false } = req.body;
+      if (!huerfanos && !referencias) {
+        return res.status(400).json({ success: false, message: 'Indica qué eliminar: huerfanos y/o referencias' });
+      }
+      const data = await StorageAuditService.reconcile({ huerfanos, referencias });
+      res.json({ success: true, message: 'Almacenamiento conciliado', data });
+    } catch (err) {
+      console.error('Error conciliando almacenamiento:', err);
+      res.status(500).json({ success: false, message: 'Error al conciliar el almacenamiento', error: err.message });
+    }
+  }
+};
+
+module.exports = AlmacenamientoController;
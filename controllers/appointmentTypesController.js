@@ -0,0 +1,119 @@
+// controllers/appointmentTypesController.js
+const AppointmentType = require('../models/AppointmentType');
+const ScheduleService = require('../services/scheduleService');
+const { ATTENDING_ROLES } = require('../config/permissions');
+
+/**
+ * AppointmentTypesController - catálogo de tipos de cita (appointment_types).
+ * Lectura para cualquier usuario autenticado (los propietarios solo ven los
+ * reservables por ellos); alta / modificación / desactivación solo admin.
+ */
+
+const FIELDS = [
+  'nombre', 'descripcion', 'duracion_min', 'buffer_min', 'ventanas', 'color',
+  'precio', 'recursos', 'roles', 'reservable_por_propietario', 'encuentro', 'activo'
+];
+
+function pickFields(body) {
+  const out = {};
+  for (const f of FIELDS) {
+    if (typeof body[f] !== 'undefined') out[f] = body[f];
+  }
+  return out;
+}
+
+// Validaciones que involucran varios campos. Devuelve mensaje de error o null.
+function validateDefinition(data) {
+  if (typeof data.ventanas !== 'undefined') {
+    for (const w of data.ventanas) {
+      if (ScheduleService.timeToMinutes(w.to) <= ScheduleService.timeToMinutes(w.from)) {
+        return `Ventana inválida ${w.from}-${w.to}: "to" debe ser posterior a "from"`;
+      }
+    }
+  }
+  if (typeof data.roles !== 'undefined') {
+    const invalid = data.roles.filter(r => !ATTENDING_ROLES.includes(r));
+    if (!data.roles.length) return 'roles no puede estar vacío';
+    if (invalid.length) return `Roles que no pueden atender citas: ${invalid.join(', ')} (válidos: ${ATTENDING_ROLES.join(', ')})`;
+  }
+  return null;
+}
+
+const AppointmentTypesController = {
+  // GET /appointment-types[?include_inactive=true]
+  async list(req, res) {
+    try {
+      const isAdmin = req.user.subjectType === 'usuario' && req.user.role === 'admin';
+      const includeInactive = isAdmin && String(req.query.include_inactive) === 'true';
+      let types = await AppointmentType.findAll({ includeInactive });
+      if (req.user.role === 'propietario') {
+        types = types.filter(t => t.reservable_por_propietario);
+      }
+      res.json({ success: true, data: types });
+    } catch (err) {
+      console.error('Error list appointment types:', err);
+      res.status(500).json({ success: false, message: 'Error al listar tipos de cita', error: err.message });
+    }
+  },
+
+  // GET /appointment-types/:id
+  async getById(req, res) {
+    try {
+      const type = await AppointmentType.findById(req.params.id);
+      const hidden = type && req.user.role === 'propietario' && (!type.activo || !type.reservable_por_propietario);
+      if (!type || hidden) return res.status(404).json({ success: false, message: 'Tipo de cita no encontrado' });
+      res.json({ success: true, data: type });
+    } catch (err) {
+      console.error('Error get appointment type:', err);
+      res.status(500).json({ success: false, message: 'Error al obtener tipo de cita', error: err.message });
+    }
+  },
+
+  // POST /appointment-types
+  async create(req, res) {
+    try {
+      const data = pickFields(req.body);
+      const error = validateDefinition(data);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const type = await AppointmentType.create(data);
+      res.status(201).json({ success: true, data: type });
+    } catch (err) {
+      console.error('Error create appointment type:', err);
+      res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Error al crear tipo de cita', error: err.message });
+    }
+  },
+
+  // PUT /appointment-types/:id
+  async update(req, res) {
+    try {
+      const changes = pickFields(req.body);
+      if (!Object.keys(changes).length) {
+        return res.status(400).json({ success: false, message: 'No hay campos para actualizar' });
+      }
+      const error = validateDefinition(changes);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const type = await AppointmentType.update(req.params.id, changes);
+      if (!type) return res.status(404).json({ success: false, message: 'Tipo de cita no encontrado' });
+      res.json({ success: true, data: type });
+    } catch (err) {
+      console.error('Error update appointment type:', err);
+      res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Error al actualizar tipo de cita', error: err.message });
+    }
+  },
+
+  // DELETE /appointment-types/:id  (desactiva; las citas existentes conservan su tipo)
+  async remove(req, res) {
+    try {
+      const ok = await AppointmentType.deactivate(req.params.id);
+      if (!ok) return res.status(404).json({ success: false, message: 'Tipo de cita no encontrado' });
+      res.json({ success: true, message: 'Tipo de cita desactivado' });
+    } catch (err) {
+      console.error('Error delete appointment type:', err);
+      res.status(500).json({ success: false, message: 'Error al desactivar tipo de cita', error: err.message });
+    }
+  }
+};
+
+module.exports = AppointmentTypesController;
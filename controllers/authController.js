@@ -1,14 +1,26 @@
 /**
  * controllers/authController.js
- * Controlador de Autenticación (register, login, profile, update, refresh, logout)
+ * Controlador de Autenticación (register, login, profile, update, refresh, logout, logout-all)
  */
 
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const db = require('../db'); // tu pool / fachada
+const TokenService = require('../services/tokenService');
 const { validationResult } = require('express-validator');
 
+const requestMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// Carga el payload del access token para el sujeto de un refresh token (role actualizado desde DB)
+async function loadTokenPayload(subjectType, subjectId) {
+  if (subjectType === 'usuario') {
+    const user = await User.findById(subjectId);
+    return user ? { userId: user.id, email: user.email, role: user.role || 'user' } : null;
+  }
+  const [rows] = await db.query('SELECT id, email FROM propietarios WHERE id = ? AND deleted_at IS NULL', [subjectId]);
+  return rows.length ? { userId: rows[0].id, email: rows[0].email, role: 'propietario' } : null;
+}
+
 class AuthController {
   // Registro público: crea usuarios con role = 'user' (salvo si no hay usuarios -> primer usuario = admin)
   static async register(req, res) {
@@ -64,18 +76,18 @@ class AuthController {
         created_at: newUser.created_at || null
       };
 
-      // Generar token incluyendo role
-      const token = jwt.sign(
-        { userId: safeUser.id, email: safeUser.email, role: safeUser.role },
-        process.env.JWT_SECRET || 'default_secret_key',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      // Generar access token (incluye role) + refresh token
+      const tokens = await TokenService.issueTokenPair({
+        subjectType: 'usuario',
+        subjectId: safeUser.id,
+        payload: { userId: safeUser.id, email: safeUser.email, role: safeUser.role }
+      }, requestMeta(req));
 
-      // Devolver user + token (esto permite login automático tras registro)
+      // Devolver user + tokens (esto permite login automático tras registro)
       res.status(201).json({
         success: true,
         message: 'Usuario registrado correctamente',
-        data: { user: safeUser, token, expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+        data: { user: safeUser, ...tokens }
       });
     } catch (error) {
       console.error('Error en register:', error);
@@ -167,16 +179,16 @@ class AuthController {
         created_at: user.created_at || null
       };
 
-      const token = jwt.sign(
-        { userId: safeUser.id, email: safeUser.email, role: safeUser.role },
-        process.env.JWT_SECRET || 'default_secret_key',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      const tokens = await TokenService.issueTokenPair({
+        subjectType: 'usuario',
+        subjectId: safeUser.id,
+        payload: { userId: safeUser.id, email: safeUser.email, role: safeUser.role }
+      }, requestMeta(req));
 
       res.status(200).json({
         success: true,
         message: 'Login exitoso',
-        data: { user: safeUser, token, expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+        data: { user: safeUser, ...tokens }
       });
     } catch (error) {
       console.error('Error en login:', error);
@@ -254,33 +266,46 @@ class AuthController {
     }
   }
 
-  // Refresh token
+  // Refresh token: rota el refresh token (público: el access token puede estar expirado).
+  // Sirve tanto para usuarios como para propietarios.
   static async refreshToken(req, res) {
     try {
-      const userId = req.user.userId;
-      const email = req.user.email;
-      const role = req.user.role || 'user';
-      const newToken = jwt.sign(
-        { userId, email, role },
-        process.env.JWT_SECRET || 'default_secret_key',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
-      res.status(200).json({ success: true, message: 'Token renovado correctamente', data: { token: newToken, expiresIn: process.env.JWT_EXPIRES_IN || '24h' } });
+      const { refreshToken } = req.body || {};
+      const result = await TokenService.rotateRefreshToken(refreshToken, loadTokenPayload, requestMeta(req));
+      const { subjectType, subjectId, ...tokens } = result;
+      res.status(200).json({ success: true, message: 'Token renovado correctamente', data: tokens });
     } catch (error) {
+      if (error instanceof TokenService.TokenError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       console.error('Error en refreshToken:', error);
       res.status(500).json({ success: false, message: 'Error interno del servidor', error: error.message });
     }
   }
 
-  // Logout
+  // Logout: revoca el access token actual y la sesión (familia) del refresh token enviado
   static async logout(req, res) {
     try {
-      res.status(200).json({ success: true, message: 'Logout exitoso', data: { message: 'Token invalidado. Elimina el token del cliente.' } });
+      const { refreshToken } = req.body || {};
+      await TokenService.revokeAccessToken(req.tokenPayload);
+      const sessionRevoked = await TokenService.revokeRefreshToken(refreshToken, req.user.subjectType, req.user.userId);
+      res.status(200).json({ success: true, message: 'Logout exitoso', data: { sessionRevoked } });
     } catch (error) {
       console.error('Error en logout:', error);
       res.status(500).json({ success: false, message: 'Error interno del servidor', error: error.message });
     }
   }
+
+  // Logout de todos los dispositivos: revoca todos los refresh tokens y access tokens emitidos
+  static async logoutAll(req, res) {
+    try {
+      await TokenService.revokeAllForSubject(req.user.subjectType, req.user.userId);
+      res.status(200).json({ success: true, message: 'Se cerraron todas las sesiones' });
+    } catch (error) {
+      console.error('Error en logoutAll:', error);
+      res.status(500).json({ success: false, message: 'Error interno del servidor', error: error.message });
+    }
+  }
 }
 
 module.exports = AuthController;
\ No newline at end of file
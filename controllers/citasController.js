@@ -1,74 +1,142 @@
 // controllers/citasController.js
 const db = require('../db');
 const { validationResult } = require('express-validator');
+const { hasPermission } = require('../middleware/auth');
+const ScheduleService = require('../services/scheduleService');
+const AppointmentType = require('../models/AppointmentType');
+const CitaEstadoService = require('../services/citaEstadoService');
+const { ESTADOS, ESTADOS_LIBERAN_HORARIO } = require('../config/citaEstados');
+const RecurrenceService = require('../services/recurrenceService');
+const BookingService = require('../services/bookingService');
+const WaitlistService = require('../services/waitlistService');
+const IcalService = require('../services/icalService');
+const NotificationService = require('../services/notificationService');
+const ReminderService = require('../services/reminderService');
+const VaccinationService = require('../services/vaccinationService');
+const EncounterService = require('../services/encounterService');
+const TimezoneService = require('../services/timezoneService');
+const SoftDeleteService = require('../services/softDeleteService');
+
+const { BookingConflictError, OVERLAP_MESSAGE, OFF_SCHEDULE_MESSAGE, formatDateToSQL } = BookingService;
 
 /**
  * CitasController - incluye control de solapamientos por veterinario,
  * buffer opcional, endpoint /citas/slots y correcciones de columnas DB.
  */
 
-function parseDate(val) {
-  if (!val) return null;
-  const d = new Date(val);
-  return isNaN(d.getTime()) ? null : d;
-}
+// Fecha de entrada: sin offset se interpreta en la zona de la clínica (ver services/timezoneService.js)
+const parseDate = TimezoneService.parseInput;
 
 // Comprueba solapamiento entre intervalos [aStart,aEnd) y [bStart,bEnd)
 function overlaps(aStart, aEnd, bStart, bEnd) {
   return (aStart < bEnd && bStart < aEnd);
 }
 
+
+// Alcance de ediciones / cambios de estado sobre citas de una serie
+const SCOPES = { THIS: 'this', FOLLOWING: 'following', ALL: 'all' };
+// Solo se modifican en bloque las ocurrencias aún no atendidas ni canceladas
+const SERIE_ESTADOS_EDITABLES = [ESTADOS.PENDIENTE, ESTADOS.CONFIRMADA];
+
+function _scopeOf(req, cita) {
+  if (!cita.serie_id) return SCOPES.THIS;
+  const scope = req.query.scope || req.body?.scope || SCOPES.THIS;
+  return Object.values(SCOPES).includes(scope) ? scope : SCOPES.THIS;
+}
+
 /**
- * _hasOverlap:
- *   Verifica si existe solapamiento con otras citas del mismo veterinario.
- *   Considera buffer adicional al final de cada cita.
+ * _seriesTargets:
+ *   Citas de la serie afectadas por una operación con scope following/all
+ *   (pendientes o confirmadas). La cita indicada siempre se incluye.
  */
-async function _hasOverlap(veterinario_id, fecha_inicio, duracion_min, excludeId = null, bufferMin = 10) {
-  if (!veterinario_id) return false;
-  let sql = `
-    SELECT 1 FROM citas c
-    WHERE c.veterinario_id = ?
-      AND (? < DATE_ADD(DATE_ADD(c.fecha_inicio, INTERVAL c.duracion_min MINUTE), INTERVAL ? MINUTE))
-      AND (c.fecha_inicio < DATE_ADD(DATE_ADD(?, INTERVAL ? MINUTE), INTERVAL ? MINUTE))
-  `;
-  const params = [veterinario_id, fecha_inicio, bufferMin, fecha_inicio, duracion_min, bufferMin];
-  if (excludeId) {
-    sql += ` AND c.id != ?`;
-    params.push(excludeId);
+async function _seriesTargets(cita, scope) {
+  let sql = 'SELECT * FROM citas WHERE serie_id = ? AND estado IN (?) AND deleted_at IS NULL';
+  const params = [cita.serie_id, SERIE_ESTADOS_EDITABLES];
+  if (scope === SCOPES.FOLLOWING) {
+    sql += ' AND serie_indice >= ?';
+    params.push(cita.serie_indice);
   }
-  sql += ` LIMIT 1`;
+  sql += ' ORDER BY serie_indice';
   const [rows] = await db.query(sql, params);
-  return rows.length > 0;
+  if (!rows.some(r => Number(r.id) === Number(cita.id))) rows.unshift(cita);
+  return rows;
 }
 
-/* ------------------ Helpers slots (backend) ------------------ */
+// Error de conflicto: mensaje simple para una cita, detalle por ocurrencia para series
+function _conflictFor(scope, conflicts) {
+  if (scope === SCOPES.THIS) return new BookingConflictError(conflicts[0].message);
+  return new BookingConflictError(`Conflicto en ${conflicts.length} citas de la serie`, conflicts);
+}
 
-function getDurationForTipo(t) {
-  const map = {
-    "consulta general": 30,
-    "vacunacion": 20,
-    "urgencia": 60,
-    "cirugia": 120,
-    "peluqueria": 45,
-    "control": 20,
-    "desparacitacion": 15
-  };
-  return map[(t || "").toLowerCase()] || 30;
+// Citas con nombres de mascota / propietario / veterinario
+function _selectCitas(ids) {
+  return db.query(`
+    SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
+    FROM citas c
+    LEFT JOIN mascotas m ON c.mascota_id = m.id
+    LEFT JOIN propietarios p ON c.propietario_id = p.id
+    LEFT JOIN usuarios u ON c.veterinario_id = u.id
+    WHERE c.id IN (?)
+    ORDER BY c.fecha_inicio`, [ids]);
 }
 
-function getWindowsForTipo(t) {
-  const low = (t || "").toLowerCase();
-  switch (low) {
-    case "vacunacion": return [{ from: "08:00", to: "12:30" }, { from: "14:00", to: "17:00" }];
-    case "cirugia": return [{ from: "08:00", to: "12:00" }];
-    case "peluqueria": return [{ from: "09:00", to: "16:00" }];
-    case "urgencia": return [{ from: "07:00", to: "17:00" }];
-    case "control": return [{ from: "07:00", to: "17:00" }];
-    case "desparacitacion": return [{ from: "07:00", to: "17:00" }];
-    default: return [{ from: "07:00", to: "17:00" }];
+/**
+ * _prepareBooking:
+ *   Validaciones comunes de POST /citas y POST /citas/series: mascota y propietario,
+ *   permisos, tipo de consulta, veterinario, fecha y duración.
+ *   Devuelve { booking } o { error: { status, message } }.
+ */
+async function _prepareBooking(req) {
+  const { mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min } = req.body;
+  const fail = (status, message) => ({ error: { status, message } });
+
+  if (!mascota_id || !propietario_id || !fecha_inicio) {
+    return fail(400, 'mascota_id, propietario_id y fecha_inicio son requeridos');
+  }
+
+  // validar mascota y pertenencia (tu tabla mascotas usa owner_id)
+  const [mrows] = await db.query('SELECT id, owner_id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [mascota_id]);
+  if (!mrows.length) return fail(400, 'Mascota no existe');
+  if (Number(mrows[0].owner_id) !== Number(propietario_id)) {
+    return fail(400, 'La mascota no pertenece al propietario indicado');
+  }
+
+  // permisos
+  if (req.user.role === 'propietario') {
+    if (Number(req.user.userId) !== Number(propietario_id)) {
+      return fail(403, 'No autorizado para crear cita para otro propietario');
+    }
+  } else if (!hasPermission(req.user, 'citas:write')) {
+    return fail(403, 'No autorizado para crear citas');
+  }
+
+  // el tipo de consulta debe existir en el catálogo (y ser reservable por el propietario si reserva él)
+  const { tipoDef, error: tipoError } = await BookingService.resolveTipo(tipo_consulta || 'consulta general', req.user);
+  if (tipoError) return { error: tipoError };
+
+  // validar veterinario si se pasó (debe poder atender el tipo de consulta)
+  let vetId = null;
+  if (veterinario_id) {
+    const vetError = await BookingService.validateAssignee(veterinario_id, tipoDef);
+    if (vetError) return fail(400, vetError);
+    vetId = Number(veterinario_id);
   }
+
+  const fecha = parseDate(fecha_inicio);
+  if (!fecha) return fail(400, 'fecha_inicio inválida');
+
+  const durMin = typeof duracion_min !== 'undefined' && duracion_min !== null ? Number(duracion_min) : tipoDef.duracion_min;
+  if (isNaN(durMin) || durMin <= 0) return fail(400, 'duracion_min inválida');
+
+  const bufferMin = Number(req.body.buffer_min ?? req.body.bufferMin ?? tipoDef.buffer_min);
+
+  return {
+    booking: { mascota_id, propietario_id, vetId, tipoDef, motivo: motivo || null, fecha, durMin, bufferMin }
+  };
 }
 
+/* ------------------ Helpers slots (backend) ------------------ */
+
 function parseHHMM(hhmm) {
   const [hh, mm] = hhmm.split(":").map(Number);
   return hh * 60 + mm;
@@ -80,15 +148,19 @@ function minutesToHHMM(m) {
 }
 
 /**
- * generateSlotsNode(dateStr, tipoStr, vetList, existingCitas)
- * - evita generar slots que se solapen para el mismo veterinario
+ * generateSlotsNode(dateStr, tipoDef, vetList, existingCitas, availabilityByVet)
+ * - duración, buffer y ventanas horarias salen del catálogo (tipoDef = fila de appointment_types)
+ * - evita generar slots que se solapen para el mismo veterinario (considerando el buffer)
+ * - solo genera slots dentro del horario disponible de cada veterinario
+ *   (availabilityByVet: { [vetId]: [{ from, to }] } en minutos, de ScheduleService.getAvailability)
  */
-function generateSlotsNode(dateStr, tipoStr, vetList, existingCitas) {
-  if (!dateStr || !tipoStr) return { slotsByVet: {}, durationMin: 0 };
-  const durationMin = getDurationForTipo(tipoStr);
-  const windows = getWindowsForTipo(tipoStr);
-  const CLINIC_OPEN = "07:00";
-  const CLINIC_CLOSE = "17:00";
+function generateSlotsNode(dateStr, tipoDef, vetList, existingCitas, availabilityByVet = {}) {
+  if (!dateStr || !tipoDef) return { slotsByVet: {}, durationMin: 0 };
+  const durationMin = Number(tipoDef.duracion_min);
+  const bufferMs = Number(tipoDef.buffer_min || 0) * 60000;
+  const tipoWindows = tipoDef.ventanas.length
+    ? tipoDef.ventanas.map(w => ({ from: parseHHMM(w.from), to: parseHHMM(w.to) }))
+    : [{ from: parseHHMM(ScheduleService.CLINIC_OPEN), to: parseHHMM(ScheduleService.CLINIC_CLOSE) }];
 
   // Map de citas por vet
   const citasByVet = {};
@@ -104,9 +176,11 @@ function generateSlotsNode(dateStr, tipoStr, vetList, existingCitas) {
   for (const vet of vetList) {
     const vid = String(vet.id);
     slotsByVet[vid] = [];
+    // ventanas del tipo de consulta recortadas al horario del veterinario ese día
+    const windows = ScheduleService.intersectIntervals(tipoWindows, availabilityByVet[vid] || []);
     for (const w of windows) {
-      const windowFromMin = Math.max(parseHHMM(CLINIC_OPEN), parseHHMM(w.from));
-      const windowToMin = Math.min(parseHHMM(CLINIC_CLOSE), parseHHMM(w.to));
+      const windowFromMin = w.from;
+      const windowToMin = w.to;
       const lastStartMin = windowToMin - durationMin;
       // Si lastStartMin < windowFromMin no hay slots
       if (lastStartMin < windowFromMin) continue;
@@ -118,21 +192,22 @@ function generateSlotsNode(dateStr, tipoStr, vetList, existingCitas) {
       while (t <= lastStartMin) {
         const timeStr = minutesToHHMM(t);
         const startIsoLocal = `${dateStr}T${timeStr}`;
-        const start = new Date(`${dateStr}T${timeStr}:00`);
-        if (isNaN(start.getTime())) { t += step; continue; }
+        // hora de reloj de la clínica; no existe si cae en el salto de horario de verano
+        if (!TimezoneService.isValidLocal(dateStr, t)) { t += step; continue; }
+        const start = TimezoneService.fromLocal(dateStr, t);
         const end = new Date(start.getTime() + durationMin * 60000);
 
         const vetCitas = citasByVet[vid] || [];
         let conflict = false;
         for (const c of vetCitas) {
-          if (overlaps(start.getTime(), end.getTime(), c.start.getTime(), c.end.getTime())) {
+          if (overlaps(start.getTime(), end.getTime() + bufferMs, c.start.getTime(), c.end.getTime() + bufferMs)) {
             conflict = true;
             break;
           }
         }
 
         if (!conflict) {
-          slotsByVet[vid].push({ timeStr, startIsoLocal });
+          slotsByVet[vid].push({ timeStr, startIsoLocal, start: TimezoneService.toISO(start) });
           // Avanzamos en durationMin para no proponer slots que se solapen para el mismo vet
           t += durationMin;
         } else {
@@ -149,6 +224,104 @@ function generateSlotsNode(dateStr, tipoStr, vetList, existingCitas) {
   return { slotsByVet, durationMin };
 }
 
+/**
+ * _offerFreedSlot:
+ *   Ofrece el hueco de una cita cancelada / eliminada a la lista de espera.
+ *   Un fallo aquí no debe romper la cancelación: solo se registra.
+ */
+async function _offerFreedSlot(cita) {
+  try {
+    await WaitlistService.offerFreedSlot(cita);
+  } catch (err) {
+    console.error(`Error ofreciendo a la lista de espera el hueco de la cita ${cita.id}:`, err.message);
+  }
+}
+
+/**
+ * _loadReminderAction:
+ *   Verifica el enlace del recordatorio y que siga correspondiendo a la cita.
+ *   Devuelve { action, cita } o null si ya respondió con el error.
+ */
+async function _loadReminderAction(req, res) {
+  try {
+    const action = ReminderService.verifyActionToken(req.params.token);
+    const [rows] = await db.query(
+      `SELECT c.id, c.propietario_id, c.fecha_inicio, c.tipo_consulta, m.nombre AS mascota_nombre
+       FROM citas c LEFT JOIN mascotas m ON c.mascota_id = m.id
+       WHERE c.id = ? AND c.deleted_at IS NULL`,
+      [action.citaId]
+    );
+    if (!rows.length) {
+      res.status(404).json({ success: false, message: 'Cita no encontrada' });
+      return null;
+    }
+    if (!ReminderService.actionMatches(action, rows[0])) {
+      res.status(409).json({ success: false, message: 'La cita ha cambiado desde el recordatorio; el enlace ya no es válido' });
+      return null;
+    }
+    return { action, cita: rows[0] };
+  } catch (err) {
+    if (err instanceof ReminderService.ReminderError) {
+      res.status(err.status).json({ success: false, message: err.message });
+      return null;
+    }
+    console.error('Error acción de recordatorio:', err);
+    res.status(500).json({ success: false, message: 'Error al procesar el enlace', error: err.message });
+    return null;
+  }
+}
+
+// notificación (con invitación iCal) que corresponde a un cambio de estado (null = no se notifica)
+function _eventoFor(estado) {
+  if (estado === ESTADOS.CONFIRMADA) return NotificationService.EVENTOS.CITA_CONFIRMADA;
+  if (estado === ESTADOS.CANCELADA) return NotificationService.EVENTOS.CITA_CANCELADA;
+  return null;
+}
+
+// encola la notificación del cambio de estado en la misma transacción (CitaEstadoService.transition)
+async function _notifyTransition(conn, { to }, citaId) {
+  const evento = _eventoFor(to);
+  if (evento) await NotificationService.notifyCita(evento, citaId, { conn });
+}
+
+/**
+ * _applyTransition:
+ *   Cambia el estado de la cita req.params.id vía CitaEstadoService (valida transición,
+ *   permisos y motivo; registra historial) y responde con la cita actualizada.
+ *   `extra(conn, { from, to })` se ejecuta en la misma transacción (p.ej. registrar vacunas).
+ */
+async function _applyTransition(req, res, estado, errorMessage, extra = null) {
+  try {
+    const id = req.params.id;
+    const { from, to } = await CitaEstadoService.transition(id, estado, req.user, {
+      motivo: req.body?.motivo,
+      beforeCommit: async (conn, t) => {
+        if (extra) await extra(conn, t);
+        await _notifyTransition(conn, t, id);
+      }
+    });
+
+    const [rows] = await db.query(`
+      SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
+      FROM citas c
+      LEFT JOIN mascotas m ON c.mascota_id = m.id
+      LEFT JOIN propietarios p ON c.propietario_id = p.id
+      LEFT JOIN usuarios u ON c.veterinario_id = u.id
+      WHERE c.id = ?`, [id]);
+
+    if (to === ESTADOS.CANCELADA) await _offerFreedSlot(rows[0]);
+
+    res.json({ success: true, data: rows[0], transition: { from, to } });
+  } catch (err) {
+    if (err instanceof CitaEstadoService.EstadoError || err instanceof VaccinationService.VacunaError ||
+        err instanceof EncounterService.EncuentroError || err instanceof BookingConflictError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`${errorMessage}:`, err);
+    res.status(500).json({ success: false, message: errorMessage, error: err.message });
+  }
+}
+
 /* ------------------ Controller principal ------------------ */
 
 const CitasController = {
@@ -159,14 +332,28 @@ const CitasController = {
       const limit = Math.min(200, parseInt(req.query.limit || 50));
       const offset = (page - 1) * limit;
 
-      const filters = [];
+      // las eliminadas (borrado lógico) solo con ?include_deleted=true (admin)
+      const filters = req.includeDeleted ? [] : ['c.deleted_at IS NULL'];
       const params = [];
 
       if (req.query.mascota_id) { filters.push('c.mascota_id = ?'); params.push(req.query.mascota_id); }
       if (req.query.propietario_id) { filters.push('c.propietario_id = ?'); params.push(req.query.propietario_id); }
       if (req.query.veterinario_id) { filters.push('c.veterinario_id = ?'); params.push(req.query.veterinario_id); }
-      if (req.query.desde) { filters.push('c.fecha_inicio >= ?'); params.push(req.query.desde); }
-      if (req.query.hasta) { filters.push('c.fecha_inicio <= ?'); params.push(req.query.hasta); }
+      // desde / hasta en hora de la clínica; una fecha sin hora en `hasta` incluye todo ese día
+      if (req.query.desde) {
+        const desde = parseDate(req.query.desde);
+        if (!desde) return res.status(400).json({ success: false, message: 'desde inválida' });
+        filters.push('c.fecha_inicio >= ?'); params.push(formatDateToSQL(desde));
+      }
+      if (req.query.hasta) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.hasta)) {
+          filters.push('c.fecha_inicio < ?'); params.push(TimezoneService.dayRangeSQL(req.query.hasta)[1]);
+        } else {
+          const hasta = parseDate(req.query.hasta);
+          if (!hasta) return res.status(400).json({ success: false, message: 'hasta inválida' });
+          filters.push('c.fecha_inicio <= ?'); params.push(formatDateToSQL(hasta));
+        }
+      }
 
       const where = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
 
@@ -207,7 +394,7 @@ const CitasController = {
         LEFT JOIN mascotas m ON c.mascota_id = m.id
         LEFT JOIN propietarios p ON c.propietario_id = p.id
         LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [id]);
+        WHERE c.id = ?${req.includeDeleted ? '' : ' AND c.deleted_at IS NULL'}`, [id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
       res.json({ success: true, data: rows[0] });
     } catch (err) {
@@ -224,110 +411,160 @@ const CitasController = {
         return res.status(400).json({ success: false, message: 'Errores de validación', errors: errors.array() });
       }
 
-      const { mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min } = req.body;
+      const { booking, error } = await _prepareBooking(req);
+      if (error) return res.status(error.status).json({ success: false, message: error.message });
 
-      if (!mascota_id || !propietario_id || !fecha_inicio) {
-        return res.status(400).json({ success: false, message: 'mascota_id, propietario_id y fecha_inicio son requeridos' });
+      // comprobar horario laboral si hay veterinario asignado
+      if (booking.vetId && await BookingService.isOffSchedule(booking.vetId, booking.fecha, booking.durMin)) {
+        return res.status(409).json({ success: false, message: OFF_SCHEDULE_MESSAGE });
       }
 
-      // validar mascota y pertenencia (tu tabla mascotas usa owner_id)
-      const [mrows] = await db.query('SELECT id, owner_id FROM mascotas WHERE id = ?', [mascota_id]);
-      if (!mrows.length) return res.status(400).json({ success: false, message: 'Mascota no existe' });
-      const m = mrows[0];
-      const mascotaOwnerId = m.owner_id;
-      if (Number(mascotaOwnerId) !== Number(propietario_id)) {
-        return res.status(400).json({ success: false, message: 'La mascota no pertenece al propietario indicado' });
-      }
+      // solapamiento + insertar, atómico por veterinario
+      const citaId = await BookingService.withBookingLock(booking.vetId, async (conn) => {
+        if (booking.vetId && await BookingService.hasOverlap(booking.vetId, formatDateToSQL(booking.fecha), booking.durMin, { bufferMin: booking.bufferMin, conn })) {
+          throw new BookingConflictError(OVERLAP_MESSAGE);
+        }
+        const id = await BookingService.insertCita(conn, booking, booking.fecha, req.user);
+        await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_CREADA, id, { conn });
+        return id;
+      });
 
-      // permisos
-      if (req.user.role === 'propietario' && Number(req.user.userId) !== Number(propietario_id)) {
-        return res.status(403).json({ success: false, message: 'No autorizado para crear cita para otro propietario' });
+      // devolver cita creada
+      const [rows] = await _selectCitas([citaId]);
+      res.status(201).json({ success: true, data: rows[0] });
+    } catch (err) {
+      if (err instanceof BookingConflictError) {
+        return res.status(409).json({ success: false, message: err.message });
       }
+      console.error('Error create cita:', err);
+      res.status(500).json({ success: false, message: 'Error al crear cita', error: err.message });
+    }
+  },
 
-      // validar veterinario si se pasó
-      let vetIdToUse = null;
-      if (veterinario_id) {
-        const [urows] = await db.query('SELECT id, role FROM usuarios WHERE id = ?', [veterinario_id]);
-        if (!urows.length) return res.status(400).json({ success: false, message: 'Veterinario no encontrado' });
-        if ((urows[0].role || '').toLowerCase() !== 'admin') {
-          return res.status(400).json({ success: false, message: 'El usuario seleccionado no es un veterinario (role admin)' });
+  // POST /citas/series  { ...campos de POST /citas, recurrencia: { frecuencia, intervalo, hasta | repeticiones }, on_conflict }
+  async createSeries(req, res) {
+    try {
+      const { booking, error } = await _prepareBooking(req);
+      if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+      const rule = RecurrenceService.normalizeRule(req.body.recurrencia);
+      const fechas = RecurrenceService.expand(booking.fecha, rule);
+      // abort (por defecto): si alguna ocurrencia choca no se crea nada; skip: se crean las libres
+      const onConflict = req.body.on_conflict === 'skip' ? 'skip' : 'abort';
+
+      // horario laboral de cada ocurrencia (fuera de la transacción, solo lee horarios)
+      const conflicts = [];
+      const candidates = [];
+      for (const [i, fecha] of fechas.entries()) {
+        const ocurrencia = { indice: i + 1, fecha_inicio: fecha };
+        if (booking.vetId && await BookingService.isOffSchedule(booking.vetId, fecha, booking.durMin)) {
+          conflicts.push({ ...ocurrencia, message: OFF_SCHEDULE_MESSAGE });
+        } else {
+          candidates.push({ ...ocurrencia, fecha });
         }
-        vetIdToUse = Number(veterinario_id);
       }
 
-      const fecha = parseDate(fecha_inicio);
-      if (!fecha) return res.status(400).json({ success: false, message: 'fecha_inicio inválida' });
-
-      const durMin = typeof duracion_min !== 'undefined' && duracion_min !== null ? Number(duracion_min) : 30;
-      if (isNaN(durMin) || durMin <= 0) return res.status(400).json({ success: false, message: 'duracion_min inválida' });
-
-      const bufferMin = Number(req.body.buffer_min ?? req.body.bufferMin ?? 10);
-
-      // comprobar solapamientos si hay veterinario asignado
-      if (vetIdToUse) {
-        const hasOverlap = await _hasOverlap(vetIdToUse, fecha.toISOString().slice(0,19).replace('T',' '), durMin, null, bufferMin);
-        if (hasOverlap) {
-          return res.status(409).json({ success: false, message: 'Conflicto: el veterinario tiene otra cita en ese horario (considerando buffer)' });
+      const created = await BookingService.withBookingLock(booking.vetId, async (conn) => {
+        const free = [];
+        for (const oc of candidates) {
+          if (booking.vetId && await BookingService.hasOverlap(booking.vetId, formatDateToSQL(oc.fecha), booking.durMin, { bufferMin: booking.bufferMin, conn })) {
+            conflicts.push({ indice: oc.indice, fecha_inicio: oc.fecha_inicio, message: OVERLAP_MESSAGE });
+          } else {
+            free.push(oc);
+          }
+        }
+        conflicts.sort((a, b) => a.indice - b.indice);
+        if (!free.length || (conflicts.length && onConflict === 'abort')) {
+          throw new BookingConflictError(`Conflicto en ${conflicts.length} de ${fechas.length} citas de la serie`, conflicts);
         }
-      }
-
-      // insertar
-      const createdBy = req.user?.userId || null;
-      const insertSql = `INSERT INTO citas (mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min, estado, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-      const insertParams = [mascota_id, propietario_id, vetIdToUse, tipo_consulta || 'consulta general', motivo || null, formatDateToSQL(fecha), durMin, 'pendiente', createdBy];
-      const [result] = await db.query(insertSql, insertParams);
-
-      // devolver cita creada
-      const [rows] = await db.query(`
-        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
-        FROM citas c
-        LEFT JOIN mascotas m ON c.mascota_id = m.id
-        LEFT JOIN propietarios p ON c.propietario_id = p.id
-        LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [result.insertId]);
 
-      res.status(201).json({ success: true, data: rows[0] });
+        const [serie] = await conn.query(
+          `INSERT INTO citas_series (mascota_id, propietario_id, veterinario_id, tipo_consulta, frecuencia, intervalo, hasta, repeticiones, fecha_inicio, duracion_min, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [booking.mascota_id, booking.propietario_id, booking.vetId, booking.tipoDef.nombre, rule.frecuencia, rule.intervalo,
+            rule.hasta, rule.repeticiones, formatDateToSQL(booking.fecha), booking.durMin, req.user?.userId || null]
+        );
+        const ids = [];
+        for (const oc of free) {
+          const citaId = await BookingService.insertCita(conn, booking, oc.fecha, req.user, { id: serie.insertId, indice: oc.indice });
+          await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_CREADA, citaId, { conn });
+          ids.push(citaId);
+        }
+        return { serieId: serie.insertId, ids };
+      });
+
+      const [rows] = await _selectCitas(created.ids);
+      res.status(201).json({
+        success: true,
+        data: {
+          serie: { id: created.serieId, ...rule },
+          citas: rows,
+          conflicts
+        }
+      });
     } catch (err) {
-      console.error('Error create cita:', err);
-      res.status(500).json({ success: false, message: 'Error al crear cita', error: err.message });
+      if (err instanceof RecurrenceService.RecurrenceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (err instanceof BookingConflictError) {
+        return res.status(409).json({ success: false, message: err.message, conflicts: err.conflicts || [] });
+      }
+      console.error('Error create serie citas:', err);
+      res.status(500).json({ success: false, message: 'Error al crear serie de citas', error: err.message });
     }
   },
 
-  // PUT /citas/:id
+  // PUT /citas/:id[?scope=this|following|all]
   async update(req, res) {
     try {
       const id = req.params.id;
-      const [existingRows] = await db.query('SELECT * FROM citas WHERE id = ?', [id]);
+      const [existingRows] = await db.query('SELECT * FROM citas WHERE id = ? AND deleted_at IS NULL', [id]);
       if (!existingRows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
       const existing = existingRows[0];
 
       const userRole = req.user.role;
       const userId = req.user.userId;
-      if (userRole === 'propietario' && Number(userId) !== Number(existing.propietario_id)) {
+      if (userRole === 'propietario') {
+        if (Number(userId) !== Number(existing.propietario_id)) {
+          return res.status(403).json({ success: false, message: 'No autorizado para editar esta cita' });
+        }
+      } else if (!hasPermission(req.user, 'citas:write')) {
         return res.status(403).json({ success: false, message: 'No autorizado para editar esta cita' });
       }
 
       const { mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min, estado } = req.body;
 
+      // el estado solo cambia por la máquina de estados (PATCH /citas/:id/status)
+      if (estado && estado !== existing.estado) {
+        return res.status(400).json({ success: false, message: 'El estado se cambia con PATCH /citas/:id/status' });
+      }
+
       if (mascota_id || propietario_id) {
         const mId = mascota_id || existing.mascota_id;
         const pId = propietario_id || existing.propietario_id;
-        const [mrows] = await db.query('SELECT owner_id FROM mascotas WHERE id = ?', [mId]);
+        const [mrows] = await db.query('SELECT owner_id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [mId]);
         if (!mrows.length) return res.status(400).json({ success: false, message: 'Mascota no existe' });
         const ownerId = mrows[0].owner_id;
         if (Number(ownerId) !== Number(pId)) return res.status(400).json({ success: false, message: 'La mascota no pertenece al propietario indicado' });
       }
 
+      // un tipo nuevo debe existir en el catálogo; el existente se acepta aunque luego se haya desactivado
+      let tipoDef;
+      if (tipo_consulta) {
+        const resolved = await BookingService.resolveTipo(tipo_consulta, req.user);
+        if (resolved.error) return res.status(resolved.error.status).json({ success: false, message: resolved.error.message });
+        tipoDef = resolved.tipoDef;
+      } else {
+        tipoDef = await AppointmentType.findByNombre(existing.tipo_consulta, { includeInactive: true });
+      }
+      const tipo = tipoDef ? tipoDef.nombre : existing.tipo_consulta;
+
+      const vetChanged = typeof veterinario_id !== 'undefined';
       let vetToUse = existing.veterinario_id;
-      if (typeof veterinario_id !== 'undefined') {
+      if (vetChanged) {
         if (veterinario_id === null || veterinario_id === '') {
           vetToUse = null;
         } else {
-          const [urows] = await db.query('SELECT id, role FROM usuarios WHERE id = ?', [veterinario_id]);
-          if (!urows.length) return res.status(400).json({ success: false, message: 'Veterinario no encontrado' });
-          if ((urows[0].role || '').toLowerCase() !== 'admin') {
-            return res.status(400).json({ success: false, message: 'El usuario seleccionado no es un veterinario (role admin)' });
-          }
           vetToUse = Number(veterinario_id);
         }
       }
@@ -335,53 +572,101 @@ const CitasController = {
       const fecha = fecha_inicio ? parseDate(fecha_inicio) : (existing.fecha_inicio ? new Date(existing.fecha_inicio) : null);
       if (!fecha) return res.status(400).json({ success: false, message: 'fecha_inicio inválida' });
 
-      const durMin = (typeof duracion_min !== 'undefined' && duracion_min !== null) ? Number(duracion_min) : existing.duracion_min;
+      const durChanged = typeof duracion_min !== 'undefined' && duracion_min !== null;
+      const durMin = durChanged ? Number(duracion_min) : existing.duracion_min;
       if (isNaN(durMin) || durMin <= 0) return res.status(400).json({ success: false, message: 'duracion_min inválida' });
 
-      const bufferMin = Number(req.body.buffer_min ?? req.body.bufferMin ?? 10);
+      const bufferMin = Number(req.body.buffer_min ?? req.body.bufferMin ?? (tipoDef ? tipoDef.buffer_min : 10));
+
+      // citas afectadas: esta, o también las siguientes / todas las de su serie.
+      // Un cambio de fecha se aplica como desplazamiento (en hora local de la clínica) a cada ocurrencia.
+      const scope = _scopeOf(req, existing);
+      const targets = scope === SCOPES.THIS ? [existing] : await _seriesTargets(existing, scope);
+      const original = new Date(existing.fecha_inicio);
+      const deltaMs = fecha.getTime() - original.getTime();
+      const plans = targets.map(t => {
+        const vet = vetChanged ? vetToUse : t.veterinario_id;
+        return {
+          cita: t,
+          vet,
+          fecha: Number(t.id) === Number(existing.id) ? fecha : TimezoneService.shiftLocal(new Date(t.fecha_inicio), original, fecha),
+          durMin: durChanged ? durMin : t.duracion_min,
+          // el horario laboral solo se revalida si cambia fecha, duración o veterinario
+          rescheduled: deltaMs !== 0 || durChanged || Number(vet) !== Number(t.veterinario_id)
+        };
+      });
+
+      // si cambia el veterinario o el tipo, el asignado debe poder atender ese tipo
+      const vetsToValidate = new Set(plans
+        .filter(p => p.vet && (Number(p.vet) !== Number(p.cita.veterinario_id) || tipo !== p.cita.tipo_consulta))
+        .map(p => Number(p.vet)));
+      for (const vet of vetsToValidate) {
+        if (!tipoDef) return res.status(400).json({ success: false, message: `tipo_consulta "${tipo}" no existe en el catálogo` });
+        const vetError = await BookingService.validateAssignee(vet, tipoDef);
+        if (vetError) return res.status(400).json({ success: false, message: vetError });
+      }
 
-      if (vetToUse) {
-        const hasOverlap = await _hasOverlap(vetToUse, fecha.toISOString().slice(0,19).replace('T',' '), durMin, id, bufferMin);
-        if (hasOverlap) {
-          return res.status(409).json({ success: false, message: 'Conflicto: el veterinario tiene otra cita en ese horario (considerando buffer)' });
+      const conflicts = [];
+      for (const p of plans) {
+        if (p.vet && p.rescheduled && await BookingService.isOffSchedule(p.vet, p.fecha, p.durMin)) {
+          conflicts.push({ cita_id: p.cita.id, fecha_inicio: p.fecha, message: OFF_SCHEDULE_MESSAGE });
         }
       }
+      if (conflicts.length) throw _conflictFor(scope, conflicts);
+
+      // solapamiento + actualizar, atómico por veterinario (y con las citas bloqueadas)
+      const targetIds = plans.map(p => p.cita.id);
+      await BookingService.withBookingLock(plans.map(p => p.vet), async (conn) => {
+        await conn.query('SELECT id FROM citas WHERE id IN (?) FOR UPDATE', [targetIds]);
+        // las demás ocurrencias se mueven a la vez: no cuentan como solapamiento entre sí
+        for (const p of plans) {
+          if (p.vet && await BookingService.hasOverlap(p.vet, formatDateToSQL(p.fecha), p.durMin, { excludeId: targetIds, bufferMin, conn })) {
+            conflicts.push({ cita_id: p.cita.id, fecha_inicio: p.fecha, message: OVERLAP_MESSAGE });
+          }
+        }
+        if (conflicts.length) throw _conflictFor(scope, conflicts);
+
+        for (const p of plans) {
+          await conn.query(
+            `UPDATE citas SET
+               mascota_id = COALESCE(?, mascota_id),
+               propietario_id = COALESCE(?, propietario_id),
+               veterinario_id = ?,
+               tipo_consulta = COALESCE(?, tipo_consulta),
+               motivo = COALESCE(?, motivo),
+               fecha_inicio = ?,
+               duracion_min = COALESCE(?, duracion_min),
+               updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+              mascota_id || null,
+              propietario_id || null,
+              p.vet,
+              tipo_consulta ? tipo : null,
+              motivo || null,
+              formatDateToSQL(p.fecha),
+              p.durMin,
+              p.cita.id
+            ]
+          );
+          // solo se avisa si cambia fecha, duración o veterinario (invitación con SEQUENCE+1)
+          if (p.rescheduled) {
+            await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_REPROGRAMADA, p.cita.id, {
+              conn,
+              data: { fecha_anterior: p.fecha.getTime() !== new Date(p.cita.fecha_inicio).getTime() ? p.cita.fecha_inicio : null }
+            });
+          }
+        }
+      });
 
-      await db.query(
-        `UPDATE citas SET
-           mascota_id = COALESCE(?, mascota_id),
-           propietario_id = COALESCE(?, propietario_id),
-           veterinario_id = ?,
-           tipo_consulta = COALESCE(?, tipo_consulta),
-           motivo = COALESCE(?, motivo),
-           fecha_inicio = ?,
-           duracion_min = COALESCE(?, duracion_min),
-           estado = COALESCE(?, estado),
-           updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [
-          mascota_id || null,
-          propietario_id || null,
-          vetToUse,
-          tipo_consulta || null,
-          motivo || null,
-          formatDateToSQL(fecha),
-          durMin,
-          estado || null,
-          id
-        ]
-      );
-
-      const [rows] = await db.query(`
-        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
-        FROM citas c
-        LEFT JOIN mascotas m ON c.mascota_id = m.id
-        LEFT JOIN propietarios p ON c.propietario_id = p.id
-        LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [id]);
-
-      res.json({ success: true, data: rows[0] });
+      const [rows] = await _selectCitas([id]);
+      const body = { success: true, data: rows[0] };
+      if (scope !== SCOPES.THIS) body.meta = { scope, updated: targetIds };
+      res.json(body);
     } catch (err) {
+      if (err instanceof BookingConflictError) {
+        return res.status(409).json({ success: false, message: err.message, ...(err.conflicts ? { conflicts: err.conflicts } : {}) });
+      }
       console.error('Error update cita:', err);
       res.status(500).json({ success: false, message: 'Error al actualizar cita', error: err.message });
     }
@@ -393,20 +678,32 @@ const CitasController = {
       const date = req.query.date;
       if (!date) return res.status(400).json({ success: false, message: 'date query parameter is required (YYYY-MM-DD)' });
 
-      const tipo = req.query.tipo || 'consulta general';
+      const { tipoDef, error: tipoError } = await BookingService.resolveTipo(req.query.tipo || 'consulta general', req.user);
+      if (tipoError) return res.status(tipoError.status).json({ success: false, message: tipoError.message });
       const vetId = req.query.veterinario_id ? String(req.query.veterinario_id) : null;
 
-      // traer veterinarios (usuarios con role admin)
-      const [vRows] = await db.query("SELECT id, nombre, email FROM usuarios WHERE role = 'admin'");
+      // traer personal que puede atender este tipo de consulta (appointment_types.roles)
+      const [vRows] = await db.query('SELECT id, nombre, email, role FROM usuarios WHERE role IN (?)', [tipoDef.roles]);
       const vets = vetId ? vRows.filter(v => String(v.id) === String(vetId)) : vRows;
 
-      // traer citas del día (excluyendo canceladas)
-      const [citasRows] = await db.query("SELECT * FROM citas WHERE DATE(fecha_inicio) = ? AND estado != 'cancelada'", [date]);
+      // traer citas del día en la zona de la clínica (excluyendo canceladas, no_show y eliminadas)
+      const [dayStart, dayEnd] = TimezoneService.dayRangeSQL(date);
+      const [citasRows] = await db.query(
+        'SELECT * FROM citas WHERE fecha_inicio >= ? AND fecha_inicio < ? AND estado NOT IN (?) AND deleted_at IS NULL',
+        [dayStart, dayEnd, ESTADOS_LIBERAN_HORARIO]
+      );
+
+      // los huecos reservados temporalmente para la lista de espera tampoco se ofrecen
+      // (solo las vigentes: las vencidas las libera el worker)
+      const holds = await WaitlistService.activeHoldsOn(date);
+
+      // horario disponible de cada veterinario ese día
+      const availabilityByVet = await ScheduleService.getAvailability(vets.map(v => v.id), date);
 
       // generar slots
-      const { slotsByVet, durationMin } = generateSlotsNode(date, tipo, vets, citasRows);
+      const { slotsByVet, durationMin } = generateSlotsNode(date, tipoDef, vets, [...citasRows, ...holds], availabilityByVet);
 
-      return res.json({ success: true, data: { slotsByVet, durationMin } });
+      return res.json({ success: true, data: { slotsByVet, durationMin, bufferMin: tipoDef.buffer_min, tipo: tipoDef.nombre, timezone: TimezoneService.CLINIC_TIMEZONE } });
     } catch (err) {
       console.error("Error getSlots:", err);
       return res.status(500).json({ success: false, message: 'Error generando slots', error: err.message });
@@ -415,142 +712,236 @@ const CitasController = {
 
   // POST /citas/:id/confirm
   async confirm(req, res) {
+    return _applyTransition(req, res, ESTADOS.CONFIRMADA, 'Error al confirmar cita');
+  },
+
+  // POST /citas/:id/start
+  async start(req, res) {
+    return _applyTransition(req, res, ESTADOS.EN_CURSO, 'Error al iniciar cita');
+  },
+
+  // POST /citas/:id/complete
+  // Aplica la política de encuentro clínico del tipo de cita (exigir uno firmado o abrir el borrador).
+  // body opcional { vacunas: [{ vacuna_id, lote, fecha_caducidad, notas }] }: registra las dosis
+  // aplicadas y su ficha médica en la misma transacción
+  async complete(req, res) {
+    const vacunas = Array.isArray(req.body?.vacunas) && req.body.vacunas.length ? req.body.vacunas : null;
+    return _applyTransition(req, res, ESTADOS.COMPLETADA, 'Error al marcar completada', async (conn) => {
+      await EncounterService.onComplete(conn, req.params.id, req.user);
+      if (vacunas) await VaccinationService.registerFromCita(conn, req.params.id, vacunas, req.user);
+    });
+  },
+
+  // PATCH /citas/:id/status[?scope=this|following|all]  { estado, motivo }
+  async changeStatus(req, res) {
+    const requested = req.query.scope || req.body.scope || SCOPES.THIS;
+    if (requested === SCOPES.THIS) return _applyTransition(req, res, req.body.estado, 'Error al cambiar estado');
+
     try {
-      const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM citas WHERE id = ?', [id]);
+      const [rows] = await db.query('SELECT * FROM citas WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
-      const cita = rows[0];
-
-      if (req.user.role !== 'admin') {
-        if (req.user.role === 'propietario' && Number(req.user.userId) === Number(cita.propietario_id)) {
-        } else {
-          return res.status(403).json({ success: false, message: 'No autorizado para confirmar esta cita' });
+      const scope = _scopeOf(req, rows[0]);
+      if (scope === SCOPES.THIS) return _applyTransition(req, res, req.body.estado, 'Error al cambiar estado');
+
+      // cada ocurrencia se valida por separado contra la máquina de estados; se informa el resultado de cada una
+      const results = [];
+      for (const cita of await _seriesTargets(rows[0], scope)) {
+        const item = { cita_id: cita.id, fecha_inicio: cita.fecha_inicio };
+        try {
+          const { from, to } = await CitaEstadoService.transition(cita.id, req.body.estado, req.user, {
+            motivo: req.body.motivo,
+            beforeCommit: (conn, t) => _notifyTransition(conn, t, cita.id)
+          });
+          results.push({ ...item, success: true, from, to });
+          if (to === ESTADOS.CANCELADA) await _offerFreedSlot(cita);
+        } catch (err) {
+          if (!(err instanceof CitaEstadoService.EstadoError || err instanceof BookingConflictError)) throw err;
+          results.push({ ...item, success: false, status: err.status, message: err.message });
         }
       }
 
-      await db.query('UPDATE citas SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', ['confirmada', id]);
-
-      const [r2] = await db.query(`
-        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
-        FROM citas c
-        LEFT JOIN mascotas m ON c.mascota_id = m.id
-        LEFT JOIN propietarios p ON c.propietario_id = p.id
-        LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [id]);
-
-      res.json({ success: true, data: r2[0] });
+      const changed = results.filter(r => r.success).length;
+      const status = changed ? 200 : (results.find(r => Number(r.cita_id) === Number(rows[0].id))?.status || 409);
+      res.status(status).json({
+        success: changed > 0,
+        message: `${changed} de ${results.length} citas de la serie actualizadas`,
+        data: results,
+        meta: { scope }
+      });
     } catch (err) {
-      console.error('Error confirm cita:', err);
-      res.status(500).json({ success: false, message: 'Error al confirmar cita', error: err.message });
+      console.error('Error changeStatus serie:', err);
+      res.status(500).json({ success: false, message: 'Error al cambiar estado', error: err.message });
     }
   },
 
-  // POST /citas/:id/complete
-  async complete(req, res) {
+  // GET /citas/:id/history
+  async history(req, res) {
     try {
       const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM citas WHERE id = ?', [id]);
+      const [rows] = await db.query('SELECT id, propietario_id, estado FROM citas WHERE id = ? AND deleted_at IS NULL', [id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
-      const cita = rows[0];
 
-      if (req.user.role !== 'admin') {
-        if (req.user.role === 'propietario' && Number(req.user.userId) === Number(cita.propietario_id)) {
-        } else {
-          return res.status(403).json({ success: false, message: 'No autorizado para marcar completada esta cita' });
-        }
+      if (!CitaEstadoService.capabilitiesOf(req.user, rows[0]).length && !hasPermission(req.user, 'citas:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para ver el historial de esta cita' });
       }
 
-      await db.query('UPDATE citas SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', ['completada', id]);
-
-      const [r2] = await db.query(`
-        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
-        FROM citas c
-        LEFT JOIN mascotas m ON c.mascota_id = m.id
-        LEFT JOIN propietarios p ON c.propietario_id = p.id
-        LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [id]);
-
-      res.json({ success: true, data: r2[0] });
+      const history = await CitaEstadoService.getHistory(id);
+      res.json({ success: true, data: { cita_id: Number(id), estado: rows[0].estado, history } });
     } catch (err) {
-      console.error('Error complete cita:', err);
-      res.status(500).json({ success: false, message: 'Error al marcar completada', error: err.message });
+      console.error('Error history cita:', err);
+      res.status(500).json({ success: false, message: 'Error al obtener historial de la cita', error: err.message });
     }
   },
 
-  // PATCH /citas/:id/status
-  async changeStatus(req, res) {
+  // GET /citas/:id.ics
+  async ics(req, res) {
     try {
-      const id = req.params.id;
-      const { estado } = req.body;
+      const cita = await IcalService.loadCita(req.params.id);
+      if (!cita || cita.deleted_at) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
 
-      const allowed = ['pendiente','confirmada','completada','cancelada'];
-      if (!estado || !allowed.includes(estado)) {
-        return res.status(400).json({ success: false, message: 'Estado inválido. Valores permitidos: ' + allowed.join(', ') });
+      const own = req.user.role === 'propietario' && Number(req.user.userId) === Number(cita.propietario_id);
+      if (!own && (req.user.role === 'propietario' || !hasPermission(req.user, 'citas:read'))) {
+        return res.status(403).json({ success: false, message: 'No autorizado para descargar esta cita' });
       }
 
-      const [rows] = await db.query('SELECT * FROM citas WHERE id = ?', [id]);
-      if (!rows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
-      const cita = rows[0];
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="cita-${cita.id}.ics"`);
+      res.send(IcalService.buildCalendar([cita]));
+    } catch (err) {
+      console.error('Error ics cita:', err);
+      res.status(500).json({ success: false, message: 'Error al generar el archivo de calendario', error: err.message });
+    }
+  },
 
-      if (req.user.role !== 'admin') {
-        if (!(req.user.role === 'propietario' && Number(req.user.userId) === Number(cita.propietario_id))) {
-          return res.status(403).json({ success: false, message: 'No autorizado para cambiar estado de esta cita' });
-        }
+  // POST /citas/feed-token  (crea o rota el token del feed propio)
+  async createFeedToken(req, res) {
+    try {
+      const subjectType = req.user.subjectType || 'usuario';
+      if (subjectType === 'usuario' && !hasPermission(req.user, 'citas:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para suscribirse a la agenda' });
       }
+      const token = await IcalService.rotateFeedToken(subjectType, req.user.userId);
+      const path = `${req.baseUrl}/feeds/${token}.ics`;
+      res.status(201).json({
+        success: true,
+        message: 'Token de calendario generado; los tokens anteriores quedan revocados',
+        data: { token, url: `${req.protocol}://${req.get('host')}${path}`, path }
+      });
+    } catch (err) {
+      console.error('Error feed token:', err);
+      res.status(500).json({ success: false, message: 'Error al generar token de calendario', error: err.message });
+    }
+  },
 
-      await db.query('UPDATE citas SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [estado, id]);
-
-      const [r2] = await db.query(`
-        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
-        FROM citas c
-        LEFT JOIN mascotas m ON c.mascota_id = m.id
-        LEFT JOIN propietarios p ON c.propietario_id = p.id
-        LEFT JOIN usuarios u ON c.veterinario_id = u.id
-        WHERE c.id = ?`, [id]);
+  // DELETE /citas/feed-token
+  async revokeFeedToken(req, res) {
+    try {
+      const revoked = await IcalService.revokeFeedTokens(req.user.subjectType || 'usuario', req.user.userId);
+      res.json({ success: true, message: 'Token de calendario revocado', data: { revoked } });
+    } catch (err) {
+      console.error('Error revoke feed token:', err);
+      res.status(500).json({ success: false, message: 'Error al revocar token de calendario', error: err.message });
+    }
+  },
 
-      res.json({ success: true, data: r2[0] });
+  // GET /citas/feeds/:token.ics  (público: el token es la credencial)
+  async feed(req, res) {
+    try {
+      const calendar = await IcalService.buildFeed(req.params.token);
+      if (!calendar) return res.status(404).json({ success: false, message: 'Calendario no encontrado' });
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(calendar);
     } catch (err) {
-      console.error('Error changeStatus cita:', err);
-      res.status(500).json({ success: false, message: 'Error al cambiar estado', error: err.message });
+      console.error('Error feed ical:', err);
+      res.status(500).json({ success: false, message: 'Error al generar el calendario', error: err.message });
     }
   },
 
-  // DELETE /citas/:id
+  // GET /citas/acciones/:token  (público): solo muestra la confirmación; su formulario hace el POST
+  async reminderActionPage(req, res) {
+    const loaded = await _loadReminderAction(req, res);
+    if (!loaded) return;
+    // el token va en la URL: que no se cachee ni se filtre por Referer
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    res.type('html').send(ReminderService.renderActionPage(loaded.action, loaded.cita));
+  },
+
+  // POST /citas/acciones/:token  (público: enlace firmado de confirmar / cancelar del recordatorio)
+  async reminderAction(req, res) {
+    const loaded = await _loadReminderAction(req, res);
+    if (!loaded) return;
+    const { action } = loaded;
+
+    // el enlace actúa en nombre del propietario: misma validación que PATCH /citas/:id/status
+    req.params.id = String(action.citaId);
+    req.user = { userId: action.propietarioId, role: 'propietario', subjectType: 'propietario' };
+    req.body = action.estado === ESTADOS.CANCELADA ? { motivo: 'Cancelada por el propietario desde el recordatorio' } : {};
+    return _applyTransition(req, res, action.estado, 'Error al procesar el enlace');
+  },
+
+  // DELETE /citas/:id  (borrado lógico; se purga tras la retención)
   async remove(req, res) {
     try {
       const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM citas WHERE id = ?', [id]);
+      const [rows] = await db.query('SELECT * FROM citas WHERE id = ? AND deleted_at IS NULL', [id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
       const cita = rows[0];
 
-      if (req.user.role !== 'admin') {
+      if (!hasPermission(req.user, 'citas:write')) {
         if (req.user.role === 'propietario' && Number(req.user.userId) === Number(cita.propietario_id)) {
         } else {
           return res.status(403).json({ success: false, message: 'No autorizado para eliminar esta cita' });
         }
       }
 
-      await db.query('DELETE FROM citas WHERE id = ?', [id]);
-      res.json({ success: true, message: 'Cita eliminada' });
+      // el encuentro clínico forma parte del historial médico: la cita se cancela, no se borra
+      if (await EncounterService.getByCita(id)) {
+        return res.status(409).json({ success: false, message: 'La cita tiene un encuentro clínico; cancélala en lugar de eliminarla' });
+      }
+
+      const activa = !ESTADOS_LIBERAN_HORARIO.includes(cita.estado) && cita.estado !== ESTADOS.COMPLETADA;
+      const conn = await db.getConnection();
+      let result;
+      try {
+        await conn.beginTransaction();
+        // el aviso (invitación CANCEL) se arma con la fila completa antes de marcarla
+        const full = activa ? await IcalService.loadCita(id, conn) : null;
+        result = await SoftDeleteService.softDelete(conn, 'citas', id, req.user);
+        if (result && full) await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_CANCELADA, id, { conn, cita: full });
+        await conn.commit();
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
+      // eliminada por otra petición entre la consulta y el bloqueo
+      if (!result) return res.status(404).json({ success: false, message: 'Cita no encontrada' });
+      if (activa) await _offerFreedSlot(cita);
+      res.json({ success: true, message: 'Cita eliminada', data: result });
     } catch (err) {
       console.error('Error delete cita:', err);
       res.status(500).json({ success: false, message: 'Error al eliminar cita', error: err.message });
     }
+  },
+
+  // POST /citas/:id/restore (admin): vuelve a ocupar su horario si sigue libre
+  async restore(req, res) {
+    try {
+      const data = await SoftDeleteService.restore('citas', req.params.id);
+      res.json({ success: true, message: 'Cita restaurada', data });
+    } catch (err) {
+      if (err instanceof SoftDeleteService.SoftDeleteError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Error restore cita:', err);
+      res.status(500).json({ success: false, message: 'Error al restaurar cita', error: err.message });
+    }
   }
 };
 
-// util helpers
-function formatDateToSQL(dt) {
-  const pad = n => String(n).padStart(2, '0');
-  const yyyy = dt.getFullYear();
-  const mm = pad(dt.getMonth() + 1);
-  const dd = pad(dt.getDate());
-  const hh = pad(dt.getHours());
-  const mi = pad(dt.getMinutes());
-  const ss = pad(dt.getSeconds());
-  return `${yyyy}-${mm}-${dd} ${hh}:${mi}:${ss}`;
-}
-
 function veterinarian_idOrNumber(v) {
   return (v === null || v === '') ? null : Number(v);
 }
@@ -0,0 +1,142 @@
+// controllers/encuentrosController.js
+const db = require('../db');
+const { hasPermission } = require('../middleware/auth');
+const EncounterService = require('../services/encounterService');
+
+/**
+ * EncuentrosController - encuentros clínicos (SOAP) ligados a citas
+ * (ver services/encounterService.js).
+ * Personal: lectura con medical:read, escritura y firma con medical:write.
+ * Propietarios: solo los encuentros firmados de sus citas.
+ */
+
+const { ESTADOS_ENCUENTRO } = EncounterService;
+
+// el propietario solo ve encuentros firmados de sus citas
+function canRead(user, enc) {
+  if (user.role === 'propietario') {
+    return Number(user.userId) === Number(enc.propietario_id) && enc.estado === ESTADOS_ENCUENTRO.FIRMADO;
+  }
+  return hasPermission(user, 'medical:read');
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof EncounterService.EncuentroError) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+}
+
+const EncuentrosController = {
+  // GET /encuentros?mascota_id=&veterinario_id=&estado=
+  async list(req, res) {
+    try {
+      const own = req.user.role === 'propietario';
+      if (!own && !hasPermission(req.user, 'medical:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para consultar encuentros clínicos' });
+      }
+      const data = await EncounterService.list({
+        mascotaId: req.query.mascota_id || null,
+        veterinarioId: req.query.veterinario_id || null,
+        estado: own ? ESTADOS_ENCUENTRO.FIRMADO : (req.query.estado || null),
+        propietarioId: own ? req.user.userId : null
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      sendError(res, err, 'Error al listar encuentros');
+    }
+  },
+
+  // GET /encuentros/:id
+  async getById(req, res) {
+    try {
+      const enc = await EncounterService.get(req.params.id);
+      if (!enc || !canRead(req.user, enc)) {
+        if (enc && req.user.role !== 'propietario') {
+          return res.status(403).json({ success: false, message: 'No autorizado para ver este encuentro' });
+        }
+        return res.status(404).json({ success: false, message: 'Encuentro no encontrado' });
+      }
+      res.json({ success: true, data: enc });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener encuentro');
+    }
+  },
+
+  // PUT /encuentros/:id  { ...campos SOAP, version? }  (guarda una nueva versión)
+  async update(req, res) {
+    try {
+      const enc = await EncounterService.saveVersion(
+        req.params.id,
+        req.body,
+        req.user,
+        typeof req.body.version !== 'undefined' ? req.body.version : null
+      );
+      res.json({ success: true, data: enc });
+    } catch (err) {
+      sendError(res, err, 'Error al actualizar encuentro');
+    }
+  },
+
+  // POST /encuentros/:id/sign
+  async sign(req, res) {
+    try {
+      const enc = await EncounterService.sign(req.params.id, req.user);
+      res.json({ success: true, message: 'Encuentro firmado', data: enc });
+    } catch (err) {
+      sendError(res, err, 'Error al firmar encuentro');
+    }
+  },
+
+  // GET /encuentros/:id/versiones
+  async versions(req, res) {
+    try {
+      const enc = await EncounterService.get(req.params.id);
+      if (!enc) return res.status(404).json({ success: false, message: 'Encuentro no encontrado' });
+      const data = await EncounterService.versions(enc.id);
+      res.json({ success: true, data, meta: { version_vigente: enc.version, estado: enc.estado } });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener versiones del encuentro');
+    }
+  },
+
+  // GET /citas/:id/encuentro
+  async getForCita(req, res) {
+    try {
+      const enc = await EncounterService.getByCita(req.params.id);
+      if (!enc || !canRead(req.user, enc)) {
+        if (enc && req.user.role !== 'propietario') {
+          return res.status(403).json({ success: false, message: 'No autorizado para ver este encuentro' });
+        }
+        return res.status(404).json({ success: false, message: 'La cita no tiene encuentro clínico' });
+      }
+      res.json({ success: true, data: enc });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener encuentro de la cita');
+    }
+  },
+
+  // POST /citas/:id/encuentro  { ...campos SOAP iniciales }
+  async openForCita(req, res) {
+    try {
+      const conn = await db.getConnection();
+      let id;
+      try {
+        await conn.beginTransaction();
+        id = await EncounterService.open(conn, req.params.id, req.user, req.body);
+        await conn.commit();
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
+      res.status(201).json({ success: true, data: await EncounterService.get(id) });
+    } catch (err) {
+      sendError(res, err, 'Error al abrir encuentro');
+    }
+  }
+};
+
+module.exports = EncuentrosController;
@@ -0,0 +1,221 @@
+// controllers/horariosController.js
+const db = require('../db');
+const ScheduleService = require('../services/scheduleService');
+const { ATTENDING_ROLES } = require('../config/permissions');
+
+/**
+ * HorariosController - CRUD (admin) del subsistema de horarios del personal:
+ *   semanal      -> horarios_personal     (horario de trabajo por día de la semana)
+ *   pausas       -> pausas_personal       (almuerzo / descansos por día de la semana)
+ *   ausencias    -> ausencias_personal    (vacaciones, enfermedad, otros; rango de fechas)
+ *   feriados     -> feriados_clinica      (días en que la clínica cierra)
+ *   excepciones  -> horarios_excepciones  (cambios para una fecha concreta)
+ * y consulta de disponibilidad calculada (usada por /citas/slots).
+ */
+
+const RESOURCES = {
+  semanal: {
+    table: 'horarios_personal',
+    label: 'Horario',
+    fields: ['usuario_id', 'dia_semana', 'hora_inicio', 'hora_fin'],
+    filters: ['usuario_id', 'dia_semana'],
+    orderBy: 'usuario_id, dia_semana, hora_inicio'
+  },
+  pausas: {
+    table: 'pausas_personal',
+    label: 'Pausa',
+    fields: ['usuario_id', 'dia_semana', 'hora_inicio', 'hora_fin', 'descripcion'],
+    filters: ['usuario_id', 'dia_semana'],
+    orderBy: 'usuario_id, dia_semana, hora_inicio'
+  },
+  ausencias: {
+    table: 'ausencias_personal',
+    label: 'Ausencia',
+    fields: ['usuario_id', 'tipo', 'fecha_inicio', 'fecha_fin', 'motivo'],
+    filters: ['usuario_id', 'tipo'],
+    dateField: 'fecha_inicio',
+    orderBy: 'fecha_inicio DESC'
+  },
+  feriados: {
+    table: 'feriados_clinica',
+    label: 'Feriado',
+    fields: ['fecha', 'descripcion'],
+    filters: [],
+    dateField: 'fecha',
+    orderBy: 'fecha'
+  },
+  excepciones: {
+    table: 'horarios_excepciones',
+    label: 'Excepción',
+    fields: ['usuario_id', 'fecha', 'disponible', 'hora_inicio', 'hora_fin', 'motivo'],
+    filters: ['usuario_id'],
+    dateField: 'fecha',
+    orderBy: 'fecha DESC, usuario_id'
+  }
+};
+
+function minutesToHHMM(m) {
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// Validaciones que involucran varios campos / la DB. Devuelve mensaje de error o null.
+async function validateRow(resource, row) {
+  if (row.hora_inicio && row.hora_fin &&
+      ScheduleService.timeToMinutes(row.hora_fin) <= ScheduleService.timeToMinutes(row.hora_inicio)) {
+    return 'hora_fin debe ser posterior a hora_inicio';
+  }
+  if (resource === 'ausencias' && row.fecha_fin < row.fecha_inicio) {
+    return 'fecha_fin no puede ser anterior a fecha_inicio';
+  }
+  if (resource === 'excepciones' && Number(row.disponible) && (!row.hora_inicio || !row.hora_fin)) {
+    return 'hora_inicio y hora_fin son requeridas cuando disponible = true';
+  }
+  if (typeof row.usuario_id !== 'undefined') {
+    const [urows] = await db.query('SELECT id FROM usuarios WHERE id = ?', [row.usuario_id]);
+    if (!urows.length) return 'Usuario no encontrado';
+  }
+  return null;
+}
+
+// Normaliza valores del body (booleanos, fechas) para guardar
+function pickFields(cfg, body) {
+  const out = {};
+  for (const f of cfg.fields) {
+    if (typeof body[f] === 'undefined') continue;
+    if (f === 'disponible') out[f] = (body[f] === true || body[f] === 'true' || Number(body[f]) === 1) ? 1 : 0;
+    else out[f] = body[f];
+  }
+  return out;
+}
+
+const HorariosController = {
+  // GET /horarios/:recurso
+  list(resource) {
+    const cfg = RESOURCES[resource];
+    return async (req, res) => {
+      try {
+        const filters = [];
+        const params = [];
+        for (const f of cfg.filters) {
+          if (typeof req.query[f] !== 'undefined') { filters.push(`${f} = ?`); params.push(req.query[f]); }
+        }
+        if (cfg.dateField) {
+          // para ausencias, desde/hasta filtran por solapamiento con el rango
+          const endField = resource === 'ausencias' ? 'fecha_fin' : cfg.dateField;
+          if (req.query.desde) { filters.push(`${endField} >= ?`); params.push(req.query.desde); }
+          if (req.query.hasta) { filters.push(`${cfg.dateField} <= ?`); params.push(req.query.hasta); }
+        }
+        const where = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
+        const [rows] = await db.query(`SELECT * FROM ${cfg.table} ${where} ORDER BY ${cfg.orderBy}`, params);
+        res.json({ success: true, data: rows });
+      } catch (err) {
+        console.error(`Error list ${resource}:`, err);
+        res.status(500).json({ success: false, message: `Error al listar ${resource}`, error: err.message });
+      }
+    };
+  },
+
+  // POST /horarios/:recurso
+  create(resource) {
+    const cfg = RESOURCES[resource];
+    return async (req, res) => {
+      try {
+        const row = pickFields(cfg, req.body);
+        const error = await validateRow(resource, row);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const cols = Object.keys(row);
+        const [result] = await db.query(
+          `INSERT INTO ${cfg.table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+          cols.map(c => row[c])
+        );
+        const [rows] = await db.query(`SELECT * FROM ${cfg.table} WHERE id = ?`, [result.insertId]);
+        res.status(201).json({ success: true, data: rows[0] });
+      } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ success: false, message: `${cfg.label} ya registrado para esa fecha` });
+        }
+        console.error(`Error create ${resource}:`, err);
+        res.status(500).json({ success: false, message: `Error al crear ${cfg.label.toLowerCase()}`, error: err.message });
+      }
+    };
+  },
+
+  // PUT /horarios/:recurso/:id
+  update(resource) {
+    const cfg = RESOURCES[resource];
+    return async (req, res) => {
+      try {
+        const id = req.params.id;
+        const [existingRows] = await db.query(`SELECT * FROM ${cfg.table} WHERE id = ?`, [id]);
+        if (!existingRows.length) return res.status(404).json({ success: false, message: `${cfg.label} no encontrado` });
+
+        const changes = pickFields(cfg, req.body);
+        const cols = Object.keys(changes);
+        if (!cols.length) return res.status(400).json({ success: false, message: 'No hay campos para actualizar' });
+
+        const merged = { ...existingRows[0], ...changes };
+        // solo validar usuario si cambia
+        if (typeof changes.usuario_id === 'undefined') delete merged.usuario_id;
+        const error = await validateRow(resource, merged);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        await db.query(
+          `UPDATE ${cfg.table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+          [...cols.map(c => changes[c]), id]
+        );
+        const [rows] = await db.query(`SELECT * FROM ${cfg.table} WHERE id = ?`, [id]);
+        res.json({ success: true, data: rows[0] });
+      } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+          return res.status(409).json({ success: false, message: `${cfg.label} ya registrado para esa fecha` });
+        }
+        console.error(`Error update ${resource}:`, err);
+        res.status(500).json({ success: false, message: `Error al actualizar ${cfg.label.toLowerCase()}`, error: err.message });
+      }
+    };
+  },
+
+  // DELETE /horarios/:recurso/:id
+  remove(resource) {
+    const cfg = RESOURCES[resource];
+    return async (req, res) => {
+      try {
+        const [result] = await db.query(`DELETE FROM ${cfg.table} WHERE id = ?`, [req.params.id]);
+        if (!result.affectedRows) return res.status(404).json({ success: false, message: `${cfg.label} no encontrado` });
+        res.json({ success: true, message: `${cfg.label} eliminado` });
+      } catch (err) {
+        console.error(`Error delete ${resource}:`, err);
+        res.status(500).json({ success: false, message: `Error al eliminar ${cfg.label.toLowerCase()}`, error: err.message });
+      }
+    };
+  },
+
+  // GET /horarios/disponibilidad?date=YYYY-MM-DD&usuario_id=
+  async availability(req, res) {
+    try {
+      const date = req.query.date;
+      let ids;
+      if (req.query.usuario_id) {
+        ids = [Number(req.query.usuario_id)];
+      } else {
+        const [urows] = await db.query('SELECT id FROM usuarios WHERE role IN (?)', [ATTENDING_ROLES]);
+        ids = urows.map(u => u.id);
+      }
+
+      const availability = await ScheduleService.getAvailability(ids, date);
+      const data = {};
+      for (const [uid, intervals] of Object.entries(availability)) {
+        data[uid] = intervals.map(i => ({ from: minutesToHHMM(i.from), to: minutesToHHMM(i.to) }));
+      }
+      res.json({ success: true, data: { date, availability: data } });
+    } catch (err) {
+      console.error('Error availability:', err);
+      res.status(500).json({ success: false, message: 'Error al calcular disponibilidad', error: err.message });
+    }
+  }
+};
+
+HorariosController.RESOURCES = Object.keys(RESOURCES);
+
+module.exports = HorariosController;
@@ -0,0 +1,192 @@
+// controllers/listaEsperaController.js
+const db = require('../db');
+const { hasPermission } = require('../middleware/auth');
+const BookingService = require('../services/bookingService');
+const WaitlistService = require('../services/waitlistService');
+
+/**
+ * ListaEsperaController - lista de espera para días sin huecos.
+ * El propietario (o recepción) apunta a una mascota con fechas, veterinario y franja
+ * preferidos; cuando se cancela una cita que encaja se le ofrece el hueco durante un
+ * tiempo limitado (ver services/waitlistService.js) y puede aceptarlo o rechazarlo.
+ */
+
+const { ENTRY_ESTADOS } = WaitlistService;
+
+// el propietario solo accede a sus entradas; el personal necesita permiso sobre citas
+function canAccess(user, entry, permission) {
+  if (user.role === 'propietario') return Number(user.userId) === Number(entry.propietario_id);
+  return hasPermission(user, permission);
+}
+
+async function loadEntry(id) {
+  const [rows] = await db.query(`
+    SELECT le.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
+    FROM lista_espera le
+    LEFT JOIN mascotas m ON le.mascota_id = m.id
+    LEFT JOIN propietarios p ON le.propietario_id = p.id
+    LEFT JOIN usuarios u ON le.veterinario_id = u.id
+    WHERE le.id = ?`, [id]);
+  return rows[0] || null;
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof WaitlistService.WaitlistError || err instanceof BookingService.BookingConflictError) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+}
+
+const ListaEsperaController = {
+  // GET /lista-espera
+  async list(req, res) {
+    try {
+      if (req.user.role !== 'propietario' && !hasPermission(req.user, 'citas:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para consultar la lista de espera' });
+      }
+
+      const filters = [];
+      const params = [];
+      if (req.user.role === 'propietario') {
+        filters.push('le.propietario_id = ?'); params.push(req.user.userId);
+      } else if (req.query.propietario_id) {
+        filters.push('le.propietario_id = ?'); params.push(req.query.propietario_id);
+      }
+      if (req.query.mascota_id) { filters.push('le.mascota_id = ?'); params.push(req.query.mascota_id); }
+      if (req.query.veterinario_id) { filters.push('le.veterinario_id = ?'); params.push(req.query.veterinario_id); }
+      if (req.query.estado) { filters.push('le.estado = ?'); params.push(req.query.estado); }
+      if (req.query.fecha) { filters.push('? BETWEEN le.fecha_desde AND le.fecha_hasta'); params.push(req.query.fecha); }
+      const where = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
+
+      const [rows] = await db.query(`
+        SELECT le.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre,
+               o.id AS oferta_id, o.fecha_inicio AS oferta_fecha_inicio, o.veterinario_id AS oferta_veterinario_id,
+               o.duracion_min AS oferta_duracion_min, o.expira_en AS oferta_expira_en
+        FROM lista_espera le
+        LEFT JOIN mascotas m ON le.mascota_id = m.id
+        LEFT JOIN propietarios p ON le.propietario_id = p.id
+        LEFT JOIN lista_espera_ofertas o ON o.lista_espera_id = le.id AND o.estado = 'pendiente' AND o.expira_en > NOW()
+        ${where}
+        ORDER BY le.created_at`, params);
+
+      res.json({ success: true, data: rows });
+    } catch (err) {
+      sendError(res, err, 'Error al listar lista de espera');
+    }
+  },
+
+  // GET /lista-espera/:id  (incluye las ofertas recibidas)
+  async getById(req, res) {
+    try {
+      const entry = await loadEntry(req.params.id);
+      if (!entry) return res.status(404).json({ success: false, message: 'Entrada de lista de espera no encontrada' });
+      if (!canAccess(req.user, entry, 'citas:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para ver esta entrada' });
+      }
+      const [ofertas] = await db.query('SELECT * FROM lista_espera_ofertas WHERE lista_espera_id = ? ORDER BY created_at DESC', [entry.id]);
+      res.json({ success: true, data: { ...entry, ofertas } });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener entrada de lista de espera');
+    }
+  },
+
+  // POST /lista-espera
+  async create(req, res) {
+    try {
+      const { mascota_id, veterinario_id, tipo_consulta, fecha_desde, fecha_hasta, hora_desde, hora_hasta, notas } = req.body;
+      const propietario_id = req.user.role === 'propietario' ? req.user.userId : req.body.propietario_id;
+
+      if (req.user.role !== 'propietario' && !hasPermission(req.user, 'citas:write')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para añadir a la lista de espera' });
+      }
+      if (!propietario_id) return res.status(400).json({ success: false, message: 'propietario_id es requerido' });
+
+      const [mrows] = await db.query('SELECT id, owner_id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [mascota_id]);
+      if (!mrows.length) return res.status(400).json({ success: false, message: 'Mascota no existe' });
+      if (Number(mrows[0].owner_id) !== Number(propietario_id)) {
+        return res.status(400).json({ success: false, message: 'La mascota no pertenece al propietario indicado' });
+      }
+
+      const { tipoDef, error: tipoError } = await BookingService.resolveTipo(tipo_consulta || 'consulta general', req.user);
+      if (tipoError) return res.status(tipoError.status).json({ success: false, message: tipoError.message });
+
+      if (veterinario_id) {
+        const vetError = await BookingService.validateAssignee(veterinario_id, tipoDef);
+        if (vetError) return res.status(400).json({ success: false, message: vetError });
+      }
+
+      const hasta = fecha_hasta || fecha_desde;
+      if (hasta < fecha_desde) return res.status(400).json({ success: false, message: 'fecha_hasta no puede ser anterior a fecha_desde' });
+      if (hora_desde && hora_hasta && hora_hasta <= hora_desde) {
+        return res.status(400).json({ success: false, message: 'hora_hasta debe ser posterior a hora_desde' });
+      }
+
+      const [result] = await db.query(
+        `INSERT INTO lista_espera
+           (mascota_id, propietario_id, veterinario_id, tipo_consulta, fecha_desde, fecha_hasta, hora_desde, hora_hasta, notas, estado, created_by_type, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mascota_id, propietario_id, veterinario_id || null, tipoDef.nombre, fecha_desde, hasta,
+          hora_desde || null, hora_hasta || null, notas || null, ENTRY_ESTADOS.ACTIVA,
+          req.user.subjectType || 'usuario', req.user.userId || null]
+      );
+
+      res.status(201).json({ success: true, data: await loadEntry(result.insertId) });
+    } catch (err) {
+      sendError(res, err, 'Error al añadir a la lista de espera');
+    }
+  },
+
+  // DELETE /lista-espera/:id  (cancela la entrada)
+  async remove(req, res) {
+    try {
+      const entry = await loadEntry(req.params.id);
+      if (!entry) return res.status(404).json({ success: false, message: 'Entrada de lista de espera no encontrada' });
+      if (!canAccess(req.user, entry, 'citas:write')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para cancelar esta entrada' });
+      }
+      if (![ENTRY_ESTADOS.ACTIVA, ENTRY_ESTADOS.OFERTADA].includes(entry.estado)) {
+        return res.status(409).json({ success: false, message: `La entrada ya está ${entry.estado}` });
+      }
+      await WaitlistService.cancelEntry(entry);
+      res.json({ success: true, message: 'Entrada de lista de espera cancelada' });
+    } catch (err) {
+      sendError(res, err, 'Error al cancelar entrada de lista de espera');
+    }
+  },
+
+  // POST /lista-espera/ofertas/:id/accept
+  async acceptOffer(req, res) {
+    try {
+      if (req.user.role !== 'propietario' && !hasPermission(req.user, 'citas:write')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para aceptar ofertas' });
+      }
+      const citaId = await WaitlistService.acceptOffer(req.params.id, req.user);
+      const [rows] = await db.query(`
+        SELECT c.*, m.nombre AS mascota_nombre, p.nombre AS propietario_nombre, u.nombre AS veterinario_nombre
+        FROM citas c
+        LEFT JOIN mascotas m ON c.mascota_id = m.id
+        LEFT JOIN propietarios p ON c.propietario_id = p.id
+        LEFT JOIN usuarios u ON c.veterinario_id = u.id
+        WHERE c.id = ?`, [citaId]);
+      res.status(201).json({ success: true, data: rows[0] });
+    } catch (err) {
+      sendError(res, err, 'Error al aceptar oferta');
+    }
+  },
+
+  // POST /lista-espera/ofertas/:id/decline
+  async declineOffer(req, res) {
+    try {
+      if (req.user.role !== 'propietario' && !hasPermission(req.user, 'citas:write')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para rechazar ofertas' });
+      }
+      await WaitlistService.declineOffer(req.params.id, req.user);
+      res.json({ success: true, message: 'Oferta rechazada; la entrada sigue en la lista de espera' });
+    } catch (err) {
+      sendError(res, err, 'Error al rechazar oferta');
+    }
+  }
+};
+
+module.exports = ListaEsperaController;
@@ -1,5 +1,6 @@
 // controllers/mascotasController.js
 const db = require('../db');
+const SoftDeleteService = require('../services/softDeleteService');
 
 const MascotasController = {
   async list(req, res) {
@@ -9,7 +10,8 @@ const MascotasController = {
       const q = (req.query.q || '').trim();
 
       // Construimos filtros de forma segura y ordenada
-      const filters = [];
+      // (las eliminadas por borrado lógico solo con ?include_deleted=true, admin)
+      const filters = req.includeDeleted ? [] : ['m.deleted_at IS NULL'];
       const params = [];
 
       // Si es propietario autenticado: forzamos filtro por su owner_id
@@ -63,7 +65,10 @@ const MascotasController = {
   async getById(req, res) {
     try {
       const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM mascotas WHERE id = ?', [id]);
+      const [rows] = await db.query(
+        `SELECT * FROM mascotas WHERE id = ?${req.includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+        [id]
+      );
       if (!rows.length) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
 
       const mascota = rows[0];
@@ -89,8 +94,8 @@ const MascotasController = {
   async create(req, res) {
     try {
       const { nombre, especie, raza, edad, historial_medico, owner_id } = req.body;
-      // validar que propietario exista
-      const [owner] = await db.query('SELECT id FROM propietarios WHERE id = ?', [owner_id]);
+      // validar que propietario exista (y no esté eliminado)
+      const [owner] = await db.query('SELECT id FROM propietarios WHERE id = ? AND deleted_at IS NULL', [owner_id]);
       if (!owner.length) return res.status(400).json({ success: false, message: 'Propietario no existe' });
       const [result] = await db.query(
         'INSERT INTO mascotas (nombre, especie, raza, edad, historial_medico, owner_id) VALUES (?, ?, ?, ?, ?, ?)',
@@ -108,8 +113,10 @@ const MascotasController = {
     try {
       const id = req.params.id;
       const { nombre, especie, raza, edad, historial_medico, owner_id } = req.body;
+      const [target] = await db.query('SELECT id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [id]);
+      if (!target.length) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
       if (owner_id) {
-        const [owner] = await db.query('SELECT id FROM propietarios WHERE id = ?', [owner_id]);
+        const [owner] = await db.query('SELECT id FROM propietarios WHERE id = ? AND deleted_at IS NULL', [owner_id]);
         if (!owner.length) return res.status(400).json({ success: false, message: 'Propietario no existe' });
       }
       await db.query(
@@ -124,15 +131,47 @@ const MascotasController = {
     }
   },
 
+  // Borrado lógico: marca también sus citas y fichas (se purgan tras la retención).
+  // Las citas futuras activas se avisan como canceladas y sus huecos pasan a la lista de espera.
   async remove(req, res) {
     try {
       const id = req.params.id;
-      await db.query('DELETE FROM mascotas WHERE id = ?', [id]);
-      res.json({ success: true, message: 'Mascota eliminada' });
+      const conn = await db.getConnection();
+      let borrado;
+      try {
+        await conn.beginTransaction();
+        borrado = await SoftDeleteService.softDeleteCancelling(conn, 'mascotas', id, req.user);
+        await conn.commit();
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
+      if (!borrado.marcado) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
+
+      // fuera de la transacción: huecos a la lista de espera y entradas abiertas canceladas
+      await SoftDeleteService.releaseCancelled('mascotas', id, borrado.liberadas);
+
+      res.json({ success: true, message: 'Mascota eliminada', data: borrado.marcado });
     } catch (error) {
       console.error('Error delete mascota:', error);
       res.status(500).json({ success: false, message: 'Error al eliminar mascota', error: error.message });
     }
+  },
+
+  // POST /mascotas/:id/restore (admin): junto con las citas y fichas que se eliminaron con ella
+  async restore(req, res) {
+    try {
+      const data = await SoftDeleteService.restore('mascotas', req.params.id);
+      res.json({ success: true, message: 'Mascota restaurada', data });
+    } catch (error) {
+      if (error instanceof SoftDeleteService.SoftDeleteError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error restore mascota:', error);
+      res.status(500).json({ success: false, message: 'Error al restaurar mascota', error: error.message });
+    }
   }
 };
 
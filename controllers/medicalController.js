@@ -1,106 +1,140 @@
 // controllers/medicalController.js
 const db = require('../db');
-const fs = require('fs');
-const path = require('path');
+const { hasPermission } = require('../middleware/auth');
+const { buildMedicalHistoryPdf, EMBEDDABLE_MIMES } = require('../services/medicalHistoryPdf');
+const TimezoneService = require('../services/timezoneService');
+const NotificationService = require('../services/notificationService');
+const AttachmentService = require('../services/attachmentService');
+const Storage = require('../services/storageService');
+const SoftDeleteService = require('../services/softDeleteService');
+const EncounterService = require('../services/encounterService');
+
+const FICHA_SELECT = `
+  SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre, m.owner_id
+  FROM fichas_medicas f
+  LEFT JOIN usuarios u ON f.uploaded_by = u.id
+  LEFT JOIN mascotas m ON f.mascota_id = m.id`;
+
+// Archivos subidos con upload.fields: 'file' (uno, formularios antiguos) y 'files' (varios)
+function uploadedFiles(req) {
+  if (!req.files) return req.file ? [req.file] : [];
+  if (Array.isArray(req.files)) return req.files;
+  return [...(req.files.file || []), ...(req.files.files || [])];
+}
 
-const uploadsRoot = path.join(__dirname, '..', 'uploads');
-const medicalDir = path.join(uploadsRoot, 'medical');
+// Descripción de cada archivo, en el mismo orden: 'descripciones' (repetido) o 'descripcion' si es uno solo
+function descripcionesFrom(body) {
+  if (typeof body.descripciones !== 'undefined') {
+    return Array.isArray(body.descripciones) ? body.descripciones : [body.descripciones];
+  }
+  return typeof body.descripcion !== 'undefined' ? [body.descripcion] : [];
+}
 
-const fileUrlFromFilename = (filename) => {
-  if (!filename) return null;
-  return `/uploads/medical/${filename}`;
-};
+// Fichas (y sus archivos) de una mascota: su propietario o personal con medical:read
+function canReadFichas(user, ownerId) {
+  if (!user) return false;
+  if (user.role === 'propietario') return Number(user.userId) === Number(ownerId);
+  return hasPermission(user, 'medical:read');
+}
 
-// Parse date string coming from input (supports YYYY-MM-DD or full ISO)
-function parseDateFromInput(val) {
-  if (!val) return new Date();
-  // fecha tipo "YYYY-MM-DD" (input type=date)
-  const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
-  if (dateOnly.test(val)) {
-    const [y, m, d] = val.split('-').map(Number);
-    const now = new Date();
-    // combinamos la fecha seleccionada con la hora local actual para evitar desplazamiento por zona horaria
-    return new Date(y, m - 1, d, now.getHours(), now.getMinutes(), now.getSeconds());
+// 404 al propietario (no revela fichas ajenas), 403 al personal sin permiso
+function denyFicha(req, res) {
+  if (req.user.role === 'propietario') {
+    return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
   }
-  // otros formatos -> dejar que Date los parsee
-  return new Date(val);
+  return res.status(403).json({ success: false, message: 'No autorizado para consultar fichas médicas' });
 }
 
-// Formatea Date a string SQL local "YYYY-MM-DD HH:MM:SS"
-function formatDateToSQLLocal(dt) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const yyyy = dt.getFullYear();
-  const mm = pad(dt.getMonth() + 1);
-  const dd = pad(dt.getDate());
-  const hh = pad(dt.getHours());
-  const mi = pad(dt.getMinutes());
-  const ss = pad(dt.getSeconds());
-  return `${yyyy}-${mm}-${dd} ${hh}:${mi}:${ss}`;
+const FIRMADA_MESSAGE = 'La ficha forma parte de un encuentro clínico firmado y no se puede modificar';
+
+// true si la ficha (no eliminada) forma parte de un encuentro firmado: ni ella ni sus adjuntos se modifican
+async function isFirmada(fichaId, conn = db) {
+  const [rows] = await conn.query('SELECT id, cita_id FROM fichas_medicas WHERE id = ? AND deleted_at IS NULL', [fichaId]);
+  return rows.length > 0 && EncounterService.isFichaFirmada(rows[0], conn);
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof AttachmentService.AdjuntoError) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+}
+
+/**
+ * Fecha de la ficha desde el formulario (hora de la clínica, ver services/timezoneService.js).
+ * "YYYY-MM-DD" (input type=date): si es hoy, la hora actual; si es otro día, las 12:00 de ese día
+ * en la clínica (no se mezcla con el reloj del servidor, así la fecha no cambia de día por el offset).
+ * Fecha con hora: sin offset se interpreta en la zona de la clínica.
+ * @returns {Date|null} null si no es válida
+ */
+function parseDateFromInput(val) {
+  if (!val) return new Date();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(val)) {
+    if (!TimezoneService.parseInput(val)) return null;
+    if (val === TimezoneService.localDateStr(new Date())) return new Date();
+    return TimezoneService.fromLocal(val, '12:00');
+  }
+  return TimezoneService.parseInput(val);
 }
 
-// Convierte valor devuelto por la DB (Date object o string "YYYY-MM-DD HH:MM:SS") a Date local
+// Convierte valor devuelto por la DB (Date, o string "YYYY-MM-DD HH:MM:SS" en UTC) a Date
 function dateFromDbValue(val) {
   if (!val) return null;
   if (val instanceof Date) return val;
-  // formato "YYYY-MM-DD HH:MM:SS"
-  const m = val.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
-  if (m) {
-    const [_, y, mo, d, hh, mm, ss] = m;
-    return new Date(Number(y), Number(mo) - 1, Number(d), Number(hh), Number(mm), Number(ss));
-  }
-  // fallback
-  const parsed = new Date(val);
+  const parsed = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(val) ? val.replace(' ', 'T') + 'Z' : val);
   return isNaN(parsed.getTime()) ? null : parsed;
 }
 
-// Formatea Date a string legible "DD/MM/YYYY, HH:MM:SS"
+// Formatea Date a string legible "DD/MM/YYYY, HH:MM:SS" en hora de la clínica
 function formatDisplayDate(dt) {
   if (!dt) return '-';
-  const pad = (n) => String(n).padStart(2, '0');
-  const dd = pad(dt.getDate());
-  const mm = pad(dt.getMonth() + 1);
-  const yyyy = dt.getFullYear();
-  const hh = pad(dt.getHours());
-  const mi = pad(dt.getMinutes());
-  const ss = pad(dt.getSeconds());
-  return `${dd}/${mm}/${yyyy}, ${hh}:${mi}:${ss}`;
+  const [yyyy, mm, dd] = TimezoneService.localDateStr(dt).split('-');
+  return `${dd}/${mm}/${yyyy}, ${TimezoneService.localTimeStr(dt)}`;
+}
+
+// Ficha lista para responder: adjuntos, filepath / thumbnail_url / preview_url (primer adjunto) y fecha_display
+function presentFicha(r, adjuntos) {
+  const fechaDt = dateFromDbValue(r.fecha);
+  const primero = adjuntos[0] || null;
+  return {
+    ...r,
+    adjuntos,
+    filepath: primero ? primero.url : null,
+    thumbnail_url: primero ? primero.thumbnail_url : null,
+    preview_url: primero ? primero.preview_url : null,
+    fecha_display: fechaDt ? formatDisplayDate(fechaDt) : '-'
+  };
+}
+
+// ficha con sus adjuntos; las eliminadas (borrado lógico) solo con includeDeleted
+async function fetchFicha(id, { includeDeleted = false } = {}) {
+  const [rows] = await db.query(`${FICHA_SELECT} WHERE f.id = ?${includeDeleted ? '' : ' AND f.deleted_at IS NULL'}`, [id]);
+  if (!rows.length) return null;
+  return presentFicha(rows[0], await AttachmentService.listByFicha(id));
 }
 
 const MedicalController = {
   async listByPet(req, res) {
     try {
       const petId = req.query.pet_id || req.query.mascota_id || null;
+      const own = req.user.role === 'propietario';
+      if (!own && !hasPermission(req.user, 'medical:read')) return denyFicha(req, res);
 
-      let rows;
-      if (petId) {
-        [rows] = await db.query(
-          `SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre
-           FROM fichas_medicas f
-           LEFT JOIN usuarios u ON f.uploaded_by = u.id
-           LEFT JOIN mascotas m ON f.mascota_id = m.id
-           WHERE f.mascota_id = ?
-           ORDER BY f.fecha DESC`,
-          [petId]
-        );
-      } else {
-        [rows] = await db.query(
-          `SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre
-           FROM fichas_medicas f
-           LEFT JOIN usuarios u ON f.uploaded_by = u.id
-           LEFT JOIN mascotas m ON f.mascota_id = m.id
-           ORDER BY f.fecha DESC
-           LIMIT 200`
-        );
-      }
+      // el propietario solo ve las fichas de sus mascotas; las eliminadas solo con ?include_deleted=true (admin)
+      const filters = req.includeDeleted ? [] : ['f.deleted_at IS NULL'];
+      const params = [];
+      if (petId) { filters.push('f.mascota_id = ?'); params.push(petId); }
+      if (own) { filters.push('m.owner_id = ?'); params.push(req.user.userId); }
+      const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+      const [rows] = await db.query(
+        `${FICHA_SELECT} ${where} ORDER BY f.fecha DESC ${petId ? '' : 'LIMIT 200'}`,
+        params
+      );
 
-      const out = rows.map(r => {
-        const fechaDt = dateFromDbValue(r.fecha);
-        return {
-          ...r,
-          filepath: r.filename ? fileUrlFromFilename(r.filename) : null,
-          fecha_display: fechaDt ? formatDisplayDate(fechaDt) : '-'
-        };
-      });
+      const adjuntos = await AttachmentService.listByFichas(rows.map(r => r.id));
+      const out = rows.map(r => presentFicha(r, adjuntos.get(Number(r.id)) || []));
 
       res.json({ success: true, data: out });
     } catch (err) {
@@ -111,20 +145,9 @@ const MedicalController = {
 
   async getById(req, res) {
     try {
-      const id = req.params.id;
-      const [rows] = await db.query(
-        `SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre
-         FROM fichas_medicas f
-         LEFT JOIN usuarios u ON f.uploaded_by = u.id
-         LEFT JOIN mascotas m ON f.mascota_id = m.id
-         WHERE f.id = ?`,
-        [id]
-      );
-      if (!rows.length) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
-      const r = rows[0];
-      const fechaDt = dateFromDbValue(r.fecha);
-      r.filepath = r.filename ? fileUrlFromFilename(r.filename) : null;
-      r.fecha_display = fechaDt ? formatDisplayDate(fechaDt) : '-';
+      const r = await fetchFicha(req.params.id, { includeDeleted: req.includeDeleted });
+      if (!r) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      if (!canReadFichas(req.user, r.owner_id)) return denyFicha(req, res);
       res.json({ success: true, data: r });
     } catch (err) {
       console.error('Error getById:', err);
@@ -132,145 +155,334 @@ const MedicalController = {
     }
   },
 
+  // GET /medical-records/export?pet_id=  -> historial completo en PDF
+  async exportPdf(req, res) {
+    try {
+      const petId = req.query.pet_id || req.query.mascota_id || null;
+      if (!petId) return res.status(400).json({ success: false, message: 'pet_id requerido' });
+
+      const [mRows] = await db.query('SELECT * FROM mascotas WHERE id = ? AND deleted_at IS NULL', [petId]);
+      if (!mRows.length) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
+      const mascota = mRows[0];
+
+      // propietario solo puede exportar el historial de sus mascotas; el personal necesita medical:read
+      if (!canReadFichas(req.user, mascota.owner_id)) {
+        return res.status(403).json({ success: false, message: 'No autorizado para exportar el historial de esta mascota' });
+      }
+
+      const [pRows] = await db.query(
+        'SELECT id, nombre, email, telefono, direccion FROM propietarios WHERE id = ?',
+        [mascota.owner_id]
+      );
+
+      const [rows] = await db.query(`${FICHA_SELECT} WHERE f.mascota_id = ? AND f.deleted_at IS NULL ORDER BY f.fecha DESC`, [petId]);
+
+      const adjuntos = await AttachmentService.listByFichas(rows.map(r => r.id));
+      const fichas = [];
+      for (const r of rows) {
+        const lista = [];
+        for (const a of adjuntos.get(Number(r.id)) || []) {
+          // solo las imágenes que pdfkit puede incrustar se leen del almacenamiento
+          const data = EMBEDDABLE_MIMES.includes((a.mime || '').toLowerCase())
+            ? await Storage.readBuffer(AttachmentService.keyFor(a.filename)).catch(() => null)
+            : null;
+          lista.push({ ...a, data });
+        }
+        fichas.push(presentFicha(r, lista));
+      }
+
+      const doc = buildMedicalHistoryPdf({ mascota, propietario: pRows[0] || null, fichas });
+
+      const safeName = String(mascota.nombre || 'mascota').replace(/[^a-zA-Z0-9_-]/g, '_');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="historial-${safeName}-${mascota.id}.pdf"`);
+
+      doc.pipe(res);
+      doc.end();
+    } catch (err) {
+      console.error('Error exportPdf:', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ success: false, message: 'Error al exportar historial', error: err.message });
+    }
+  },
+
   async create(req, res) {
+    const files = uploadedFiles(req);
+    let registered = false;
+    // los archivos ya están en disco (multer): si la ficha no se crea, se borran
+    const reject = (status, message) => {
+      AttachmentService.discardUploads(files);
+      return res.status(status).json({ success: false, message });
+    };
     try {
       const mascotaId = req.body.pet_id || req.body.mascota_id;
-      if (!mascotaId) return res.status(400).json({ success: false, message: 'mascota_id (pet_id) requerido' });
+      if (!mascotaId) return reject(400, 'mascota_id (pet_id) requerido');
+
+      const [mRows] = await db.query('SELECT id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [mascotaId]);
+      if (!mRows.length) return reject(400, 'Mascota no existe');
 
-      const [mRows] = await db.query('SELECT id FROM mascotas WHERE id = ?', [mascotaId]);
-      if (!mRows.length) return res.status(400).json({ success: false, message: 'Mascota no existe' });
+      // cita que originó la ficha (opcional): debe ser de la misma mascota
+      const citaId = req.body.cita_id || null;
+      if (citaId) {
+        const [cRows] = await db.query('SELECT id, mascota_id FROM citas WHERE id = ? AND deleted_at IS NULL', [citaId]);
+        if (!cRows.length || Number(cRows[0].mascota_id) !== Number(mascotaId)) {
+          return reject(400, 'La cita no existe o es de otra mascota');
+        }
+      }
 
       const tipo = req.body.tipo || req.body.tipo_registro || 'consulta';
       const fechaDate = req.body.fecha ? parseDateFromInput(req.body.fecha) : new Date();
-      const fechaSql = formatDateToSQLLocal(fechaDate);
+      if (!fechaDate) return reject(400, 'fecha inválida');
+      const fechaSql = TimezoneService.toSQL(fechaDate);
       const peso = (typeof req.body.peso !== 'undefined' && req.body.peso !== '') ? req.body.peso : null;
       const nota = req.body.nota || req.body.observaciones || null;
 
-      let filename = null;
-      let mime = null;
-      let size_bytes = null;
-
-      if (req.file) {
-        filename = req.file.filename;
-        mime = req.file.mimetype;
-        size_bytes = req.file.size;
-      }
-
       const uploaded_by = req.user?.userId || req.user?.id || null;
 
-      const [result] = await db.query(
-        `INSERT INTO fichas_medicas
-         (mascota_id, tipo, fecha, peso, nota, filename, filepath, mime, size_bytes, uploaded_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          mascotaId,
-          tipo,
-          fechaSql,
-          peso,
-          nota,
-          filename,
-          filename ? fileUrlFromFilename(filename) : null,
-          mime,
-          size_bytes,
-          uploaded_by
-        ]
-      );
-
-      const [rows] = await db.query(
-        `SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre
-         FROM fichas_medicas f
-         LEFT JOIN usuarios u ON f.uploaded_by = u.id
-         LEFT JOIN mascotas m ON f.mascota_id = m.id
-         WHERE f.id = ?`,
-        [result.insertId]
-      );
-
-      const inserted = rows[0];
-      const fechaDt = dateFromDbValue(inserted.fecha);
-      inserted.filepath = inserted.filename ? fileUrlFromFilename(inserted.filename) : null;
-      inserted.fecha_display = fechaDt ? formatDisplayDate(fechaDt) : '-';
+      // la ficha, sus adjuntos y el aviso al propietario se guardan en la misma transacción (outbox)
+      const conn = await db.getConnection();
+      let fichaId;
+      try {
+        await conn.beginTransaction();
+        const [result] = await conn.query(
+          `INSERT INTO fichas_medicas
+           (mascota_id, cita_id, tipo, fecha, peso, nota, uploaded_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [mascotaId, citaId, tipo, fechaSql, peso, nota, uploaded_by]
+        );
+        fichaId = result.insertId;
+        await AttachmentService.add(conn, fichaId, files, { descripciones: descripcionesFrom(req.body), uploadedBy: uploaded_by });
+        await NotificationService.notifyFicha(fichaId, conn);
+        await conn.commit();
+        registered = true;
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
 
-      res.status(201).json({ success: true, data: inserted });
+      res.status(201).json({ success: true, data: await fetchFicha(fichaId) });
     } catch (err) {
-      console.error('Error create ficha:', err);
-      res.status(500).json({ success: false, message: 'Error al crear ficha', error: err.message });
+      if (!registered) AttachmentService.discardUploads(files);
+      sendError(res, err, 'Error al crear ficha');
     }
   },
 
+  // PUT /medical-records/:id - los archivos enviados se añaden a los adjuntos existentes
   async update(req, res) {
+    const files = uploadedFiles(req);
+    let registered = false;
     try {
       const id = req.params.id;
-      const [existingRows] = await db.query('SELECT * FROM fichas_medicas WHERE id = ?', [id]);
-      if (!existingRows.length) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      const [existingRows] = await db.query('SELECT * FROM fichas_medicas WHERE id = ? AND deleted_at IS NULL', [id]);
+      if (!existingRows.length) {
+        AttachmentService.discardUploads(files);
+        return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      }
       const existing = existingRows[0];
+      if (await EncounterService.isFichaFirmada(existing)) {
+        AttachmentService.discardUploads(files);
+        return res.status(409).json({ success: false, message: FIRMADA_MESSAGE });
+      }
 
       const tipo = req.body.tipo || existing.tipo;
       const fechaDate = req.body.fecha ? parseDateFromInput(req.body.fecha) : dateFromDbValue(existing.fecha) || new Date();
-      const fechaSql = formatDateToSQLLocal(fechaDate);
+      if (!fechaDate) {
+        AttachmentService.discardUploads(files);
+        return res.status(400).json({ success: false, message: 'fecha inválida' });
+      }
+      const fechaSql = TimezoneService.toSQL(fechaDate);
       const peso = (typeof req.body.peso !== 'undefined' && req.body.peso !== '') ? req.body.peso : existing.peso;
       const nota = (typeof req.body.nota !== 'undefined') ? req.body.nota : existing.nota;
 
-      let filename = existing.filename;
-      let mime = existing.mime;
-      let size_bytes = existing.size_bytes;
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+        await conn.query(
+          `UPDATE fichas_medicas
+           SET tipo = ?, fecha = ?, peso = ?, nota = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [tipo, fechaSql, peso, nota, id]
+        );
+        await AttachmentService.add(conn, id, files, {
+          descripciones: descripcionesFrom(req.body),
+          uploadedBy: req.user?.userId || null
+        });
+        await conn.commit();
+        registered = true;
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
 
-      if (req.file) {
-        if (existing.filename) {
-          const oldPath = path.join(medicalDir, existing.filename);
-          try { if (fs.existsSync(oldPath)) fs.unlinkSync(oldPath); } catch (e) { /* no crítico */ }
-        }
-        filename = req.file.filename;
-        mime = req.file.mimetype;
-        size_bytes = req.file.size;
+      res.json({ success: true, data: await fetchFicha(id) });
+    } catch (err) {
+      if (!registered) AttachmentService.discardUploads(files);
+      sendError(res, err, 'Error al actualizar ficha');
+    }
+  },
+
+  // Borrado lógico: los adjuntos y sus archivos se conservan hasta la purga
+  async remove(req, res) {
+    try {
+      const [rows] = await db.query('SELECT id, cita_id FROM fichas_medicas WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      if (await EncounterService.isFichaFirmada(rows[0])) {
+        return res.status(409).json({ success: false, message: 'La ficha forma parte de un encuentro clínico firmado y no se puede eliminar' });
+      }
+      const result = await SoftDeleteService.softDelete(db, 'fichas_medicas', req.params.id, req.user);
+      if (!result) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      res.json({ success: true, message: 'Ficha eliminada', data: result });
+    } catch (err) {
+      console.error('Error delete ficha:', err);
+      res.status(500).json({ success: false, message: 'Error al eliminar ficha', error: err.message });
+    }
+  },
+
+  // POST /medical-records/:id/restore (admin)
+  async restore(req, res) {
+    try {
+      const data = await SoftDeleteService.restore('fichas_medicas', req.params.id);
+      res.json({ success: true, message: 'Ficha restaurada', data });
+    } catch (err) {
+      if (err instanceof SoftDeleteService.SoftDeleteError) {
+        return res.status(err.status).json({ success: false, message: err.message });
       }
+      console.error('Error restore ficha:', err);
+      res.status(500).json({ success: false, message: 'Error al restaurar ficha', error: err.message });
+    }
+  },
+
+  // GET /medical-records/:id/adjuntos
+  async listAttachments(req, res) {
+    try {
+      const [rows] = await db.query(
+        'SELECT f.id, m.owner_id FROM fichas_medicas f JOIN mascotas m ON f.mascota_id = m.id WHERE f.id = ? AND f.deleted_at IS NULL',
+        [req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+      if (!canReadFichas(req.user, rows[0].owner_id)) return denyFicha(req, res);
+      res.json({ success: true, data: await AttachmentService.listByFicha(req.params.id) });
+    } catch (err) {
+      sendError(res, err, 'Error al listar adjuntos');
+    }
+  },
 
-      await db.query(
-        `UPDATE fichas_medicas
-         SET tipo = ?, fecha = ?, peso = ?, nota = ?, filename = ?, filepath = ?, mime = ?, size_bytes = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [tipo, fechaSql, peso, nota, filename, filename ? fileUrlFromFilename(filename) : null, mime, size_bytes, id]
+  // GET /medical-records/:id/adjuntos/:adjuntoId/download  (Authorization; ?inline=true para verlo,
+  // ?variante=thumbnail|preview para la miniatura o la vista previa)
+  async downloadAttachment(req, res) {
+    try {
+      const [rows] = await db.query(
+        `SELECT a.*, m.owner_id
+         FROM ficha_adjuntos a
+         JOIN fichas_medicas f ON a.ficha_id = f.id
+         JOIN mascotas m ON f.mascota_id = m.id
+         WHERE a.id = ? AND a.ficha_id = ? AND f.deleted_at IS NULL`,
+        [req.params.adjuntoId, req.params.id]
       );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Adjunto no encontrado' });
+      if (!canReadFichas(req.user, rows[0].owner_id)) return denyFicha(req, res);
+      await AttachmentService.sendFile(res, rows[0], req.query.inline === 'true' ? 'inline' : 'attachment', req.query.variante || null);
+    } catch (err) {
+      sendError(res, err, 'Error al descargar adjunto');
+    }
+  },
 
+  // GET /medical-records/archivos/:token  (enlace firmado de `url`, sin Authorization; ?download=true para descargar)
+  async serveSigned(req, res) {
+    try {
+      const { adjuntoId, fichaId, variant } = AttachmentService.verifyFileToken(req.params.token);
+      // los enlaces ya emitidos dejan de servir si la ficha se elimina
       const [rows] = await db.query(
-        `SELECT f.*, u.nombre AS creado_por_nombre, m.nombre AS mascota_nombre
-         FROM fichas_medicas f
-         LEFT JOIN usuarios u ON f.uploaded_by = u.id
-         LEFT JOIN mascotas m ON f.mascota_id = m.id
-         WHERE f.id = ?`,
-        [id]
+        `SELECT a.* FROM ficha_adjuntos a JOIN fichas_medicas f ON a.ficha_id = f.id
+         WHERE a.id = ? AND a.ficha_id = ? AND f.deleted_at IS NULL`,
+        [adjuntoId, fichaId]
       );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Adjunto no encontrado' });
+      await AttachmentService.sendFile(res, rows[0], req.query.download === 'true' ? 'attachment' : 'inline', variant);
+    } catch (err) {
+      sendError(res, err, 'Error al enviar adjunto');
+    }
+  },
 
-      const updated = rows[0];
-      const fechaDt = dateFromDbValue(updated.fecha);
-      updated.filepath = updated.filename ? fileUrlFromFilename(updated.filename) : null;
-      updated.fecha_display = fechaDt ? formatDisplayDate(fechaDt) : '-';
+  // POST /medical-records/:id/adjuntos  (multipart: files[] + descripciones[])
+  async addAttachments(req, res) {
+    const files = uploadedFiles(req);
+    let registered = false;
+    try {
+      if (!files.length) return res.status(400).json({ success: false, message: 'No se recibió ningún archivo (campo files)' });
+
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query('SELECT id, cita_id FROM fichas_medicas WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [req.params.id]);
+        if (!rows.length) {
+          await conn.rollback();
+          AttachmentService.discardUploads(files);
+          return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
+        }
+        if (await EncounterService.isFichaFirmada(rows[0], conn)) {
+          await conn.rollback();
+          AttachmentService.discardUploads(files);
+          return res.status(409).json({ success: false, message: FIRMADA_MESSAGE });
+        }
+        await AttachmentService.add(conn, req.params.id, files, {
+          descripciones: descripcionesFrom(req.body),
+          uploadedBy: req.user?.userId || null
+        });
+        await conn.commit();
+        registered = true;
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
 
-      res.json({ success: true, data: updated });
+      res.status(201).json({ success: true, data: await AttachmentService.listByFicha(req.params.id) });
     } catch (err) {
-      console.error('Error update ficha:', err);
-      res.status(500).json({ success: false, message: 'Error al actualizar ficha', error: err.message });
+      if (!registered) AttachmentService.discardUploads(files);
+      sendError(res, err, 'Error al añadir adjuntos');
     }
   },
 
-  async remove(req, res) {
+  // PATCH /medical-records/:id/adjuntos/:adjuntoId  { descripcion?, orden? }
+  async updateAttachment(req, res) {
     try {
-      const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM fichas_medicas WHERE id = ?', [id]);
-      if (!rows.length) return res.status(404).json({ success: false, message: 'Ficha no encontrada' });
-      const r = rows[0];
+      if (await isFirmada(req.params.id)) return res.status(409).json({ success: false, message: FIRMADA_MESSAGE });
+      const adjunto = await AttachmentService.update(req.params.id, req.params.adjuntoId, req.body);
+      if (!adjunto) return res.status(404).json({ success: false, message: 'Adjunto no encontrado' });
+      res.json({ success: true, data: adjunto });
+    } catch (err) {
+      sendError(res, err, 'Error al actualizar adjunto');
+    }
+  },
 
-      if (r.filename) {
-        const fp = path.join(medicalDir, r.filename);
-        try { if (fs.existsSync(fp)) fs.unlinkSync(fp); } catch (e) { /* no crítico */ }
-      }
+  // PUT /medical-records/:id/adjuntos/orden  { ids: [3, 1, 2] }
+  async reorderAttachments(req, res) {
+    try {
+      if (await isFirmada(req.params.id)) return res.status(409).json({ success: false, message: FIRMADA_MESSAGE });
+      const data = await AttachmentService.reorder(req.params.id, req.body.ids);
+      res.json({ success: true, data });
+    } catch (err) {
+      sendError(res, err, 'Error al reordenar adjuntos');
+    }
+  },
 
-      await db.query('DELETE FROM fichas_medicas WHERE id = ?', [id]);
-      res.json({ success: true, message: 'Ficha eliminada' });
+  // DELETE /medical-records/:id/adjuntos/:adjuntoId
+  async removeAttachment(req, res) {
+    try {
+      if (await isFirmada(req.params.id)) return res.status(409).json({ success: false, message: FIRMADA_MESSAGE });
+      const removed = await AttachmentService.remove(req.params.id, req.params.adjuntoId);
+      if (!removed) return res.status(404).json({ success: false, message: 'Adjunto no encontrado' });
+      res.json({ success: true, message: 'Adjunto eliminado' });
     } catch (err) {
-      console.error('Error delete ficha:', err);
-      res.status(500).json({ success: false, message: 'Error al eliminar ficha', error: err.message });
+      sendError(res, err, 'Error al eliminar adjunto');
     }
   }
 };
 
-module.exports = MedicalController;
\ No newline at end of file
+module.exports = MedicalController;
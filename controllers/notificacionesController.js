@@ -0,0 +1,76 @@
+// controllers/notificacionesController.js
+const db = require('../db');
+const NotificationService = require('../services/notificationService');
+
+/**
+ * NotificacionesController - consulta del outbox de notificaciones (solo admin):
+ * estado de entrega, errores y reintento manual de las fallidas.
+ */
+
+// columnas del listado (sin cuerpos ni adjuntos)
+const LIST_COLUMNS = `id, evento, destinatario_tipo, destinatario_id, email, idioma, asunto, referencia_tipo, referencia_id,
+  estado, intentos, max_intentos, proximo_intento_at, ultimo_error, message_id, enviado_at, created_at, updated_at`;
+
+const NotificacionesController = {
+  // GET /notificaciones
+  async list(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page || 1));
+      const limit = Math.min(200, parseInt(req.query.limit || 50));
+      const offset = (page - 1) * limit;
+
+      const filters = [];
+      const params = [];
+      if (req.query.estado) { filters.push('estado = ?'); params.push(req.query.estado); }
+      if (req.query.evento) { filters.push('evento = ?'); params.push(req.query.evento); }
+      if (req.query.email) { filters.push('email = ?'); params.push(req.query.email); }
+      if (req.query.referencia_tipo) { filters.push('referencia_tipo = ?'); params.push(req.query.referencia_tipo); }
+      if (req.query.referencia_id) { filters.push('referencia_id = ?'); params.push(req.query.referencia_id); }
+      const where = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
+
+      const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM notificaciones ${where}`, params);
+      const total = countRows[0]?.total || 0;
+      const [rows] = await db.query(
+        `SELECT ${LIST_COLUMNS} FROM notificaciones ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      res.set('X-Total-Count', String(total));
+      res.json({ success: true, data: rows, meta: { total, page, limit } });
+    } catch (err) {
+      console.error('Error list notificaciones:', err);
+      res.status(500).json({ success: false, message: 'Error al listar notificaciones', error: err.message });
+    }
+  },
+
+  // GET /notificaciones/:id  (incluye el cuerpo renderizado)
+  async getById(req, res) {
+    try {
+      const [rows] = await db.query(
+        `SELECT ${LIST_COLUMNS}, cuerpo_texto, cuerpo_html FROM notificaciones WHERE id = ?`,
+        [req.params.id]
+      );
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Notificación no encontrada' });
+      res.json({ success: true, data: rows[0] });
+    } catch (err) {
+      console.error('Error get notificacion:', err);
+      res.status(500).json({ success: false, message: 'Error al obtener notificación', error: err.message });
+    }
+  },
+
+  // POST /notificaciones/:id/retry
+  async retry(req, res) {
+    try {
+      const ok = await NotificationService.retry(req.params.id);
+      if (!ok) {
+        return res.status(409).json({ success: false, message: 'La notificación no existe o ya fue enviada' });
+      }
+      res.json({ success: true, message: 'Notificación reencolada' });
+    } catch (err) {
+      console.error('Error retry notificacion:', err);
+      res.status(500).json({ success: false, message: 'Error al reencolar notificación', error: err.message });
+    }
+  }
+};
+
+module.exports = NotificacionesController;
@@ -1,7 +1,11 @@
 // controllers/propietariosController.js
 const db = require('../db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../middleware/auth');
+const TokenService = require('../services/tokenService');
+const { DEFAULT_IDIOMA } = require('../services/notificationTemplates');
+const SoftDeleteService = require('../services/softDeleteService');
+const OwnerDeletionService = require('../services/ownerDeletionService');
 
 const PropietariosController = {
   async list(req, res) {
@@ -10,12 +14,14 @@ const PropietariosController = {
       const limit = Math.min(100, parseInt(req.query.limit) || 10);
       const q = (req.query.q || '').trim();
 
-      let where = '';
+      // los eliminados (borrado lógico) solo con ?include_deleted=true (admin)
+      const filters = req.includeDeleted ? [] : ['deleted_at IS NULL'];
       const params = [];
       if (q) {
-        where = ' WHERE nombre LIKE ? OR email LIKE ? OR telefono LIKE ?';
+        filters.push('(nombre LIKE ? OR email LIKE ? OR telefono LIKE ?)');
         params.push(`%${q}%`, `%${q}%`, `%${q}%`);
       }
+      const where = filters.length ? ' WHERE ' + filters.join(' AND ') : '';
 
       const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM propietarios ${where}`, params);
       const total = countRows[0]?.total || 0;
@@ -46,7 +52,7 @@ const PropietariosController = {
       const id = req.user && req.user.userId;
       if (!id) return res.status(401).json({ success: false, message: 'No autenticado' });
 
-      const [rows] = await db.query('SELECT id, nombre, email, telefono, direccion, created_at, updated_at FROM propietarios WHERE id = ?', [id]);
+      const [rows] = await db.query('SELECT id, nombre, email, telefono, direccion, idioma, created_at, updated_at FROM propietarios WHERE id = ? AND deleted_at IS NULL', [id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Propietario no encontrado' });
 
       res.json({ success: true, data: rows[0] });
@@ -56,10 +62,18 @@ const PropietariosController = {
     }
   },
 
+  // GET /propietarios/:id: personal con propietarios:read, o el propio propietario
   async getById(req, res) {
     try {
       const id = req.params.id;
-      const [rows] = await db.query('SELECT * FROM propietarios WHERE id = ?', [id]);
+      const esElMismo = req.user.subjectType === 'propietario' && Number(req.user.userId) === Number(id);
+      if (!esElMismo && !hasPermission(req.user, 'propietarios:read')) {
+        return res.status(403).json({ success: false, message: 'No autorizado para ver este propietario' });
+      }
+      const [rows] = await db.query(
+        `SELECT * FROM propietarios WHERE id = ?${req.includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+        [id]
+      );
       if (!rows.length) return res.status(404).json({ success: false, message: 'Propietario no encontrado' });
 
       const { password, ...safe } = rows[0];
@@ -72,13 +86,19 @@ const PropietariosController = {
 
   async create(req, res) {
     try {
-      const { nombre, email, telefono, direccion, password } = req.body;
+      const { nombre, email, telefono, direccion, password, idioma } = req.body;
 
       // validar requeridos mínimos (routes ya valida, igual comprobación extra)
       if (!nombre || !email) return res.status(400).json({ success: false, message: 'nombre y email requeridos' });
 
-      const [exists] = await db.query('SELECT id FROM propietarios WHERE email = ?', [email]);
-      if (exists.length) return res.status(409).json({ success: false, message: 'Email ya registrado' });
+      // el email sigue ocupado mientras el propietario eliminado no se purgue
+      const [exists] = await db.query('SELECT id, deleted_at FROM propietarios WHERE email = ?', [email]);
+      if (exists.length) {
+        const message = exists[0].deleted_at
+          ? `Email registrado por un propietario eliminado (id ${exists[0].id}): se puede restaurar con POST /propietarios/${exists[0].id}/restore`
+          : 'Email ya registrado';
+        return res.status(409).json({ success: false, message });
+      }
 
       let hashed = null;
       if (password) {
@@ -88,8 +108,8 @@ const PropietariosController = {
       }
 
       const [result] = await db.query(
-        'INSERT INTO propietarios (nombre, email, telefono, direccion, password) VALUES (?, ?, ?, ?, ?)',
-        [nombre, email, telefono || null, direccion || null, hashed]
+        'INSERT INTO propietarios (nombre, email, telefono, direccion, password, idioma) VALUES (?, ?, ?, ?, ?, ?)',
+        [nombre, email, telefono || null, direccion || null, hashed, idioma || DEFAULT_IDIOMA]
       );
 
       const [rows] = await db.query('SELECT * FROM propietarios WHERE id = ?', [result.insertId]);
@@ -108,7 +128,7 @@ const PropietariosController = {
       const id = req.user && req.user.userId;
       if (!id) return res.status(401).json({ success: false, message: 'No autenticado' });
 
-      const { nombre, email, telefono, direccion, password } = req.body;
+      const { nombre, email, telefono, direccion, password, idioma } = req.body;
 
       // si actualiza email validar duplicado
       if (email) {
@@ -129,16 +149,17 @@ const PropietariosController = {
            email = COALESCE(?, email),
            telefono = COALESCE(?, telefono),
            direccion = COALESCE(?, direccion),
+           idioma = COALESCE(?, idioma),
            updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
-        [nombre, email, telefono, direccion, id]
+        [nombre, email, telefono, direccion, idioma, id]
       );
 
       if (typeof hashed !== 'undefined') {
         await db.query('UPDATE propietarios SET password = ? WHERE id = ?', [hashed, id]);
       }
 
-      const [rows] = await db.query('SELECT id, nombre, email, telefono, direccion, created_at, updated_at FROM propietarios WHERE id = ?', [id]);
+      const [rows] = await db.query('SELECT id, nombre, email, telefono, direccion, idioma, created_at, updated_at FROM propietarios WHERE id = ?', [id]);
       if (!rows.length) return res.status(404).json({ success: false, message: 'Propietario no encontrado tras actualización' });
 
       res.json({ success: true, data: rows[0] });
@@ -151,10 +172,10 @@ const PropietariosController = {
   async update(req, res) {
     try {
       const id = req.params.id;
-      const { nombre, email, telefono, direccion, password } = req.body;
+      const { nombre, email, telefono, direccion, password, idioma } = req.body;
 
       // verificar existencia
-      const [target] = await db.query('SELECT * FROM propietarios WHERE id = ?', [id]);
+      const [target] = await db.query('SELECT * FROM propietarios WHERE id = ? AND deleted_at IS NULL', [id]);
       if (!target.length) return res.status(404).json({ success: false, message: 'Propietario no encontrado' });
 
       // si actualiza email validar duplicado
@@ -176,9 +197,10 @@ const PropietariosController = {
            nombre = COALESCE(?, nombre),
            email = COALESCE(?, email),
            telefono = COALESCE(?, telefono),
-           direccion = COALESCE(?, direccion)
+           direccion = COALESCE(?, direccion),
+           idioma = COALESCE(?, idioma)
          WHERE id = ?`,
-        [nombre, email, telefono, direccion, id]
+        [nombre, email, telefono, direccion, idioma, id]
       );
 
       // si hay password nuevo, actualizarlo aparte (para evitar COALESCE con NULL)
@@ -196,24 +218,58 @@ const PropietariosController = {
     }
   },
 
+  // GET /propietarios/:id/delete-impact (admin): lo que arrastraría eliminarlo
+  async deleteImpact(req, res) {
+    try {
+      const data = await OwnerDeletionService.impact(req.params.id);
+      if (!data) return res.status(404).json({ success: false, message: 'Propietario no encontrado' });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error delete-impact propietario:', error);
+      res.status(500).json({ success: false, message: 'Error al calcular el impacto', error: error.message });
+    }
+  },
+
+  // DELETE /propietarios/:id?strategy=block|transfer|cascade[&transfer_to=]  (borrado lógico, se purga tras la retención)
   async remove(req, res) {
     try {
-      const id = req.params.id;
-      await db.query('DELETE FROM propietarios WHERE id = ?', [id]);
-      res.json({ success: true, message: 'Propietario eliminado' });
+      const data = await OwnerDeletionService.remove(req.params.id, {
+        strategy: req.query.strategy,
+        transferTo: req.query.transfer_to
+      }, req.user);
+      res.json({ success: true, message: 'Propietario eliminado', data });
     } catch (error) {
+      if (error instanceof OwnerDeletionService.BorradoError) {
+        const body = { success: false, message: error.message };
+        if (error.impacto) body.data = error.impacto;
+        return res.status(error.status).json(body);
+      }
       console.error('Error delete propietario:', error);
       res.status(500).json({ success: false, message: 'Error al eliminar propietario', error: error.message });
     }
   },
 
+  // POST /propietarios/:id/restore (admin): junto con lo que se eliminó con él
+  async restore(req, res) {
+    try {
+      const data = await SoftDeleteService.restore('propietarios', req.params.id);
+      res.json({ success: true, message: 'Propietario restaurado', data });
+    } catch (error) {
+      if (error instanceof SoftDeleteService.SoftDeleteError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error restore propietario:', error);
+      res.status(500).json({ success: false, message: 'Error al restaurar propietario', error: error.message });
+    }
+  },
+
   // Nuevo: login para propietarios (para app móvil)
   async login(req, res) {
     try {
       const { email, password } = req.body;
       if (!email || !password) return res.status(400).json({ success: false, message: 'Email y contraseña son requeridos' });
 
-      const [rows] = await db.query('SELECT * FROM propietarios WHERE email = ?', [email]);
+      const [rows] = await db.query('SELECT * FROM propietarios WHERE email = ? AND deleted_at IS NULL', [email]);
       if (!rows.length) return res.status(401).json({ success: false, message: 'Credenciales inválidas' });
 
       const user = rows[0];
@@ -222,13 +278,16 @@ const PropietariosController = {
       const isValid = await bcrypt.compare(password, user.password);
       if (!isValid) return res.status(401).json({ success: false, message: 'Credenciales inválidas' });
 
-      // Generar token JWT (payload similar a usuarios => userId + email + role)
+      // Generar access token (payload similar a usuarios => userId + email + role) + refresh token
       const payload = {
         userId: user.id,
         email: user.email,
         role: 'propietario'
       };
-      const token = jwt.sign(payload, process.env.JWT_SECRET || 'default_secret_key', { expiresIn: process.env.JWT_EXPIRES_IN || '24h' });
+      const tokens = await TokenService.issueTokenPair(
+        { subjectType: 'propietario', subjectId: user.id, payload },
+        { userAgent: req.get('user-agent'), ip: req.ip }
+      );
 
       const safeUser = {
         id: user.id,
@@ -239,8 +298,8 @@ const PropietariosController = {
         created_at: user.created_at || null
       };
 
-      // Mantengo el formato de respuesta que ya tenías: data: { user, token, expiresIn }
-      res.status(200).json({ success: true, message: 'Login exitoso', data: { user: safeUser, token, expiresIn: process.env.JWT_EXPIRES_IN || '24h' } });
+      // Mantengo el formato de respuesta que ya tenías: data: { user, token, expiresIn } (+ refreshToken)
+      res.status(200).json({ success: true, message: 'Login exitoso', data: { user: safeUser, ...tokens } });
     } catch (err) {
       console.error('Error login propietario:', err);
       res.status(500).json({ success: false, message: 'Error interno', error: err.message });
@@ -5,6 +5,7 @@
 
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { STAFF_ROLES } = require('../config/permissions');
 
 /**
  * Clase que maneja las operaciones del controlador de usuarios
@@ -214,6 +215,62 @@ class UserController {
         }
     }
 
+    /**
+     * Cambia el rol de un usuario del personal (admin, veterinario, recepcionista, groomer, user)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     * @returns {Promise<void>}
+     */
+    static async updateUserRole(req, res) {
+        try {
+            const { id } = req.params;
+            const { role } = req.body;
+
+            if (isNaN(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El ID debe ser un número válido'
+                });
+            }
+
+            if (!STAFF_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Rol inválido. Valores permitidos: ' + STAFF_ROLES.join(', ')
+                });
+            }
+
+            // Un admin no puede quitarse a sí mismo el rol admin
+            if (Number(req.user.userId) === parseInt(id) && role !== 'admin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No puedes quitarte tu propio rol de administrador'
+                });
+            }
+
+            const updatedUser = await User.updateRole(id, role);
+            if (!updatedUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Rol actualizado correctamente',
+                data: updatedUser
+            });
+        } catch (error) {
+            console.error('Error en updateUserRole:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Elimina un usuario
      * @param {Object} req - Objeto de solicitud Express
@@ -232,6 +289,14 @@ class UserController {
                 });
             }
 
+            // Un admin no puede eliminar su propia cuenta (evita quedarse sin administradores)
+            if (req.user && Number(req.user.userId) === parseInt(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No puedes eliminar tu propia cuenta'
+                });
+            }
+
             // Verificar si el usuario existe
             const existingUser = await User.findById(id);
             if (!existingUser) {
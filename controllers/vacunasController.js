@@ -0,0 +1,195 @@
+// controllers/vacunasController.js
+const db = require('../db');
+const { hasPermission } = require('../middleware/auth');
+const VaccinationService = require('../services/vaccinationService');
+
+/**
+ * VacunasController - catálogo de vacunas, dosis aplicadas por mascota y
+ * vacunas vencidas (ver services/vaccinationService.js).
+ * Catálogo: lectura para cualquier usuario autenticado, escritura solo admin.
+ * Dosis: el propietario ve las de sus mascotas; el personal necesita medical:read / medical:write.
+ */
+
+const FIELDS = ['nombre', 'especie', 'descripcion', 'dosis_iniciales', 'intervalo_dosis_dias', 'refuerzo_dias', 'activo'];
+
+function pickFields(body) {
+  const out = {};
+  for (const f of FIELDS) {
+    if (typeof body[f] !== 'undefined') out[f] = body[f];
+  }
+  if (typeof out.nombre !== 'undefined') out.nombre = String(out.nombre).trim();
+  if (typeof out.especie !== 'undefined') out.especie = VaccinationService.normalizeEspecie(out.especie);
+  return out;
+}
+
+// una pauta de varias dosis necesita intervalo entre ellas
+function validateDefinition(data) {
+  if (Number(data.dosis_iniciales) > 1 && !data.intervalo_dosis_dias) {
+    return 'intervalo_dosis_dias es requerido cuando dosis_iniciales es mayor que 1';
+  }
+  return null;
+}
+
+async function loadMascota(id) {
+  const [rows] = await db.query('SELECT id, nombre, especie, owner_id FROM mascotas WHERE id = ? AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (err instanceof VaccinationService.VacunaError) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+}
+
+const VacunasController = {
+  // GET /vacunas[?especie=&include_inactive=true]
+  async list(req, res) {
+    try {
+      const isAdmin = req.user.subjectType === 'usuario' && req.user.role === 'admin';
+      const filters = [];
+      const params = [];
+      if (!(isAdmin && String(req.query.include_inactive) === 'true')) filters.push('activo = 1');
+      if (req.query.especie) {
+        filters.push('(especie IS NULL OR especie = ?)');
+        params.push(VaccinationService.normalizeEspecie(req.query.especie));
+      }
+      const where = filters.length ? 'WHERE ' + filters.join(' AND ') : '';
+      const [rows] = await db.query(`SELECT * FROM vacunas ${where} ORDER BY nombre`, params);
+      res.json({ success: true, data: rows });
+    } catch (err) {
+      sendError(res, err, 'Error al listar vacunas');
+    }
+  },
+
+  // GET /vacunas/:id
+  async getById(req, res) {
+    try {
+      const [rows] = await db.query('SELECT * FROM vacunas WHERE id = ?', [req.params.id]);
+      if (!rows.length) return res.status(404).json({ success: false, message: 'Vacuna no encontrada' });
+      res.json({ success: true, data: rows[0] });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener vacuna');
+    }
+  },
+
+  // POST /vacunas
+  async create(req, res) {
+    try {
+      const data = pickFields(req.body);
+      const error = validateDefinition(data);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const [result] = await db.query(
+        `INSERT INTO vacunas (nombre, especie, descripcion, dosis_iniciales, intervalo_dosis_dias, refuerzo_dias, activo)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [data.nombre, data.especie || null, data.descripcion || null, Number(data.dosis_iniciales || 1),
+          data.intervalo_dosis_dias || null, data.refuerzo_dias || null, data.activo === false ? 0 : 1]
+      );
+      const [rows] = await db.query('SELECT * FROM vacunas WHERE id = ?', [result.insertId]);
+      res.status(201).json({ success: true, data: rows[0] });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'Ya existe una vacuna con ese nombre' });
+      }
+      sendError(res, err, 'Error al crear vacuna');
+    }
+  },
+
+  // PUT /vacunas/:id  (los cambios de pauta solo afectan a las dosis que se registren después)
+  async update(req, res) {
+    try {
+      const id = req.params.id;
+      const [existing] = await db.query('SELECT * FROM vacunas WHERE id = ?', [id]);
+      if (!existing.length) return res.status(404).json({ success: false, message: 'Vacuna no encontrada' });
+
+      const data = pickFields(req.body);
+      const error = validateDefinition({ ...existing[0], ...data });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const sets = Object.keys(data).map(f => `${f} = ?`);
+      if (sets.length) {
+        const values = Object.keys(data).map(f => (f === 'activo' ? (data[f] ? 1 : 0) : data[f]));
+        await db.query(`UPDATE vacunas SET ${sets.join(', ')} WHERE id = ?`, [...values, id]);
+      }
+      const [rows] = await db.query('SELECT * FROM vacunas WHERE id = ?', [id]);
+      res.json({ success: true, data: rows[0] });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'Ya existe una vacuna con ese nombre' });
+      }
+      sendError(res, err, 'Error al actualizar vacuna');
+    }
+  },
+
+  // GET /vacunas/vencidas?desde=&hasta=&vacuna_id=&especie=  (hasta: hoy por defecto)
+  async due(req, res) {
+    try {
+      const data = await VaccinationService.listDue({
+        desde: req.query.desde || null,
+        hasta: req.query.hasta || null,
+        vacunaId: req.query.vacuna_id || null,
+        especie: req.query.especie || null
+      });
+      res.json({ success: true, data, meta: { total: data.length } });
+    } catch (err) {
+      sendError(res, err, 'Error al listar vacunas vencidas');
+    }
+  },
+
+  // GET /mascotas/:id/vacunas
+  async listByPet(req, res) {
+    try {
+      const mascota = await loadMascota(req.params.id);
+      if (!mascota) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
+
+      const own = req.user.role === 'propietario' && Number(mascota.owner_id) === Number(req.user.userId);
+      if (!own && (req.user.role === 'propietario' || !hasPermission(req.user, 'medical:read'))) {
+        return res.status(403).json({ success: false, message: 'No autorizado para ver las vacunas de esta mascota' });
+      }
+
+      const summary = await VaccinationService.petSummary(mascota.id);
+      res.json({ success: true, data: { mascota_id: mascota.id, mascota_nombre: mascota.nombre, ...summary } });
+    } catch (err) {
+      sendError(res, err, 'Error al obtener vacunas de la mascota');
+    }
+  },
+
+  // POST /mascotas/:id/vacunas  { vacuna_id, fecha_aplicacion, lote, fecha_caducidad, numero_dosis, veterinario_id, notas, crear_ficha }
+  async applyDose(req, res) {
+    try {
+      const mascota = await loadMascota(req.params.id);
+      if (!mascota) return res.status(404).json({ success: false, message: 'Mascota no encontrada' });
+
+      const conn = await db.getConnection();
+      let result;
+      try {
+        await conn.beginTransaction();
+        result = await VaccinationService.registerDoses(conn, {
+          mascota,
+          dosis: [req.body],
+          veterinarioId: req.body.veterinario_id || req.user.userId,
+          crearFicha: req.body.crear_ficha !== false,
+          user: req.user
+        });
+        await conn.commit();
+      } catch (e) {
+        try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+        throw e;
+      } finally {
+        conn.release();
+      }
+
+      const [rows] = await db.query(
+        `SELECT va.*, v.nombre AS vacuna_nombre FROM vacunas_aplicadas va JOIN vacunas v ON va.vacuna_id = v.id WHERE va.id = ?`,
+        [result.ids[0]]
+      );
+      res.status(201).json({ success: true, data: rows[0] });
+    } catch (err) {
+      sendError(res, err, 'Error al registrar vacuna');
+    }
+  }
+};
+
+module.exports = VacunasController;
@@ -0,0 +1,64 @@
+-- ===================================================================
+-- Migración 001 - Refresh tokens y revocación de sesiones
+-- ===================================================================
+-- Descripción: refresh tokens opacos (hasheados, con rotación y detección
+-- de reutilización) y listas de revocación de access tokens.
+-- Sujetos: 'usuario' (tabla usuarios) y 'propietario' (tabla propietarios).
+-- ===================================================================
+
+-- Refresh tokens (solo se guarda el hash SHA-256 del token)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    subject_type ENUM('usuario', 'propietario') NOT NULL COMMENT 'Tabla del sujeto',
+    subject_id INT NOT NULL COMMENT 'ID en usuarios o propietarios',
+    token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 hex del refresh token',
+    family_id CHAR(36) NOT NULL COMMENT 'Sesión (login) a la que pertenece la cadena de rotación',
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by_id BIGINT NULL COMMENT 'Token emitido al rotar este',
+    last_used_at DATETIME NULL,
+    user_agent VARCHAR(255) NULL,
+    ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_subject (subject_type, subject_id),
+    INDEX idx_family (family_id),
+    INDEX idx_expires (expires_at)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Refresh tokens con rotación';
+
+-- Access tokens revocados por jti (logout de una sesión)
+CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+    jti CHAR(36) PRIMARY KEY,
+    expires_at DATETIME NOT NULL COMMENT 'Expiración natural del token; luego se puede purgar',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_expires (expires_at)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Lista de revocación de access tokens';
+
+-- Corte de sesiones por sujeto (logout de todos los dispositivos):
+-- todo access token emitido antes de revoked_before queda invalidado.
+-- Con milisegundos: un login en el mismo segundo que el corte sigue siendo válido
+CREATE TABLE IF NOT EXISTS session_revocations (
+    subject_type ENUM('usuario', 'propietario') NOT NULL,
+    subject_id INT NOT NULL,
+    revoked_before DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (subject_type, subject_id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Revocación global de sesiones por sujeto';
+
+-- Limpieza periódica (equivalente a TokenService.purgeExpired):
+-- DELETE FROM revoked_access_tokens WHERE expires_at < NOW();
+-- DELETE FROM refresh_tokens WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY);
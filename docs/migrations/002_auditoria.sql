@@ -0,0 +1,30 @@
+-- ===================================================================
+-- Migración 002 - Auditoría de accesos
+-- ===================================================================
+-- Descripción: registro de quién accede o modifica recursos sensibles
+-- (middleware/audit.js). Se usa en el router /users (tabla usuarios).
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS auditoria (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_type ENUM('usuario', 'propietario') NULL COMMENT 'NULL si la petición no estaba autenticada',
+    actor_id INT NULL,
+    actor_role VARCHAR(50) NULL,
+    entity VARCHAR(50) NOT NULL COMMENT 'Recurso auditado (ej: usuarios)',
+    entity_id INT NULL,
+    action VARCHAR(20) NOT NULL COMMENT 'read | create | update | delete',
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    status_code SMALLINT NOT NULL,
+    ip VARCHAR(45) NULL,
+    details JSON NULL COMMENT 'Campos enviados (sin valores ni contraseñas) y query',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_entity (entity, entity_id),
+    INDEX idx_actor (actor_type, actor_id),
+    INDEX idx_created_at (created_at)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Registro de auditoría';
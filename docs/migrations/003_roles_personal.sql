@@ -0,0 +1,23 @@
+-- ===================================================================
+-- Migración 003 - Roles del personal
+-- ===================================================================
+-- Descripción: roles admin, veterinario, recepcionista, groomer y user
+-- (ver config/permissions.js). Solo veterinario y groomer pueden ser
+-- asignados a citas; admin ya no aparece como veterinario reservable.
+-- ===================================================================
+
+ALTER TABLE usuarios
+    MODIFY role VARCHAR(20) NOT NULL DEFAULT 'user'
+    COMMENT 'admin | veterinario | recepcionista | groomer | user';
+
+-- Normalizar valores desconocidos
+UPDATE usuarios
+SET role = 'user'
+WHERE role IS NULL OR role NOT IN ('admin', 'veterinario', 'recepcionista', 'groomer', 'user');
+
+CREATE INDEX idx_role ON usuarios(role);
+
+-- IMPORTANTE: antes de esta migración todo admin se trataba como veterinario.
+-- Reasignar manualmente a quienes atienden citas, por ejemplo:
+-- UPDATE usuarios SET role = 'veterinario' WHERE id IN (...);
+-- UPDATE usuarios SET role = 'groomer' WHERE id IN (...);
@@ -0,0 +1,96 @@
+-- ===================================================================
+-- Migración 004 - Horarios del personal
+-- ===================================================================
+-- Descripción: horario semanal, pausas, ausencias, feriados de la clínica
+-- y excepciones por fecha (services/scheduleService.js). /citas/slots y la
+-- creación/edición de citas solo usan franjas en que el veterinario trabaja.
+-- Un usuario sin filas en horarios_personal usa el horario por defecto de
+-- la clínica (CLINIC_OPEN / CLINIC_CLOSE, 07:00-17:00).
+-- ===================================================================
+
+-- Horario semanal (varias filas por día = turnos partidos)
+CREATE TABLE IF NOT EXISTS horarios_personal (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    dia_semana TINYINT NOT NULL COMMENT '0 = domingo ... 6 = sábado',
+    hora_inicio TIME NOT NULL,
+    hora_fin TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_usuario_dia (usuario_id, dia_semana),
+    CONSTRAINT fk_horarios_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Horario semanal del personal';
+
+-- Pausas recurrentes (almuerzo, descansos)
+CREATE TABLE IF NOT EXISTS pausas_personal (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    dia_semana TINYINT NOT NULL COMMENT '0 = domingo ... 6 = sábado',
+    hora_inicio TIME NOT NULL,
+    hora_fin TIME NOT NULL,
+    descripcion VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_usuario_dia (usuario_id, dia_semana),
+    CONSTRAINT fk_pausas_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Pausas del personal';
+
+-- Vacaciones, incapacidades y otras ausencias (días completos, rango inclusivo)
+CREATE TABLE IF NOT EXISTS ausencias_personal (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    tipo ENUM('vacaciones', 'enfermedad', 'otro') NOT NULL,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NOT NULL,
+    motivo VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_usuario_fechas (usuario_id, fecha_inicio, fecha_fin),
+    CONSTRAINT fk_ausencias_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Ausencias del personal';
+
+-- Feriados / cierres de la clínica
+CREATE TABLE IF NOT EXISTS feriados_clinica (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    fecha DATE NOT NULL,
+    descripcion VARCHAR(150) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_fecha (fecha)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Feriados de la clínica';
+
+-- Excepciones para una fecha concreta: disponible = 0 -> libre ese día;
+-- disponible = 1 -> reemplaza el horario del día (también en feriados)
+CREATE TABLE IF NOT EXISTS horarios_excepciones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    fecha DATE NOT NULL,
+    disponible TINYINT(1) NOT NULL DEFAULT 0,
+    hora_inicio TIME NULL,
+    hora_fin TIME NULL,
+    motivo VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_usuario_fecha (usuario_id, fecha),
+    CONSTRAINT fk_excepciones_usuario FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Excepciones de horario por fecha';
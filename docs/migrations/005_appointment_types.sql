@@ -0,0 +1,48 @@
+-- ===================================================================
+-- Migración 005 - Catálogo de tipos de cita
+-- ===================================================================
+-- Descripción: reemplaza los mapas fijos de citasController (duración y
+-- ventanas por tipo) y TIPO_ROLES de config/permissions.js por la tabla
+-- appointment_types, administrable vía /appointment-types (solo admin).
+-- citas.tipo_consulta guarda appointment_types.nombre; create, update y
+-- /citas/slots rechazan tipos que no existan o estén inactivos.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS appointment_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(50) NOT NULL COMMENT 'valor de citas.tipo_consulta (minúsculas)',
+    descripcion VARCHAR(255) NULL,
+    duracion_min SMALLINT UNSIGNED NOT NULL DEFAULT 30 COMMENT 'duración por defecto',
+    buffer_min SMALLINT UNSIGNED NOT NULL DEFAULT 10 COMMENT 'margen tras la cita antes de la siguiente',
+    ventanas JSON NULL COMMENT '[{"from":"HH:MM","to":"HH:MM"}]; vacío = horario de la clínica',
+    color CHAR(7) NULL COMMENT '#RRGGBB para el calendario',
+    precio DECIMAL(10,2) NULL,
+    recursos JSON NULL COMMENT 'recursos requeridos, ej: ["quirofano"]',
+    roles JSON NULL COMMENT 'roles que pueden atenderlo; NULL = ["veterinario"]',
+    reservable_por_propietario TINYINT(1) NOT NULL DEFAULT 1,
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_nombre (nombre),
+    INDEX idx_activo (activo)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Catálogo de tipos de cita';
+
+-- Tipos que antes estaban fijos en el código (mismas duraciones y ventanas)
+INSERT IGNORE INTO appointment_types
+    (nombre, duracion_min, buffer_min, ventanas, color, recursos, roles, reservable_por_propietario)
+VALUES
+    ('consulta general', 30, 10, '[{"from":"07:00","to":"17:00"}]', '#3B82F6', '[]', '["veterinario"]', 1),
+    ('vacunacion',       20, 10, '[{"from":"08:00","to":"12:30"},{"from":"14:00","to":"17:00"}]', '#10B981', '[]', '["veterinario"]', 1),
+    ('urgencia',         60, 10, '[{"from":"07:00","to":"17:00"}]', '#EF4444', '[]', '["veterinario"]', 1),
+    ('cirugia',         120, 10, '[{"from":"08:00","to":"12:00"}]', '#8B5CF6', '["quirofano"]', '["veterinario"]', 0),
+    ('peluqueria',       45, 10, '[{"from":"09:00","to":"16:00"}]', '#F59E0B', '["mesa de peluqueria"]', '["groomer"]', 1),
+    ('control',          20, 10, '[{"from":"07:00","to":"17:00"}]', '#6B7280', '[]', '["veterinario"]', 1),
+    ('desparasitacion',  15, 10, '[{"from":"07:00","to":"17:00"}]', '#14B8A6', '[]', '["veterinario"]', 1);
+
+-- Corrige la errata del mapa anterior ("desparacitacion") en citas existentes
+UPDATE citas SET tipo_consulta = 'desparasitacion' WHERE tipo_consulta = 'desparacitacion';
@@ -0,0 +1,36 @@
+-- ===================================================================
+-- Migración 006 - Máquina de estados de citas
+-- ===================================================================
+-- Descripción: nuevos estados en_curso y no_show, motivo obligatorio al
+-- cancelar y tabla citas_estado_historial (quién cambió qué y cuándo).
+-- Transiciones permitidas por rol: config/citaEstados.js.
+-- Consultar el historial: GET /citas/:id/history
+-- ===================================================================
+
+-- estado pasa a VARCHAR para admitir los nuevos valores (si era ENUM)
+ALTER TABLE citas
+    MODIFY estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+    ADD COLUMN motivo_cancelacion VARCHAR(255) NULL AFTER estado;
+
+CREATE TABLE IF NOT EXISTS citas_estado_historial (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cita_id INT NOT NULL,
+    estado_anterior VARCHAR(20) NULL COMMENT 'NULL = creación de la cita',
+    estado_nuevo VARCHAR(20) NOT NULL,
+    motivo VARCHAR(255) NULL,
+    actor_type VARCHAR(20) NOT NULL COMMENT 'usuario | propietario | sistema',
+    actor_id INT NULL,
+    actor_role VARCHAR(20) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_cita (cita_id, created_at),
+    CONSTRAINT fk_historial_cita FOREIGN KEY (cita_id) REFERENCES citas(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Historial de cambios de estado de citas';
+
+-- Estado inicial de las citas existentes
+INSERT INTO citas_estado_historial (cita_id, estado_anterior, estado_nuevo, actor_type, created_at)
+SELECT id, NULL, estado, 'sistema', created_at FROM citas;
@@ -0,0 +1,36 @@
+-- ===================================================================
+-- Migración 007 - Citas recurrentes
+-- ===================================================================
+-- Descripción: series de citas (refuerzos de vacunas, desparasitaciones,
+-- controles mensuales). POST /citas/series expande la regla en citas
+-- enlazadas por serie_id; PUT /citas/:id y PATCH /citas/:id/status aceptan
+-- ?scope=this|following|all para aplicar el cambio a la serie.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS citas_series (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    mascota_id INT NOT NULL,
+    propietario_id INT NOT NULL,
+    veterinario_id INT NULL,
+    tipo_consulta VARCHAR(50) NOT NULL,
+    frecuencia VARCHAR(10) NOT NULL COMMENT 'dias | semanas | meses',
+    intervalo SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+    hasta DATE NULL,
+    repeticiones SMALLINT UNSIGNED NULL,
+    fecha_inicio DATETIME NOT NULL COMMENT 'primera cita de la serie',
+    duracion_min SMALLINT UNSIGNED NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_mascota (mascota_id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Reglas de recurrencia de citas';
+
+ALTER TABLE citas
+    ADD COLUMN serie_id INT NULL,
+    ADD COLUMN serie_indice SMALLINT UNSIGNED NULL COMMENT 'posición en la serie (1 = primera)',
+    ADD INDEX idx_serie (serie_id, serie_indice),
+    ADD CONSTRAINT fk_citas_serie FOREIGN KEY (serie_id) REFERENCES citas_series(id) ON DELETE SET NULL;
@@ -0,0 +1,56 @@
+-- ===================================================================
+-- Migración 008 - Lista de espera
+-- ===================================================================
+-- Descripción: entradas de lista de espera por mascota (fechas, veterinario
+-- y franja preferidos) y ofertas de huecos liberados al cancelar/eliminar
+-- citas. Una oferta pendiente y no caducada bloquea el hueco
+-- (services/bookingService.js → hasOverlap).
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS lista_espera (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    mascota_id INT NOT NULL,
+    propietario_id INT NOT NULL,
+    veterinario_id INT NULL COMMENT 'preferido; NULL = cualquiera',
+    tipo_consulta VARCHAR(50) NOT NULL,
+    fecha_desde DATE NOT NULL,
+    fecha_hasta DATE NOT NULL,
+    hora_desde TIME NULL,
+    hora_hasta TIME NULL,
+    notas VARCHAR(255) NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'activa' COMMENT 'activa | ofertada | atendida | cancelada',
+    created_by_type VARCHAR(20) NULL COMMENT 'usuario | propietario',
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_busqueda (estado, tipo_consulta, fecha_desde, fecha_hasta),
+    INDEX idx_propietario (propietario_id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Lista de espera de citas';
+
+CREATE TABLE IF NOT EXISTS lista_espera_ofertas (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lista_espera_id INT NOT NULL,
+    cita_liberada_id INT NULL COMMENT 'cita cancelada que liberó el hueco',
+    veterinario_id INT NULL,
+    tipo_consulta VARCHAR(50) NOT NULL,
+    fecha_inicio DATETIME NOT NULL,
+    duracion_min SMALLINT UNSIGNED NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' COMMENT 'pendiente | aceptada | rechazada | expirada',
+    expira_en DATETIME NOT NULL,
+    cita_id INT NULL COMMENT 'cita creada al aceptar',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_pendientes (estado, expira_en),
+    INDEX idx_hueco (veterinario_id, fecha_inicio),
+    CONSTRAINT fk_oferta_lista FOREIGN KEY (lista_espera_id) REFERENCES lista_espera(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Ofertas (reservas temporales) de huecos a la lista de espera';
@@ -0,0 +1,29 @@
+-- ===================================================================
+-- Migración 009 - Calendario iCal (feeds y secuencia de invitaciones)
+-- ===================================================================
+-- Descripción: tokens de los feeds .ics suscribibles (por veterinario y
+-- por propietario; se guarda solo el hash SHA-256) y secuencia iCal de cada
+-- cita (SEQUENCE, se incrementa en cada modificación). Las invitaciones
+-- METHOD:REQUEST / METHOD:CANCEL no se guardan aparte: viajan adjuntas a las
+-- notificaciones por correo (migración 011, services/icalService.js).
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    subject_type VARCHAR(20) NOT NULL COMMENT 'usuario | propietario',
+    subject_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+
+    UNIQUE KEY uk_token_hash (token_hash),
+    INDEX idx_subject (subject_type, subject_id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Tokens de feeds iCal de citas';
+
+ALTER TABLE citas
+    ADD COLUMN ical_sequence INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'SEQUENCE iCal; +1 en cada cambio notificado';
@@ -0,0 +1,71 @@
+-- ===================================================================
+-- Migración 010 - Fechas en UTC
+-- ===================================================================
+-- Descripción: la API pasa a guardar las fechas con hora en UTC (pool con
+-- timezone 'Z' y sesión time_zone '+00:00', ver config/database.js y
+-- services/timezoneService.js). Hasta ahora las citas se guardaban en la
+-- hora local del servidor de la API; esta migración convierte a UTC las
+-- columnas DATETIME existentes. Las columnas TIMESTAMP ya se almacenan en
+-- UTC y las DATE / TIME (horarios, ausencias, feriados, franjas de lista de
+-- espera) siguen siendo hora local de la clínica.
+--
+-- Requiere que el operador defina antes, en la misma sesión, la zona en que
+-- se grabaron los datos: el nombre de zona de CLINIC_TIMEZONE, para que se
+-- respeten los cambios de horario de verano de cada fecha.
+--
+--   SET @tz_origen = 'America/Costa_Rica';   -- = CLINIC_TIMEZONE
+--   SOURCE docs/migrations/010_fechas_utc.sql;
+--
+-- MySQL necesita las tablas de zonas cargadas (mysql_tzinfo_to_sql, ver
+-- INSTALL.md). Si @tz_origen no está definida o MySQL no conoce la zona,
+-- la migración falla sin modificar nada. Ejecutar una sola vez y con la API
+-- detenida.
+-- ===================================================================
+
+DROP PROCEDURE IF EXISTS migracion_010_fechas_utc;
+
+DELIMITER $$
+CREATE PROCEDURE migracion_010_fechas_utc()
+BEGIN
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    IF @tz_origen IS NULL OR @tz_origen = '' THEN
+        SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'Migración 010: defina antes @tz_origen con la zona de CLINIC_TIMEZONE (p.ej. SET @tz_origen = ''America/Costa_Rica'')';
+    END IF;
+    IF CONVERT_TZ('2000-01-01 00:00:00', @tz_origen, '+00:00') IS NULL THEN
+        SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'Migración 010: MySQL no conoce la zona de @tz_origen; cargue las tablas de zonas (mysql_tzinfo_to_sql)';
+    END IF;
+
+    START TRANSACTION;
+
+    UPDATE citas SET fecha_inicio = CONVERT_TZ(fecha_inicio, @tz_origen, '+00:00');
+    UPDATE citas_series SET fecha_inicio = CONVERT_TZ(fecha_inicio, @tz_origen, '+00:00');
+    UPDATE fichas_medicas SET fecha = CONVERT_TZ(fecha, @tz_origen, '+00:00');
+
+    UPDATE lista_espera_ofertas SET
+        fecha_inicio = CONVERT_TZ(fecha_inicio, @tz_origen, '+00:00'),
+        expira_en = CONVERT_TZ(expira_en, @tz_origen, '+00:00');
+
+    UPDATE refresh_tokens SET
+        expires_at = CONVERT_TZ(expires_at, @tz_origen, '+00:00'),
+        revoked_at = CONVERT_TZ(revoked_at, @tz_origen, '+00:00'),
+        last_used_at = CONVERT_TZ(last_used_at, @tz_origen, '+00:00');
+    UPDATE revoked_access_tokens SET expires_at = CONVERT_TZ(expires_at, @tz_origen, '+00:00');
+    UPDATE session_revocations SET revoked_before = CONVERT_TZ(revoked_before, @tz_origen, '+00:00');
+
+    UPDATE calendar_feed_tokens SET
+        last_used_at = CONVERT_TZ(last_used_at, @tz_origen, '+00:00'),
+        revoked_at = CONVERT_TZ(revoked_at, @tz_origen, '+00:00');
+
+    COMMIT;
+END$$
+DELIMITER ;
+
+CALL migracion_010_fechas_utc();
+DROP PROCEDURE migracion_010_fechas_utc;
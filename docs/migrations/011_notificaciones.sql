@@ -0,0 +1,48 @@
+-- ===================================================================
+-- Migración 011 - Notificaciones por correo (outbox)
+-- ===================================================================
+-- Descripción: outbox transaccional de notificaciones. Cada fila es un
+-- correo ya renderizado (asunto y cuerpo en el idioma del destinatario)
+-- que el worker envía con reintentos (services/notificationService.js).
+-- Idioma preferido de propietarios y personal. Las invitaciones iCal
+-- de las citas viajan adjuntas a estas notificaciones.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS notificaciones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    evento VARCHAR(50) NOT NULL COMMENT 'cita.creada | cita.confirmada | cita.reprogramada | cita.cancelada | ficha.creada',
+    destinatario_tipo VARCHAR(20) NOT NULL COMMENT 'usuario | propietario',
+    destinatario_id INT NULL,
+    email VARCHAR(100) NOT NULL,
+    idioma CHAR(2) NOT NULL DEFAULT 'es',
+    asunto VARCHAR(255) NOT NULL,
+    cuerpo_texto TEXT NOT NULL,
+    cuerpo_html TEXT NULL,
+    adjuntos JSON NULL COMMENT '[{ filename, contentType, content }]',
+    referencia_tipo VARCHAR(20) NULL COMMENT 'cita | ficha',
+    referencia_id INT NULL,
+    dedupe_key VARCHAR(150) NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' COMMENT 'pendiente | enviando | enviada | fallida',
+    intentos TINYINT UNSIGNED NOT NULL DEFAULT 0,
+    max_intentos TINYINT UNSIGNED NOT NULL DEFAULT 5,
+    proximo_intento_at DATETIME NOT NULL,
+    ultimo_error VARCHAR(500) NULL,
+    message_id VARCHAR(255) NULL,
+    enviado_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_dedupe (dedupe_key),
+    INDEX idx_cola (estado, proximo_intento_at),
+    INDEX idx_referencia (referencia_tipo, referencia_id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Outbox de notificaciones por correo';
+
+ALTER TABLE propietarios
+    ADD COLUMN idioma CHAR(2) NOT NULL DEFAULT 'es' COMMENT 'idioma de las notificaciones (es | en)';
+
+ALTER TABLE usuarios
+    ADD COLUMN idioma CHAR(2) NOT NULL DEFAULT 'es' COMMENT 'idioma de las notificaciones (es | en)';
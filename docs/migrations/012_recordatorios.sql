@@ -0,0 +1,25 @@
+-- ===================================================================
+-- Migración 012 - Recordatorios de citas
+-- ===================================================================
+-- Descripción: registro de los recordatorios encolados por el scheduler
+-- (services/reminderService.js). Una fila por cita, antelación y fecha
+-- de la cita: la clave única evita duplicados entre workers y una cita
+-- reprogramada vuelve a recibir sus recordatorios.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS citas_recordatorios (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cita_id INT NOT NULL,
+    offset_minutos INT NOT NULL COMMENT 'antelación configurada (REMINDER_OFFSETS)',
+    fecha_inicio DATETIME NOT NULL COMMENT 'fecha de la cita al enviar el recordatorio',
+    notificacion_id INT NULL COMMENT 'NULL si el propietario no tiene email',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_recordatorio (cita_id, offset_minutos, fecha_inicio),
+    CONSTRAINT fk_recordatorio_cita FOREIGN KEY (cita_id) REFERENCES citas(id) ON DELETE CASCADE,
+    CONSTRAINT fk_recordatorio_notificacion FOREIGN KEY (notificacion_id) REFERENCES notificaciones(id) ON DELETE SET NULL
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Recordatorios de citas enviados';
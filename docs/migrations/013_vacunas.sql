@@ -0,0 +1,63 @@
+-- ===================================================================
+-- Migración 013 - Vacunación
+-- ===================================================================
+-- Descripción: catálogo de vacunas (especie, dosis de la pauta inicial,
+-- intervalo entre dosis y refuerzo) y dosis aplicadas a cada mascota
+-- (lote, caducidad, veterinario). proxima_fecha se calcula al registrar
+-- la dosis (services/vaccinationService.js); la última dosis de cada
+-- vacuna y mascota marca cuándo vence.
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS vacunas (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    especie VARCHAR(50) NULL COMMENT 'minúsculas; NULL = cualquier especie',
+    descripcion VARCHAR(255) NULL,
+    dosis_iniciales TINYINT UNSIGNED NOT NULL DEFAULT 1 COMMENT 'dosis de la pauta inicial',
+    intervalo_dosis_dias SMALLINT UNSIGNED NULL COMMENT 'días entre dosis de la pauta inicial',
+    refuerzo_dias SMALLINT UNSIGNED NULL COMMENT 'días hasta cada refuerzo; NULL = sin refuerzo',
+    activo TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_nombre (nombre),
+    INDEX idx_especie (especie, activo)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Catálogo de vacunas';
+
+CREATE TABLE IF NOT EXISTS vacunas_aplicadas (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    mascota_id INT NOT NULL,
+    vacuna_id INT NOT NULL,
+    numero_dosis TINYINT UNSIGNED NOT NULL DEFAULT 1 COMMENT '1..dosis_iniciales = pauta inicial; mayores = refuerzos',
+    fecha_aplicacion DATE NOT NULL COMMENT 'día local de la clínica',
+    lote VARCHAR(50) NULL,
+    fecha_caducidad DATE NULL COMMENT 'caducidad del lote',
+    proxima_fecha DATE NULL COMMENT 'siguiente dosis o refuerzo; NULL = pauta completa sin refuerzo',
+    veterinario_id INT NULL,
+    cita_id INT NULL COMMENT 'cita en la que se aplicó',
+    ficha_id INT NULL COMMENT 'ficha médica generada',
+    notas VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_mascota_vacuna (mascota_id, vacuna_id, fecha_aplicacion),
+    INDEX idx_proxima (proxima_fecha),
+    CONSTRAINT fk_aplicada_mascota FOREIGN KEY (mascota_id) REFERENCES mascotas(id) ON DELETE CASCADE,
+    CONSTRAINT fk_aplicada_vacuna FOREIGN KEY (vacuna_id) REFERENCES vacunas(id)
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Dosis de vacunas aplicadas a mascotas';
+
+INSERT IGNORE INTO vacunas
+    (nombre, especie, descripcion, dosis_iniciales, intervalo_dosis_dias, refuerzo_dias)
+VALUES
+    ('rabia',             NULL,   'Antirrábica',                                 1, NULL, 365),
+    ('polivalente canina', 'perro', 'Moquillo, hepatitis, parvovirus, parainfluenza, leptospirosis', 3, 21, 365),
+    ('bordetella',        'perro', 'Tos de las perreras',                         1, NULL, 365),
+    ('triple felina',     'gato',  'Panleucopenia, rinotraqueítis, calicivirus',  2, 21, 365),
+    ('leucemia felina',   'gato',  'FeLV',                                        2, 21, 365);
@@ -0,0 +1,69 @@
+-- ===================================================================
+-- Migración 014 - Encuentros clínicos (SOAP)
+-- ===================================================================
+-- Descripción: notas SOAP (subjetivo, objetivo con constantes vitales,
+-- evaluación / diagnósticos y plan) ligadas a una cita. Cada cambio
+-- guarda una versión completa en encuentros_versiones; al firmarse el
+-- encuentro queda inmutable y genera su ficha médica. Las fichas médicas
+-- guardan la cita que las originó. appointment_types.encuentro indica si
+-- completar una cita de ese tipo abre un encuentro o exige uno firmado
+-- (services/encounterService.js).
+-- ===================================================================
+
+ALTER TABLE appointment_types
+    ADD COLUMN encuentro VARCHAR(20) NOT NULL DEFAULT 'abrir' COMMENT 'al completar la cita: ninguno | abrir | requerido (firmado)';
+
+UPDATE appointment_types SET encuentro = 'ninguno' WHERE nombre = 'peluqueria';
+
+ALTER TABLE fichas_medicas
+    ADD COLUMN cita_id INT NULL COMMENT 'cita que originó la ficha',
+    ADD INDEX idx_ficha_cita (cita_id);
+
+CREATE TABLE IF NOT EXISTS encuentros (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cita_id INT NOT NULL,
+    mascota_id INT NOT NULL,
+    veterinario_id INT NULL COMMENT 'veterinario de la cita al abrir el encuentro',
+    estado VARCHAR(20) NOT NULL DEFAULT 'borrador' COMMENT 'borrador | firmado',
+    version INT UNSIGNED NOT NULL DEFAULT 1 COMMENT 'versión vigente (encuentros_versiones)',
+    created_by INT NULL,
+    firmado_por INT NULL,
+    firmado_at DATETIME NULL,
+    ficha_id INT NULL COMMENT 'ficha médica generada al firmar',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_cita (cita_id),
+    INDEX idx_mascota (mascota_id, created_at),
+    INDEX idx_estado (estado),
+    CONSTRAINT fk_encuentro_cita FOREIGN KEY (cita_id) REFERENCES citas(id),
+    CONSTRAINT fk_encuentro_mascota FOREIGN KEY (mascota_id) REFERENCES mascotas(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Encuentros clínicos (SOAP) por cita';
+
+CREATE TABLE IF NOT EXISTS encuentros_versiones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    encuentro_id INT NOT NULL,
+    version INT UNSIGNED NOT NULL,
+    subjetivo TEXT NULL COMMENT 'S: motivo de consulta, anamnesis',
+    temperatura_c DECIMAL(4,1) NULL COMMENT 'O: temperatura (°C)',
+    frecuencia_cardiaca SMALLINT UNSIGNED NULL COMMENT 'O: latidos por minuto',
+    frecuencia_respiratoria SMALLINT UNSIGNED NULL COMMENT 'O: respiraciones por minuto',
+    peso_kg DECIMAL(6,2) NULL COMMENT 'O: peso (kg)',
+    objetivo TEXT NULL COMMENT 'O: exploración física',
+    evaluacion TEXT NULL COMMENT 'A: evaluación',
+    diagnosticos JSON NULL COMMENT 'A: ["diagnóstico", ...]',
+    plan TEXT NULL COMMENT 'P: tratamiento, pruebas, seguimiento',
+    autor_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_version (encuentro_id, version),
+    CONSTRAINT fk_version_encuentro FOREIGN KEY (encuentro_id) REFERENCES encuentros(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Versiones (solo inserción) del contenido SOAP de cada encuentro';
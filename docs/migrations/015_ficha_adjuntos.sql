@@ -0,0 +1,42 @@
+-- ===================================================================
+-- Migración 015 - Varios adjuntos por ficha médica
+-- ===================================================================
+-- Descripción: los archivos de una ficha (analíticas, radiografías,
+-- informes...) pasan a ficha_adjuntos, con descripción y orden propios.
+-- El archivo único que guardaba fichas_medicas se copia como primer
+-- adjunto y se eliminan sus columnas (filename, filepath, mime,
+-- size_bytes). Los archivos siguen en uploads/medical
+-- (services/attachmentService.js).
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS ficha_adjuntos (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ficha_id INT NOT NULL,
+    filename VARCHAR(255) NOT NULL COMMENT 'nombre en disco (uploads/medical)',
+    original_name VARCHAR(255) NULL COMMENT 'nombre del archivo subido',
+    mime VARCHAR(100) NULL,
+    size_bytes INT UNSIGNED NULL,
+    descripcion VARCHAR(255) NULL COMMENT 'pie / descripción del adjunto',
+    orden INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'posición dentro de la ficha',
+    uploaded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_ficha_orden (ficha_id, orden),
+    CONSTRAINT fk_adjunto_ficha FOREIGN KEY (ficha_id) REFERENCES fichas_medicas(id) ON DELETE CASCADE
+)
+ENGINE=InnoDB
+DEFAULT CHARSET=utf8mb4
+COLLATE=utf8mb4_unicode_ci
+COMMENT='Archivos adjuntos de las fichas médicas';
+
+INSERT INTO ficha_adjuntos (ficha_id, filename, original_name, mime, size_bytes, orden, uploaded_by, created_at)
+SELECT id, filename, filename, mime, size_bytes, 0, uploaded_by, created_at
+FROM fichas_medicas
+WHERE filename IS NOT NULL AND filename <> '';
+
+ALTER TABLE fichas_medicas
+    DROP COLUMN filename,
+    DROP COLUMN filepath,
+    DROP COLUMN mime,
+    DROP COLUMN size_bytes;
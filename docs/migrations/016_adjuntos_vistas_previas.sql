@@ -0,0 +1,14 @@
+-- ===================================================================
+-- Migración 016 - Miniaturas y vistas previas de los adjuntos
+-- ===================================================================
+-- Descripción: al subir un adjunto se generan una miniatura y una vista
+-- previa optimizada para web (WEBP) de las imágenes y de la primera
+-- página de los PDF (services/previewService.js). Se guardan en el
+-- almacenamiento junto al original (medical/thumbs, medical/previews).
+-- Para generarlas en los adjuntos ya existentes:
+--   npm run previews:generate
+-- ===================================================================
+
+ALTER TABLE ficha_adjuntos
+    ADD COLUMN thumbnail_filename VARCHAR(255) NULL COMMENT 'miniatura (relativa a medical/)' AFTER size_bytes,
+    ADD COLUMN preview_filename VARCHAR(255) NULL COMMENT 'vista previa web (relativa a medical/)' AFTER thumbnail_filename;
@@ -0,0 +1,33 @@
+-- ===================================================================
+-- Migración 017 - Borrado lógico de propietarios, mascotas, citas y fichas
+-- ===================================================================
+-- Descripción: DELETE en la API ya no borra las filas: marca deleted_at
+-- (UTC) y deleted_by (usuario; en citas también puede ser el propietario). Eliminar un propietario marca también sus
+-- mascotas, citas y fichas; eliminar una mascota, sus citas y fichas.
+-- Los listados los excluyen salvo ?include_deleted=true (solo admin) y se
+-- recuperan con POST /<recurso>/:id/restore.
+-- El borrado definitivo (y el de los archivos de las fichas) lo hace la
+-- purga tras SOFT_DELETE_RETENTION_DAYS (services/softDeleteService.js):
+--   node worker.js  (cada PURGE_INTERVAL_HOURS)   o   npm run purge:deleted
+-- ===================================================================
+
+ALTER TABLE propietarios
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'borrado lógico (UTC)',
+    ADD COLUMN deleted_by INT NULL COMMENT 'usuario que lo eliminó',
+    ADD INDEX idx_propietarios_deleted (deleted_at);
+
+ALTER TABLE mascotas
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'borrado lógico (UTC)',
+    ADD COLUMN deleted_by INT NULL COMMENT 'usuario que la eliminó',
+    ADD INDEX idx_mascotas_deleted (deleted_at);
+
+ALTER TABLE citas
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'borrado lógico (UTC)',
+    ADD COLUMN deleted_by INT NULL COMMENT 'id de quien la eliminó (ver deleted_by_type)',
+    ADD COLUMN deleted_by_type VARCHAR(20) NULL COMMENT 'usuario | propietario',
+    ADD INDEX idx_citas_deleted (deleted_at);
+
+ALTER TABLE fichas_medicas
+    ADD COLUMN deleted_at DATETIME NULL COMMENT 'borrado lógico (UTC)',
+    ADD COLUMN deleted_by INT NULL COMMENT 'usuario que la eliminó',
+    ADD INDEX idx_fichas_deleted (deleted_at);
@@ -0,0 +1,69 @@
+// middleware/audit.js
+/**
+ * Middleware de auditoría
+ * Registra en la tabla `auditoria` quién accedió/modificó un recurso, cuándo y con qué resultado.
+ * Se escribe al terminar la respuesta, por lo que también quedan registrados los intentos
+ * rechazados (401/403). Un fallo al auditar nunca bloquea la petición.
+ */
+
+const db = require('../db');
+
+const ACTIONS = {
+  GET: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Campos que nunca deben quedar en el registro de auditoría
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'refreshToken'];
+
+/**
+ * auditTrail(entity)
+ * @param {string} entity - nombre del recurso auditado (ej: 'usuarios')
+ * @returns {Function} middleware Express (montar antes de authenticateToken)
+ */
+const auditTrail = (entity) => {
+  return (req, res, next) => {
+    // req.path es relativo al router en el momento de montar (ej: '/5')
+    const idMatch = /^\/(\d+)(\/|$)/.exec(req.path);
+    const entityId = idMatch ? Number(idMatch[1]) : null;
+    const action = ACTIONS[req.method] || req.method.toLowerCase();
+
+    res.on('finish', () => {
+      const fields = req.body && typeof req.body === 'object'
+        ? Object.keys(req.body).filter(k => !SENSITIVE_FIELDS.includes(k))
+        : [];
+      const details = {
+        query: Object.keys(req.query || {}).length ? req.query : undefined,
+        fields: fields.length ? fields : undefined
+      };
+
+      db.query(
+        `INSERT INTO auditoria
+         (actor_type, actor_id, actor_role, entity, entity_id, action, method, path, status_code, ip, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.user ? req.user.subjectType || null : null,
+          req.user ? req.user.userId : null,
+          req.user ? req.user.role : null,
+          entity,
+          entityId,
+          action,
+          req.method,
+          req.originalUrl.slice(0, 255),
+          res.statusCode,
+          req.ip || null,
+          JSON.stringify(details)
+        ]
+      ).catch(err => console.error('Error registrando auditoría:', err.message || err));
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
@@ -1,12 +1,77 @@
 // middleware/auth.js
 /**
  * Middleware de Autenticación JWT
- * Ahora intenta obtener usuario desde tabla usuarios; si no existe busca en propietarios.
+ * Cada access token lleva una audiencia explícita (`aud`):
+ *   - 'staff' -> se resuelve SOLO contra la tabla usuarios
+ *   - 'owner' -> se resuelve SOLO contra la tabla propietarios
+ * Así un id repetido entre tablas nunca hace que un propietario actúe como personal.
+ * Además rechaza access tokens revocados (logout / cerrar todas las sesiones).
+ *
+ * Forma de req.user:
+ *   staff: { userId, email, role, subjectType: 'usuario', audience: 'staff' }
+ *   owner: { userId, propietarioId, email, nombre, role: 'propietario', subjectType: 'propietario', audience: 'owner' }
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const db = require('../db');
+const TokenService = require('../services/tokenService');
+const { roleHasPermission } = require('../config/permissions');
+
+const tokenRevokedResponse = {
+  success: false,
+  message: 'Token revocado',
+  error: 'La sesión fue cerrada, por favor inicia sesión nuevamente'
+};
+
+// Verificación para tokens de personal (tabla usuarios)
+async function resolveStaff(decoded) {
+  const user = await User.findById(decoded.userId);
+  if (!user) return null;
+  return {
+    userId: user.id,
+    email: user.email,
+    role: user.role || 'user',
+    subjectType: 'usuario',
+    audience: TokenService.AUDIENCES.usuario
+  };
+}
+
+// Verificación para tokens de propietarios (tabla propietarios)
+async function resolveOwner(decoded) {
+  // un propietario eliminado (borrado lógico) deja de poder usar sus tokens
+  const [rows] = await db.query('SELECT id, nombre, email FROM propietarios WHERE id = ? AND deleted_at IS NULL', [decoded.userId]);
+  if (!rows.length) return null;
+  return {
+    userId: rows[0].id,
+    propietarioId: rows[0].id,
+    email: rows[0].email,
+    nombre: rows[0].nombre,
+    role: 'propietario', // nunca se toma el role del token para propietarios
+    subjectType: 'propietario',
+    audience: TokenService.AUDIENCES.propietario
+  };
+}
+
+/**
+ * Verifica el token y resuelve el sujeto según su audiencia
+ * @returns {Promise<{ user: Object|null, decoded: Object, reason?: string }>}
+ *   reason: 'not_found' | 'revoked'
+ * @throws errores de jsonwebtoken (JsonWebTokenError, TokenExpiredError)
+ */
+async function resolveUserFromToken(token) {
+  const decoded = TokenService.verifyAccessToken(token);
+
+  const user = decoded.aud === TokenService.AUDIENCES.propietario
+    ? await resolveOwner(decoded)
+    : await resolveStaff(decoded);
+
+  if (!user) return { user: null, decoded, reason: 'not_found' };
+
+  if (await TokenService.isAccessTokenRevoked(decoded, user.subjectType, user.userId)) {
+    return { user: null, decoded, reason: 'revoked' };
+  }
+  return { user, decoded };
+}
 
 /**
  * Middleware para verificar token JWT
@@ -24,45 +89,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret_key');
+    const { user, decoded, reason } = await resolveUserFromToken(token);
 
-    // Intentar buscar en usuarios (tabla usuarios)
-    let user = null;
-    try {
-      user = await User.findById(decoded.userId);
-    } catch (e) {
-      // si falla User.findById dejamos user = null y seguimos a propietarios
-      user = null;
+    if (reason === 'revoked') {
+      return res.status(401).json(tokenRevokedResponse);
     }
 
-    if (user) {
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-        role: user.role || decoded.role || 'user'
-      };
-      return next();
-    }
-
-    // Si no está en usuarios, buscar en propietarios
-    const [rows] = await db.query('SELECT id, nombre, email FROM propietarios WHERE id = ?', [decoded.userId]);
-    if (rows && rows.length) {
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email || rows[0].email,
-        role: decoded.role || 'propietario', // token generado en PropietariosController.login usaba role = 'propietario'
-        nombre: rows[0].nombre
-      };
-      return next();
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token inválido',
+        error: 'El usuario asociado al token no existe'
+      });
     }
 
-    // no encontrado
-    return res.status(401).json({
-      success: false,
-      message: 'Token inválido',
-      error: 'El usuario asociado al token no existe'
-    });
-
+    req.user = user;
+    req.tokenPayload = decoded;
+    next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -91,7 +134,7 @@ const authenticateToken = async (req, res, next) => {
 
 /**
  * Middleware opcional de autenticación
- * (si hay token, lo procesa igual que arriba; si no hay, continúa)
+ * (si hay token, lo procesa igual que arriba; si no hay o es inválido/revocado, continúa como anónimo)
  */
 const optionalAuth = async (req, res, next) => {
   try {
@@ -99,22 +142,11 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
     if (!token) return next();
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret_key');
-
-    let user = null;
-    try { user = await User.findById(decoded.userId); } catch (e) { user = null; }
-
+    const { user, decoded } = await resolveUserFromToken(token);
     if (user) {
-      req.user = { userId: decoded.userId, email: decoded.email, role: user.role || decoded.role || 'user' };
-      return next();
-    }
-
-    const db = require('../db');
-    const [rows] = await db.query('SELECT id, nombre, email FROM propietarios WHERE id = ?', [decoded.userId]);
-    if (rows && rows.length) {
-      req.user = { userId: decoded.userId, email: decoded.email || rows[0].email, role: decoded.role || 'propietario', nombre: rows[0].nombre };
+      req.user = user;
+      req.tokenPayload = decoded;
     }
-
     next();
   } catch (err) {
     // no bloquear si fallo en optionalAuth
@@ -122,23 +154,81 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Indica si el usuario autenticado (personal) tiene un permiso de la matriz (config/permissions.js)
+ */
+const hasPermission = (user, permission) => {
+  return !!user && user.subjectType === 'usuario' && roleHasPermission(user.role, permission);
+};
+
+/**
+ * authorizeRoles: permite solo los roles indicados. 'admin' siempre tiene acceso
+ * (tiene todos los permisos en la matriz).
+ */
 const authorizeRoles = (allowedRoles = []) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Autenticación requerida' });
     }
-    if (allowedRoles.length && !allowedRoles.includes(req.user.role)) {
+    const isAdmin = req.user.subjectType === 'usuario' && req.user.role === 'admin';
+    if (allowedRoles.length && !isAdmin && !allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'No tienes permisos para acceder a este recurso' });
+    }
+    next();
+  };
+};
+
+/**
+ * requirePermission: exige que el rol del personal tenga alguno de los permisos indicados
+ * @param {...string} permissions - ej: 'citas:write'
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Autenticación requerida' });
+    }
+    if (!permissions.some(p => hasPermission(req.user, p))) {
       return res.status(403).json({ success: false, message: 'No tienes permisos para acceder a este recurso' });
     }
     next();
   };
 };
 
-// verifyOwnership unchanged
+/**
+ * Solo personal de la clínica (tabla usuarios); rechaza tokens de propietarios
+ */
+const requireStaff = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Autenticación requerida' });
+  }
+  if (req.user.subjectType !== 'usuario') {
+    return res.status(403).json({ success: false, message: 'Acceso restringido al personal de la clínica' });
+  }
+  next();
+};
+
+/**
+ * Solo propietarios (tabla propietarios); rechaza tokens del personal
+ */
+const requireOwner = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Autenticación requerida' });
+  }
+  if (req.user.subjectType !== 'propietario') {
+    return res.status(403).json({ success: false, message: 'Acceso restringido a propietarios' });
+  }
+  next();
+};
+
+/**
+ * verifyOwnership: el usuario (personal) solo accede a su propio registro (:id).
+ * Los admin pueden acceder a cualquier registro.
+ */
 const verifyOwnership = (req, res, next) => {
+  if (req.user.role === 'admin' && req.user.subjectType === 'usuario') return next();
   const requestedUserId = parseInt(req.params.id);
-  const currentUserId = req.user.userId;
-  if (requestedUserId !== currentUserId) {
+  const currentUserId = Number(req.user.userId);
+  if (req.user.subjectType !== 'usuario' || requestedUserId !== currentUserId) {
     return res.status(403).json({
       success: false,
       message: 'No tienes permisos para acceder a este recurso',
@@ -152,5 +242,9 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   authorizeRoles,
+  hasPermission,
+  requirePermission,
+  requireStaff,
+  requireOwner,
   verifyOwnership
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+// middleware/includeDeleted.js
+/**
+ * ?include_deleted=true en listados y consultas por id: incluye los registros con
+ * borrado lógico (services/softDeleteService.js). Solo admin; deja req.includeDeleted.
+ */
+module.exports = function includeDeleted(req, res, next) {
+  const value = req.query.include_deleted;
+  req.includeDeleted = false;
+  if (typeof value === 'undefined' || value === 'false') return next();
+  if (value !== 'true') {
+    return res.status(400).json({ success: false, message: 'include_deleted debe ser true o false' });
+  }
+  // necesita authenticateToken antes; un propietario nunca es admin
+  if (!req.user || req.user.subjectType !== 'usuario' || req.user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'include_deleted solo está disponible para admin' });
+  }
+  req.includeDeleted = true;
+  next();
+};
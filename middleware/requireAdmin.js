@@ -3,7 +3,8 @@ module.exports = function requireAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ success: false, message: 'Autenticación requerida' });
   }
-  if (req.user.role !== 'admin') {
+  // solo personal (tokens con audiencia staff); un propietario nunca es admin
+  if (req.user.subjectType !== 'usuario' || req.user.role !== 'admin') {
     return res.status(403).json({ success: false, message: 'Acceso denegado: se requiere rol admin' });
   }
   next();
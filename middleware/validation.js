@@ -174,6 +174,48 @@ const validateUserPartial = [
         .withMessage('El teléfono debe tener entre 7 y 20 caracteres')
 ];
 
+/**
+ * Campos SOAP de un encuentro clínico (todos opcionales; ver services/encounterService.js)
+ */
+const validateSoap = [
+    body(['subjetivo', 'objetivo', 'evaluacion', 'plan'])
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 10000 })
+        .withMessage('Los campos de texto SOAP no pueden exceder 10000 caracteres'),
+
+    body('temperatura_c')
+        .optional({ nullable: true })
+        .isFloat({ min: 25, max: 45 })
+        .withMessage('temperatura_c debe estar entre 25 y 45 °C'),
+
+    body('frecuencia_cardiaca')
+        .optional({ nullable: true })
+        .isInt({ min: 10, max: 400 })
+        .withMessage('frecuencia_cardiaca debe ser un entero entre 10 y 400'),
+
+    body('frecuencia_respiratoria')
+        .optional({ nullable: true })
+        .isInt({ min: 2, max: 200 })
+        .withMessage('frecuencia_respiratoria debe ser un entero entre 2 y 200'),
+
+    body('peso_kg')
+        .optional({ nullable: true })
+        .isFloat({ min: 0.01, max: 9999 })
+        .withMessage('peso_kg debe estar entre 0.01 y 9999'),
+
+    body('diagnosticos')
+        .optional({ nullable: true })
+        .isArray({ max: 20 })
+        .withMessage('diagnosticos debe ser un arreglo (máximo 20)'),
+
+    body('diagnosticos.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('diagnosticos[] debe ser texto de hasta 255 caracteres')
+];
+
 /* -------------------- Sanitización y helpers -------------------- */
 
 const sanitizeInput = (req, res, next) => {
@@ -252,6 +294,7 @@ module.exports = {
     validatePagination,
     validateSearch,
     validateUserPartial,
+    validateSoap,
     sanitizeInput,
     validateJSON,
     handleValidationErrors,
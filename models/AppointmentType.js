@@ -0,0 +1,173 @@
+/**
+ * Modelo de Tipo de Cita
+ * @description Catálogo configurable de tipos de consulta (tabla appointment_types):
+ * duración por defecto, buffer, ventanas horarias, color, precio, recursos requeridos,
+ * roles que pueden atenderlo, si los propietarios pueden reservarlo y qué encuentro clínico
+ * exige al completarse (ver services/encounterService.js).
+ */
+
+const { pool } = require('../config/database');
+const { DEFAULT_ATTENDING_ROLES } = require('../config/permissions');
+
+const COLUMNS = 'id, nombre, descripcion, duracion_min, buffer_min, ventanas, color, precio, recursos, roles, reservable_por_propietario, encuentro, activo, created_at, updated_at';
+
+// Columnas JSON: mysql2 las devuelve ya parseadas, pero por compatibilidad aceptamos strings
+function parseJsonColumn(val, fallback) {
+  if (val === null || typeof val === 'undefined') return fallback;
+  if (typeof val === 'string') {
+    try { return JSON.parse(val); } catch (e) { return fallback; }
+  }
+  return val;
+}
+
+function normalizeNombre(nombre) {
+  return String(nombre || '').trim().toLowerCase();
+}
+
+class AppointmentType {
+  /**
+   * Normaliza una fila de la DB
+   * @param {Object} row
+   * @returns {Object}
+   */
+  static fromRow(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      ventanas: parseJsonColumn(row.ventanas, []),
+      recursos: parseJsonColumn(row.recursos, []),
+      roles: parseJsonColumn(row.roles, null) || DEFAULT_ATTENDING_ROLES,
+      precio: row.precio === null ? null : Number(row.precio),
+      reservable_por_propietario: !!Number(row.reservable_por_propietario),
+      activo: !!Number(row.activo)
+    };
+  }
+
+  static async findAll({ includeInactive = false } = {}) {
+    try {
+      const where = includeInactive ? '' : 'WHERE activo = 1';
+      const [rows] = await pool.execute(`SELECT ${COLUMNS} FROM appointment_types ${where} ORDER BY nombre`);
+      return rows.map(r => this.fromRow(r));
+    } catch (error) {
+      console.error('Error en AppointmentType.findAll:', error);
+      throw new Error('Error al obtener tipos de cita');
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(`SELECT ${COLUMNS} FROM appointment_types WHERE id = ?`, [id]);
+      return rows.length ? this.fromRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error en AppointmentType.findById:', error);
+      throw new Error('Error al buscar tipo de cita por ID');
+    }
+  }
+
+  /**
+   * Busca un tipo por nombre (tipo_consulta de citas), sin distinguir mayúsculas
+   * @param {string} nombre
+   * @param {Object} [opts] - { includeInactive }
+   */
+  static async findByNombre(nombre, { includeInactive = false } = {}) {
+    try {
+      const sql = `SELECT ${COLUMNS} FROM appointment_types WHERE nombre = ?${includeInactive ? '' : ' AND activo = 1'}`;
+      const [rows] = await pool.execute(sql, [normalizeNombre(nombre)]);
+      return rows.length ? this.fromRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error en AppointmentType.findByNombre:', error);
+      throw new Error('Error al buscar tipo de cita por nombre');
+    }
+  }
+
+  static async create(data) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO appointment_types
+         (nombre, descripcion, duracion_min, buffer_min, ventanas, color, precio, recursos, roles, reservable_por_propietario, encuentro, activo)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          normalizeNombre(data.nombre),
+          data.descripcion || null,
+          Number(data.duracion_min),
+          Number(data.buffer_min ?? 0),
+          JSON.stringify(data.ventanas || []),
+          data.color || null,
+          typeof data.precio === 'undefined' || data.precio === null ? null : Number(data.precio),
+          JSON.stringify(data.recursos || []),
+          JSON.stringify(data.roles || DEFAULT_ATTENDING_ROLES),
+          data.reservable_por_propietario === false ? 0 : 1,
+          data.encuentro || 'abrir',
+          data.activo === false ? 0 : 1
+        ]
+      );
+      return await this.findById(result.insertId);
+    } catch (error) {
+      console.error('Error en AppointmentType.create:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        const dup = new Error('Ya existe un tipo de cita con ese nombre');
+        dup.status = 409;
+        throw dup;
+      }
+      throw new Error('Error al crear tipo de cita');
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const sets = [];
+      const params = [];
+      const simple = ['descripcion', 'duracion_min', 'buffer_min', 'color', 'precio', 'encuentro'];
+      const json = ['ventanas', 'recursos', 'roles'];
+      const bools = ['reservable_por_propietario', 'activo'];
+
+      if (typeof data.nombre !== 'undefined') { sets.push('nombre = ?'); params.push(normalizeNombre(data.nombre)); }
+      for (const f of simple) {
+        if (typeof data[f] !== 'undefined') { sets.push(`${f} = ?`); params.push(data[f]); }
+      }
+      for (const f of json) {
+        if (typeof data[f] !== 'undefined') { sets.push(`${f} = ?`); params.push(JSON.stringify(data[f])); }
+      }
+      for (const f of bools) {
+        if (typeof data[f] !== 'undefined') { sets.push(`${f} = ?`); params.push(data[f] ? 1 : 0); }
+      }
+      if (!sets.length) return await this.findById(id);
+
+      params.push(id);
+      const [result] = await pool.execute(
+        `UPDATE appointment_types SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        params
+      );
+      if (result.affectedRows === 0) return null;
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error en AppointmentType.update:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        const dup = new Error('Ya existe un tipo de cita con ese nombre');
+        dup.status = 409;
+        throw dup;
+      }
+      throw new Error('Error al actualizar tipo de cita');
+    }
+  }
+
+  /**
+   * Desactiva un tipo (las citas existentes conservan su tipo_consulta)
+   */
+  static async deactivate(id) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE appointment_types SET activo = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error en AppointmentType.deactivate:', error);
+      throw new Error('Error al desactivar tipo de cita');
+    }
+  }
+}
+
+AppointmentType.normalizeNombre = normalizeNombre;
+
+module.exports = AppointmentType;
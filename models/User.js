@@ -120,6 +120,20 @@ class User {
     }
   }
 
+  static async updateRole(id, role) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE usuarios SET role = ?, fecha_actualizacion = NOW() WHERE id = ?',
+        [role, id]
+      );
+      if (result.affectedRows === 0) return null;
+      return await this.findById(id);
+    } catch (error) {
+      console.error('Error en User.updateRole:', error);
+      throw new Error('Error al actualizar rol de usuario');
+    }
+  }
+
   static async findByEmailWithPassword(email) {
     try {
       // devolver * porque necesitamos password para login
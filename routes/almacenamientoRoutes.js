@@ -0,0 +1,27 @@
+// routes/almacenamientoRoutes.js
+/**
+ * Mantenimiento del almacenamiento de adjuntos. Solo admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AlmacenamientoController = require('../controllers/almacenamientoController');
+const { authenticateToken } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+
+router.get('/', authenticateToken, requireAdmin, AlmacenamientoController.report);
+
+router.post('/reconciliar',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('huerfanos').optional().isBoolean().withMessage('huerfanos debe ser booleano').toBoolean(),
+    body('referencias').optional().isBoolean().withMessage('referencias debe ser booleano').toBoolean(),
+    handleValidationErrors
+  ],
+  AlmacenamientoController.reconcile
+);
+
+module.exports = router;
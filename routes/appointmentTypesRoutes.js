@@ -0,0 +1,73 @@
+// routes/appointmentTypesRoutes.js
+/**
+ * Rutas del catálogo de tipos de cita.
+ * Lectura: cualquier usuario autenticado. Escritura: solo admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+const AppointmentTypesController = require('../controllers/appointmentTypesController');
+const { authenticateToken } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { POLITICAS } = require('../services/encounterService');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+// optional = true para PUT (todos los campos opcionales)
+const definitionRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('nombre').isString().trim().isLength({ min: 2, max: 50 }).withMessage('nombre debe tener entre 2 y 50 caracteres'),
+    field('duracion_min').isInt({ min: 5, max: 480 }).withMessage('duracion_min debe ser un entero entre 5 y 480'),
+    body('descripcion').optional({ nullable: true }).isLength({ max: 255 }),
+    body('buffer_min').optional().isInt({ min: 0, max: 120 }).withMessage('buffer_min debe ser un entero entre 0 y 120'),
+    body('ventanas').optional().isArray().withMessage('ventanas debe ser un arreglo de { from, to }'),
+    body('ventanas.*.from').matches(HHMM).withMessage('ventanas[].from debe tener formato HH:MM'),
+    body('ventanas.*.to').matches(HHMM).withMessage('ventanas[].to debe tener formato HH:MM'),
+    body('color').optional({ nullable: true }).matches(HEX_COLOR).withMessage('color debe tener formato #RRGGBB'),
+    body('precio').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('precio inválido'),
+    body('recursos').optional().isArray().withMessage('recursos debe ser un arreglo'),
+    body('recursos.*').isString().trim().notEmpty().withMessage('recursos[] debe ser texto'),
+    body('roles').optional().isArray().withMessage('roles debe ser un arreglo'),
+    body('roles.*').isString().withMessage('roles[] debe ser texto'),
+    body('reservable_por_propietario').optional().isBoolean().toBoolean(),
+    body('encuentro').optional().isIn(Object.values(POLITICAS)).withMessage(`encuentro debe ser uno de: ${Object.values(POLITICAS).join(', ')}`),
+    body('activo').optional().isBoolean().toBoolean()
+  ];
+};
+
+router.get('/', authenticateToken, AppointmentTypesController.list);
+
+router.get('/:id',
+  authenticateToken,
+  [idRule, handleValidationErrors],
+  AppointmentTypesController.getById
+);
+
+router.post('/',
+  authenticateToken,
+  requireAdmin,
+  [...definitionRules(false), handleValidationErrors],
+  AppointmentTypesController.create
+);
+
+router.put('/:id',
+  authenticateToken,
+  requireAdmin,
+  [idRule, ...definitionRules(true), handleValidationErrors],
+  AppointmentTypesController.update
+);
+
+router.delete('/:id',
+  authenticateToken,
+  requireAdmin,
+  [idRule, handleValidationErrors],
+  AppointmentTypesController.remove
+);
+
+module.exports = router;
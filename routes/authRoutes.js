@@ -6,12 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 const requireAdmin = require('../middleware/requireAdmin'); // middleware para permitir solo admins
+const { body } = require('express-validator');
 const {
   validateRegister,
   validateLogin,
-  validateProfileUpdate
+  validateProfileUpdate,
+  handleValidationErrors
 } = require('../middleware/validation');
 
 /**
@@ -40,29 +42,41 @@ router.post('/login', validateLogin, AuthController.login);
 /**
  * @route GET /auth/profile
  * @description Obtiene el perfil del usuario autenticado
- * @access Private (requiere token JWT)
+ * @access Private (token del personal; los propietarios usan /propietarios/me)
  */
-router.get('/profile', authenticateToken, AuthController.getProfile);
+router.get('/profile', authenticateToken, requireStaff, AuthController.getProfile);
 
 /**
  * @route PUT /auth/profile
  * @description Actualiza el perfil del usuario autenticado
- * @access Private (requiere token JWT)
+ * @access Private (token del personal; los propietarios usan /propietarios/me)
  */
-router.put('/profile', authenticateToken, validateProfileUpdate, AuthController.updateProfile);
+router.put('/profile', authenticateToken, requireStaff, validateProfileUpdate, AuthController.updateProfile);
 
 /**
  * @route POST /auth/refresh
- * @description Renueva el token JWT
- * @access Private (requiere token JWT)
+ * @description Rota el refresh token y emite un nuevo access token (usuarios y propietarios)
+ * @access Public (requiere refresh token válido)
+ * @body {string} refreshToken - Refresh token opaco recibido en login/refresh
  */
-router.post('/refresh', authenticateToken, AuthController.refreshToken);
+router.post('/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('refreshToken es requerido'), handleValidationErrors],
+  AuthController.refreshToken
+);
 
 /**
  * @route POST /auth/logout
- * @description Cierra sesión del usuario
+ * @description Cierra la sesión actual (revoca access token y refresh token enviado)
  * @access Private (requiere token JWT)
+ * @body {string} [refreshToken] - Refresh token de la sesión a cerrar
  */
 router.post('/logout', authenticateToken, AuthController.logout);
 
+/**
+ * @route POST /auth/logout-all
+ * @description Cierra todas las sesiones del usuario/propietario en todos los dispositivos
+ * @access Private (requiere token JWT)
+ */
+router.post('/logout-all', authenticateToken, AuthController.logoutAll);
+
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,29 @@
 const express = require('express');
 const router = express.Router();
 const CitasController = require('../controllers/citasController');
-const { authenticateToken } = require('../middleware/auth');
+const EncuentrosController = require('../controllers/encuentrosController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const includeDeleted = require('../middleware/includeDeleted');
 const { body, param, query } = require('express-validator');
-const { handleValidationErrors } = require('../middleware/validation');
+const { handleValidationErrors, validateSoap } = require('../middleware/validation');
+const { ESTADOS_LIST } = require('../config/citaEstados');
+const RecurrenceService = require('../services/recurrenceService');
 
-// List
+// Alcance sobre citas de una serie recurrente: esta, esta y siguientes, todas
+const scopeRule = query('scope').optional().isIn(['this', 'following', 'all']).withMessage('scope debe ser this, following o all');
+
+// Buffer que sustituye al del tipo de consulta (minutos, entero >= 0)
+const bufferRules = [
+  body('buffer_min').optional().isInt({ min: 0 }).withMessage('buffer_min debe ser un entero >= 0'),
+  body('bufferMin').optional().isInt({ min: 0 }).withMessage('bufferMin debe ser un entero >= 0')
+];
+
+// List (?include_deleted=true: también las eliminadas, solo admin)
 router.get(
   '/',
   authenticateToken,
+  includeDeleted,
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 200 }),
@@ -31,9 +46,51 @@ router.get(
   CitasController.getSlots
 );
 
+// Calendario iCal: feed suscribible (público, autenticado por token) y gestión del token
+router.get('/feeds/:token.ics',
+  [ param('token').matches(/^[A-Za-z0-9_-]{20,64}$/).withMessage('Token inválido'), handleValidationErrors ],
+  CitasController.feed
+);
+router.post('/feed-token', authenticateToken, CitasController.createFeedToken);
+router.delete('/feed-token', authenticateToken, CitasController.revokeFeedToken);
+
+// Confirmar / cancelar desde el recordatorio (público, autenticado por el enlace firmado).
+// GET solo muestra la página de confirmación; el cambio de estado es el POST de su formulario.
+const actionTokenRule = [ param('token').isJWT().withMessage('Enlace inválido'), handleValidationErrors ];
+router.get('/acciones/:token', actionTokenRule, CitasController.reminderActionPage);
+router.post('/acciones/:token', actionTokenRule, CitasController.reminderAction);
+
+// Descarga .ics de una cita (antes de /:id)
+router.get('/:id.ics',
+  authenticateToken,
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  CitasController.ics
+);
+
+// Encuentro clínico (SOAP) de la cita
+router.get('/:id/encuentro',
+  authenticateToken,
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  EncuentrosController.getForCita
+);
+router.post('/:id/encuentro',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), ...validateSoap, handleValidationErrors ],
+  EncuentrosController.openForCita
+);
+
+// Historial de estados
+router.get('/:id/history',
+  authenticateToken,
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  CitasController.history
+);
+
 // Get by id
 router.get('/:id',
   authenticateToken,
+  includeDeleted,
   [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
   CitasController.getById
 );
@@ -47,21 +104,45 @@ router.post('/',
     body('veterinario_id').optional({ nullable:true }).custom(v => v === null || v === '' || Number.isInteger(Number(v))).withMessage('veterinario_id inválido'),
     body('fecha_inicio').notEmpty().withMessage('fecha_inicio es requerida'),
     body('duracion_min').optional().isInt({ min: 1 }).withMessage('duracion_min inválida'),
+    ...bufferRules,
     handleValidationErrors
   ],
   CitasController.create
 );
 
+// Create series (citas recurrentes)
+router.post('/series',
+  authenticateToken,
+  [
+    body('mascota_id').isInt({ min: 1 }).withMessage('mascota_id inválido'),
+    body('propietario_id').isInt({ min: 1 }).withMessage('propietario_id inválido'),
+    body('veterinario_id').optional({ nullable:true }).custom(v => v === null || v === '' || Number.isInteger(Number(v))).withMessage('veterinario_id inválido'),
+    body('fecha_inicio').notEmpty().withMessage('fecha_inicio es requerida'),
+    body('duracion_min').optional().isInt({ min: 1 }).withMessage('duracion_min inválida'),
+    ...bufferRules,
+    body('recurrencia').isObject().withMessage('recurrencia es requerida'),
+    body('recurrencia.frecuencia').isIn(RecurrenceService.FRECUENCIAS).withMessage('recurrencia.frecuencia inválida (' + RecurrenceService.FRECUENCIAS.join(', ') + ')'),
+    body('recurrencia.intervalo').optional().isInt({ min: 1 }).withMessage('recurrencia.intervalo debe ser un entero >= 1'),
+    body('recurrencia.hasta').optional({ nullable: true }).isISO8601().withMessage('recurrencia.hasta debe tener formato YYYY-MM-DD'),
+    body('recurrencia.repeticiones').optional({ nullable: true }).isInt({ min: 1 }).withMessage('recurrencia.repeticiones debe ser un entero >= 1'),
+    body('on_conflict').optional().isIn(['abort', 'skip']).withMessage('on_conflict debe ser abort o skip'),
+    handleValidationErrors
+  ],
+  CitasController.createSeries
+);
+
 // Update
 router.put('/:id',
   authenticateToken,
   [
     param('id').isInt({ min: 1 }).withMessage('ID inválido'),
+    scopeRule,
     body('mascota_id').optional().isInt({ min: 1 }),
     body('propietario_id').optional().isInt({ min: 1 }),
     body('veterinario_id').optional({ nullable:true }).custom(v => v === null || v === '' || Number.isInteger(Number(v))),
     body('fecha_inicio').optional().notEmpty(),
     body('duracion_min').optional().isInt({ min: 1 }),
+    ...bufferRules,
     handleValidationErrors
   ],
   CitasController.update
@@ -77,10 +158,27 @@ router.post('/:id/confirm', ...confirmHandlers);
 router.put('/:id/confirm', ...confirmHandlers);
 router.patch('/:id/confirm', ...confirmHandlers);
 
+// Start handlers (confirmada -> en_curso)
+const startHandlers = [
+  authenticateToken,
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  CitasController.start
+];
+router.post('/:id/start', ...startHandlers);
+router.patch('/:id/start', ...startHandlers);
+
 // Complete handlers
 const completeHandlers = [
   authenticateToken,
-  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID inválido'),
+    body('vacunas').optional().isArray().withMessage('vacunas debe ser un arreglo'),
+    body('vacunas.*.vacuna_id').isInt({ min: 1 }).withMessage('vacunas[].vacuna_id inválido'),
+    body('vacunas.*.lote').optional({ nullable: true }).isString().isLength({ max: 50 }),
+    body('vacunas.*.fecha_caducidad').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('vacunas[].fecha_caducidad debe tener formato YYYY-MM-DD'),
+    body('vacunas.*.notas').optional({ nullable: true }).isLength({ max: 255 }),
+    handleValidationErrors
+  ],
   CitasController.complete
 ];
 router.post('/:id/complete', ...completeHandlers);
@@ -92,7 +190,9 @@ const statusHandlers = [
   authenticateToken,
   [
     param('id').isInt({ min: 1 }).withMessage('ID inválido'),
-    body('estado').isIn(['pendiente','confirmada','completada','cancelada']).withMessage('Estado inválido'),
+    scopeRule,
+    body('estado').isIn(ESTADOS_LIST).withMessage('Estado inválido. Valores permitidos: ' + ESTADOS_LIST.join(', ')),
+    body('motivo').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('motivo debe tener como máximo 255 caracteres'),
     handleValidationErrors
   ],
   CitasController.changeStatus
@@ -108,4 +208,12 @@ router.delete('/:id',
   CitasController.remove
 );
 
+// Restaurar cita eliminada (solo admin)
+router.post('/:id/restore',
+  authenticateToken,
+  requireAdmin,
+  [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ],
+  CitasController.restore
+);
+
 module.exports = router;
\ No newline at end of file
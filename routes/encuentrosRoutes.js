@@ -0,0 +1,57 @@
+// routes/encuentrosRoutes.js
+/**
+ * Rutas de encuentros clínicos (SOAP). Abrir y consultar el de una cita: citasRoutes.
+ * Lectura: propietario (firmados de sus citas) o personal con medical:read.
+ * Escritura y firma: medical:write.
+ */
+
+const express = require('express');
+const router = express.Router();
+const EncuentrosController = require('../controllers/encuentrosController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors, validateSoap } = require('../middleware/validation');
+const { ESTADOS_ENCUENTRO } = require('../services/encounterService');
+
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+router.get('/',
+  authenticateToken,
+  [
+    query('mascota_id').optional().isInt({ min: 1 }),
+    query('veterinario_id').optional().isInt({ min: 1 }),
+    query('estado').optional().isIn(Object.values(ESTADOS_ENCUENTRO)).withMessage('estado debe ser borrador o firmado'),
+    handleValidationErrors
+  ],
+  EncuentrosController.list
+);
+
+router.get('/:id', authenticateToken, [idRule, handleValidationErrors], EncuentrosController.getById);
+
+router.get('/:id/versiones',
+  authenticateToken,
+  requirePermission('medical:read'),
+  [idRule, handleValidationErrors],
+  EncuentrosController.versions
+);
+
+router.put('/:id',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [
+    idRule,
+    body('version').optional().isInt({ min: 1 }).withMessage('version debe ser un entero'),
+    ...validateSoap,
+    handleValidationErrors
+  ],
+  EncuentrosController.update
+);
+
+router.post('/:id/sign',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [idRule, handleValidationErrors],
+  EncuentrosController.sign
+);
+
+module.exports = router;
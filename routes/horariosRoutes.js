@@ -0,0 +1,73 @@
+// routes/horariosRoutes.js
+/**
+ * Rutas del subsistema de horarios del personal.
+ * CRUD solo admin; la disponibilidad calculada la puede consultar el personal con citas:read.
+ */
+
+const express = require('express');
+const router = express.Router();
+const HorariosController = require('../controllers/horariosController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const usuarioId = (optional) => (optional ? body('usuario_id').optional() : body('usuario_id'))
+  .isInt({ min: 1 }).withMessage('usuario_id inválido');
+const diaSemana = (optional) => (optional ? body('dia_semana').optional() : body('dia_semana'))
+  .isInt({ min: 0, max: 6 }).withMessage('dia_semana debe ser 0 (domingo) a 6 (sábado)');
+const hora = (field, optional) => (optional ? body(field).optional({ nullable: true }) : body(field))
+  .matches(HHMM).withMessage(`${field} debe tener formato HH:MM`);
+const fecha = (field, optional) => (optional ? body(field).optional() : body(field))
+  .isISO8601({ strict: true }).withMessage(`${field} debe tener formato YYYY-MM-DD`);
+
+// Validaciones por recurso: [crear, actualizar]
+const VALIDATORS = {
+  semanal: [
+    [usuarioId(), diaSemana(), hora('hora_inicio'), hora('hora_fin')],
+    [usuarioId(true), diaSemana(true), hora('hora_inicio', true), hora('hora_fin', true)]
+  ],
+  pausas: [
+    [usuarioId(), diaSemana(), hora('hora_inicio'), hora('hora_fin'), body('descripcion').optional().isLength({ max: 100 })],
+    [usuarioId(true), diaSemana(true), hora('hora_inicio', true), hora('hora_fin', true), body('descripcion').optional().isLength({ max: 100 })]
+  ],
+  ausencias: [
+    [usuarioId(), body('tipo').isIn(['vacaciones', 'enfermedad', 'otro']).withMessage('tipo inválido (vacaciones, enfermedad, otro)'), fecha('fecha_inicio'), fecha('fecha_fin')],
+    [usuarioId(true), body('tipo').optional().isIn(['vacaciones', 'enfermedad', 'otro']).withMessage('tipo inválido (vacaciones, enfermedad, otro)'), fecha('fecha_inicio', true), fecha('fecha_fin', true)]
+  ],
+  feriados: [
+    [fecha('fecha'), body('descripcion').optional().isLength({ max: 150 })],
+    [fecha('fecha', true), body('descripcion').optional().isLength({ max: 150 })]
+  ],
+  excepciones: [
+    [usuarioId(), fecha('fecha'), body('disponible').isBoolean().withMessage('disponible debe ser booleano'), hora('hora_inicio', true), hora('hora_fin', true)],
+    [usuarioId(true), fecha('fecha', true), body('disponible').optional().isBoolean().withMessage('disponible debe ser booleano'), hora('hora_inicio', true), hora('hora_fin', true)]
+  ]
+};
+
+// Disponibilidad calculada. GET /horarios/disponibilidad?date=YYYY-MM-DD[&usuario_id=]
+router.get('/disponibilidad',
+  authenticateToken,
+  requirePermission('citas:read'),
+  [
+    query('date').isISO8601({ strict: true }).withMessage('date es requerido (YYYY-MM-DD)'),
+    query('usuario_id').optional().isInt({ min: 1 }),
+    handleValidationErrors
+  ],
+  HorariosController.availability
+);
+
+// CRUD por recurso: /horarios/semanal, /pausas, /ausencias, /feriados, /excepciones
+for (const resource of HorariosController.RESOURCES) {
+  const [createRules, updateRules] = VALIDATORS[resource];
+  const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+  router.get(`/${resource}`, authenticateToken, requireAdmin, HorariosController.list(resource));
+  router.post(`/${resource}`, authenticateToken, requireAdmin, [...createRules, handleValidationErrors], HorariosController.create(resource));
+  router.put(`/${resource}/:id`, authenticateToken, requireAdmin, [idRule, ...updateRules, handleValidationErrors], HorariosController.update(resource));
+  router.delete(`/${resource}/:id`, authenticateToken, requireAdmin, [idRule, handleValidationErrors], HorariosController.remove(resource));
+}
+
+module.exports = router;
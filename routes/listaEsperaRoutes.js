@@ -0,0 +1,54 @@
+// routes/listaEsperaRoutes.js
+/**
+ * Rutas de la lista de espera.
+ * Propietarios: sus propias entradas y ofertas. Personal: citas:read / citas:write.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ListaEsperaController = require('../controllers/listaEsperaController');
+const { authenticateToken } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+router.get('/',
+  authenticateToken,
+  [
+    query('mascota_id').optional().isInt({ min: 1 }),
+    query('propietario_id').optional().isInt({ min: 1 }),
+    query('veterinario_id').optional().isInt({ min: 1 }),
+    query('estado').optional().isIn(['activa', 'ofertada', 'atendida', 'cancelada']).withMessage('estado inválido'),
+    query('fecha').optional().isISO8601({ strict: true }).withMessage('fecha debe tener formato YYYY-MM-DD'),
+    handleValidationErrors
+  ],
+  ListaEsperaController.list
+);
+
+router.post('/ofertas/:id/accept', authenticateToken, [idRule, handleValidationErrors], ListaEsperaController.acceptOffer);
+router.post('/ofertas/:id/decline', authenticateToken, [idRule, handleValidationErrors], ListaEsperaController.declineOffer);
+
+router.get('/:id', authenticateToken, [idRule, handleValidationErrors], ListaEsperaController.getById);
+
+router.post('/',
+  authenticateToken,
+  [
+    body('mascota_id').isInt({ min: 1 }).withMessage('mascota_id inválido'),
+    body('propietario_id').optional().isInt({ min: 1 }).withMessage('propietario_id inválido'),
+    body('veterinario_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('veterinario_id inválido'),
+    body('tipo_consulta').optional().isString(),
+    body('fecha_desde').isISO8601({ strict: true }).withMessage('fecha_desde es requerida (YYYY-MM-DD)'),
+    body('fecha_hasta').optional().isISO8601({ strict: true }).withMessage('fecha_hasta debe tener formato YYYY-MM-DD'),
+    body('hora_desde').optional({ nullable: true }).matches(HHMM).withMessage('hora_desde debe tener formato HH:MM'),
+    body('hora_hasta').optional({ nullable: true }).matches(HHMM).withMessage('hora_hasta debe tener formato HH:MM'),
+    body('notas').optional({ nullable: true }).isLength({ max: 255 }),
+    handleValidationErrors
+  ],
+  ListaEsperaController.create
+);
+
+router.delete('/:id', authenticateToken, [idRule, handleValidationErrors], ListaEsperaController.remove);
+
+module.exports = router;
@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const MascotasController = require('../controllers/mascotasController');
-const { authenticateToken } = require('../middleware/auth');
+const VacunasController = require('../controllers/vacunasController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, param } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
 const requireAdmin = require('../middleware/requireAdmin');
+const includeDeleted = require('../middleware/includeDeleted');
 
-router.get('/', authenticateToken, MascotasController.list);
-router.get('/:id', authenticateToken, [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ], MascotasController.getById);
+// ?include_deleted=true: también las eliminadas (solo admin)
+router.get('/', authenticateToken, includeDeleted, MascotasController.list);
+router.get('/:id', authenticateToken, includeDeleted, [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ], MascotasController.getById);
 
-router.post('/', authenticateToken, requireAdmin,
+router.post('/', authenticateToken, requirePermission('mascotas:write'),
   [
     body('nombre').trim().notEmpty().withMessage('Nombre requerido'),
     body('owner_id').isInt({ min: 1 }).withMessage('Propietario inválido'),
@@ -18,7 +21,7 @@ router.post('/', authenticateToken, requireAdmin,
   MascotasController.create
 );
 
-router.put('/:id', authenticateToken, requireAdmin,
+router.put('/:id', authenticateToken, requirePermission('mascotas:write'),
   [
     param('id').isInt({ min: 1 }).withMessage('ID inválido'),
     body('nombre').optional().isLength({ min: 1 }),
@@ -27,6 +30,26 @@ router.put('/:id', authenticateToken, requireAdmin,
   MascotasController.update
 );
 
+// Vacunas aplicadas a la mascota y estado de cada vacuna
+router.get('/:id/vacunas', authenticateToken, [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ], VacunasController.listByPet);
+
+router.post('/:id/vacunas', authenticateToken, requirePermission('medical:write'),
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID inválido'),
+    body('vacuna_id').isInt({ min: 1 }).withMessage('vacuna_id inválido'),
+    body('fecha_aplicacion').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('fecha_aplicacion debe tener formato YYYY-MM-DD'),
+    body('numero_dosis').optional().isInt({ min: 1, max: 50 }),
+    body('lote').optional({ nullable: true }).isString().isLength({ max: 50 }),
+    body('fecha_caducidad').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('fecha_caducidad debe tener formato YYYY-MM-DD'),
+    body('veterinario_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('notas').optional({ nullable: true }).isLength({ max: 255 }),
+    body('crear_ficha').optional().isBoolean().toBoolean(),
+    handleValidationErrors
+  ],
+  VacunasController.applyDose
+);
+
 router.delete('/:id', authenticateToken, requireAdmin, [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ], MascotasController.remove);
+router.post('/:id/restore', authenticateToken, requireAdmin, [ param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors ], MascotasController.restore);
 
 module.exports = router;
\ No newline at end of file
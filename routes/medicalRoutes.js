@@ -1,64 +1,165 @@
 /**
  * routes/medicalRoutes.js
- * Rutas para fichas médicas (uploads opcionales).
+ * Rutas para fichas médicas y sus adjuntos (uploads opcionales, varios por ficha).
  */
 
 const express = require('express');
 const router = express.Router();
-const path = require('path');
 const multer = require('multer');
-const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const requireAdmin = require('../middleware/requireAdmin');
+const includeDeleted = require('../middleware/includeDeleted');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
 const MedicalController = require('../controllers/medicalController');
+const { MAX_ADJUNTOS, MAX_FILE_BYTES, KEY_PREFIX, VARIANTS } = require('../services/attachmentService');
+const Storage = require('../services/storageService');
+const UploadSecurity = require('../services/uploadSecurityService');
+const PreviewService = require('../services/previewService');
 
 // --- multer config ---
-const uploadsRoot = path.join(__dirname, '..', 'uploads');
-const medicalDir = path.join(uploadsRoot, 'medical');
-
-if (!fs.existsSync(medicalDir)) {
-  fs.mkdirSync(medicalDir, { recursive: true });
-  try { fs.chmodSync(medicalDir, 0o775); } catch (e) {}
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, medicalDir),
-  filename: (req, file, cb) => {
+// los archivos van en streaming al almacenamiento configurado (STORAGE_DRIVER: disco local o S3).
+// Tipo por contenido y antivirus: services/uploadSecurityService.js. Los rechazos (415, 413, 422, 503)
+// llegan al manejador global de errores antes de que el controlador cree o enlace nada.
+// Tras el análisis se quitan los metadatos EXIF/GPS y se generan miniatura y vista previa
+// (services/previewService.js).
+const storage = Storage.multerStorage({
+  prefix: KEY_PREFIX,
+  filename: (req, file) => {
     // safe filename: timestamp + original name
     const ts = Date.now();
     const clean = file.originalname.replace(/[^a-zA-Z0-9.\-_ñÑáéíóúÁÉÍÓÚ ]/g, '');
-    cb(null, `${ts}-${clean}`);
+    return `${ts}-${clean}`;
+  },
+  transform: (req, file) => (file.sniffer = UploadSecurity.createSniffer(file)),
+  onStored: async (req, file, info) => {
+    await UploadSecurity.scanStored(info.key, { originalname: file.originalname });
+    let variants;
+    try {
+      variants = await PreviewService.processStored(KEY_PREFIX, info.filename, file.sniffer.mime, { originalname: file.originalname });
+    } catch (err) {
+      await Storage.remove(info.key).catch(() => {});
+      throw err;
+    }
+    const extraKeys = [variants.thumbnail_filename, variants.preview_filename]
+      .filter(Boolean)
+      .map(name => `${KEY_PREFIX}/${name}`);
+    // se guarda el tipo detectado por contenido, no el declarado por el cliente
+    return { ...variants, extraKeys, mimetype: file.sniffer.mime };
   }
 });
 
 const fileFilter = (req, file, cb) => {
-  const okTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'];
-  if (okTypes.includes(file.mimetype)) cb(null, true);
-  else cb(null, false); // rechazamos tipos no soportados (no lanzamos error, solo ignoramos)
+  try {
+    UploadSecurity.checkDeclared(file);
+    cb(null, true);
+  } catch (err) {
+    cb(err); // 415: la petición entera se rechaza, no se crea la ficha sin su adjunto
+  }
 };
 
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+  limits: { fileSize: MAX_FILE_BYTES, files: MAX_ADJUNTOS }
 });
 
+// 'file' (un archivo, formularios antiguos) y 'files' (varios); descripciones[] en el mismo orden
+const uploadFiles = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_ADJUNTOS }
+]);
+
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+const adjuntoIdRule = param('adjuntoId').isInt({ min: 1 }).withMessage('ID de adjunto inválido');
+
 // ---------- RUTAS ----------
 
 // Listar fichas (por mascota). GET /api/v1/medical-records?pet_id=123
-router.get('/medical-records', authenticateToken, MedicalController.listByPet);
+// (?include_deleted=true: también las eliminadas, solo admin)
+router.get('/medical-records', authenticateToken, includeDeleted, MedicalController.listByPet);
+
+// Archivo por enlace firmado (campo `url` de cada adjunto): sin Authorization, para <img> / visor.
+// (debe ir antes de /medical-records/:id)
+router.get('/medical-records/archivos/:token',
+  [param('token').isJWT().withMessage('Enlace inválido'), handleValidationErrors],
+  MedicalController.serveSigned
+);
+
+// Exportar historial completo de una mascota en PDF. GET /api/v1/medical-records/export?pet_id=123
+// (debe ir antes de /medical-records/:id)
+router.get('/medical-records/export', authenticateToken, MedicalController.exportPdf);
 
 // Obtener una ficha por id. GET /api/v1/medical-records/:id
-router.get('/medical-records/:id', authenticateToken, MedicalController.getById);
+router.get('/medical-records/:id', authenticateToken, includeDeleted, MedicalController.getById);
 
-// Crear ficha (admin) - admite multipart/form-data o application/json.
-// field con archivo: 'file' (opcional)
-router.post('/medical-records', authenticateToken, requireAdmin, upload.single('file'), MedicalController.create);
+// Crear ficha (admin / veterinario) - admite multipart/form-data o application/json.
+// archivos: 'files' (varios) o 'file' (uno), opcionales, con 'descripciones' en el mismo orden
+router.post('/medical-records', authenticateToken, requirePermission('medical:write'), uploadFiles, MedicalController.create);
 
-// Actualizar ficha (admin) - admite file opcional (reemplaza si se envía)
-router.put('/medical-records/:id', authenticateToken, requireAdmin, upload.single('file'), MedicalController.update);
+// Actualizar ficha (admin / veterinario) - los archivos enviados se añaden a los adjuntos
+router.put('/medical-records/:id', authenticateToken, requirePermission('medical:write'), uploadFiles, MedicalController.update);
 
-// Eliminar ficha (admin)
+// Eliminar ficha (admin) - borrado lógico, se purga tras la retención
 router.delete('/medical-records/:id', authenticateToken, requireAdmin, MedicalController.remove);
 
+// Restaurar ficha eliminada (admin)
+router.post('/medical-records/:id/restore', authenticateToken, requireAdmin, [idRule, handleValidationErrors], MedicalController.restore);
+
+// ---------- ADJUNTOS ----------
+
+router.get('/medical-records/:id/adjuntos', authenticateToken, [idRule, handleValidationErrors], MedicalController.listAttachments);
+
+router.post('/medical-records/:id/adjuntos',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [idRule, handleValidationErrors],
+  uploadFiles,
+  MedicalController.addAttachments
+);
+
+router.get('/medical-records/:id/adjuntos/:adjuntoId/download',
+  authenticateToken,
+  [
+    idRule,
+    adjuntoIdRule,
+    query('variante').optional().isIn(Object.keys(VARIANTS)).withMessage(`variante debe ser ${Object.keys(VARIANTS).join(' | ')}`),
+    handleValidationErrors
+  ],
+  MedicalController.downloadAttachment
+);
+
+// (debe ir antes de /adjuntos/:adjuntoId)
+router.put('/medical-records/:id/adjuntos/orden',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [
+    idRule,
+    body('ids').isArray({ min: 1 }).withMessage('ids debe ser un arreglo con los adjuntos en el orden nuevo'),
+    body('ids.*').isInt({ min: 1 }).withMessage('ids[] debe contener ids de adjuntos'),
+    handleValidationErrors
+  ],
+  MedicalController.reorderAttachments
+);
+
+router.patch('/medical-records/:id/adjuntos/:adjuntoId',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [
+    idRule,
+    adjuntoIdRule,
+    body('descripcion').optional().isString().isLength({ max: 255 }).withMessage('descripcion admite hasta 255 caracteres'),
+    body('orden').optional().isInt({ min: 0 }).withMessage('orden debe ser un entero >= 0'),
+    handleValidationErrors
+  ],
+  MedicalController.updateAttachment
+);
+
+router.delete('/medical-records/:id/adjuntos/:adjuntoId',
+  authenticateToken,
+  requirePermission('medical:write'),
+  [idRule, adjuntoIdRule, handleValidationErrors],
+  MedicalController.removeAttachment
+);
+
 module.exports = router;
\ No newline at end of file
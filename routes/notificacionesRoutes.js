@@ -0,0 +1,35 @@
+// routes/notificacionesRoutes.js
+/**
+ * Rutas del outbox de notificaciones. Solo admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificacionesController = require('../controllers/notificacionesController');
+const { authenticateToken } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const NotificationService = require('../services/notificationService');
+
+const ESTADOS = Object.values(NotificationService.ESTADOS);
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+router.get('/',
+  authenticateToken,
+  requireAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('estado').optional().isIn(ESTADOS).withMessage(`estado debe ser uno de: ${ESTADOS.join(', ')}`),
+    query('referencia_id').optional().isInt({ min: 1 }),
+    handleValidationErrors
+  ],
+  NotificacionesController.list
+);
+
+router.get('/:id', authenticateToken, requireAdmin, [idRule, handleValidationErrors], NotificacionesController.getById);
+
+router.post('/:id/retry', authenticateToken, requireAdmin, [idRule, handleValidationErrors], NotificacionesController.retry);
+
+module.exports = router;
@@ -2,51 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const PropietariosController = require('../controllers/propietariosController');
-const { authenticateToken } = require('../middleware/auth');
-const { body, param } = require('express-validator');
+const { authenticateToken, requirePermission, requireOwner } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
 const requireAdmin = require('../middleware/requireAdmin');
+const includeDeleted = require('../middleware/includeDeleted');
+const { IDIOMAS } = require('../services/notificationTemplates');
+const { STRATEGIES } = require('../services/ownerDeletionService');
 
-// Listar propietarios (protegido)
-router.get('/', authenticateToken, PropietariosController.list);
+// idioma de las notificaciones por correo
+const idiomaRule = body('idioma').optional().isIn(IDIOMAS).withMessage(`idioma debe ser uno de: ${IDIOMAS.join(', ')}`);
 
-// Obtener propia info (propietario autenticado)
-router.get('/me', authenticateToken, PropietariosController.getMe);
+// Listar propietarios (personal con permiso propietarios:read)
+// (?include_deleted=true: también los eliminados, solo admin)
+router.get('/', authenticateToken, requirePermission('propietarios:read'), includeDeleted, PropietariosController.list);
 
-// Obtener por id
-router.get('/:id', authenticateToken,
+// Obtener propia info (solo token de propietario: los ids del personal son de otra tabla)
+router.get('/me', authenticateToken, requireOwner, PropietariosController.getMe);
+
+// Obtener por id (personal con permiso propietarios:read, o el propio propietario)
+router.get('/:id', authenticateToken, includeDeleted,
   [param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors],
   PropietariosController.getById
 );
 
-// Crear propietario (solo admin)
-router.post('/', authenticateToken, requireAdmin,
+// Crear propietario (personal con permiso propietarios:write)
+router.post('/', authenticateToken, requirePermission('propietarios:write'),
   [
     body('nombre').trim().notEmpty().withMessage('Nombre es requerido'),
     body('email').isEmail().withMessage('Email inválido'),
     body('telefono').optional().trim().matches(/^[\+]?[0-9\-\(\)\s]{7,20}$/).withMessage('Teléfono inválido'),
     // password optional pero si viene debe cumplir
     body('password').optional().isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+    idiomaRule,
     handleValidationErrors
   ],
   PropietariosController.create
 );
 
-// Actualizar propio perfil (propietario autenticado)
-router.put('/me', authenticateToken,
+// Actualizar propio perfil (solo token de propietario)
+router.put('/me', authenticateToken, requireOwner,
   [
     body('nombre').optional().isLength({ min: 2 }).withMessage('Nombre muy corto'),
     body('email').optional().isEmail().withMessage('Email inválido'),
     body('telefono').optional().trim().matches(/^[\+]?[0-9\-\(\)\s]{7,20}$/).withMessage('Teléfono inválido'),
     body('direccion').optional().isLength({ min: 3 }).withMessage('Dirección inválida'),
     body('password').optional().isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+    idiomaRule,
     handleValidationErrors
   ],
   PropietariosController.updateMe
 );
 
-// Actualizar propietario por id (solo admin)
-router.put('/:id', authenticateToken, requireAdmin,
+// Actualizar propietario por id (personal con permiso propietarios:write)
+router.put('/:id', authenticateToken, requirePermission('propietarios:write'),
   [
     param('id').isInt({ min: 1 }).withMessage('ID inválido'),
     body('nombre').optional().isLength({ min: 2 }).withMessage('Nombre muy corto'),
@@ -54,17 +63,37 @@ router.put('/:id', authenticateToken, requireAdmin,
     body('telefono').optional().trim().matches(/^[\+]?[0-9\-\(\)\s]{7,20}$/).withMessage('Teléfono inválido'),
     // password optional para update (si viene y no es vacío, se usará)
     body('password').optional().isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+    idiomaRule,
     handleValidationErrors
   ],
   PropietariosController.update
 );
 
-// Eliminar propietario (solo admin)
-router.delete('/:id', authenticateToken, requireAdmin,
+// Impacto de eliminar un propietario: mascotas, citas futuras, fichas y archivos (solo admin)
+router.get('/:id/delete-impact', authenticateToken, requireAdmin,
   [param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors],
+  PropietariosController.deleteImpact
+);
+
+// Eliminar propietario (solo admin): ?strategy=block (por defecto) | transfer&transfer_to=<id> | cascade
+router.delete('/:id', authenticateToken, requireAdmin,
+  [
+    param('id').isInt({ min: 1 }).withMessage('ID inválido'),
+    query('strategy').optional().isIn(Object.values(STRATEGIES)).withMessage(`strategy debe ser ${Object.values(STRATEGIES).join(' | ')}`),
+    query('transfer_to')
+      .if(query('strategy').equals(STRATEGIES.TRANSFER))
+      .isInt({ min: 1 }).withMessage('transfer_to (id del propietario que recibe las mascotas) es requerido con strategy=transfer'),
+    handleValidationErrors
+  ],
   PropietariosController.remove
 );
 
+// Restaurar propietario eliminado, con sus mascotas, citas y fichas (solo admin)
+router.post('/:id/restore', authenticateToken, requireAdmin,
+  [param('id').isInt({ min: 1 }).withMessage('ID inválido'), handleValidationErrors],
+  PropietariosController.restore
+);
+
 // Login propietario (público — para app móvil)
 router.post('/login',
   [
@@ -7,74 +7,96 @@ const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/userController');
 const { validateUser, validateUserId } = require('../middleware/validation');
+const { authenticateToken, requireStaff, verifyOwnership } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { auditTrail } = require('../middleware/audit');
+
+/**
+ * Política del router (tabla usuarios = personal de la clínica, incluye admins):
+ * - Todas las rutas requieren token de personal (los propietarios no tienen acceso)
+ * - Listar, buscar, estadísticas, crear y eliminar: solo admin
+ * - Ver / actualizar por ID: admin o el propio usuario (verifyOwnership)
+ * - Todas las peticiones quedan registradas en la tabla auditoria
+ */
+router.use(auditTrail('usuarios'), authenticateToken, requireStaff);
 
 /**
  * @route GET /users
  * @description Obtiene todos los usuarios con paginación opcional
- * @access Public
+ * @access Private (solo admin)
  * @param {number} [page=1] - Número de página
  * @param {number} [limit=10] - Límite de usuarios por página
  * @param {string} [search] - Término de búsqueda por nombre
  * @returns {Object} Lista de usuarios con metadatos de paginación
  */
-router.get('/', UserController.getAllUsers);
+router.get('/', requireAdmin, UserController.getAllUsers);
 
 /**
  * @route GET /users/search
  * @description Busca usuarios por nombre
- * @access Public
+ * @access Private (solo admin)
  * @param {string} q - Término de búsqueda (query parameter)
  * @returns {Object} Lista de usuarios que coinciden con la búsqueda
  */
-router.get('/search', UserController.searchUsers);
+router.get('/search', requireAdmin, UserController.searchUsers);
 
 /**
  * @route GET /users/stats
  * @description Obtiene estadísticas de usuarios
- * @access Public
+ * @access Private (solo admin)
  * @returns {Object} Estadísticas del sistema de usuarios
  */
-router.get('/stats', UserController.getUserStats);
+router.get('/stats', requireAdmin, UserController.getUserStats);
 
 /**
  * @route GET /users/:id
  * @description Obtiene un usuario específico por ID
- * @access Public
+ * @access Private (admin o el propio usuario)
  * @param {number} id - ID del usuario
  * @returns {Object} Datos del usuario solicitado
  */
-router.get('/:id', validateUserId, UserController.getUserById);
+router.get('/:id', validateUserId, verifyOwnership, UserController.getUserById);
 
 /**
  * @route POST /users
  * @description Crea un nuevo usuario
- * @access Public
+ * @access Private (solo admin)
  * @body {string} nombre - Nombre completo del usuario (requerido)
  * @body {string} email - Email único del usuario (requerido)
  * @body {string} telefono - Número de teléfono del usuario (requerido)
  * @returns {Object} Usuario creado
  */
-router.post('/', validateUser, UserController.createUser);
+router.post('/', requireAdmin, validateUser, UserController.createUser);
 
 /**
  * @route PUT /users/:id
  * @description Actualiza un usuario existente
- * @access Public
+ * @access Private (admin o el propio usuario)
  * @param {number} id - ID del usuario a actualizar
  * @body {string} nombre - Nombre completo del usuario (requerido)
  * @body {string} email - Email único del usuario (requerido)
  * @body {string} telefono - Número de teléfono del usuario (requerido)
  * @returns {Object} Usuario actualizado
  */
-router.put('/:id', validateUserId, validateUser, UserController.updateUser);
+router.put('/:id', validateUserId, verifyOwnership, validateUser, UserController.updateUser);
+
+/**
+ * @route PATCH /users/:id/role
+ * @description Cambia el rol de un usuario del personal
+ * @access Private (solo admin)
+ * @param {number} id - ID del usuario
+ * @body {string} role - admin | veterinario | recepcionista | groomer | user
+ * @returns {Object} Usuario actualizado
+ */
+router.patch('/:id/role', requireAdmin, validateUserId, UserController.updateUserRole);
 
 /**
  * @route DELETE /users/:id
  * @description Elimina un usuario
- * @access Public
+ * @access Private (solo admin)
  * @param {number} id - ID del usuario a eliminar
  * @returns {Object} Mensaje de confirmación
  */
-router.delete('/:id', validateUserId, UserController.deleteUser);
+router.delete('/:id', requireAdmin, validateUserId, UserController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// routes/vacunasRoutes.js
+/**
+ * Rutas del catálogo de vacunas y de vacunas vencidas.
+ * Catálogo: lectura para cualquier usuario autenticado, escritura solo admin.
+ * Vencidas: personal con medical:read. Las dosis por mascota están en mascotasRoutes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const VacunasController = require('../controllers/vacunasController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const idRule = param('id').isInt({ min: 1 }).withMessage('ID inválido');
+
+// optional = true para PUT (todos los campos opcionales)
+const definitionRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('nombre').isString().trim().isLength({ min: 2, max: 100 }).withMessage('nombre debe tener entre 2 y 100 caracteres'),
+    body('especie').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('especie debe tener como máximo 50 caracteres'),
+    body('descripcion').optional({ nullable: true }).isLength({ max: 255 }),
+    body('dosis_iniciales').optional().isInt({ min: 1, max: 10 }).withMessage('dosis_iniciales debe ser un entero entre 1 y 10'),
+    body('intervalo_dosis_dias').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('intervalo_dosis_dias debe ser un entero entre 1 y 365'),
+    body('refuerzo_dias').optional({ nullable: true }).isInt({ min: 1, max: 3650 }).withMessage('refuerzo_dias debe ser un entero entre 1 y 3650'),
+    body('activo').optional().isBoolean().toBoolean()
+  ];
+};
+
+router.get('/', authenticateToken, VacunasController.list);
+
+// (antes de /:id)
+router.get('/vencidas',
+  authenticateToken,
+  requirePermission('medical:read'),
+  [
+    query('desde').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('desde debe tener formato YYYY-MM-DD'),
+    query('hasta').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('hasta debe tener formato YYYY-MM-DD'),
+    query('vacuna_id').optional().isInt({ min: 1 }),
+    handleValidationErrors
+  ],
+  VacunasController.due
+);
+
+router.get('/:id', authenticateToken, [idRule, handleValidationErrors], VacunasController.getById);
+
+router.post('/',
+  authenticateToken,
+  requireAdmin,
+  [...definitionRules(false), handleValidationErrors],
+  VacunasController.create
+);
+
+router.put('/:id',
+  authenticateToken,
+  requireAdmin,
+  [idRule, ...definitionRules(true), handleValidationErrors],
+  VacunasController.update
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * scripts/generatePreviews.js — miniaturas y vistas previas de los adjuntos ya existentes
+ * (los subidos antes de la migración 016) y borrado de sus metadatos EXIF/GPS.
+ *
+ *   npm run previews:generate -- [--all] [--dry-run]
+ *
+ * Por defecto solo procesa los adjuntos sin miniatura; con --all los regenera todos.
+ * Usa el mismo almacenamiento que la API (STORAGE_DRIVER, STORAGE_LOCAL_DIR, S3_*).
+ */
+
+require('dotenv').config();
+const db = require('../db');
+const { KEY_PREFIX } = require('../services/attachmentService');
+const PreviewService = require('../services/previewService');
+
+function parseArgs(argv) {
+  const opts = { all: false, dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--all') opts.all = true;
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return opts;
+}
+
+const run = async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const [rows] = await db.query(
+    `SELECT id, filename, original_name, mime FROM ficha_adjuntos
+     ${opts.all ? '' : 'WHERE thumbnail_filename IS NULL'} ORDER BY id`
+  );
+  console.log(`🖼️  ${rows.length} adjuntos por procesar${opts.dryRun ? ' [simulación]' : ''}`);
+
+  const totals = { generados: 0, sinVista: 0, errores: 0 };
+  for (const row of rows) {
+    try {
+      if (opts.dryRun) {
+        console.log(`   ${row.id} ${row.filename} (${row.mime})`);
+        continue;
+      }
+      const out = await PreviewService.processStored(KEY_PREFIX, row.filename, row.mime, { originalname: row.original_name });
+      const fields = ['thumbnail_filename = ?', 'preview_filename = ?'];
+      const params = [out.thumbnail_filename, out.preview_filename];
+      if (typeof out.size === 'number') { fields.push('size_bytes = ?'); params.push(out.size); }
+      await db.query(`UPDATE ficha_adjuntos SET ${fields.join(', ')} WHERE id = ?`, [...params, row.id]);
+      if (out.thumbnail_filename) totals.generados++; else totals.sinVista++;
+    } catch (err) {
+      totals.errores++;
+      console.error(`❌ ${row.id} ${row.filename}:`, err.message || err);
+    }
+  }
+
+  console.log(`✅ ${totals.generados} con vista previa, ${totals.sinVista} sin vista previa posible, ${totals.errores} errores`);
+  await db.closePool();
+  if (totals.errores) process.exit(1);
+};
+
+run().catch((err) => {
+  console.error('❌ Error generando vistas previas:', err.message || err);
+  process.exit(1);
+});
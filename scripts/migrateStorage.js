@@ -0,0 +1,80 @@
+/**
+ * scripts/migrateStorage.js — copia los archivos subidos de un almacenamiento a otro
+ * (p. ej. del disco local a S3 antes de pasar a STORAGE_DRIVER=s3).
+ *
+ *   npm run storage:migrate -- --from local --to s3 [--prefix medical] [--dry-run] [--delete-source]
+ *
+ * Cada driver se configura con las mismas variables que la API (STORAGE_LOCAL_DIR, S3_*).
+ * Los archivos que ya existen en el destino se omiten, así que se puede relanzar tras un
+ * error. Con --delete-source se borra del origen cada archivo ya presente en el destino.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { DRIVERS, STORAGE_DRIVER, createDriver } = require('../services/storageService');
+
+// tipos de los adjuntos admitidos (routes/medicalRoutes.js)
+const MIME_BY_EXT = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+function parseArgs(argv) {
+  const opts = { from: 'local', to: STORAGE_DRIVER, prefix: 'medical', dryRun: false, deleteSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') opts.from = argv[++i];
+    else if (arg === '--to') opts.to = argv[++i];
+    else if (arg === '--prefix') opts.prefix = argv[++i];
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--delete-source') opts.deleteSource = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  for (const name of [opts.from, opts.to]) {
+    if (!DRIVERS.includes(name)) throw new Error(`Driver desconocido: "${name}" (usa ${DRIVERS.join(' | ')})`);
+  }
+  if (opts.from === opts.to) throw new Error('--from y --to deben ser drivers distintos');
+  return opts;
+}
+
+const run = async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const source = createDriver(opts.from);
+  const target = createDriver(opts.to);
+  console.log(`📦 ${source.describe()} → ${target.describe()} (prefijo "${opts.prefix}")${opts.dryRun ? ' [simulación]' : ''}`);
+
+  const totals = { copiados: 0, omitidos: 0, errores: 0, bytes: 0 };
+  for await (const item of source.list(opts.prefix)) {
+    try {
+      if (await target.exists(item.key)) {
+        // ya copiado (p. ej. en una ejecución anterior)
+        if (opts.deleteSource && !opts.dryRun) await source.remove(item.key);
+        totals.omitidos++;
+        continue;
+      }
+      if (!opts.dryRun) {
+        const file = await source.get(item.key);
+        if (!file) continue; // borrado mientras tanto
+        await target.put(item.key, file.stream, { contentType: MIME_BY_EXT[path.extname(item.key).toLowerCase()] });
+        if (opts.deleteSource) await source.remove(item.key);
+      }
+      totals.copiados++;
+      totals.bytes += item.size || 0;
+    } catch (err) {
+      totals.errores++;
+      console.error(`❌ ${item.key}:`, err.message || err);
+    }
+  }
+
+  console.log(`✅ ${totals.copiados} copiados (${(totals.bytes / 1024 / 1024).toFixed(1)} MB), ${totals.omitidos} ya existían, ${totals.errores} errores`);
+  if (totals.errores) process.exit(1);
+};
+
+run().catch((err) => {
+  console.error('❌ Error migrando el almacenamiento:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * scripts/purgeDeleted.js — borra definitivamente los propietarios, mascotas, citas y fichas
+ * eliminados (borrado lógico) hace más de SOFT_DELETE_RETENTION_DAYS, con los archivos de las fichas.
+ *
+ *   npm run purge:deleted -- [--days N] [--dry-run]
+ *
+ * Procesa lotes hasta que no queda nada que purgar. --dry-run solo cuenta el primer lote.
+ * Es lo mismo que hace `node worker.js` cada PURGE_INTERVAL_HOURS.
+ */
+
+require('dotenv').config();
+const db = require('../db');
+const SoftDeleteService = require('../services/softDeleteService');
+
+function parseArgs(argv) {
+  const opts = { days: SoftDeleteService.RETENTION_DAYS, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--days') {
+      opts.days = parseInt(argv[++i], 10);
+      if (!(opts.days >= 0)) throw new Error('--days debe ser un entero >= 0');
+    } else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return opts;
+}
+
+const TABLAS = ['fichas_medicas', 'citas', 'mascotas', 'propietarios'];
+
+const run = async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const total = { fichas_medicas: 0, citas: 0, mascotas: 0, propietarios: 0, errores: 0 };
+
+  // un lote por tabla en cada vuelta; termina cuando una vuelta no purga nada
+  for (;;) {
+    const r = await SoftDeleteService.purge(opts);
+    for (const k of Object.keys(total)) total[k] += r[k];
+    if (opts.dryRun || !TABLAS.some(t => r[t] > 0)) break;
+  }
+
+  const verbo = opts.dryRun ? 'Se purgarían' : 'Purgados';
+  console.log(`🗑️ ${verbo} (eliminados hace más de ${opts.days} días): ` +
+    TABLAS.map(t => `${total[t]} ${t}`).join(', ') + `, ${total.errores} errores`);
+
+  await db.closePool();
+  if (total.errores) process.exit(1);
+};
+
+run().catch((err) => {
+  console.error('❌ Error purgando eliminados:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * scripts/reconcileStorage.js — cruza los archivos de "medical/" con ficha_adjuntos:
+ * archivos huérfanos, referencias rotas y uso de espacio por mascota y propietario.
+ *
+ *   npm run storage:reconcile -- [--remove-orphans] [--remove-dangling] [--json]
+ *
+ * Sin opciones solo informa. Los huérfanos más recientes que STORAGE_ORPHAN_GRACE_MINUTES
+ * (60 por defecto) no se borran nunca: pueden ser subidas en curso.
+ */
+
+require('dotenv').config();
+const db = require('../db');
+const StorageAuditService = require('../services/storageAuditService');
+
+function parseArgs(argv) {
+  const opts = { huerfanos: false, referencias: false, json: false };
+  for (const arg of argv) {
+    if (arg === '--remove-orphans') opts.huerfanos = true;
+    else if (arg === '--remove-dangling') opts.referencias = true;
+    else if (arg === '--json') opts.json = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  return opts;
+}
+
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+function print(report) {
+  const t = report.totales;
+  console.log(`📦 ${report.almacenamiento}: ${t.archivos} archivos, ${mb(t.bytes)}`);
+  console.log(`   referenciados: ${t.referenciados.archivos} (${mb(t.referenciados.bytes)})`);
+  console.log(`   huérfanos: ${t.huerfanos.archivos} (${mb(t.huerfanos.bytes)})`);
+  for (const h of report.huerfanos) {
+    console.log(`     ${h.key} ${h.size} B${h.en_gracia ? ` [reciente: < ${report.gracia_minutos} min]` : ''}`);
+  }
+  console.log(`   referencias rotas: ${t.referencias_rotas}`);
+  for (const r of report.referencias_rotas) {
+    console.log(`     adjunto ${r.adjunto_id} (ficha ${r.ficha_id}, ${r.tipo}): ${r.filename}`);
+  }
+
+  console.log('\n🐾 Por mascota');
+  for (const m of report.por_mascota) {
+    console.log(`   ${m.mascota_id} ${m.mascota_nombre || '-'} (propietario ${m.owner_id || '-'}): ${m.archivos} archivos, ${mb(m.bytes)}`);
+  }
+  console.log('\n👤 Por propietario');
+  for (const p of report.por_propietario) {
+    console.log(`   ${p.owner_id} ${p.propietario_nombre || '-'}: ${p.mascotas} mascotas, ${p.archivos} archivos, ${mb(p.bytes)}`);
+  }
+
+  if (report.eliminados) {
+    const e = report.eliminados;
+    console.log(`\n🧹 Eliminados: ${e.huerfanos} huérfanos (${mb(e.bytes)}), ${e.adjuntos} adjuntos sin archivo, ${e.variantes} variantes, ${e.errores} errores`);
+  }
+}
+
+const run = async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const report = opts.huerfanos || opts.referencias
+    ? await StorageAuditService.reconcile(opts)
+    : await StorageAuditService.audit();
+
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else print(report);
+
+  await db.closePool();
+  if (report.eliminados && report.eliminados.errores) process.exit(1);
+};
+
+run().catch((err) => {
+  console.error('❌ Error conciliando el almacenamiento:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,337 @@
+// services/attachmentService.js
+/**
+ * Adjuntos de las fichas médicas (tabla ficha_adjuntos).
+ *
+ * - Una ficha puede tener varios archivos (hasta MEDICAL_MAX_ATTACHMENTS), cada uno
+ *   con su descripción y su posición (orden). Multer los escribe en el almacenamiento
+ *   configurado (services/storageService.js) bajo la clave "medical/<filename>";
+ *   aquí se registran, se sirven y se borran.
+ * - Si la transacción que registra los adjuntos falla, el llamador debe borrar los
+ *   archivos ya escritos con discardUploads.
+ * - Los archivos no se sirven como estáticos: `url` es un enlace firmado (JWT de corta
+ *   duración ligado al adjunto) que permite incrustarlos en <img> sin cabecera
+ *   Authorization; solo se entrega a quien ya pasó el control de acceso a la ficha.
+ * - Imágenes y PDF tienen además miniatura y vista previa WEBP (services/previewService.js),
+ *   con sus propios enlaces firmados: `thumbnail_url` y `preview_url` (null si no hay).
+ */
+
+const { pipeline } = require('stream');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const Storage = require('./storageService');
+
+// prefijo de las claves de los adjuntos en el almacenamiento
+const KEY_PREFIX = 'medical';
+
+const MAX_ADJUNTOS = Math.max(1, parseInt(process.env.MEDICAL_MAX_ATTACHMENTS, 10) || 20);
+
+// tamaño máximo de cada archivo (10 MB)
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const URL_SECRET = process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'default_secret_key';
+const URL_AUDIENCE = 'ficha-adjunto';
+const URL_TTL_SECONDS = Math.max(30, parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 900);
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+
+// variante -> columna de ficha_adjuntos con su archivo
+const VARIANTS = {
+  thumbnail: 'thumbnail_filename',
+  preview: 'preview_filename'
+};
+const VARIANT_MIME = 'image/webp';
+
+class AdjuntoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdjuntoError';
+    this.status = status;
+  }
+}
+
+/**
+ * Token del enlace firmado de un adjunto (caduca a los URL_TTL_SECONDS)
+ * @param {Object} adjunto - fila de ficha_adjuntos
+ * @param {string} [variant] - 'thumbnail' | 'preview' (sin ella, el original)
+ */
+function signFileToken(adjunto, variant) {
+  return jwt.sign(
+    variant ? { fi: Number(adjunto.ficha_id), v: variant } : { fi: Number(adjunto.ficha_id) },
+    URL_SECRET,
+    { audience: URL_AUDIENCE, subject: String(adjunto.id), expiresIn: URL_TTL_SECONDS }
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {{ adjuntoId: number, fichaId: number, variant: string|null }}
+ * @throws {AdjuntoError} 400 inválido, 410 caducado
+ */
+function verifyFileToken(token) {
+  try {
+    const payload = jwt.verify(token, URL_SECRET, { audience: URL_AUDIENCE });
+    if (payload.v && !VARIANTS[payload.v]) throw new Error('variante desconocida');
+    return { adjuntoId: Number(payload.sub), fichaId: Number(payload.fi), variant: payload.v || null };
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') throw new AdjuntoError('El enlace del archivo ha caducado', 410);
+    throw new AdjuntoError('Enlace inválido');
+  }
+}
+
+// Enlace firmado (relativo al host de la API) para ver el archivo o una de sus variantes
+function urlFor(adjunto, variant) {
+  return `${API_PREFIX}/medical-records/archivos/${signFileToken(adjunto, variant)}`;
+}
+
+function keyFor(filename) {
+  return `${KEY_PREFIX}/${filename}`;
+}
+
+function fromRow(row) {
+  return {
+    ...row,
+    url: urlFor(row),
+    thumbnail_url: row.thumbnail_filename ? urlFor(row, 'thumbnail') : null,
+    preview_url: row.preview_filename ? urlFor(row, 'preview') : null,
+    url_expira: new Date(Date.now() + URL_TTL_SECONDS * 1000).toISOString(),
+    download_url: `${API_PREFIX}/medical-records/${row.ficha_id}/adjuntos/${row.id}/download`
+  };
+}
+
+// borrar un archivo no es crítico: si falla queda huérfano en el almacenamiento
+async function removeQuietly(filename) {
+  if (!filename) return;
+  try {
+    await Storage.remove(keyFor(filename));
+  } catch (err) {
+    console.warn(`⚠️ No se pudo borrar el adjunto ${filename}:`, err.message || err);
+  }
+}
+
+// original y variantes de un adjunto (fila o archivo de multer)
+function filenamesOf(adjunto) {
+  return [adjunto.filename, ...Object.values(VARIANTS).map(col => adjunto[col])].filter(Boolean);
+}
+
+/**
+ * Borra del almacenamiento archivos subidos por multer que no llegaron a registrarse
+ * (con sus miniaturas y vistas previas)
+ * @param {Array} files - req.files (o lista de { filename, thumbnail_filename, preview_filename })
+ */
+async function discardUploads(files) {
+  await Promise.all((files || []).flatMap(filenamesOf).map(removeQuietly));
+}
+
+/**
+ * Adjuntos de una ficha en su orden
+ * @param {number|string} fichaId
+ * @param {Object} [conn]
+ */
+async function listByFicha(fichaId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM ficha_adjuntos WHERE ficha_id = ? ORDER BY orden, id',
+    [fichaId]
+  );
+  return rows.map(fromRow);
+}
+
+/**
+ * Adjuntos de varias fichas, agrupados por ficha_id
+ * @param {Array<number>} fichaIds
+ * @returns {Promise<Map<number, Array>>}
+ */
+async function listByFichas(fichaIds, conn = db) {
+  const out = new Map();
+  if (!fichaIds.length) return out;
+  const [rows] = await conn.query(
+    'SELECT * FROM ficha_adjuntos WHERE ficha_id IN (?) ORDER BY ficha_id, orden, id',
+    [fichaIds]
+  );
+  for (const row of rows) {
+    const key = Number(row.ficha_id);
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(fromRow(row));
+  }
+  return out;
+}
+
+// adjunto de una ficha no eliminada (borrado lógico)
+async function get(fichaId, adjuntoId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT a.* FROM ficha_adjuntos a JOIN fichas_medicas f ON a.ficha_id = f.id
+     WHERE a.id = ? AND a.ficha_id = ? AND f.deleted_at IS NULL`,
+    [adjuntoId, fichaId]
+  );
+  return rows.length ? fromRow(rows[0]) : null;
+}
+
+/**
+ * Registra archivos subidos como adjuntos de la ficha, al final de su orden
+ * @param {Object} conn - conexión en transacción
+ * @param {number|string} fichaId
+ * @param {Array} files - archivos de multer ({ filename, originalname, mimetype, size,
+ *   thumbnail_filename, preview_filename })
+ * @param {Object} [opts] - { descripciones: [texto por archivo], uploadedBy }
+ * @returns {Promise<Array<number>>} ids creados
+ * @throws {AdjuntoError} 400 se supera MAX_ADJUNTOS
+ */
+async function add(conn, fichaId, files, { descripciones = [], uploadedBy = null } = {}) {
+  if (!files || !files.length) return [];
+  // bloquea la ficha para que dos subidas simultáneas no compartan orden ni superen el máximo
+  await conn.query('SELECT id FROM fichas_medicas WHERE id = ? FOR UPDATE', [fichaId]);
+  const [[stats]] = await conn.query(
+    'SELECT COUNT(*) AS total, COALESCE(MAX(orden) + 1, 0) AS siguiente FROM ficha_adjuntos WHERE ficha_id = ?',
+    [fichaId]
+  );
+  if (Number(stats.total) + files.length > MAX_ADJUNTOS) {
+    throw new AdjuntoError(`Una ficha admite como máximo ${MAX_ADJUNTOS} adjuntos (tiene ${stats.total})`);
+  }
+
+  const ids = [];
+  let orden = Number(stats.siguiente);
+  for (let i = 0; i < files.length; i++) {
+    const f = files[i];
+    const descripcion = descripciones[i] ? String(descripciones[i]).trim().slice(0, 255) || null : null;
+    const [result] = await conn.query(
+      `INSERT INTO ficha_adjuntos
+         (ficha_id, filename, original_name, mime, size_bytes, thumbnail_filename, preview_filename, descripcion, orden, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fichaId, f.filename, f.originalname || f.filename, f.mimetype || null, f.size || null,
+        f.thumbnail_filename || null, f.preview_filename || null, descripcion, orden++, uploadedBy
+      ]
+    );
+    ids.push(result.insertId);
+  }
+  return ids;
+}
+
+/**
+ * Cambia la descripción y/o la posición de un adjunto
+ * @param {number|string} fichaId
+ * @param {number|string} adjuntoId
+ * @param {Object} data - { descripcion, orden }
+ * @returns {Promise<Object|null>} adjunto actualizado, null si no existe
+ */
+async function update(fichaId, adjuntoId, data) {
+  const adjunto = await get(fichaId, adjuntoId);
+  if (!adjunto) return null;
+  const fields = [];
+  const params = [];
+  if (typeof data.descripcion !== 'undefined') { fields.push('descripcion = ?'); params.push(data.descripcion || null); }
+  if (typeof data.orden !== 'undefined') { fields.push('orden = ?'); params.push(Number(data.orden)); }
+  if (fields.length) {
+    await db.query(`UPDATE ficha_adjuntos SET ${fields.join(', ')} WHERE id = ?`, [...params, adjunto.id]);
+  }
+  return get(fichaId, adjuntoId);
+}
+
+/**
+ * Reordena todos los adjuntos de la ficha
+ * @param {number|string} fichaId
+ * @param {Array<number>} ids - todos los ids de adjuntos de la ficha, en el orden nuevo
+ * @returns {Promise<Array>} adjuntos en su nuevo orden
+ * @throws {AdjuntoError} 404 ficha inexistente o eliminada, 400 la lista no coincide con los adjuntos de la ficha
+ */
+async function reorder(fichaId, ids) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [ficha] = await conn.query('SELECT id FROM fichas_medicas WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [fichaId]);
+    if (!ficha.length) throw new AdjuntoError('Ficha no encontrada', 404);
+    const [rows] = await conn.query('SELECT id FROM ficha_adjuntos WHERE ficha_id = ? FOR UPDATE', [fichaId]);
+    const actuales = rows.map(r => Number(r.id)).sort((a, b) => a - b);
+    const nuevos = ids.map(Number);
+    const mismos = nuevos.length === actuales.length && new Set(nuevos).size === nuevos.length &&
+      [...nuevos].sort((a, b) => a - b).every((id, i) => id === actuales[i]);
+    if (!mismos) throw new AdjuntoError('ids debe contener exactamente los adjuntos de la ficha');
+
+    for (let i = 0; i < nuevos.length; i++) {
+      await conn.query('UPDATE ficha_adjuntos SET orden = ? WHERE id = ?', [i, nuevos[i]]);
+    }
+    await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return listByFicha(fichaId);
+}
+
+/**
+ * Elimina un adjunto (registro y archivo)
+ * @returns {Promise<boolean>} false si no existe
+ */
+async function remove(fichaId, adjuntoId) {
+  const adjunto = await get(fichaId, adjuntoId);
+  if (!adjunto) return false;
+  await db.query('DELETE FROM ficha_adjuntos WHERE id = ?', [adjunto.id]);
+  await Promise.all(filenamesOf(adjunto).map(removeQuietly));
+  return true;
+}
+
+// Content-Disposition con el nombre original (ASCII + filename* UTF-8, RFC 6266)
+function contentDisposition(type, filename) {
+  const name = String(filename || 'archivo').replace(/[\r\n"\\]/g, '_');
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_');
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/**
+ * Envía el archivo de un adjunto (o una de sus variantes) en streaming desde el almacenamiento
+ * @param {Object} res - response de Express
+ * @param {Object} adjunto - fila de ficha_adjuntos
+ * @param {string} [disposition] - 'inline' (ver / <img>) o 'attachment' (descargar)
+ * @param {string} [variant] - 'thumbnail' | 'preview'
+ */
+async function sendFile(res, adjunto, disposition = 'attachment', variant = null) {
+  const filename = variant ? adjunto[VARIANTS[variant]] : adjunto.filename;
+  const file = filename ? await Storage.get(keyFor(filename)) : null;
+  if (!file) {
+    return res.status(404).json({ success: false, message: variant ? 'Vista previa no disponible' : 'Archivo no encontrado' });
+  }
+
+  const name = adjunto.original_name || adjunto.filename;
+  res.set({
+    'Content-Type': variant ? VARIANT_MIME : adjunto.mime || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(disposition, variant ? `${name.replace(/\.[^.]+$/, '')}-${variant}.webp` : name),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-cache'
+  });
+  if (typeof file.size === 'number') res.set('Content-Length', String(file.size));
+  pipeline(file.stream, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Error enviando adjunto:', err);
+  });
+}
+
+/**
+ * Borra del almacenamiento los archivos de unos adjuntos ya eliminados de la BD
+ * (p. ej. al borrar la ficha: las filas caen por ON DELETE CASCADE)
+ * @param {Array} adjuntos - filas de ficha_adjuntos
+ */
+async function removeFiles(adjuntos) {
+  await Promise.all((adjuntos || []).flatMap(filenamesOf).map(removeQuietly));
+}
+
+module.exports = {
+  KEY_PREFIX,
+  MAX_ADJUNTOS,
+  MAX_FILE_BYTES,
+  URL_TTL_SECONDS,
+  VARIANTS,
+  AdjuntoError,
+  signFileToken,
+  verifyFileToken,
+  urlFor,
+  keyFor,
+  sendFile,
+  discardUploads,
+  listByFicha,
+  listByFichas,
+  get,
+  add,
+  update,
+  reorder,
+  remove,
+  removeFiles
+};
@@ -0,0 +1,194 @@
+// services/bookingService.js
+/**
+ * Reglas de reserva compartidas por citas y lista de espera:
+ * validación del tipo de consulta y del personal asignado, horario laboral,
+ * solapamientos (citas activas + reservas temporales de la lista de espera)
+ * y la transacción con bloqueo por veterinario en la que se escriben las citas.
+ */
+
+const db = require('../db');
+const { canAttend } = require('../config/permissions');
+const { ESTADOS, ESTADOS_LIBERAN_HORARIO } = require('../config/citaEstados');
+const ScheduleService = require('./scheduleService');
+const AppointmentType = require('../models/AppointmentType');
+const CitaEstadoService = require('./citaEstadoService');
+const TimezoneService = require('./timezoneService');
+
+const OVERLAP_MESSAGE = 'Conflicto: el veterinario tiene otra cita en ese horario (considerando buffer)';
+const OFF_SCHEDULE_MESSAGE = 'Conflicto: el veterinario no trabaja en ese horario (horario, pausa, ausencia o feriado)';
+
+class BookingConflictError extends Error {
+  constructor(message, conflicts = null) {
+    super(message);
+    this.name = 'BookingConflictError';
+    this.status = 409;
+    this.conflicts = conflicts; // detalle por ocurrencia (series)
+  }
+}
+
+// errores de bloqueo de InnoDB que también se informan como conflicto
+const LOCK_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+// Date -> "YYYY-MM-DD HH:MM:SS" en UTC (las citas se guardan en UTC, ver services/timezoneService.js)
+const formatDateToSQL = TimezoneService.toSQL;
+
+/**
+ * hasOverlap:
+ *   Verifica si existe solapamiento con otras citas del mismo veterinario o con una
+ *   reserva temporal vigente de la lista de espera. Considera buffer adicional al final
+ *   de cada cita. Las citas canceladas, no_show o eliminadas no ocupan horario.
+ * @param {number} veterinario_id
+ * @param {string} fecha_inicio - "YYYY-MM-DD HH:MM:SS" en UTC (formatDateToSQL)
+ * @param {number} duracion_min
+ * @param {Object} [opts]
+ * @param {number|number[]} [opts.excludeId] - citas a ignorar (la propia al reprogramar, o la serie)
+ * @param {number} [opts.excludeHoldId] - reserva de lista de espera a ignorar (al aceptarla)
+ * @param {number} [opts.bufferMin=10]
+ * @param {Object} [opts.conn] - conexión en transacción (por defecto el pool)
+ * @returns {Promise<boolean>}
+ */
+async function hasOverlap(veterinario_id, fecha_inicio, duracion_min, { excludeId = null, excludeHoldId = null, bufferMin = 10, conn = db } = {}) {
+  if (!veterinario_id) return false;
+  let sql = `
+    SELECT 1 FROM citas c
+    WHERE c.veterinario_id = ?
+      AND c.deleted_at IS NULL
+      AND c.estado NOT IN (?)
+      AND (? < DATE_ADD(DATE_ADD(c.fecha_inicio, INTERVAL c.duracion_min MINUTE), INTERVAL ? MINUTE))
+      AND (c.fecha_inicio < DATE_ADD(DATE_ADD(?, INTERVAL ? MINUTE), INTERVAL ? MINUTE))
+  `;
+  const params = [veterinario_id, ESTADOS_LIBERAN_HORARIO, fecha_inicio, bufferMin, fecha_inicio, duracion_min, bufferMin];
+  if (excludeId) {
+    sql += ` AND c.id NOT IN (?)`;
+    params.push([].concat(excludeId));
+  }
+  sql += ` LIMIT 1`;
+  const [rows] = await conn.query(sql, params);
+  if (rows.length) return true;
+
+  let holdSql = `
+    SELECT 1 FROM lista_espera_ofertas o
+    WHERE o.veterinario_id = ?
+      AND o.estado = 'pendiente'
+      AND o.expira_en > NOW()
+      AND (? < DATE_ADD(DATE_ADD(o.fecha_inicio, INTERVAL o.duracion_min MINUTE), INTERVAL ? MINUTE))
+      AND (o.fecha_inicio < DATE_ADD(DATE_ADD(?, INTERVAL ? MINUTE), INTERVAL ? MINUTE))
+  `;
+  const holdParams = [veterinario_id, fecha_inicio, bufferMin, fecha_inicio, duracion_min, bufferMin];
+  if (excludeHoldId) {
+    holdSql += ` AND o.id != ?`;
+    holdParams.push(excludeHoldId);
+  }
+  holdSql += ` LIMIT 1`;
+  const [holds] = await conn.query(holdSql, holdParams);
+  return holds.length > 0;
+}
+
+/**
+ * withBookingLock:
+ *   Ejecuta fn(conn) en una transacción con la fila del veterinario bloqueada
+ *   (SELECT ... FOR UPDATE). Así las reservas y reprogramaciones de un mismo
+ *   veterinario se serializan y la comprobación de solapamiento + escritura es atómica:
+ *   la segunda petición espera a que la primera confirme y entonces ve su cita.
+ *   vetIds puede ser un id o una lista (series); se bloquean en orden ascendente.
+ *   Los conflictos (BookingConflictError o deadlock / lock wait timeout) salen como 409.
+ */
+async function withBookingLock(vetIds, fn) {
+  const ids = [...new Set([].concat(vetIds).filter(Boolean).map(Number))].sort((a, b) => a - b);
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const vetId of ids) {
+      await conn.query('SELECT id FROM usuarios WHERE id = ? FOR UPDATE', [vetId]);
+    }
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    if (LOCK_ERRORS.includes(err.code)) {
+      throw new BookingConflictError('Conflicto: otra reserva para ese veterinario se está procesando, intente de nuevo');
+    }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * insertCita:
+ *   Inserta una cita (estado pendiente) y su entrada inicial de historial dentro de la transacción.
+ * @param {Object} conn
+ * @param {Object} booking - { mascota_id, propietario_id, vetId, tipoDef, motivo, durMin }
+ * @param {Date} fecha
+ * @param {Object} user - req.user (para created_by e historial)
+ * @param {Object} [serie] - { id, indice } si la cita pertenece a una serie recurrente
+ * @returns {Promise<number>} id de la cita
+ */
+async function insertCita(conn, booking, fecha, user, serie = null) {
+  const [inserted] = await conn.query(
+    `INSERT INTO citas (mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min, estado, created_by, serie_id, serie_indice)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [booking.mascota_id, booking.propietario_id, booking.vetId, booking.tipoDef.nombre, booking.motivo,
+      formatDateToSQL(fecha), booking.durMin, ESTADOS.PENDIENTE, user?.userId || null,
+      serie ? serie.id : null, serie ? serie.indice : null]
+  );
+  await CitaEstadoService.recordHistory({ citaId: inserted.insertId, from: null, to: ESTADOS.PENDIENTE, user }, conn);
+  return inserted.insertId;
+}
+
+/**
+ * validateAssignee:
+ *   Verifica que el usuario exista y que su rol pueda atender el tipo de consulta
+ *   (appointment_types.roles). Devuelve mensaje de error o null si es válido.
+ */
+async function validateAssignee(userId, tipoDef) {
+  const [urows] = await db.query('SELECT id, role FROM usuarios WHERE id = ?', [userId]);
+  if (!urows.length) return 'Veterinario no encontrado';
+  if (!canAttend((urows[0].role || '').toLowerCase(), tipoDef.roles)) {
+    return `El usuario seleccionado no puede atender citas de tipo "${tipoDef.nombre}" (roles permitidos: ${tipoDef.roles.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * resolveTipo:
+ *   Busca el tipo de consulta en el catálogo (appointment_types).
+ *   Devuelve { tipoDef } o { error: { status, message } }.
+ */
+async function resolveTipo(tipo, user) {
+  const tipoDef = await AppointmentType.findByNombre(tipo);
+  if (!tipoDef) {
+    return { error: { status: 400, message: `tipo_consulta "${tipo}" no existe o está inactivo` } };
+  }
+  if (user && user.role === 'propietario' && !tipoDef.reservable_por_propietario) {
+    return { error: { status: 403, message: `Las citas de tipo "${tipoDef.nombre}" deben reservarse en la clínica` } };
+  }
+  return { tipoDef };
+}
+
+/**
+ * isOffSchedule:
+ *   Verifica si la cita cae fuera del horario laboral del veterinario
+ *   (horario semanal, pausas, ausencias, feriados y excepciones; ver services/scheduleService.js).
+ *   El horario es hora local de la clínica: se compara con el día y la hora de la cita en CLINIC_TIMEZONE.
+ */
+async function isOffSchedule(veterinario_id, fecha, duracion_min) {
+  if (!veterinario_id) return false;
+  const dateStr = TimezoneService.localDateStr(fecha);
+  const startMin = TimezoneService.localMinutes(fecha);
+  return !(await ScheduleService.isAvailable(veterinario_id, dateStr, startMin, duracion_min));
+}
+
+module.exports = {
+  OVERLAP_MESSAGE,
+  OFF_SCHEDULE_MESSAGE,
+  BookingConflictError,
+  formatDateToSQL,
+  hasOverlap,
+  withBookingLock,
+  insertCita,
+  validateAssignee,
+  resolveTipo,
+  isOffSchedule
+};
@@ -0,0 +1,177 @@
+// services/citaEstadoService.js
+/**
+ * Cambios de estado de citas (ver config/citaEstados.js).
+ *
+ * Cada cambio se valida contra la máquina de estados según las capacidades de
+ * quien lo pide y se registra en citas_estado_historial (quién, cuándo, desde
+ * qué estado y con qué motivo) dentro de la misma transacción.
+ */
+
+const db = require('../db');
+const { hasPermission } = require('../middleware/auth');
+const AppointmentType = require('../models/AppointmentType');
+const {
+  ESTADOS,
+  ESTADOS_LIST,
+  ESTADOS_LIBERAN_HORARIO,
+  ESTADOS_CON_MOTIVO,
+  capabilitiesFor,
+  nextEstados
+} = require('../config/citaEstados');
+
+class EstadoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EstadoError';
+    this.status = status;
+  }
+}
+
+/**
+ * Capacidades del usuario sobre una cita: 'owner' si es el propietario de la cita,
+ * 'write' según sus permisos de personal y 'attend' si es quien la atiende
+ * (veterinario asignado con permiso citas:attend).
+ * @param {Object} user - req.user
+ * @param {Object} cita - fila de citas
+ * @returns {string[]}
+ */
+function capabilitiesOf(user, cita) {
+  if (!user) return [];
+  if (user.role === 'propietario') {
+    return Number(user.userId) === Number(cita.propietario_id) ? ['owner'] : [];
+  }
+  const caps = [];
+  if (hasPermission(user, 'citas:write')) caps.push('write');
+  if (hasPermission(user, 'citas:attend') && cita.veterinario_id && Number(cita.veterinario_id) === Number(user.userId)) {
+    caps.push('attend');
+  }
+  return caps;
+}
+
+// Actor para el historial a partir de req.user (null = sistema)
+function actorOf(user) {
+  if (!user) return { type: 'sistema', id: null, role: null };
+  return { type: user.subjectType || 'usuario', id: user.userId || null, role: user.role || null };
+}
+
+/**
+ * Registra una entrada en el historial. Acepta una conexión en transacción o usa el pool.
+ * @param {Object} params - { citaId, from, to, motivo, user }
+ * @param {Object} [conn]
+ */
+async function recordHistory({ citaId, from, to, motivo = null, user = null }, conn = db) {
+  const actor = actorOf(user);
+  await conn.query(
+    `INSERT INTO citas_estado_historial
+       (cita_id, estado_anterior, estado_nuevo, motivo, actor_type, actor_id, actor_role)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [citaId, from, to, motivo, actor.type, actor.id, actor.role]
+  );
+}
+
+/**
+ * transition: cambia el estado de una cita validando la máquina de estados.
+ * @param {number|string} citaId
+ * @param {string} to - estado destino
+ * @param {Object} user - req.user
+ * @param {Object} [opts] - { motivo, beforeCommit: async (conn, { from, to }) => {} }
+ *   beforeCommit se ejecuta dentro de la transacción (p.ej. para encolar notificaciones)
+ * Reabrir una cita cancelada / no_show vuelve a ocupar su horario: se hace con el veterinario
+ * bloqueado (BookingService.withBookingLock) y se comprueban solapamiento, reservas de la lista
+ * de espera y horario laboral, como al reservar.
+ * @returns {Promise<{ from: string, to: string }>}
+ * @throws {EstadoError} 400 estado/motivo inválido, 403 sin permiso, 404 cita inexistente,
+ *   409 transición no permitida u horario ya ocupado
+ */
+async function transition(citaId, to, user, { motivo, beforeCommit = null } = {}) {
+  if (!ESTADOS_LIST.includes(to)) {
+    throw new EstadoError('Estado inválido. Valores permitidos: ' + ESTADOS_LIST.join(', '));
+  }
+  const motivoLimpio = typeof motivo === 'string' ? motivo.trim() : '';
+  if (ESTADOS_CON_MOTIVO.includes(to) && !motivoLimpio) {
+    throw new EstadoError(`Se requiere un motivo para pasar la cita a "${to}"`);
+  }
+
+  // bookingService depende de este módulo: se carga aquí para no crear un require circular
+  const BookingService = require('./bookingService');
+  const [pre] = await db.query('SELECT estado, veterinario_id FROM citas WHERE id = ? AND deleted_at IS NULL', [citaId]);
+  const reabre = (estado) => ESTADOS_LIBERAN_HORARIO.includes(estado) && !ESTADOS_LIBERAN_HORARIO.includes(to);
+  const lockVet = pre.length && reabre(pre[0].estado) ? pre[0].veterinario_id : null;
+
+  return BookingService.withBookingLock(lockVet, async (conn) => {
+    const [rows] = await conn.query('SELECT * FROM citas WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [citaId]);
+    if (!rows.length) throw new EstadoError('Cita no encontrada', 404);
+    const cita = rows[0];
+    const from = cita.estado;
+
+    const caps = capabilitiesOf(user, cita);
+    if (!caps.length) throw new EstadoError('No autorizado para cambiar el estado de esta cita', 403);
+
+    if (from === to) throw new EstadoError(`La cita ya está en estado "${to}"`, 409);
+
+    const required = capabilitiesFor(from, to);
+    if (!required.length) {
+      const allowed = nextEstados(from, caps);
+      throw new EstadoError(
+        `Transición no permitida: ${from} -> ${to}` + (allowed.length ? ` (permitidas: ${allowed.join(', ')})` : ''),
+        409
+      );
+    }
+    if (!required.some(c => caps.includes(c))) {
+      throw new EstadoError(`No autorizado para pasar la cita de "${from}" a "${to}"`, 403);
+    }
+
+    if (reabre(from) && cita.veterinario_id) {
+      // cambió entre la lectura previa y el bloqueo: el veterinario bloqueado no es el suyo
+      if (Number(cita.veterinario_id) !== Number(lockVet)) {
+        throw new EstadoError('La cita cambió mientras se procesaba, intente de nuevo', 409);
+      }
+      const tipoDef = await AppointmentType.findByNombre(cita.tipo_consulta, { includeInactive: true });
+      const fecha = new Date(cita.fecha_inicio);
+      const ocupado = await BookingService.hasOverlap(cita.veterinario_id, BookingService.formatDateToSQL(fecha), cita.duracion_min, {
+        excludeId: cita.id,
+        bufferMin: tipoDef ? Number(tipoDef.buffer_min) : undefined,
+        conn
+      });
+      if (ocupado) throw new EstadoError(`No se puede reabrir: ${BookingService.OVERLAP_MESSAGE}`, 409);
+      if (await BookingService.isOffSchedule(cita.veterinario_id, fecha, cita.duracion_min)) {
+        throw new EstadoError(`No se puede reabrir: ${BookingService.OFF_SCHEDULE_MESSAGE}`, 409);
+      }
+    }
+
+    await conn.query(
+      `UPDATE citas SET estado = ?, motivo_cancelacion = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [to, to === ESTADOS.CANCELADA ? motivoLimpio : null, citaId]
+    );
+    await recordHistory({ citaId, from, to, motivo: motivoLimpio || null, user }, conn);
+    if (beforeCommit) await beforeCommit(conn, { from, to });
+    return { from, to };
+  });
+}
+
+/**
+ * Historial de estados de una cita (más antiguo primero)
+ * @param {number|string} citaId
+ * @returns {Promise<Array>}
+ */
+async function getHistory(citaId) {
+  const [rows] = await db.query(
+    `SELECT h.id, h.estado_anterior, h.estado_nuevo, h.motivo, h.actor_type, h.actor_id, h.actor_role, h.created_at,
+            COALESCE(u.nombre, p.nombre) AS actor_nombre
+     FROM citas_estado_historial h
+     LEFT JOIN usuarios u ON h.actor_type = 'usuario' AND u.id = h.actor_id
+     LEFT JOIN propietarios p ON h.actor_type = 'propietario' AND p.id = h.actor_id
+     WHERE h.cita_id = ?
+     ORDER BY h.created_at, h.id`,
+    [citaId]
+  );
+  return rows;
+}
+
+module.exports = {
+  EstadoError,
+  capabilitiesOf,
+  recordHistory,
+  transition,
+  getHistory
+};
@@ -0,0 +1,366 @@
+// services/encounterService.js
+/**
+ * Encuentros clínicos (notas SOAP) ligados a citas.
+ *
+ * - Un encuentro por cita. Su contenido (subjetivo, constantes vitales y exploración,
+ *   evaluación / diagnósticos, plan) se guarda como versiones completas en
+ *   encuentros_versiones: cada modificación inserta la versión siguiente y nunca
+ *   se reescribe una anterior.
+ * - Mientras está en 'borrador' se puede modificar (con control optimista opcional
+ *   por número de versión). Al firmarlo queda 'firmado' e inmutable, y se genera
+ *   su ficha médica (tipo 'consulta', con la cita asociada).
+ * - appointment_types.encuentro decide qué pasa al completar una cita de ese tipo:
+ *   'ninguno', 'abrir' (crea el borrador si no existe) o 'requerido' (exige uno firmado).
+ */
+
+const db = require('../db');
+const AppointmentType = require('../models/AppointmentType');
+const NotificationService = require('./notificationService');
+const { hasPermission } = require('../middleware/auth');
+const { ESTADOS } = require('../config/citaEstados');
+
+const ESTADOS_ENCUENTRO = {
+  BORRADOR: 'borrador',
+  FIRMADO: 'firmado'
+};
+
+// política de appointment_types.encuentro al completar una cita
+const POLITICAS = {
+  NINGUNO: 'ninguno',
+  ABRIR: 'abrir',
+  REQUERIDO: 'requerido'
+};
+
+// campos SOAP de cada versión
+const SOAP_FIELDS = [
+  'subjetivo',
+  'temperatura_c', 'frecuencia_cardiaca', 'frecuencia_respiratoria', 'peso_kg', 'objetivo',
+  'evaluacion', 'diagnosticos',
+  'plan'
+];
+
+class EncuentroError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EncuentroError';
+    this.status = status;
+  }
+}
+
+const ENCUENTRO_SELECT = `
+  SELECT e.*, v.subjetivo, v.temperatura_c, v.frecuencia_cardiaca, v.frecuencia_respiratoria, v.peso_kg,
+         v.objetivo, v.evaluacion, v.diagnosticos, v.plan, v.autor_id, v.created_at AS version_at,
+         c.fecha_inicio AS cita_fecha_inicio, c.tipo_consulta, c.propietario_id,
+         m.nombre AS mascota_nombre, u.nombre AS veterinario_nombre, f.nombre AS firmado_por_nombre
+  FROM encuentros e
+  JOIN encuentros_versiones v ON v.encuentro_id = e.id AND v.version = e.version
+  JOIN citas c ON e.cita_id = c.id
+  LEFT JOIN mascotas m ON e.mascota_id = m.id
+  LEFT JOIN usuarios u ON e.veterinario_id = u.id
+  LEFT JOIN usuarios f ON e.firmado_por = f.id`;
+
+// Columnas JSON: mysql2 las devuelve ya parseadas, pero por compatibilidad aceptamos strings
+function parseDiagnosticos(val) {
+  if (val === null || typeof val === 'undefined') return [];
+  if (typeof val === 'string') {
+    try { return JSON.parse(val); } catch (e) { return []; }
+  }
+  return val;
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const out = { ...row, diagnosticos: parseDiagnosticos(row.diagnosticos) };
+  for (const f of ['temperatura_c', 'peso_kg']) {
+    if (out[f] !== null && typeof out[f] !== 'undefined') out[f] = Number(out[f]);
+  }
+  return out;
+}
+
+function pickSoap(data) {
+  const out = {};
+  for (const f of SOAP_FIELDS) {
+    if (typeof data[f] !== 'undefined') out[f] = data[f] === '' ? null : data[f];
+  }
+  return out;
+}
+
+function staffId(user) {
+  return user && user.subjectType === 'usuario' ? user.userId : null;
+}
+
+async function insertVersion(conn, encuentroId, version, soap, user) {
+  await conn.query(
+    `INSERT INTO encuentros_versiones
+       (encuentro_id, version, subjetivo, temperatura_c, frecuencia_cardiaca, frecuencia_respiratoria, peso_kg,
+        objetivo, evaluacion, diagnosticos, plan, autor_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      encuentroId, version,
+      soap.subjetivo ?? null, soap.temperatura_c ?? null, soap.frecuencia_cardiaca ?? null,
+      soap.frecuencia_respiratoria ?? null, soap.peso_kg ?? null, soap.objetivo ?? null,
+      soap.evaluacion ?? null, JSON.stringify(soap.diagnosticos || []), soap.plan ?? null,
+      staffId(user)
+    ]
+  );
+}
+
+/**
+ * Encuentro con el contenido de su versión vigente
+ * @param {number|string} id
+ * @param {Object} [conn]
+ */
+async function get(id, conn = db) {
+  const [rows] = await conn.query(`${ENCUENTRO_SELECT} WHERE e.id = ?`, [id]);
+  return fromRow(rows[0]);
+}
+
+async function getByCita(citaId, conn = db) {
+  const [rows] = await conn.query(`${ENCUENTRO_SELECT} WHERE e.cita_id = ?`, [citaId]);
+  return fromRow(rows[0]);
+}
+
+/**
+ * Indica si una ficha forma parte de un encuentro firmado: la que se generó al firmarlo
+ * (encuentros.ficha_id) o una ficha ligada a una cita cuyo encuentro ya está firmado.
+ * Esas fichas son inmutables como el encuentro: no se editan ni se eliminan.
+ * @param {Object} ficha - fila de fichas_medicas (id, cita_id)
+ * @param {Object} [conn]
+ * @returns {Promise<boolean>}
+ */
+async function isFichaFirmada(ficha, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT 1 FROM encuentros WHERE ficha_id = ? OR (cita_id = ? AND estado = ?) LIMIT 1',
+    [ficha.id, ficha.cita_id || null, ESTADOS_ENCUENTRO.FIRMADO]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Abre el encuentro (borrador, versión 1) de una cita
+ * @param {Object} conn - conexión en transacción
+ * @param {number|string} citaId
+ * @param {Object} user - req.user
+ * @param {Object} [data] - contenido SOAP inicial
+ * @returns {Promise<number>} id del encuentro
+ * @throws {EncuentroError} 404 cita inexistente, 409 cita cancelada o encuentro ya abierto
+ */
+async function open(conn, citaId, user, data = {}) {
+  const [rows] = await conn.query('SELECT id, mascota_id, veterinario_id, estado FROM citas WHERE id = ? AND deleted_at IS NULL', [citaId]);
+  if (!rows.length) throw new EncuentroError('Cita no encontrada', 404);
+  const cita = rows[0];
+  if ([ESTADOS.CANCELADA, ESTADOS.NO_SHOW].includes(cita.estado)) {
+    throw new EncuentroError(`No se puede abrir un encuentro en una cita en estado "${cita.estado}"`, 409);
+  }
+
+  let result;
+  try {
+    [result] = await conn.query(
+      'INSERT INTO encuentros (cita_id, mascota_id, veterinario_id, estado, version, created_by) VALUES (?, ?, ?, ?, 1, ?)',
+      [cita.id, cita.mascota_id, cita.veterinario_id, ESTADOS_ENCUENTRO.BORRADOR, staffId(user)]
+    );
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') throw new EncuentroError('La cita ya tiene un encuentro clínico', 409);
+    throw err;
+  }
+  await insertVersion(conn, result.insertId, 1, pickSoap(data), user);
+  return result.insertId;
+}
+
+/**
+ * Guarda una nueva versión de un encuentro en borrador
+ * @param {number|string} id
+ * @param {Object} data - campos SOAP a cambiar (los omitidos conservan su valor)
+ * @param {Object} user - req.user
+ * @param {number} [expectedVersion] - si se indica y no es la vigente -> 409
+ * @returns {Promise<Object>} encuentro actualizado
+ * @throws {EncuentroError} 404, 409 firmado o versión desactualizada
+ */
+async function saveVersion(id, data, user, expectedVersion = null) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query('SELECT * FROM encuentros WHERE id = ? FOR UPDATE', [id]);
+    if (!rows.length) throw new EncuentroError('Encuentro no encontrado', 404);
+    const enc = rows[0];
+    if (enc.estado === ESTADOS_ENCUENTRO.FIRMADO) {
+      throw new EncuentroError('El encuentro está firmado y no se puede modificar', 409);
+    }
+    if (expectedVersion !== null && Number(expectedVersion) !== Number(enc.version)) {
+      throw new EncuentroError(`El encuentro cambió (versión vigente ${enc.version}); recarga antes de guardar`, 409);
+    }
+
+    const current = await get(id, conn);
+    const soap = { ...pickSoap(current), ...pickSoap(data) };
+    const version = Number(enc.version) + 1;
+    await insertVersion(conn, enc.id, version, soap, user);
+    await conn.query('UPDATE encuentros SET version = ? WHERE id = ?', [version, enc.id]);
+
+    await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return get(id);
+}
+
+// texto de la ficha médica generada al firmar
+function fichaNota(enc) {
+  const vitales = [
+    enc.temperatura_c !== null ? `T ${enc.temperatura_c} °C` : null,
+    enc.frecuencia_cardiaca !== null ? `FC ${enc.frecuencia_cardiaca} lpm` : null,
+    enc.frecuencia_respiratoria !== null ? `FR ${enc.frecuencia_respiratoria} rpm` : null,
+    enc.peso_kg !== null ? `Peso ${enc.peso_kg} kg` : null
+  ].filter(Boolean).join(', ');
+  return [
+    enc.subjetivo ? `S: ${enc.subjetivo}` : null,
+    vitales || enc.objetivo ? `O: ${[vitales, enc.objetivo].filter(Boolean).join('. ')}` : null,
+    enc.evaluacion || enc.diagnosticos.length
+      ? `A: ${[enc.evaluacion, enc.diagnosticos.length ? `Diagnósticos: ${enc.diagnosticos.join('; ')}` : null].filter(Boolean).join('. ')}`
+      : null,
+    enc.plan ? `P: ${enc.plan}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Firma un encuentro: queda inmutable y genera su ficha médica (con aviso al propietario).
+ * Firma el veterinario de la cita (o un admin); el encuentro no puede estar vacío.
+ * @param {number|string} id
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} encuentro firmado
+ * @throws {EncuentroError} 403, 404, 409 ya firmado, 400 sin contenido
+ */
+async function sign(id, user) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query('SELECT * FROM encuentros WHERE id = ? FOR UPDATE', [id]);
+    if (!rows.length) throw new EncuentroError('Encuentro no encontrado', 404);
+    const enc = rows[0];
+    if (enc.estado === ESTADOS_ENCUENTRO.FIRMADO) throw new EncuentroError('El encuentro ya está firmado', 409);
+
+    const isAdmin = user.subjectType === 'usuario' && user.role === 'admin';
+    if (!isAdmin && enc.veterinario_id && Number(enc.veterinario_id) !== Number(user.userId)) {
+      throw new EncuentroError('Solo el veterinario de la cita puede firmar el encuentro', 403);
+    }
+
+    const current = await get(id, conn);
+    const nota = fichaNota(current);
+    if (!nota) throw new EncuentroError('El encuentro está vacío: no se puede firmar');
+
+    const [fResult] = await conn.query(
+      'INSERT INTO fichas_medicas (mascota_id, cita_id, tipo, fecha, peso, nota, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [enc.mascota_id, enc.cita_id, 'consulta', current.cita_fecha_inicio, current.peso_kg, nota, staffId(user)]
+    );
+    await conn.query(
+      'UPDATE encuentros SET estado = ?, firmado_por = ?, firmado_at = NOW(), ficha_id = ? WHERE id = ?',
+      [ESTADOS_ENCUENTRO.FIRMADO, staffId(user), fResult.insertId, enc.id]
+    );
+    await NotificationService.notifyFicha(fResult.insertId, conn);
+
+    await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return get(id);
+}
+
+/**
+ * Versiones de un encuentro (más antigua primero)
+ * @param {number|string} id
+ * @returns {Promise<Array>}
+ */
+async function versions(id) {
+  const [rows] = await db.query(
+    `SELECT v.*, u.nombre AS autor_nombre
+     FROM encuentros_versiones v
+     LEFT JOIN usuarios u ON v.autor_id = u.id
+     WHERE v.encuentro_id = ?
+     ORDER BY v.version`,
+    [id]
+  );
+  return rows.map(fromRow);
+}
+
+/**
+ * Aplica la política del tipo de cita al completarla (beforeCommit de la transición):
+ * 'requerido' exige un encuentro firmado; 'abrir' crea el borrador si no existe.
+ * @param {Object} conn - conexión de la transición
+ * @param {number|string} citaId
+ * @param {Object} user - req.user
+ * @throws {EncuentroError} 409 falta el encuentro firmado
+ */
+async function onComplete(conn, citaId, user) {
+  const [rows] = await conn.query(
+    `SELECT c.id, c.tipo_consulta, e.id AS encuentro_id, e.estado AS encuentro_estado
+     FROM citas c LEFT JOIN encuentros e ON e.cita_id = c.id
+     WHERE c.id = ?`,
+    [citaId]
+  );
+  if (!rows.length) return;
+  const cita = rows[0];
+  const tipo = await AppointmentType.findByNombre(cita.tipo_consulta, { includeInactive: true });
+  const politica = tipo ? tipo.encuentro : POLITICAS.NINGUNO;
+
+  if (politica === POLITICAS.REQUERIDO && cita.encuentro_estado !== ESTADOS_ENCUENTRO.FIRMADO) {
+    throw new EncuentroError(
+      cita.encuentro_id
+        ? 'Firma el encuentro clínico antes de completar la cita'
+        : 'Esta cita requiere un encuentro clínico firmado antes de completarla',
+      409
+    );
+  }
+  if (politica === POLITICAS.ABRIR && !cita.encuentro_id && hasPermission(user, 'medical:write')) {
+    await open(conn, cita.id, user);
+  }
+}
+
+/**
+ * Listado de encuentros (sin el contenido SOAP)
+ * @param {Object} [filters] - { mascotaId, veterinarioId, estado, propietarioId }
+ */
+async function list({ mascotaId = null, veterinarioId = null, estado = null, propietarioId = null } = {}) {
+  // los de citas eliminadas (borrado lógico de la mascota o el propietario) no se listan
+  const filters = ['c.deleted_at IS NULL'];
+  const params = [];
+  if (mascotaId) { filters.push('e.mascota_id = ?'); params.push(mascotaId); }
+  if (veterinarioId) { filters.push('e.veterinario_id = ?'); params.push(veterinarioId); }
+  if (estado) { filters.push('e.estado = ?'); params.push(estado); }
+  if (propietarioId) { filters.push('c.propietario_id = ?'); params.push(propietarioId); }
+  const where = 'WHERE ' + filters.join(' AND ');
+  const [rows] = await db.query(
+    `SELECT e.id, e.cita_id, e.mascota_id, e.veterinario_id, e.estado, e.version, e.firmado_at, e.ficha_id,
+            e.created_at, e.updated_at, c.fecha_inicio AS cita_fecha_inicio, c.tipo_consulta,
+            m.nombre AS mascota_nombre, u.nombre AS veterinario_nombre
+     FROM encuentros e
+     JOIN citas c ON e.cita_id = c.id
+     LEFT JOIN mascotas m ON e.mascota_id = m.id
+     LEFT JOIN usuarios u ON e.veterinario_id = u.id
+     ${where}
+     ORDER BY c.fecha_inicio DESC
+     LIMIT 200`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  ESTADOS_ENCUENTRO,
+  POLITICAS,
+  SOAP_FIELDS,
+  EncuentroError,
+  get,
+  getByCita,
+  isFichaFirmada,
+  open,
+  saveVersion,
+  sign,
+  versions,
+  onComplete,
+  list
+};
@@ -0,0 +1,245 @@
+// services/icalService.js
+/**
+ * iCalendar (RFC 5545) para citas: descargas .ics, feeds suscribibles por
+ * veterinario / propietario e invitaciones METHOD:REQUEST / METHOD:CANCEL.
+ *
+ * Zona horaria: las fechas se emiten siempre en UTC (sufijo Z) a partir del
+ * instante real de la cita (Date), así cualquier calendario las muestra en la
+ * hora local del dispositivo sin depender de la zona del servidor.
+ *
+ * Actualizaciones: iCalendar no tiene METHOD:UPDATE; una cita modificada se
+ * reenvía como METHOD:REQUEST con el mismo UID y SEQUENCE incrementado
+ * (citas.ical_sequence), y una cancelación como METHOD:CANCEL. Las invitaciones
+ * viajan adjuntas a las notificaciones por correo (services/notificationService.js).
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const PRODID = '-//Clinica Veterinaria//Citas//ES';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'veterinaria.local';
+const CLINIC_NAME = process.env.CLINIC_NAME || 'Clínica Veterinaria';
+const CLINIC_EMAIL = process.env.CLINIC_EMAIL || null;
+const CLINIC_ADDRESS = process.env.CLINIC_ADDRESS || null;
+
+const METHODS = { PUBLISH: 'PUBLISH', REQUEST: 'REQUEST', CANCEL: 'CANCEL' };
+
+// estado de la cita -> STATUS de VEVENT
+const STATUS_BY_ESTADO = {
+  pendiente: 'TENTATIVE',
+  confirmada: 'CONFIRMED',
+  en_curso: 'CONFIRMED',
+  completada: 'CONFIRMED',
+  cancelada: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+// Date -> 20260115T130000Z
+function formatICalDate(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escapa texto (RFC 5545 3.3.11)
+function escapeText(val) {
+  return String(val ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Pliega líneas de más de 75 octetos (RFC 5545 3.1)
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75; // las continuaciones empiezan con un espacio
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = ch;
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function citaUid(citaId) {
+  return `cita-${citaId}@${UID_DOMAIN}`;
+}
+
+/**
+ * VEVENT de una cita (fila de citas con mascota_nombre, propietario_nombre/email, veterinario_nombre/email)
+ * @param {Object} cita
+ * @param {Object} [opts] - { method }
+ * @returns {string[]} líneas
+ */
+function eventLines(cita, { method = METHODS.PUBLISH } = {}) {
+  const start = new Date(cita.fecha_inicio);
+  const end = new Date(start.getTime() + Number(cita.duracion_min || 0) * 60000);
+  const status = method === METHODS.CANCEL ? 'CANCELLED' : (STATUS_BY_ESTADO[cita.estado] || 'TENTATIVE');
+  const summary = `${cita.tipo_consulta || 'Cita'}${cita.mascota_nombre ? ' - ' + cita.mascota_nombre : ''}`;
+  const description = [
+    cita.motivo ? `Motivo: ${cita.motivo}` : null,
+    cita.propietario_nombre ? `Propietario: ${cita.propietario_nombre}` : null,
+    cita.veterinario_nombre ? `Atiende: ${cita.veterinario_nombre}` : null,
+    `Estado: ${cita.estado}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${citaUid(cita.id)}`,
+    `SEQUENCE:${Number(cita.ical_sequence || 0)}`,
+    `DTSTAMP:${formatICalDate(new Date())}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${status}`
+  ];
+  if (cita.updated_at) lines.push(`LAST-MODIFIED:${formatICalDate(cita.updated_at)}`);
+  if (CLINIC_ADDRESS) lines.push(`LOCATION:${escapeText(CLINIC_ADDRESS)}`);
+  if (method !== METHODS.PUBLISH && CLINIC_EMAIL) {
+    lines.push(`ORGANIZER;CN=${escapeText(CLINIC_NAME)}:mailto:${CLINIC_EMAIL}`);
+    if (cita.propietario_email) {
+      lines.push(`ATTENDEE;CN=${escapeText(cita.propietario_nombre || '')};ROLE=REQ-PARTICIPANT:mailto:${cita.propietario_email}`);
+    }
+    if (cita.veterinario_email) {
+      lines.push(`ATTENDEE;CN=${escapeText(cita.veterinario_nombre || '')};ROLE=CHAIR:mailto:${cita.veterinario_email}`);
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Documento VCALENDAR
+ * @param {Array<Object>} citas
+ * @param {Object} [opts] - { method, name }
+ * @returns {string}
+ */
+function buildCalendar(citas, { method = METHODS.PUBLISH, name = null } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const cita of citas) lines.push(...eventLines(cita, { method }));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Citas con los datos que usa el VEVENT
+const CITA_SELECT = `
+  SELECT c.*, m.nombre AS mascota_nombre,
+         p.nombre AS propietario_nombre, p.email AS propietario_email, p.idioma AS propietario_idioma,
+         u.nombre AS veterinario_nombre, u.email AS veterinario_email, u.idioma AS veterinario_idioma
+  FROM citas c
+  LEFT JOIN mascotas m ON c.mascota_id = m.id
+  LEFT JOIN propietarios p ON c.propietario_id = p.id
+  LEFT JOIN usuarios u ON c.veterinario_id = u.id`;
+
+async function loadCita(citaId, conn = db) {
+  const [rows] = await conn.query(`${CITA_SELECT} WHERE c.id = ?`, [citaId]);
+  return rows[0] || null;
+}
+
+/* ------------------ Feeds suscribibles ------------------ */
+
+const FEED_PAST_DAYS = Number(process.env.ICAL_FEED_PAST_DAYS || 60);
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * Crea (o rota) el token del feed de un usuario / propietario. El token en claro
+ * solo se devuelve aquí; en la DB se guarda su hash.
+ * @param {string} subjectType - 'usuario' | 'propietario'
+ * @param {number} subjectId
+ * @returns {Promise<string>} token
+ */
+async function rotateFeedToken(subjectType, subjectId) {
+  const raw = crypto.randomBytes(24).toString('base64url');
+  await db.query(
+    'UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL',
+    [subjectType, subjectId]
+  );
+  await db.query(
+    'INSERT INTO calendar_feed_tokens (subject_type, subject_id, token_hash) VALUES (?, ?, ?)',
+    [subjectType, subjectId, hashToken(raw)]
+  );
+  return raw;
+}
+
+async function revokeFeedTokens(subjectType, subjectId) {
+  const [result] = await db.query(
+    'UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL',
+    [subjectType, subjectId]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Feed de un token: agenda del veterinario o citas del propietario
+ * @param {string} raw - token en claro
+ * @returns {Promise<string|null>} VCALENDAR o null si el token no es válido
+ */
+async function buildFeed(raw) {
+  const [tokens] = await db.query(
+    'SELECT subject_type, subject_id FROM calendar_feed_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashToken(raw)]
+  );
+  if (!tokens.length) return null;
+  const { subject_type: type, subject_id: id } = tokens[0];
+
+  const column = type === 'propietario' ? 'c.propietario_id' : 'c.veterinario_id';
+  const [citas] = await db.query(
+    `${CITA_SELECT} WHERE ${column} = ? AND c.deleted_at IS NULL AND c.fecha_inicio >= DATE_SUB(NOW(), INTERVAL ? DAY) ORDER BY c.fecha_inicio`,
+    [id, FEED_PAST_DAYS]
+  );
+  await db.query('UPDATE calendar_feed_tokens SET last_used_at = NOW() WHERE token_hash = ?', [hashToken(raw)]);
+
+  const name = type === 'propietario' ? `${CLINIC_NAME} - Mis citas` : `${CLINIC_NAME} - Agenda`;
+  return buildCalendar(citas, { name });
+}
+
+/* ------------------ Invitaciones ------------------ */
+
+/**
+ * Invitación iCal de una cita tras crearla / modificarla / cancelarla.
+ * Incrementa citas.ical_sequence salvo en la primera invitación.
+ * @param {number} citaId
+ * @param {string} method - METHODS.REQUEST | METHODS.CANCEL
+ * @param {Object} [opts] - { conn, cita: fila ya cargada (p.ej. antes de eliminarla), bumpSequence }
+ * @returns {Promise<{ cita: Object, ics: string }|null>}
+ */
+async function invite(citaId, method, { conn = db, cita = null, bumpSequence = true } = {}) {
+  if (bumpSequence && !cita) {
+    await conn.query('UPDATE citas SET ical_sequence = ical_sequence + 1 WHERE id = ?', [citaId]);
+  }
+  const row = cita ? { ...cita } : await loadCita(citaId, conn);
+  if (!row) return null;
+  if (cita && bumpSequence) row.ical_sequence = Number(row.ical_sequence || 0) + 1;
+  return { cita: row, ics: buildCalendar([row], { method }) };
+}
+
+module.exports = {
+  METHODS,
+  formatICalDate,
+  escapeText,
+  foldLine,
+  citaUid,
+  buildCalendar,
+  loadCita,
+  rotateFeedToken,
+  revokeFeedTokens,
+  buildFeed,
+  invite
+};
@@ -0,0 +1,78 @@
+// services/mailTransport.js
+/**
+ * Transportes de correo intercambiables (MAIL_TRANSPORT):
+ *   - smtp:    envío real vía nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   - file:    escribe cada mensaje como .eml en MAIL_FILE_DIR (pruebas locales; se abre con cualquier cliente)
+ *   - console: muestra un resumen en consola (por defecto)
+ * Todos exponen send(message) -> { messageId }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+const MAIL_FROM = process.env.MAIL_FROM || `"${process.env.CLINIC_NAME || 'Clínica Veterinaria'}" <${process.env.CLINIC_EMAIL || 'no-reply@veterinaria.local'}>`;
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail');
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createFileTransport() {
+  // stream transport: nodemailer arma el mensaje MIME completo sin enviarlo
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+      await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+      const file = path.join(MAIL_FILE_DIR, `${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]/gi, '_')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      const adjuntos = (message.attachments || []).map(a => a.filename).join(', ');
+      console.log(`📧 [mail] para: ${message.to} | asunto: ${message.subject}${adjuntos ? ` | adjuntos: ${adjuntos}` : ''}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+/**
+ * Crea el transporte configurado
+ * @param {string} [name] - smtp | file | console (por defecto MAIL_TRANSPORT o console)
+ * @returns {{ name: string, send: Function }}
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  if (!TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT inválido: "${name}" (valores: ${TRANSPORTS.join(', ')})`);
+  }
+  if (name === 'smtp') return createSmtpTransport();
+  if (name === 'file') return createFileTransport();
+  return createConsoleTransport();
+}
+
+module.exports = {
+  TRANSPORTS,
+  MAIL_FROM,
+  createTransport
+};
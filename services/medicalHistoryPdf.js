@@ -0,0 +1,204 @@
+// services/medicalHistoryPdf.js
+/**
+ * Generación del historial médico de una mascota en PDF (pdfkit).
+ * Se usa en GET /medical-records/export?pet_id= para entregar el historial
+ * completo cuando el propietario lo pide para referirlo a otra clínica.
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { CLINIC_TIMEZONE } = require('./timezoneService');
+
+// pdfkit solo sabe incrustar PNG y JPEG
+const EMBEDDABLE_MIMES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+const COLORS = {
+  primary: '#1f6f8b',
+  text: '#222222',
+  muted: '#666666',
+  line: '#cccccc'
+};
+
+// Datos de la clínica (configurables por .env)
+function getClinicInfo() {
+  return {
+    nombre: process.env.CLINIC_NAME || 'Clínica Veterinaria',
+    direccion: process.env.CLINIC_ADDRESS || '',
+    telefono: process.env.CLINIC_PHONE || '',
+    email: process.env.CLINIC_EMAIL || '',
+    logo: process.env.CLINIC_LOGO_PATH || ''
+  };
+}
+
+function drawHeader(doc, clinic) {
+  const top = doc.y;
+  let textX = doc.page.margins.left;
+
+  if (clinic.logo && fs.existsSync(clinic.logo)) {
+    try {
+      doc.image(clinic.logo, textX, top, { fit: [60, 60] });
+      textX += 75;
+    } catch (e) { /* logo inválido, seguimos sin él */ }
+  }
+
+  doc.fillColor(COLORS.primary).fontSize(18).font('Helvetica-Bold').text(clinic.nombre, textX, top);
+  doc.fillColor(COLORS.muted).fontSize(9).font('Helvetica');
+  const contacto = [clinic.direccion, clinic.telefono, clinic.email].filter(Boolean).join('  ·  ');
+  if (contacto) doc.text(contacto, textX);
+
+  doc.y = Math.max(doc.y, top + 60) + 5;
+  hr(doc);
+  doc.moveDown(0.5);
+}
+
+function hr(doc) {
+  const y = doc.y;
+  doc.strokeColor(COLORS.line).lineWidth(1)
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .stroke();
+}
+
+function sectionTitle(doc, title) {
+  doc.moveDown(0.8);
+  doc.x = doc.page.margins.left;
+  doc.fillColor(COLORS.primary).fontSize(13).font('Helvetica-Bold').text(title);
+  doc.moveDown(0.3);
+  doc.fillColor(COLORS.text).fontSize(10).font('Helvetica');
+}
+
+function labelValue(doc, label, value) {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value === null || typeof value === 'undefined' || value === '' ? '-' : String(value));
+}
+
+function drawWeightTable(doc, fichas) {
+  const pesos = fichas
+    .filter(f => f.peso !== null && typeof f.peso !== 'undefined' && f.peso !== '')
+    .slice()
+    .reverse(); // cronológico ascendente
+
+  if (!pesos.length) {
+    doc.fillColor(COLORS.muted).text('Sin registros de peso.');
+    doc.fillColor(COLORS.text);
+    return;
+  }
+
+  const left = doc.page.margins.left;
+  const colFecha = left;
+  const colPeso = left + 200;
+
+  doc.font('Helvetica-Bold');
+  let y = doc.y;
+  doc.text('Fecha', colFecha, y);
+  doc.text('Peso (kg)', colPeso, y);
+  doc.font('Helvetica');
+
+  for (const f of pesos) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    y = doc.y;
+    doc.text(f.fecha_display || '-', colFecha, y);
+    doc.text(String(f.peso), colPeso, y);
+  }
+  doc.x = left;
+}
+
+// Imágenes PNG/JPEG incrustadas con su descripción; el resto, solo nombre y descripción
+function drawAdjunto(doc, adjunto) {
+  const nombre = adjunto.original_name || adjunto.filename;
+  const texto = adjunto.descripcion ? `${nombre} — ${adjunto.descripcion}` : nombre;
+  const isImage = EMBEDDABLE_MIMES.includes((adjunto.mime || '').toLowerCase());
+  if (isImage && adjunto.data) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 145) doc.addPage();
+    try {
+      const y = doc.y + 4;
+      doc.image(adjunto.data, doc.page.margins.left, y, { fit: [160, 120] });
+      doc.y = y + 124;
+      doc.x = doc.page.margins.left;
+      if (adjunto.descripcion) doc.fillColor(COLORS.muted).fontSize(9).text(adjunto.descripcion).fillColor(COLORS.text).fontSize(10);
+      return;
+    } catch (e) {
+      labelValue(doc, 'Adjunto', `${texto} (no se pudo incrustar la imagen)`);
+      return;
+    }
+  }
+  labelValue(doc, 'Adjunto', texto);
+}
+
+function drawFicha(doc, ficha) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 120) doc.addPage();
+
+  doc.x = doc.page.margins.left;
+  doc.fillColor(COLORS.text).fontSize(11).font('Helvetica-Bold')
+    .text(`${ficha.fecha_display || '-'}  —  ${ficha.tipo || 'consulta'}`);
+  doc.fontSize(10).font('Helvetica');
+  labelValue(doc, 'Registrado por', ficha.creado_por_nombre);
+  if (ficha.peso !== null && typeof ficha.peso !== 'undefined') labelValue(doc, 'Peso (kg)', ficha.peso);
+  if (ficha.nota) {
+    doc.font('Helvetica-Bold').text('Notas:');
+    doc.font('Helvetica').text(ficha.nota, { align: 'left' });
+  }
+
+  for (const adjunto of ficha.adjuntos || []) drawAdjunto(doc, adjunto);
+
+  doc.moveDown(0.5);
+  hr(doc);
+  doc.moveDown(0.5);
+}
+
+/**
+ * buildMedicalHistoryPdf
+ * @param {Object} data
+ * @param {Object} data.mascota - fila de mascotas
+ * @param {Object} data.propietario - fila de propietarios (sin password)
+ * @param {Array<Object>} data.fichas - fichas_medicas ordenadas por fecha DESC, con fecha_display,
+ *   creado_por_nombre y adjuntos (en su orden; las imágenes PNG/JPEG con `data`: Buffer del archivo)
+ * @returns {PDFDocument} documento sin cerrar; el llamador debe hacer pipe y luego doc.end()
+ */
+function buildMedicalHistoryPdf({ mascota, propietario, fichas }) {
+  const clinic = getClinicInfo();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Historial médico - ${mascota.nombre}`,
+      Author: clinic.nombre
+    }
+  });
+
+  drawHeader(doc, clinic);
+
+  doc.fillColor(COLORS.text).fontSize(16).font('Helvetica-Bold').text('Historial médico', { align: 'center' });
+  doc.fontSize(9).font('Helvetica').fillColor(COLORS.muted)
+    .text(`Generado el ${new Date().toLocaleString('es-ES', { timeZone: CLINIC_TIMEZONE })}`, { align: 'center' });
+  doc.fillColor(COLORS.text).fontSize(10);
+
+  sectionTitle(doc, 'Mascota');
+  labelValue(doc, 'Nombre', mascota.nombre);
+  labelValue(doc, 'Especie', mascota.especie);
+  labelValue(doc, 'Raza', mascota.raza);
+  labelValue(doc, 'Edad', mascota.edad);
+  if (mascota.historial_medico) labelValue(doc, 'Antecedentes', mascota.historial_medico);
+
+  sectionTitle(doc, 'Propietario');
+  labelValue(doc, 'Nombre', propietario && propietario.nombre);
+  labelValue(doc, 'Email', propietario && propietario.email);
+  labelValue(doc, 'Teléfono', propietario && propietario.telefono);
+  labelValue(doc, 'Dirección', propietario && propietario.direccion);
+
+  sectionTitle(doc, 'Historial de peso');
+  drawWeightTable(doc, fichas);
+
+  sectionTitle(doc, `Fichas médicas (${fichas.length})`);
+  if (!fichas.length) {
+    doc.fillColor(COLORS.muted).text('La mascota no tiene fichas médicas registradas.');
+  }
+  for (const f of fichas) drawFicha(doc, f);
+
+  return doc;
+}
+
+module.exports = {
+  EMBEDDABLE_MIMES,
+  buildMedicalHistoryPdf
+};
@@ -0,0 +1,311 @@
+// services/notificationService.js
+/**
+ * Notificaciones por correo con outbox transaccional.
+ *
+ * Los eventos (cita creada / confirmada / reprogramada / cancelada, recordatorio de cita,
+ * nueva ficha médica, oferta de la lista de espera)
+ * se encolan en la tabla `notificaciones` ya renderizados (asunto y cuerpo en el idioma
+ * del destinatario). Cuando el evento ocurre dentro de una transacción se encola con la
+ * misma conexión: la notificación existe si y solo si el cambio se confirmó.
+ *
+ * El worker (processOutbox, en el proceso de la API con NOTIFICATIONS_WORKER=inline o
+ * con `node worker.js`) reclama lotes con FOR UPDATE SKIP LOCKED, los envía por el
+ * transporte configurado (services/mailTransport.js) y registra el resultado:
+ * enviada, o reintento con espera exponencial hasta NOTIFICATIONS_MAX_ATTEMPTS y luego fallida.
+ *
+ * Las notificaciones de citas adjuntan la invitación iCal (REQUEST / CANCEL, ver icalService).
+ */
+
+const db = require('../db');
+const Templates = require('./notificationTemplates');
+const IcalService = require('./icalService');
+const { createTransport } = require('./mailTransport');
+
+const EVENTOS = {
+  CITA_CREADA: 'cita.creada',
+  CITA_CONFIRMADA: 'cita.confirmada',
+  CITA_REPROGRAMADA: 'cita.reprogramada',
+  CITA_CANCELADA: 'cita.cancelada',
+  CITA_RECORDATORIO: 'cita.recordatorio',
+  FICHA_CREADA: 'ficha.creada',
+  LISTA_ESPERA_OFERTA: 'lista_espera.oferta'
+};
+
+const ESTADOS = { PENDIENTE: 'pendiente', ENVIANDO: 'enviando', ENVIADA: 'enviada', FALLIDA: 'fallida' };
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATIONS_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MINUTES = Number(process.env.NOTIFICATIONS_RETRY_MINUTES || 1);
+const BATCH_SIZE = Number(process.env.NOTIFICATIONS_BATCH_SIZE || 20);
+const POLL_SECONDS = Number(process.env.NOTIFICATIONS_POLL_SECONDS || 30);
+// un envío que lleva más de esto en 'enviando' se considera interrumpido y se reintenta
+const STALE_MINUTES = 10;
+
+// qué destinatarios recibe cada evento de cita y con qué método iCal
+const CITA_EVENTOS = {
+  [EVENTOS.CITA_CREADA]: { veterinario: true, method: IcalService.METHODS.REQUEST, bumpSequence: false },
+  [EVENTOS.CITA_CONFIRMADA]: { veterinario: false, method: IcalService.METHODS.REQUEST, bumpSequence: true },
+  [EVENTOS.CITA_REPROGRAMADA]: { veterinario: true, method: IcalService.METHODS.REQUEST, bumpSequence: true },
+  [EVENTOS.CITA_CANCELADA]: { veterinario: true, method: IcalService.METHODS.CANCEL, bumpSequence: true }
+};
+
+/**
+ * Encola una notificación (renderiza la plantilla en el idioma del destinatario)
+ * @param {Object} n
+ * @param {string} n.evento
+ * @param {Object} n.destinatario - { tipo: 'usuario'|'propietario', id, email, idioma, nombre }
+ * @param {Object} n.data - datos de la plantilla
+ * @param {Array} [n.adjuntos] - [{ filename, contentType, content }]
+ * @param {Object} [n.referencia] - { tipo: 'cita'|'ficha', id }
+ * @param {string} [n.dedupeKey] - si ya existe una notificación con esta clave no se encola otra
+ * @param {Object} [conn] - conexión en transacción (por defecto el pool)
+ * @returns {Promise<number|null>} id de la notificación, o null si no hay email o estaba duplicada
+ */
+async function enqueue({ evento, destinatario, data, adjuntos = null, referencia = null, dedupeKey = null }, conn = db) {
+  if (!destinatario || !destinatario.email) return null;
+  const { subject, text, html } = Templates.render(evento, destinatario.idioma, { ...data, nombre: destinatario.nombre });
+  const [result] = await conn.query(
+    `INSERT IGNORE INTO notificaciones
+       (evento, destinatario_tipo, destinatario_id, email, idioma, asunto, cuerpo_texto, cuerpo_html, adjuntos,
+        referencia_tipo, referencia_id, dedupe_key, estado, max_intentos, proximo_intento_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [evento, destinatario.tipo, destinatario.id || null, destinatario.email,
+      Templates.IDIOMAS.includes(destinatario.idioma) ? destinatario.idioma : Templates.DEFAULT_IDIOMA,
+      subject, text, html, adjuntos ? JSON.stringify(adjuntos) : null,
+      referencia ? referencia.tipo : null, referencia ? referencia.id : null, dedupeKey,
+      ESTADOS.PENDIENTE, MAX_ATTEMPTS]
+  );
+  return result.affectedRows ? result.insertId : null;
+}
+
+/**
+ * Notifica un evento de cita al propietario (y al veterinario asignado según el evento),
+ * con la invitación iCal adjunta.
+ * @param {string} evento - EVENTOS.CITA_*
+ * @param {number} citaId
+ * @param {Object} [opts]
+ * @param {Object} [opts.conn] - conexión en transacción
+ * @param {Object} [opts.cita] - fila ya cargada (p.ej. antes de eliminarla)
+ * @param {Object} [opts.data] - datos extra de la plantilla (fecha_anterior, ...)
+ */
+async function notifyCita(evento, citaId, { conn = db, cita = null, data = {} } = {}) {
+  const cfg = CITA_EVENTOS[evento];
+  if (!cfg) throw new Error(`Evento de cita desconocido: ${evento}`);
+
+  const invite = await IcalService.invite(citaId, cfg.method, { conn, cita, bumpSequence: cfg.bumpSequence });
+  if (!invite) return;
+  const row = invite.cita;
+  const adjuntos = [{
+    filename: `cita-${row.id}.ics`,
+    contentType: `text/calendar; charset=utf-8; method=${cfg.method}`,
+    content: invite.ics
+  }];
+  const payload = { ...row, ...data };
+
+  await enqueue({
+    evento,
+    destinatario: { tipo: 'propietario', id: row.propietario_id, email: row.propietario_email, idioma: row.propietario_idioma, nombre: row.propietario_nombre },
+    data: payload,
+    adjuntos,
+    referencia: { tipo: 'cita', id: row.id }
+  }, conn);
+
+  if (cfg.veterinario && row.veterinario_id) {
+    await enqueue({
+      evento,
+      destinatario: { tipo: 'usuario', id: row.veterinario_id, email: row.veterinario_email, idioma: row.veterinario_idioma, nombre: row.veterinario_nombre },
+      data: payload,
+      adjuntos,
+      referencia: { tipo: 'cita', id: row.id }
+    }, conn);
+  }
+}
+
+/**
+ * Notifica al propietario una nueva ficha médica de su mascota
+ * @param {number} fichaId
+ * @param {Object} [conn]
+ */
+async function notifyFicha(fichaId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT f.id, f.tipo, f.fecha, m.nombre AS mascota_nombre,
+            (SELECT COUNT(*) FROM ficha_adjuntos a WHERE a.ficha_id = f.id) AS adjuntos,
+            p.id AS propietario_id, p.nombre AS propietario_nombre, p.email AS propietario_email, p.idioma AS propietario_idioma
+     FROM fichas_medicas f
+     JOIN mascotas m ON f.mascota_id = m.id
+     JOIN propietarios p ON m.owner_id = p.id
+     WHERE f.id = ?`,
+    [fichaId]
+  );
+  if (!rows.length) return;
+  const f = rows[0];
+  await enqueue({
+    evento: EVENTOS.FICHA_CREADA,
+    destinatario: { tipo: 'propietario', id: f.propietario_id, email: f.propietario_email, idioma: f.propietario_idioma, nombre: f.propietario_nombre },
+    data: { tipo: f.tipo, fecha: f.fecha, mascota_nombre: f.mascota_nombre, adjuntos: Number(f.adjuntos) },
+    referencia: { tipo: 'ficha', id: f.id }
+  }, conn);
+}
+
+/**
+ * Avisa al propietario de que se le ofrece un hueco de la lista de espera (reservado hasta expira_en)
+ * @param {number} ofertaId
+ * @param {Object} [conn] - la transacción que crea la reserva temporal
+ */
+async function notifyOferta(ofertaId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT o.id, o.tipo_consulta, o.fecha_inicio, o.duracion_min, o.expira_en,
+            m.nombre AS mascota_nombre, u.nombre AS veterinario_nombre,
+            p.id AS propietario_id, p.nombre AS propietario_nombre, p.email AS propietario_email, p.idioma AS propietario_idioma
+     FROM lista_espera_ofertas o
+     JOIN lista_espera le ON o.lista_espera_id = le.id
+     JOIN propietarios p ON le.propietario_id = p.id
+     LEFT JOIN mascotas m ON le.mascota_id = m.id
+     LEFT JOIN usuarios u ON o.veterinario_id = u.id
+     WHERE o.id = ?`,
+    [ofertaId]
+  );
+  if (!rows.length) return;
+  const o = rows[0];
+  await enqueue({
+    evento: EVENTOS.LISTA_ESPERA_OFERTA,
+    destinatario: { tipo: 'propietario', id: o.propietario_id, email: o.propietario_email, idioma: o.propietario_idioma, nombre: o.propietario_nombre },
+    data: o,
+    referencia: { tipo: 'oferta', id: o.id },
+    dedupeKey: `oferta:${o.id}`
+  }, conn);
+}
+
+/* ------------------ Worker ------------------ */
+
+let transport = null;
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+// reclama un lote de pendientes (estado -> enviando) sin bloquear a otros workers
+async function claimBatch(limit) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      `SELECT * FROM notificaciones
+       WHERE estado = ? AND proximo_intento_at <= NOW()
+       ORDER BY proximo_intento_at, id
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [ESTADOS.PENDIENTE, limit]
+    );
+    if (rows.length) {
+      await conn.query('UPDATE notificaciones SET estado = ? WHERE id IN (?)', [ESTADOS.ENVIANDO, rows.map(r => r.id)]);
+    }
+    await conn.commit();
+    return rows;
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+function parseAdjuntos(val) {
+  if (!val) return [];
+  return typeof val === 'string' ? JSON.parse(val) : val;
+}
+
+/**
+ * Envía un lote de notificaciones pendientes
+ * @param {Object} [opts] - { limit }
+ * @returns {Promise<{ enviadas: number, reintentos: number, fallidas: number }>}
+ */
+async function processOutbox({ limit = BATCH_SIZE } = {}) {
+  // envíos interrumpidos (worker caído a mitad de lote)
+  await db.query(
+    'UPDATE notificaciones SET estado = ? WHERE estado = ? AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)',
+    [ESTADOS.PENDIENTE, ESTADOS.ENVIANDO, STALE_MINUTES]
+  );
+
+  const summary = { enviadas: 0, reintentos: 0, fallidas: 0 };
+  const rows = await claimBatch(limit);
+  for (const n of rows) {
+    try {
+      const info = await getTransport().send({
+        to: n.email,
+        subject: n.asunto,
+        text: n.cuerpo_texto,
+        html: n.cuerpo_html || undefined,
+        attachments: parseAdjuntos(n.adjuntos)
+      });
+      await db.query(
+        'UPDATE notificaciones SET estado = ?, intentos = intentos + 1, enviado_at = NOW(), message_id = ?, ultimo_error = NULL WHERE id = ?',
+        [ESTADOS.ENVIADA, info.messageId || null, n.id]
+      );
+      summary.enviadas++;
+    } catch (err) {
+      const intentos = Number(n.intentos) + 1;
+      const agotada = intentos >= Number(n.max_intentos);
+      const esperaMin = RETRY_BASE_MINUTES * 2 ** (intentos - 1);
+      await db.query(
+        `UPDATE notificaciones
+         SET estado = ?, intentos = ?, ultimo_error = ?, proximo_intento_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [agotada ? ESTADOS.FALLIDA : ESTADOS.PENDIENTE, intentos, String(err.message || err).slice(0, 500), esperaMin, n.id]
+      );
+      if (agotada) summary.fallidas++; else summary.reintentos++;
+      console.error(`Error enviando notificación ${n.id} (intento ${intentos}/${n.max_intentos}):`, err.message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Arranca el worker en bucle (cada NOTIFICATIONS_POLL_SECONDS)
+ * @returns {Function} stop
+ */
+function startWorker({ intervalSeconds = POLL_SECONDS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await processOutbox();
+      if (r.enviadas || r.reintentos || r.fallidas) {
+        console.log(`📬 Notificaciones: ${r.enviadas} enviadas, ${r.reintentos} a reintentar, ${r.fallidas} fallidas`);
+      }
+    } catch (err) {
+      console.error('Error en el worker de notificaciones:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalSeconds * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Reencola una notificación fallida (o pendiente) para enviarla ya
+ * @param {number} id
+ * @returns {Promise<boolean>} false si no existe o ya se envió
+ */
+async function retry(id) {
+  const [result] = await db.query(
+    `UPDATE notificaciones SET estado = ?, proximo_intento_at = NOW(), max_intentos = GREATEST(max_intentos, intentos + 1)
+     WHERE id = ? AND estado IN (?)`,
+    [ESTADOS.PENDIENTE, id, [ESTADOS.PENDIENTE, ESTADOS.FALLIDA]]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  EVENTOS,
+  ESTADOS,
+  enqueue,
+  notifyCita,
+  notifyFicha,
+  notifyOferta,
+  processOutbox,
+  startWorker,
+  retry
+};
@@ -0,0 +1,183 @@
+// services/notificationTemplates.js
+/**
+ * Plantillas de correo (es / en) de las notificaciones.
+ * Cada plantilla recibe los datos del evento y devuelve { subject, text }; el HTML
+ * se arma a partir del texto (párrafos) para mantener un único contenido por idioma.
+ */
+
+const { CLINIC_TIMEZONE } = require('./timezoneService');
+
+const IDIOMAS = ['es', 'en'];
+const DEFAULT_IDIOMA = IDIOMAS.includes(process.env.NOTIFICATIONS_DEFAULT_LANG)
+  ? process.env.NOTIFICATIONS_DEFAULT_LANG
+  : 'es';
+
+const CLINIC_NAME = process.env.CLINIC_NAME || 'Clínica Veterinaria';
+const CLINIC_PHONE = process.env.CLINIC_PHONE || null;
+
+const LOCALES = { es: 'es-ES', en: 'en-US' };
+
+// fecha y hora de la cita en la zona de la clínica, en el idioma del destinatario
+function formatFecha(date, idioma) {
+  if (!date) return '-';
+  return new Date(date).toLocaleString(LOCALES[idioma], {
+    timeZone: CLINIC_TIMEZONE,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  });
+}
+
+function firma(idioma) {
+  const contacto = CLINIC_PHONE ? (idioma === 'en' ? `Phone: ${CLINIC_PHONE}` : `Teléfono: ${CLINIC_PHONE}`) : null;
+  return [CLINIC_NAME, contacto].filter(Boolean).join('\n');
+}
+
+// bloque con los datos de la cita
+function detalleCita(d, idioma) {
+  const en = idioma === 'en';
+  return [
+    `${en ? 'Date' : 'Fecha'}: ${formatFecha(d.fecha_inicio, idioma)}`,
+    `${en ? 'Type' : 'Tipo'}: ${d.tipo_consulta || '-'}`,
+    d.mascota_nombre ? `${en ? 'Pet' : 'Mascota'}: ${d.mascota_nombre}` : null,
+    d.veterinario_nombre ? `${en ? 'With' : 'Atiende'}: ${d.veterinario_nombre}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// "en 24 horas" / "in 2 hours" a partir de la antelación del recordatorio
+function antelacion(minutos, idioma) {
+  const en = idioma === 'en';
+  const m = Number(minutos) || 0;
+  if (m % 60) return en ? `in ${m} minutes` : `en ${m} minutos`;
+  const h = m / 60;
+  if (en) return h === 1 ? 'in 1 hour' : `in ${h} hours`;
+  return h === 1 ? 'en 1 hora' : `en ${h} horas`;
+}
+
+const TEMPLATES = {
+  'cita.creada': {
+    es: d => ({
+      subject: `Cita registrada - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nSe ha registrado una cita:\n\n${detalleCita(d, 'es')}\n\nTe avisaremos cuando se confirme. Adjuntamos la invitación de calendario.`
+    }),
+    en: d => ({
+      subject: `Appointment booked - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nAn appointment has been booked:\n\n${detalleCita(d, 'en')}\n\nWe will let you know once it is confirmed. The calendar invite is attached.`
+    })
+  },
+  'cita.confirmada': {
+    es: d => ({
+      subject: `Cita confirmada - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nTu cita está confirmada:\n\n${detalleCita(d, 'es')}`
+    }),
+    en: d => ({
+      subject: `Appointment confirmed - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nYour appointment is confirmed:\n\n${detalleCita(d, 'en')}`
+    })
+  },
+  'cita.reprogramada': {
+    es: d => ({
+      subject: `Cita reprogramada - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nLa cita ha cambiado. Nuevos datos:\n\n${detalleCita(d, 'es')}` +
+        (d.fecha_anterior ? `\n\nFecha anterior: ${formatFecha(d.fecha_anterior, 'es')}` : '')
+    }),
+    en: d => ({
+      subject: `Appointment rescheduled - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nThe appointment has changed. New details:\n\n${detalleCita(d, 'en')}` +
+        (d.fecha_anterior ? `\n\nPrevious date: ${formatFecha(d.fecha_anterior, 'en')}` : '')
+    })
+  },
+  'cita.cancelada': {
+    es: d => ({
+      subject: `Cita cancelada - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nLa siguiente cita ha sido cancelada:\n\n${detalleCita(d, 'es')}` +
+        (d.motivo_cancelacion ? `\n\nMotivo: ${d.motivo_cancelacion}` : '')
+    }),
+    en: d => ({
+      subject: `Appointment cancelled - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nThe following appointment has been cancelled:\n\n${detalleCita(d, 'en')}` +
+        (d.motivo_cancelacion ? `\n\nReason: ${d.motivo_cancelacion}` : '')
+    })
+  },
+  'cita.recordatorio': {
+    es: d => ({
+      subject: `Recordatorio de cita - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nTe recordamos tu cita ${antelacion(d.offset_minutos, 'es')}:\n\n${detalleCita(d, 'es')}` +
+        (d.confirmar_url ? `\n\nConfirmar la cita: ${d.confirmar_url}` : '') +
+        (d.cancelar_url ? `\n\nSi no puedes asistir, cancélala aquí: ${d.cancelar_url}` : '')
+    }),
+    en: d => ({
+      subject: `Appointment reminder - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nThis is a reminder of your appointment ${antelacion(d.offset_minutos, 'en')}:\n\n${detalleCita(d, 'en')}` +
+        (d.confirmar_url ? `\n\nConfirm the appointment: ${d.confirmar_url}` : '') +
+        (d.cancelar_url ? `\n\nIf you cannot make it, cancel it here: ${d.cancelar_url}` : '')
+    })
+  },
+  'lista_espera.oferta': {
+    es: d => ({
+      subject: `Hueco disponible - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hola ${d.nombre || ''},\n\nSe ha liberado un hueco que encaja con tu entrada en la lista de espera:\n\n${detalleCita(d, 'es')}` +
+        `\n\nLo reservamos para ti hasta el ${formatFecha(d.expira_en, 'es')}. Acéptalo o recházalo desde la lista de espera de la aplicación; si no respondes, se ofrecerá a la siguiente persona.`
+    }),
+    en: d => ({
+      subject: `Slot available - ${d.mascota_nombre || d.tipo_consulta}`,
+      text: `Hello ${d.nombre || ''},\n\nA slot matching your waitlist entry has opened up:\n\n${detalleCita(d, 'en')}` +
+        `\n\nWe are holding it for you until ${formatFecha(d.expira_en, 'en')}. Accept or decline it from the waitlist in the app; if you do not answer, it will be offered to the next person.`
+    })
+  },
+  'ficha.creada': {
+    es: d => ({
+      subject: `Nuevo registro médico de ${d.mascota_nombre}`,
+      text: `Hola ${d.nombre || ''},\n\nSe ha añadido un registro (${d.tipo}) al historial médico de ${d.mascota_nombre}` +
+        ` con fecha ${formatFecha(d.fecha, 'es')}.` +
+        (d.adjuntos > 1 ? `\n\nIncluye ${d.adjuntos} archivos adjuntos que puedes consultar en la aplicación.`
+          : d.adjuntos ? '\n\nIncluye un archivo adjunto que puedes consultar en la aplicación.' : '')
+    }),
+    en: d => ({
+      subject: `New medical record for ${d.mascota_nombre}`,
+      text: `Hello ${d.nombre || ''},\n\nA ${d.tipo} record dated ${formatFecha(d.fecha, 'en')} has been added to ${d.mascota_nombre}'s medical history.` +
+        (d.adjuntos > 1 ? `\n\nIt includes ${d.adjuntos} files you can view in the app.`
+          : d.adjuntos ? '\n\nIt includes a file you can view in the app.' : '')
+    })
+  }
+};
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// párrafos + enlaces clicables (p.ej. los de confirmar / cancelar del recordatorio)
+function toHtml(text) {
+  return text.split(/\n{2,}/)
+    .map(p => `<p>${escapeHtml(p).replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Renderiza una plantilla
+ * @param {string} evento - p.ej. 'cita.confirmada'
+ * @param {string} idioma - 'es' | 'en' (otro valor -> idioma por defecto)
+ * @param {Object} data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function render(evento, idioma, data) {
+  const tpl = TEMPLATES[evento];
+  if (!tpl) throw new Error(`Plantilla de notificación desconocida: ${evento}`);
+  const lang = IDIOMAS.includes(idioma) ? idioma : DEFAULT_IDIOMA;
+  const { subject, text } = tpl[lang](data);
+  const full = `${text}\n\n${firma(lang)}`;
+  return { subject: `${subject} | ${CLINIC_NAME}`, text: full, html: toHtml(full) };
+}
+
+module.exports = {
+  IDIOMAS,
+  DEFAULT_IDIOMA,
+  EVENTOS: Object.keys(TEMPLATES),
+  TEMPLATES,
+  formatFecha,
+  escapeHtml,
+  render
+};
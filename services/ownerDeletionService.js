@@ -0,0 +1,205 @@
+// services/ownerDeletionService.js
+/**
+ * Eliminación de propietarios con estrategia explícita (DELETE /propietarios/:id?strategy=).
+ *
+ * - impact(): lo que arrastraría eliminarlo: mascotas, citas futuras activas, fichas y
+ *   archivos médicos, y entradas de la lista de espera (GET /propietarios/:id/delete-impact).
+ * - block (por defecto): solo elimina si no tiene nada de lo anterior; si no, 409 con el impacto.
+ * - transfer: pasa sus mascotas (con sus citas, series y entradas de la lista de espera;
+ *   las fichas van con la mascota) a otro propietario y luego lo elimina.
+ * - cascade: lo elimina con sus mascotas, citas y fichas (borrado lógico, services/softDeleteService.js);
+ *   las citas futuras activas se avisan como canceladas y sus huecos pasan a la lista de espera.
+ *
+ * Todo en una transacción con el propietario bloqueado: el impacto que se aplica es el de ese momento.
+ */
+
+const db = require('../db');
+const SoftDeleteService = require('./softDeleteService');
+
+const STRATEGIES = { BLOCK: 'block', TRANSFER: 'transfer', CASCADE: 'cascade' };
+
+const { CITA_FUTURA, ESTADOS_CERRADOS, ENTRADAS_ABIERTAS } = SoftDeleteService;
+
+class BorradoError extends Error {
+  constructor(message, status = 400, impacto = null) {
+    super(message);
+    this.name = 'BorradoError';
+    this.status = status;
+    this.impacto = impacto;
+  }
+}
+
+/**
+ * Impacto de eliminar un propietario
+ * @param {number|string} propietarioId
+ * @param {Object} [conn] - conexión (en la transacción del borrado)
+ * @returns {Promise<Object|null>} null si no existe o ya está eliminado
+ */
+async function impact(propietarioId, conn = db) {
+  const [owners] = await conn.query(
+    'SELECT id, nombre, email FROM propietarios WHERE id = ? AND deleted_at IS NULL',
+    [propietarioId]
+  );
+  if (!owners.length) return null;
+
+  const [mascotas] = await conn.query(
+    `SELECT m.id, m.nombre, m.especie,
+            (SELECT COUNT(*) FROM citas c WHERE c.mascota_id = m.id AND ${CITA_FUTURA}) AS citas_futuras,
+            (SELECT COUNT(*) FROM fichas_medicas f WHERE f.mascota_id = m.id AND f.deleted_at IS NULL) AS fichas,
+            (SELECT COUNT(*) FROM ficha_adjuntos a JOIN fichas_medicas f ON a.ficha_id = f.id
+              WHERE f.mascota_id = m.id AND f.deleted_at IS NULL) AS archivos,
+            (SELECT COALESCE(SUM(a.size_bytes), 0) FROM ficha_adjuntos a JOIN fichas_medicas f ON a.ficha_id = f.id
+              WHERE f.mascota_id = m.id AND f.deleted_at IS NULL) AS bytes
+     FROM mascotas m
+     WHERE m.owner_id = ? AND m.deleted_at IS NULL
+     ORDER BY m.id`,
+    [ESTADOS_CERRADOS, propietarioId]
+  );
+  // citas futuras del propietario (también las de mascotas que no son suyas)
+  const [[citas]] = await conn.query(
+    `SELECT COUNT(*) AS total FROM citas c WHERE c.propietario_id = ? AND ${CITA_FUTURA}`,
+    [propietarioId, ESTADOS_CERRADOS]
+  );
+  const [[espera]] = await conn.query(
+    'SELECT COUNT(*) AS total FROM lista_espera WHERE propietario_id = ? AND estado IN (?)',
+    [propietarioId, ENTRADAS_ABIERTAS]
+  );
+
+  const detalle = mascotas.map(m => ({
+    id: Number(m.id),
+    nombre: m.nombre,
+    especie: m.especie,
+    citas_futuras: Number(m.citas_futuras),
+    fichas: Number(m.fichas),
+    archivos: Number(m.archivos),
+    bytes: Number(m.bytes)
+  }));
+  const sum = (key) => detalle.reduce((acc, m) => acc + m[key], 0);
+  const totales = {
+    mascotas: detalle.length,
+    citas_futuras: Number(citas.total),
+    fichas: sum('fichas'),
+    archivos: sum('archivos'),
+    bytes: sum('bytes'),
+    lista_espera: Number(espera.total)
+  };
+
+  return {
+    propietario: owners[0],
+    totales,
+    mascotas: detalle,
+    // con block solo se puede eliminar si no hay nada que se pierda o quede colgando
+    bloqueado: Boolean(totales.mascotas || totales.citas_futuras || totales.fichas || totales.lista_espera)
+  };
+}
+
+// mueve al destino las mascotas activas del propietario con sus citas, series y lista de espera
+async function transferTo(conn, propietarioId, destinoId) {
+  const [destino] = await conn.query(
+    'SELECT id FROM propietarios WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+    [destinoId]
+  );
+  if (!destino.length) throw new BorradoError('El propietario destino no existe o está eliminado', 400);
+
+  const params = [destinoId, propietarioId, propietarioId];
+  // primero lo que cuelga de las mascotas (se identifican por su owner_id actual)
+  const [citas] = await conn.query(
+    `UPDATE citas c JOIN mascotas m ON c.mascota_id = m.id SET c.propietario_id = ?
+     WHERE c.propietario_id = ? AND m.owner_id = ? AND m.deleted_at IS NULL AND c.deleted_at IS NULL`,
+    params
+  );
+  const [series] = await conn.query(
+    `UPDATE citas_series s JOIN mascotas m ON s.mascota_id = m.id SET s.propietario_id = ?
+     WHERE s.propietario_id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+    params
+  );
+  const [espera] = await conn.query(
+    `UPDATE lista_espera le JOIN mascotas m ON le.mascota_id = m.id SET le.propietario_id = ?
+     WHERE le.propietario_id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+    params
+  );
+  const [mascotas] = await conn.query(
+    'UPDATE mascotas SET owner_id = ? WHERE owner_id = ? AND deleted_at IS NULL',
+    [destinoId, propietarioId]
+  );
+  return {
+    propietario_id: Number(destinoId),
+    mascotas: mascotas.affectedRows,
+    citas: citas.affectedRows,
+    series: series.affectedRows,
+    lista_espera: espera.affectedRows
+  };
+}
+
+/**
+ * Elimina un propietario según la estrategia, en una sola transacción
+ * @param {number|string} propietarioId
+ * @param {Object} opts
+ * @param {string} [opts.strategy] - block | transfer | cascade (block por defecto)
+ * @param {number|string} [opts.transferTo] - propietario que recibe las mascotas (transfer)
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} { strategy, impacto, deleted_at, cascada, transferencia? }
+ * @throws {BorradoError} 404 no existe, 400 destino inválido, 409 bloqueado (con impacto)
+ */
+async function remove(propietarioId, { strategy = STRATEGIES.BLOCK, transferTo: destinoId = null } = {}, actor) {
+  if (!Object.values(STRATEGIES).includes(strategy)) {
+    throw new BorradoError(`strategy debe ser ${Object.values(STRATEGIES).join(' | ')}`);
+  }
+  if (strategy === STRATEGIES.TRANSFER) {
+    if (!destinoId) throw new BorradoError('transfer_to es requerido con strategy=transfer');
+    if (Number(destinoId) === Number(propietarioId)) {
+      throw new BorradoError('transfer_to debe ser otro propietario');
+    }
+  }
+
+  const conn = await db.getConnection();
+  let liberadas = [];
+  let result;
+  try {
+    await conn.beginTransaction();
+    const [locked] = await conn.query(
+      'SELECT id FROM propietarios WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+      [propietarioId]
+    );
+    if (!locked.length) throw new BorradoError('Propietario no encontrado', 404);
+
+    const impacto = await impact(propietarioId, conn);
+    result = { strategy, impacto };
+
+    if (strategy === STRATEGIES.BLOCK && impacto.bloqueado) {
+      throw new BorradoError(
+        'El propietario tiene mascotas, citas futuras, fichas o entradas en lista de espera: usa strategy=transfer o strategy=cascade',
+        409,
+        impacto
+      );
+    }
+
+    if (strategy === STRATEGIES.TRANSFER) {
+      result.transferencia = await transferTo(conn, propietarioId, destinoId);
+    }
+
+    // citas que se eliminan ocupando horario: aviso de cancelación y hueco a la lista de espera
+    const borrado = await SoftDeleteService.softDeleteCancelling(conn, 'propietarios', propietarioId, actor);
+    result.deleted_at = borrado.marcado.deleted_at;
+    result.cascada = borrado.marcado.cascada;
+
+    await conn.commit();
+    liberadas = borrado.liberadas;
+  } catch (e) {
+    try { await conn.rollback(); } catch (err) { /* ya cerrada */ }
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  // fuera de la transacción: huecos a la lista de espera y entradas abiertas canceladas
+  await SoftDeleteService.releaseCancelled('propietarios', propietarioId, liberadas);
+  return result;
+}
+
+module.exports = {
+  STRATEGIES,
+  BorradoError,
+  impact,
+  remove
+};
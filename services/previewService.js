@@ -0,0 +1,154 @@
+// services/previewService.js
+/**
+ * Miniaturas y vistas previas de los adjuntos médicos.
+ *
+ * - Imágenes: se les quitan los metadatos (EXIF, GPS, XMP, IPTC) reescribiendo el original
+ *   en su mismo formato, con la orientación EXIF ya aplicada a los píxeles. Los GIF no
+ *   llevan EXIF y se dejan tal cual (podrían estar animados).
+ * - Se generan dos variantes WEBP sin metadatos, nunca más grandes que el original:
+ *     thumbnail (PREVIEW_THUMB_PX, por defecto 320 px de lado mayor) para listados
+ *     preview     (PREVIEW_MAX_PX, por defecto 1600 px) para verla en el navegador
+ * - PDF: las variantes son un render de la primera página (mupdf).
+ * - Se guardan como "medical/thumbs/<archivo>.webp" y "medical/previews/<archivo>.webp";
+ *   en ficha_adjuntos quedan thumbnail_filename / preview_filename (relativos a medical/).
+ * - Si no se puede generar una variante (PDF cifrado o dañado...) el adjunto se registra
+ *   sin ella; una imagen que no se puede decodificar se rechaza (no se le pueden quitar
+ *   los metadatos).
+ */
+
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const Storage = require('./storageService');
+const { UploadError } = require('./uploadSecurityService');
+
+const THUMB_PX = Math.max(64, parseInt(process.env.PREVIEW_THUMB_PX, 10) || 320);
+const PREVIEW_PX = Math.max(THUMB_PX, parseInt(process.env.PREVIEW_MAX_PX, 10) || 1600);
+const WEBP_QUALITY = 80;
+
+const THUMBS_DIR = 'thumbs';
+const PREVIEWS_DIR = 'previews';
+const VARIANT_MIME = 'image/webp';
+
+// formatos que se reescriben sin metadatos (mime -> formato de sharp)
+const STRIP_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const IMAGE_MIMES = [...Object.keys(STRIP_FORMATS), 'image/gif'];
+
+// mupdf es un módulo ES (WebAssembly): se carga la primera vez que llega un PDF
+let mupdfModule = null;
+function loadMupdf() {
+  if (!mupdfModule) mupdfModule = import('mupdf');
+  return mupdfModule;
+}
+
+function putBuffer(key, buf, contentType) {
+  return Storage.put(key, Readable.from([buf]), { contentType });
+}
+
+/**
+ * Nombres de las variantes de un adjunto (relativos al prefijo de los adjuntos)
+ * @param {string} filename - nombre del original ("123-rx.png")
+ */
+function variantNames(filename) {
+  return {
+    thumbnail: `${THUMBS_DIR}/${filename}.webp`,
+    preview: `${PREVIEWS_DIR}/${filename}.webp`
+  };
+}
+
+// Primera página del PDF como PNG, con el lado mayor a PREVIEW_PX como mucho
+async function renderPdfFirstPage(buf) {
+  const mupdf = await loadMupdf();
+  const doc = mupdf.Document.openDocument(buf, 'application/pdf');
+  try {
+    if (doc.needsPassword()) throw new Error('PDF protegido con contraseña');
+    if (doc.countPages() < 1) throw new Error('PDF sin páginas');
+    const page = doc.loadPage(0);
+    const [x0, y0, x1, y1] = page.getBounds();
+    const scale = Math.min(2, PREVIEW_PX / Math.max(x1 - x0, y1 - y0, 1));
+    const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+    return Buffer.from(pixmap.asPNG());
+  } finally {
+    doc.destroy();
+  }
+}
+
+// Imagen sin metadatos y con la orientación aplicada; null si no los tenía (no se recomprime)
+async function stripMetadata(buf, mime) {
+  const format = STRIP_FORMATS[mime];
+  if (!format) return null;
+  const meta = await sharp(buf).metadata();
+  const sinRotar = !meta.orientation || meta.orientation === 1;
+  if (!meta.exif && !meta.xmp && !meta.iptc && sinRotar) return null;
+  // sharp no copia metadatos a la salida salvo que se pida (keepIccProfile: conserva el color)
+  return sharp(buf).rotate().keepIccProfile().toFormat(format, format === 'jpeg' ? { quality: 92 } : {}).toBuffer();
+}
+
+function resizeWebp(source, px) {
+  return sharp(source)
+    .rotate()
+    .resize(px, px, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Procesa un adjunto recién guardado: quita metadatos a las imágenes y guarda sus variantes
+ * @param {string} prefix - prefijo de las claves ('medical')
+ * @param {string} filename - nombre del original dentro del prefijo
+ * @param {string} mime - tipo detectado por contenido
+ * @param {Object} [meta] - { originalname } para los mensajes
+ * @returns {Promise<{ size?: number, thumbnail_filename: string|null, preview_filename: string|null }>}
+ *   size solo si el original se reescribió
+ * @throws {UploadError} 415 imagen que no se puede decodificar
+ */
+async function processStored(prefix, filename, mime, meta = {}) {
+  const out = { thumbnail_filename: null, preview_filename: null };
+  if (!IMAGE_MIMES.includes(mime) && mime !== 'application/pdf') return out;
+
+  const key = `${prefix}/${filename}`;
+  let source = await Storage.readBuffer(key);
+  if (!source) return out;
+
+  if (IMAGE_MIMES.includes(mime)) {
+    let stripped;
+    try {
+      stripped = await stripMetadata(source, mime);
+    } catch (err) {
+      throw new UploadError(`La imagen "${meta.originalname || filename}" está dañada o no se puede procesar`, 415);
+    }
+    if (stripped) {
+      out.size = (await putBuffer(key, stripped, mime)).size;
+      source = stripped;
+    }
+  } else {
+    try {
+      source = await renderPdfFirstPage(source);
+    } catch (err) {
+      console.warn(`⚠️ Sin vista previa para ${key}:`, err.message || err);
+      return out;
+    }
+  }
+
+  const names = variantNames(filename);
+  try {
+    await putBuffer(`${prefix}/${names.thumbnail}`, await resizeWebp(source, THUMB_PX), VARIANT_MIME);
+    out.thumbnail_filename = names.thumbnail;
+    await putBuffer(`${prefix}/${names.preview}`, await resizeWebp(source, PREVIEW_PX), VARIANT_MIME);
+    out.preview_filename = names.preview;
+  } catch (err) {
+    console.warn(`⚠️ No se pudieron generar las variantes de ${key}:`, err.message || err);
+  }
+  return out;
+}
+
+module.exports = {
+  THUMB_PX,
+  PREVIEW_PX,
+  VARIANT_MIME,
+  variantNames,
+  processStored
+};
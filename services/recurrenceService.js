@@ -0,0 +1,126 @@
+// services/recurrenceService.js
+/**
+ * Reglas de recurrencia de citas (refuerzos de vacunas, desparasitaciones, controles).
+ *
+ * Regla: { frecuencia: 'dias' | 'semanas' | 'meses', intervalo: N, hasta?: 'YYYY-MM-DD', repeticiones?: N }
+ *   - cada N días / semanas / meses a partir de la primera cita, misma hora
+ *   - termina en `hasta` (inclusive) o tras `repeticiones` citas (lo que ocurra antes)
+ * Los meses se calculan siempre desde la primera fecha (sin deriva): una serie que empieza
+ * el 31 cae el último día de los meses más cortos.
+ * Las fechas se calculan en hora local de la clínica (CLINIC_TIMEZONE): la hora de reloj
+ * se mantiene aunque la serie cruce un cambio de horario de verano.
+ */
+
+const TimezoneService = require('./timezoneService');
+
+const FRECUENCIAS = ['dias', 'semanas', 'meses'];
+const MAX_OCURRENCIAS = Number(process.env.RECURRENCE_MAX_OCCURRENCES || 52);
+
+class RecurrenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RecurrenceError';
+    this.status = status;
+  }
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Fecha de la ocurrencia k (0 = la primera)
+ * @param {Date} start
+ * @param {string} frecuencia
+ * @param {number} step - intervalo * k
+ * @returns {Date}
+ */
+function addInterval(start, frecuencia, step) {
+  const p = TimezoneService.localParts(start);
+  let year = p.year;
+  let month = p.month - 1;
+  let day = p.day;
+  if (frecuencia === 'dias') {
+    day += step;
+  } else if (frecuencia === 'semanas') {
+    day += step * 7;
+  } else {
+    const targetMonth = month + step;
+    year += Math.floor(targetMonth / 12);
+    month = ((targetMonth % 12) + 12) % 12;
+    day = Math.min(p.day, daysInMonth(year, month));
+  }
+  const dateStr = new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+  return TimezoneService.fromLocal(dateStr, TimezoneService.localTimeStr(start));
+}
+
+/**
+ * Valida y normaliza una regla
+ * @param {Object} rule
+ * @returns {{ frecuencia: string, intervalo: number, hasta: string|null, repeticiones: number|null }}
+ * @throws {RecurrenceError}
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new RecurrenceError('recurrencia es requerida');
+  const frecuencia = String(rule.frecuencia || '').toLowerCase();
+  if (!FRECUENCIAS.includes(frecuencia)) {
+    throw new RecurrenceError(`recurrencia.frecuencia inválida (${FRECUENCIAS.join(', ')})`);
+  }
+  const intervalo = Number(rule.intervalo ?? 1);
+  if (!Number.isInteger(intervalo) || intervalo < 1) {
+    throw new RecurrenceError('recurrencia.intervalo debe ser un entero >= 1');
+  }
+  const hasta = rule.hasta ? String(rule.hasta).slice(0, 10) : null;
+  if (hasta && !/^\d{4}-\d{2}-\d{2}$/.test(hasta)) {
+    throw new RecurrenceError('recurrencia.hasta debe tener formato YYYY-MM-DD');
+  }
+  const repeticiones = rule.repeticiones !== undefined && rule.repeticiones !== null ? Number(rule.repeticiones) : null;
+  if (repeticiones !== null && (!Number.isInteger(repeticiones) || repeticiones < 1)) {
+    throw new RecurrenceError('recurrencia.repeticiones debe ser un entero >= 1');
+  }
+  if (!hasta && !repeticiones) {
+    throw new RecurrenceError('recurrencia requiere "hasta" o "repeticiones"');
+  }
+  if (repeticiones && repeticiones > MAX_OCURRENCIAS) {
+    throw new RecurrenceError(`Una serie no puede tener más de ${MAX_OCURRENCIAS} citas`);
+  }
+  return { frecuencia, intervalo, hasta, repeticiones };
+}
+
+/**
+ * Expande la regla en fechas de inicio
+ * @param {Date} start - primera cita
+ * @param {Object} rule
+ * @returns {Date[]}
+ * @throws {RecurrenceError}
+ */
+function expand(start, rule) {
+  const { frecuencia, intervalo, hasta, repeticiones } = normalizeRule(rule);
+  let limit = null;
+  if (hasta) {
+    // fin del día `hasta` en hora de la clínica (exclusivo)
+    limit = TimezoneService.fromLocal(TimezoneService.addDays(hasta, 1), 0);
+    if (limit <= start) throw new RecurrenceError('recurrencia.hasta es anterior a la primera cita');
+  }
+
+  const dates = [];
+  for (let k = 0; ; k++) {
+    if (repeticiones && dates.length >= repeticiones) break;
+    const next = addInterval(start, frecuencia, intervalo * k);
+    if (limit && next >= limit) break;
+    if (dates.length >= MAX_OCURRENCIAS) {
+      throw new RecurrenceError(`Una serie no puede tener más de ${MAX_OCURRENCIAS} citas`);
+    }
+    dates.push(next);
+  }
+  return dates;
+}
+
+module.exports = {
+  FRECUENCIAS,
+  MAX_OCURRENCIAS,
+  RecurrenceError,
+  addInterval,
+  normalizeRule,
+  expand
+};
@@ -0,0 +1,294 @@
+// services/reminderService.js
+/**
+ * Recordatorios de citas.
+ *
+ * El scheduler (en el proceso de la API con NOTIFICATIONS_WORKER=inline o con
+ * `node worker.js`) busca citas pendientes o confirmadas que empiezan dentro de
+ * alguna de las antelaciones de REMINDER_OFFSETS (p.ej. "24h,2h") y encola un
+ * recordatorio para el propietario en el outbox de notificaciones.
+ *
+ * - Por cita solo se envía la antelación más cercana que ya venció: una cita
+ *   reservada con 3 horas de margen recibe el recordatorio de 2h, no también el de 24h.
+ * - citas_recordatorios registra lo enviado (cita, antelación y fecha de la cita);
+ *   su clave única evita duplicados entre workers, y una cita reprogramada vuelve
+ *   a recibir sus recordatorios.
+ * - El correo incluye enlaces firmados para confirmar o cancelar la cita sin iniciar
+ *   sesión. GET /citas/acciones/:token solo muestra una página de confirmación
+ *   (los clientes de correo y antivirus abren los enlaces por su cuenta); el cambio
+ *   lo hace su formulario con POST al mismo enlace. El token es un JWT con audiencia propia
+ *   (no sirve como access token), caduca al empezar la cita y deja de valer si la
+ *   cita se reprograma.
+ */
+
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const NotificationService = require('./notificationService');
+const IcalService = require('./icalService');
+const { escapeHtml, formatFecha } = require('./notificationTemplates');
+const { ESTADOS } = require('../config/citaEstados');
+
+const LINK_SECRET = process.env.REMINDER_LINK_SECRET || process.env.JWT_SECRET || 'default_secret_key';
+const LINK_AUDIENCE = 'cita-action';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+const POLL_SECONDS = Number(process.env.REMINDERS_POLL_SECONDS || 60);
+
+// estados que reciben recordatorio
+const ESTADOS_RECORDATORIO = [ESTADOS.PENDIENTE, ESTADOS.CONFIRMADA];
+
+// acciones de los enlaces -> estado destino
+const ACCIONES = {
+  confirmar: ESTADOS.CONFIRMADA,
+  cancelar: ESTADOS.CANCELADA
+};
+
+class ReminderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReminderError';
+    this.status = status;
+  }
+}
+
+/**
+ * "24h,2h,30m" -> [1440, 120, 30] (minutos, de mayor a menor, sin repetidos)
+ * @param {string} value
+ * @returns {number[]}
+ */
+function parseOffsets(value) {
+  const out = new Set();
+  for (const part of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^(\d+)\s*([hm]?)$/i);
+    if (!m || Number(m[1]) <= 0) {
+      console.error(`REMINDER_OFFSETS: valor inválido "${part}" (usar p.ej. 24h, 2h, 30m)`);
+      continue;
+    }
+    out.add(m[2].toLowerCase() === 'm' ? Number(m[1]) : Number(m[1]) * 60);
+  }
+  return [...out].sort((a, b) => b - a);
+}
+
+const OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS ?? '24h,2h');
+
+/* ------------------ Enlaces firmados ------------------ */
+
+/**
+ * Token firmado para confirmar / cancelar una cita desde el recordatorio
+ * @param {Object} cita - fila de citas (id, propietario_id, fecha_inicio)
+ * @param {string} accion - 'confirmar' | 'cancelar'
+ * @returns {string}
+ */
+function signActionToken(cita, accion) {
+  const inicio = Math.floor(new Date(cita.fecha_inicio).getTime() / 1000);
+  return jwt.sign(
+    { cita: Number(cita.id), accion, fi: inicio, exp: inicio },
+    LINK_SECRET,
+    { audience: LINK_AUDIENCE, subject: String(cita.propietario_id) }
+  );
+}
+
+/**
+ * Verifica un token de acción
+ * @param {string} token
+ * @returns {{ citaId: number, propietarioId: number, accion: string, estado: string, fechaInicio: number }}
+ * @throws {ReminderError} 400 inválido, 410 caducado
+ */
+function verifyActionToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, LINK_SECRET, { audience: LINK_AUDIENCE });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') throw new ReminderError('El enlace ha caducado: la cita ya empezó', 410);
+    throw new ReminderError('Enlace inválido');
+  }
+  if (!ACCIONES[payload.accion] || !payload.cita || !payload.sub) throw new ReminderError('Enlace inválido');
+  return {
+    citaId: payload.cita,
+    propietarioId: Number(payload.sub),
+    accion: payload.accion,
+    estado: ACCIONES[payload.accion],
+    fechaInicio: payload.fi * 1000
+  };
+}
+
+/**
+ * true si el enlace sigue correspondiendo a la cita (mismo propietario y misma fecha)
+ * @param {Object} action - resultado de verifyActionToken
+ * @param {Object} cita - fila de citas
+ * @returns {boolean}
+ */
+function actionMatches(action, cita) {
+  return Number(cita.propietario_id) === action.propietarioId &&
+    Math.floor(new Date(cita.fecha_inicio).getTime() / 1000) * 1000 === action.fechaInicio;
+}
+
+function actionUrl(cita, accion) {
+  return `${PUBLIC_BASE_URL}${API_PREFIX}/citas/acciones/${signActionToken(cita, accion)}`;
+}
+
+const PAGINA_ACCION = {
+  confirmar: { titulo: 'Confirmar cita', pregunta: '¿Confirmas tu asistencia a esta cita?', boton: 'Confirmar cita' },
+  cancelar: { titulo: 'Cancelar cita', pregunta: '¿Seguro que quieres cancelar esta cita?', boton: 'Cancelar cita' }
+};
+
+/**
+ * Página de confirmación de un enlace del recordatorio (GET /citas/acciones/:token).
+ * No cambia nada: su formulario hace POST al mismo enlace (multipart: validateContentType
+ * solo admite JSON o multipart en los POST).
+ * @param {Object} action - resultado de verifyActionToken
+ * @param {Object} cita - { fecha_inicio, mascota_nombre, tipo_consulta }
+ * @returns {string} HTML
+ */
+function renderActionPage(action, cita) {
+  const t = PAGINA_ACCION[action.accion];
+  const detalle = [
+    cita.mascota_nombre ? `Mascota: ${cita.mascota_nombre}` : null,
+    cita.tipo_consulta ? `Tipo: ${cita.tipo_consulta}` : null,
+    `Fecha: ${formatFecha(cita.fecha_inicio, 'es')}`
+  ].filter(Boolean);
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(t.titulo)}</title></head>
+<body>
+<h1>${escapeHtml(t.titulo)}</h1>
+<p>${escapeHtml(t.pregunta)}</p>
+<ul>${detalle.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>
+<form method="post" enctype="multipart/form-data"><button type="submit">${escapeHtml(t.boton)}</button></form>
+</body>
+</html>
+`;
+}
+
+/* ------------------ Scheduler ------------------ */
+
+// antelación a enviar ahora: la menor de las ya vencidas (null si ninguna)
+function dueOffset(fechaInicio, now = Date.now()) {
+  const restante = (new Date(fechaInicio).getTime() - now) / 60000;
+  const vencidas = OFFSETS.filter(o => o >= restante);
+  return vencidas.length ? vencidas[vencidas.length - 1] : null;
+}
+
+/**
+ * Encola el recordatorio de una cita para una antelación. Registro y notificación
+ * van en la misma transacción; si otro worker ya lo registró no hace nada.
+ * @param {number} citaId
+ * @param {number} offset - minutos
+ * @returns {Promise<boolean>} true si se encoló
+ */
+async function sendReminder(citaId, offset) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const cita = await IcalService.loadCita(citaId, conn);
+    if (!cita || !ESTADOS_RECORDATORIO.includes(cita.estado) || new Date(cita.fecha_inicio) <= new Date()) {
+      await conn.rollback();
+      return false;
+    }
+
+    const [ins] = await conn.query(
+      'INSERT IGNORE INTO citas_recordatorios (cita_id, offset_minutos, fecha_inicio) VALUES (?, ?, ?)',
+      [cita.id, offset, cita.fecha_inicio]
+    );
+    if (!ins.affectedRows) {
+      await conn.rollback();
+      return false;
+    }
+
+    const notificacionId = await NotificationService.enqueue({
+      evento: NotificationService.EVENTOS.CITA_RECORDATORIO,
+      destinatario: { tipo: 'propietario', id: cita.propietario_id, email: cita.propietario_email, idioma: cita.propietario_idioma, nombre: cita.propietario_nombre },
+      data: {
+        ...cita,
+        offset_minutos: offset,
+        confirmar_url: cita.estado === ESTADOS.PENDIENTE ? actionUrl(cita, 'confirmar') : null,
+        cancelar_url: actionUrl(cita, 'cancelar')
+      },
+      referencia: { tipo: 'cita', id: cita.id },
+      dedupeKey: `recordatorio:${cita.id}:${offset}:${new Date(cita.fecha_inicio).getTime() / 1000}`
+    }, conn);
+    if (notificacionId) {
+      await conn.query('UPDATE citas_recordatorios SET notificacion_id = ? WHERE id = ?', [notificacionId, ins.insertId]);
+    }
+
+    await conn.commit();
+    return true;
+  } catch (err) {
+    try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Busca citas con recordatorio vencido y los encola
+ * @returns {Promise<{ revisadas: number, encolados: number }>}
+ */
+async function scan() {
+  const summary = { revisadas: 0, encolados: 0 };
+  if (!OFFSETS.length) return summary;
+
+  const [citas] = await db.query(
+    `SELECT id, fecha_inicio FROM citas
+     WHERE estado IN (?) AND deleted_at IS NULL
+       AND fecha_inicio > NOW() AND fecha_inicio <= DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+    [ESTADOS_RECORDATORIO, OFFSETS[0]]
+  );
+  summary.revisadas = citas.length;
+  if (!citas.length) return summary;
+
+  const [enviados] = await db.query(
+    'SELECT cita_id, offset_minutos, fecha_inicio FROM citas_recordatorios WHERE cita_id IN (?)',
+    [citas.map(c => c.id)]
+  );
+  const yaEnviado = new Set(enviados.map(r => `${r.cita_id}:${r.offset_minutos}:${new Date(r.fecha_inicio).getTime()}`));
+
+  for (const c of citas) {
+    const offset = dueOffset(c.fecha_inicio);
+    if (offset === null || yaEnviado.has(`${c.id}:${offset}:${new Date(c.fecha_inicio).getTime()}`)) continue;
+    try {
+      if (await sendReminder(c.id, offset)) summary.encolados++;
+    } catch (err) {
+      console.error(`Error encolando recordatorio de la cita ${c.id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Arranca el scheduler en bucle (cada REMINDERS_POLL_SECONDS)
+ * @returns {Function} stop
+ */
+function startScheduler({ intervalSeconds = POLL_SECONDS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await scan();
+      if (r.encolados) console.log(`⏰ Recordatorios: ${r.encolados} encolados`);
+    } catch (err) {
+      console.error('Error en el scheduler de recordatorios:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalSeconds * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  OFFSETS,
+  ACCIONES,
+  ReminderError,
+  parseOffsets,
+  signActionToken,
+  verifyActionToken,
+  actionMatches,
+  renderActionPage,
+  dueOffset,
+  sendReminder,
+  scan,
+  startScheduler
+};
@@ -0,0 +1,164 @@
+// services/scheduleService.js
+/**
+ * Disponibilidad del personal por fecha.
+ *
+ * Combina (en este orden de prioridad):
+ *   1. ausencias_personal      -> vacaciones / enfermedad: sin disponibilidad ese día
+ *   2. horarios_excepciones    -> para una fecha concreta: no disponible, o reemplaza el horario del día
+ *   3. feriados_clinica        -> clínica cerrada (salvo excepción disponible del punto 2)
+ *   4. horarios_personal       -> horario semanal; si el usuario no tiene ninguno configurado
+ *                                 se usa el horario por defecto de la clínica (CLINIC_OPEN / CLINIC_CLOSE)
+ * A la franja resultante se le restan las pausas (pausas_personal, p.ej. almuerzo).
+ *
+ * Las franjas se expresan en minutos desde medianoche: [{ from, to }] con from < to.
+ */
+
+const db = require('../db');
+
+const CLINIC_OPEN = process.env.CLINIC_OPEN || '07:00';
+const CLINIC_CLOSE = process.env.CLINIC_CLOSE || '17:00';
+
+// "HH:MM" o "HH:MM:SS" -> minutos
+function timeToMinutes(t) {
+  const [hh, mm] = String(t).split(':').map(Number);
+  return hh * 60 + mm;
+}
+
+// día de la semana (0 = domingo) de una fecha "YYYY-MM-DD", sin depender de la zona horaria del servidor
+function dayOfWeek(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Une franjas solapadas/contiguas y las ordena
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(i => i.from < i.to).sort((a, b) => a.from - b.from);
+  const out = [];
+  for (const i of sorted) {
+    const last = out[out.length - 1];
+    if (last && i.from <= last.to) last.to = Math.max(last.to, i.to);
+    else out.push({ from: i.from, to: i.to });
+  }
+  return out;
+}
+
+// Resta a `intervals` las franjas de `blocks`
+function subtractIntervals(intervals, blocks) {
+  let result = mergeIntervals(intervals);
+  for (const b of mergeIntervals(blocks)) {
+    const next = [];
+    for (const i of result) {
+      if (b.to <= i.from || b.from >= i.to) { next.push(i); continue; }
+      if (b.from > i.from) next.push({ from: i.from, to: b.from });
+      if (b.to < i.to) next.push({ from: b.to, to: i.to });
+    }
+    result = next;
+  }
+  return result;
+}
+
+// Intersección de dos listas de franjas
+function intersectIntervals(a, b) {
+  const out = [];
+  for (const x of mergeIntervals(a)) {
+    for (const y of mergeIntervals(b)) {
+      const from = Math.max(x.from, y.from);
+      const to = Math.min(x.to, y.to);
+      if (from < to) out.push({ from, to });
+    }
+  }
+  return mergeIntervals(out);
+}
+
+const toInterval = (row) => ({ from: timeToMinutes(row.hora_inicio), to: timeToMinutes(row.hora_fin) });
+
+/**
+ * getAvailability
+ * @param {Array<number|string>} userIds - ids de usuarios (personal)
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {Promise<Object<string, Array<{from:number,to:number}>>>} franjas disponibles por usuario
+ */
+async function getAvailability(userIds, dateStr) {
+  const ids = (userIds || []).map(Number).filter(n => !isNaN(n));
+  const result = {};
+  if (!ids.length) return result;
+
+  const dow = dayOfWeek(dateStr);
+
+  const [weekly] = await db.query(
+    'SELECT usuario_id, dia_semana, hora_inicio, hora_fin FROM horarios_personal WHERE usuario_id IN (?)',
+    [ids]
+  );
+  const [breaks] = await db.query(
+    'SELECT usuario_id, hora_inicio, hora_fin FROM pausas_personal WHERE usuario_id IN (?) AND dia_semana = ?',
+    [ids, dow]
+  );
+  const [absences] = await db.query(
+    'SELECT usuario_id FROM ausencias_personal WHERE usuario_id IN (?) AND ? BETWEEN fecha_inicio AND fecha_fin',
+    [ids, dateStr]
+  );
+  const [overrides] = await db.query(
+    'SELECT usuario_id, disponible, hora_inicio, hora_fin FROM horarios_excepciones WHERE usuario_id IN (?) AND fecha = ?',
+    [ids, dateStr]
+  );
+  const [holidays] = await db.query('SELECT id FROM feriados_clinica WHERE fecha = ? LIMIT 1', [dateStr]);
+  const isHoliday = holidays.length > 0;
+
+  const absent = new Set(absences.map(a => String(a.usuario_id)));
+  const defaultDay = [{ from: timeToMinutes(CLINIC_OPEN), to: timeToMinutes(CLINIC_CLOSE) }];
+
+  for (const id of ids) {
+    const key = String(id);
+
+    if (absent.has(key)) { result[key] = []; continue; }
+
+    let base;
+    const ov = overrides.filter(o => String(o.usuario_id) === key);
+    if (ov.length) {
+      // cualquier excepción "no disponible" anula el día; si no, las excepciones reemplazan el horario
+      base = ov.some(o => !Number(o.disponible) || !o.hora_inicio || !o.hora_fin)
+        ? []
+        : ov.map(toInterval);
+    } else if (isHoliday) {
+      base = [];
+    } else {
+      const own = weekly.filter(w => String(w.usuario_id) === key);
+      base = own.length
+        ? own.filter(w => Number(w.dia_semana) === dow).map(toInterval)
+        : defaultDay;
+    }
+
+    const userBreaks = breaks.filter(b => String(b.usuario_id) === key).map(toInterval);
+    result[key] = subtractIntervals(base, userBreaks);
+  }
+
+  return result;
+}
+
+/**
+ * isAvailable: indica si el usuario trabaja durante todo el intervalo
+ * @param {number|string} userId
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {number} startMin - minutos desde medianoche
+ * @param {number} durationMin
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable(userId, dateStr, startMin, durationMin) {
+  const endMin = startMin + Number(durationMin);
+  if (endMin > 24 * 60) return false;
+  const availability = await getAvailability([userId], dateStr);
+  const intervals = availability[String(Number(userId))] || [];
+  return intervals.some(i => i.from <= startMin && endMin <= i.to);
+}
+
+module.exports = {
+  CLINIC_OPEN,
+  CLINIC_CLOSE,
+  timeToMinutes,
+  dayOfWeek,
+  mergeIntervals,
+  subtractIntervals,
+  intersectIntervals,
+  getAvailability,
+  isAvailable
+};
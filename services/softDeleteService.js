@@ -0,0 +1,359 @@
+// services/softDeleteService.js
+/**
+ * Borrado lógico de propietarios, mascotas, citas y fichas médicas (columna deleted_at).
+ *
+ * - Eliminar marca la fila y, en cascada, lo que cuelga de ella y sigue activo:
+ *   propietario -> sus mascotas, citas y las fichas de sus mascotas; mascota -> sus citas y fichas.
+ *   Todo lo marcado en la misma operación comparte el mismo deleted_at. Las fichas de un
+ *   encuentro clínico firmado no se eliminan (son historia clínica: ver EncounterService.isFichaFirmada).
+ * - Al eliminar un propietario o una mascota (softDeleteCancelling / releaseCancelled) sus citas
+ *   futuras activas se avisan como canceladas, sus huecos se ofrecen a la lista de espera y sus
+ *   entradas abiertas en la lista de espera se cancelan.
+ * - Restaurar quita la marca a la fila y a lo que se eliminó con ella (mismo deleted_at);
+ *   lo eliminado antes por separado sigue eliminado. No se restaura nada cuyo padre siga
+ *   eliminado (409), ni una cita activa cuyo horario ya ocupa otra (409; en una restauración
+ *   en cascada esas citas se quedan eliminadas y se informan).
+ * - La purga borra definitivamente lo eliminado hace más de SOFT_DELETE_RETENTION_DAYS
+ *   (5 años por defecto, plazo habitual de conservación de historias clínicas), junto con los
+ *   archivos de las fichas. Un propietario o una mascota no se purgan mientras conserven
+ *   mascotas, fichas, encuentros o vacunas aplicadas (el borrado en cascada de la BD se los
+ *   llevaría), ni una cita con encuentro clínico o una ficha de un encuentro firmado.
+ */
+
+const db = require('../db');
+const { ESTADOS, ESTADOS_LIBERAN_HORARIO } = require('../config/citaEstados');
+const BookingService = require('./bookingService');
+const AttachmentService = require('./attachmentService');
+const NotificationService = require('./notificationService');
+const IcalService = require('./icalService');
+const WaitlistService = require('./waitlistService');
+const { ESTADOS_ENCUENTRO } = require('./encounterService');
+
+const RETENTION_DAYS = Math.max(1, parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 1825);
+const PURGE_INTERVAL_HOURS = Math.max(1, Number(process.env.PURGE_INTERVAL_HOURS) || 24);
+const PURGE_BATCH = 500;
+
+// mensajes: nombre y concordancia de género
+const LABELS = {
+  propietarios: { nombre: 'El propietario', eliminado: 'eliminado', lo: 'lo' },
+  mascotas: { nombre: 'La mascota', eliminado: 'eliminada', lo: 'la' },
+  citas: { nombre: 'La cita', eliminado: 'eliminada', lo: 'la' },
+  fichas_medicas: { nombre: 'La ficha', eliminado: 'eliminada', lo: 'la' }
+};
+
+// citas que aún ocupan un horario: no canceladas / no_show / completadas, y futuras
+const CITA_FUTURA = `c.deleted_at IS NULL AND c.fecha_inicio > NOW() AND c.estado NOT IN (?)`;
+const ESTADOS_CERRADOS = [...ESTADOS_LIBERAN_HORARIO, ESTADOS.COMPLETADA];
+
+// entradas de la lista de espera que aún pueden recibir ofertas
+const ENTRADAS_ABIERTAS = [WaitlistService.ENTRY_ESTADOS.ACTIVA, WaitlistService.ENTRY_ESTADOS.OFERTADA];
+
+// tabla -> columna por la que cuelgan de ella las citas y la lista de espera
+const CANCELA_POR = { propietarios: 'propietario_id', mascotas: 'mascota_id' };
+
+// ficha (con ese alias) de un encuentro firmado: no se elimina en cascada ni se purga
+const fichaFirmada = (alias) => `EXISTS (SELECT 1 FROM encuentros e
+  WHERE e.ficha_id = ${alias}.id OR (e.cita_id = ${alias}.cita_id AND e.estado = '${ESTADOS_ENCUENTRO.FIRMADO}'))`;
+
+// tabla -> filas que se eliminan / restauran con ella (alias, FROM, condición sobre el id y,
+// si hay, filas que se conservan al eliminar)
+const CASCADES = {
+  propietarios: [
+    { tabla: 'fichas_medicas', alias: 'f', from: 'fichas_medicas f JOIN mascotas m ON f.mascota_id = m.id', where: 'm.owner_id = ?', keep: fichaFirmada('f') },
+    { tabla: 'citas', alias: 'c', from: 'citas c', where: 'c.propietario_id = ?' },
+    { tabla: 'mascotas', alias: 'm', from: 'mascotas m', where: 'm.owner_id = ?' }
+  ],
+  mascotas: [
+    { tabla: 'fichas_medicas', alias: 'f', from: 'fichas_medicas f', where: 'f.mascota_id = ?', keep: fichaFirmada('f') },
+    { tabla: 'citas', alias: 'c', from: 'citas c', where: 'c.mascota_id = ?' }
+  ],
+  citas: [],
+  fichas_medicas: []
+};
+
+// tabla -> [tabla padre, columna]: no se restaura si el padre sigue eliminado
+const PARENTS = {
+  propietarios: [],
+  mascotas: [['propietarios', 'owner_id']],
+  citas: [['mascotas', 'mascota_id'], ['propietarios', 'propietario_id']],
+  fichas_medicas: [['mascotas', 'mascota_id']]
+};
+
+class SoftDeleteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SoftDeleteError';
+    this.status = status;
+  }
+}
+
+function checkTable(tabla) {
+  if (!CASCADES[tabla]) throw new Error(`Tabla sin borrado lógico: ${tabla}`);
+}
+
+/**
+ * Marca una fila (y su cascada) como eliminada
+ * @param {Object} conn - conexión (en transacción si el llamador hace más cambios)
+ * @param {string} tabla - propietarios | mascotas | citas | fichas_medicas
+ * @param {number|string} id
+ * @param {Object} actor - req.user ({ userId, subjectType })
+ * @returns {Promise<{ deleted_at: Date, cascada: Object }|null>} null si no existe o ya estaba eliminada
+ */
+async function softDelete(conn, tabla, id, actor) {
+  checkTable(tabla);
+  const [rows] = await conn.query(`SELECT id FROM ${tabla} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`, [id]);
+  if (!rows.length) return null;
+
+  // segundos exactos: DATETIME no guarda milisegundos y la restauración compara por igualdad
+  const at = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const by = actor ? actor.userId : null;
+  const setFor = (alias, t) => (t === 'citas'
+    ? { sql: `${alias}.deleted_at = ?, ${alias}.deleted_by = ?, ${alias}.deleted_by_type = ?`, params: [at, by, actor ? actor.subjectType : null] }
+    : { sql: `${alias}.deleted_at = ?, ${alias}.deleted_by = ?`, params: [at, by] });
+
+  const cascada = {};
+  for (const c of CASCADES[tabla]) {
+    const set = setFor(c.alias, c.tabla);
+    const keep = c.keep ? ` AND NOT ${c.keep}` : '';
+    const [result] = await conn.query(
+      `UPDATE ${c.from} SET ${set.sql} WHERE ${c.where} AND ${c.alias}.deleted_at IS NULL${keep}`,
+      [...set.params, id]
+    );
+    cascada[c.tabla] = result.affectedRows;
+  }
+  const set = setFor('t', tabla);
+  await conn.query(`UPDATE ${tabla} t SET ${set.sql} WHERE t.id = ?`, [...set.params, id]);
+  return { deleted_at: at, cascada };
+}
+
+/**
+ * Borrado lógico de un propietario o una mascota que cancela sus citas futuras activas:
+ * se avisan como canceladas (el aviso se arma con la fila completa antes de marcarla).
+ * Tras el commit el llamador debe llamar a releaseCancelled con `liberadas`.
+ * @param {Object} conn - conexión en transacción
+ * @param {string} tabla - propietarios | mascotas
+ * @param {number|string} id
+ * @param {Object} actor - req.user
+ * @returns {Promise<{ marcado: Object|null, liberadas: Array }>} marcado como softDelete
+ */
+async function softDeleteCancelling(conn, tabla, id, actor) {
+  const col = CANCELA_POR[tabla];
+  if (!col) throw new Error(`Tabla sin cancelación de citas: ${tabla}`);
+
+  const [futuras] = await conn.query(
+    `SELECT c.* FROM citas c WHERE c.${col} = ? AND ${CITA_FUTURA} FOR UPDATE`,
+    [id, ESTADOS_CERRADOS]
+  );
+  const completas = [];
+  for (const cita of futuras) completas.push(await IcalService.loadCita(cita.id, conn));
+
+  const marcado = await softDelete(conn, tabla, id, actor);
+  if (!marcado) return { marcado: null, liberadas: [] };
+  for (const cita of completas) {
+    await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_CANCELADA, cita.id, { conn, cita });
+  }
+  return { marcado, liberadas: futuras };
+}
+
+/**
+ * Tras el commit de softDeleteCancelling: ofrece los huecos a la lista de espera y cancela
+ * las entradas abiertas. No lanza (como al eliminar una cita): el borrado ya está hecho.
+ * @param {string} tabla - propietarios | mascotas
+ * @param {number|string} id
+ * @param {Array} liberadas - citas devueltas por softDeleteCancelling
+ */
+async function releaseCancelled(tabla, id, liberadas) {
+  try {
+    for (const cita of liberadas) await WaitlistService.offerFreedSlot(cita);
+    const [entradas] = await db.query(
+      `SELECT * FROM lista_espera WHERE ${CANCELA_POR[tabla]} = ? AND estado IN (?)`,
+      [id, ENTRADAS_ABIERTAS]
+    );
+    for (const entry of entradas) await WaitlistService.cancelEntry(entry);
+  } catch (err) {
+    console.error(`Error actualizando la lista de espera tras eliminar ${tabla} ${id}:`, err.message);
+  }
+}
+
+// cita activa (ocupa horario) en el futuro
+function ocupaHorario(cita) {
+  return !ESTADOS_LIBERAN_HORARIO.includes(cita.estado) &&
+    cita.estado !== ESTADOS.COMPLETADA &&
+    new Date(cita.fecha_inicio).getTime() > Date.now();
+}
+
+/**
+ * Restaura una fila eliminada y lo que se eliminó con ella
+ * @param {string} tabla
+ * @param {number|string} id
+ * @returns {Promise<{ restaurados: Object, citas_no_restauradas: Array<number> }>}
+ * @throws {SoftDeleteError} 404 no existe, 409 no está eliminada / padre eliminado / horario ocupado
+ */
+async function restore(tabla, id) {
+  checkTable(tabla);
+  const label = LABELS[tabla];
+  const [rows] = await db.query(`SELECT * FROM ${tabla} WHERE id = ?`, [id]);
+  if (!rows.length) throw new SoftDeleteError(`${label.nombre} no existe`, 404);
+  const row = rows[0];
+  if (!row.deleted_at) throw new SoftDeleteError(`${label.nombre} no está ${label.eliminado}`, 409);
+
+  for (const [padre, col] of PARENTS[tabla]) {
+    if (!row[col]) continue;
+    const [p] = await db.query(`SELECT deleted_at FROM ${padre} WHERE id = ?`, [row[col]]);
+    if (p.length && p[0].deleted_at) {
+      const parent = LABELS[padre];
+      throw new SoftDeleteError(`${parent.nombre} ${row[col]} está ${parent.eliminado}: hay que restaurar${parent.lo} primero`, 409);
+    }
+  }
+
+  // citas que vuelven: se comprueban sus horarios con los veterinarios bloqueados
+  let citas = [];
+  if (tabla === 'citas') {
+    citas = [row];
+  } else {
+    const c = CASCADES[tabla].find(x => x.tabla === 'citas');
+    if (c) {
+      const [found] = await db.query(`SELECT ${c.alias}.* FROM ${c.from} WHERE ${c.where} AND ${c.alias}.deleted_at = ?`, [id, row.deleted_at]);
+      citas = found;
+    }
+  }
+  const vets = citas.filter(ocupaHorario).map(c => c.veterinario_id);
+
+  return BookingService.withBookingLock(vets, async (conn) => {
+    const [locked] = await conn.query(`SELECT deleted_at FROM ${tabla} WHERE id = ? FOR UPDATE`, [id]);
+    if (!locked.length || !locked[0].deleted_at) throw new SoftDeleteError(`${label.nombre} no está ${label.eliminado}`, 409);
+
+    const noRestauradas = [];
+    for (const cita of citas) {
+      if (!ocupaHorario(cita)) continue;
+      const solapa = await BookingService.hasOverlap(
+        cita.veterinario_id,
+        BookingService.formatDateToSQL(new Date(cita.fecha_inicio)),
+        cita.duracion_min,
+        { excludeId: cita.id, conn }
+      );
+      if (solapa) noRestauradas.push(Number(cita.id));
+    }
+    if (tabla === 'citas' && noRestauradas.length) {
+      throw new SoftDeleteError('El horario de la cita ya está ocupado: no se puede restaurar (crea una nueva)', 409);
+    }
+
+    const restaurados = {};
+    for (const c of CASCADES[tabla]) {
+      const exclude = c.tabla === 'citas' && noRestauradas.length ? ` AND ${c.alias}.id NOT IN (?)` : '';
+      const clear = c.tabla === 'citas'
+        ? `${c.alias}.deleted_at = NULL, ${c.alias}.deleted_by = NULL, ${c.alias}.deleted_by_type = NULL`
+        : `${c.alias}.deleted_at = NULL, ${c.alias}.deleted_by = NULL`;
+      const [result] = await conn.query(
+        `UPDATE ${c.from} SET ${clear} WHERE ${c.where} AND ${c.alias}.deleted_at = ?${exclude}`,
+        exclude ? [id, row.deleted_at, noRestauradas] : [id, row.deleted_at]
+      );
+      restaurados[c.tabla] = result.affectedRows;
+    }
+    await conn.query(
+      `UPDATE ${tabla} SET deleted_at = NULL, deleted_by = NULL${tabla === 'citas' ? ', deleted_by_type = NULL' : ''} WHERE id = ?`,
+      [id]
+    );
+    return { restaurados, citas_no_restauradas: noRestauradas };
+  });
+}
+
+// ids eliminados antes del límite de retención
+async function expired(tabla, days, extraWhere = '') {
+  const [rows] = await db.query(
+    `SELECT t.id FROM ${tabla} t
+     WHERE t.deleted_at IS NOT NULL AND t.deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY) ${extraWhere}
+     ORDER BY t.deleted_at LIMIT ?`,
+    [days, PURGE_BATCH]
+  );
+  return rows.map(r => r.id);
+}
+
+/**
+ * Borra definitivamente lo eliminado hace más de `days` días (un lote por tabla)
+ * @param {Object} [opts] - { days, dryRun } (dryRun: solo cuenta lo que se purgaría)
+ * @returns {Promise<Object>} filas purgadas por tabla y errores
+ */
+async function purge({ days = RETENTION_DAYS, dryRun = false } = {}) {
+  const out = { fichas_medicas: 0, citas: 0, mascotas: 0, propietarios: 0, errores: 0 };
+  const purgeRows = async (tabla, ids, fn) => {
+    if (dryRun) {
+      out[tabla] += ids.length;
+      return;
+    }
+    for (const id of ids) {
+      try {
+        await fn(id);
+        out[tabla]++;
+      } catch (err) {
+        // error de BD o de almacenamiento: se reintenta en la próxima purga
+        out.errores++;
+        console.warn(`⚠️ No se pudo purgar ${tabla} ${id}:`, err.code || err.message);
+      }
+    }
+  };
+
+  await purgeRows('fichas_medicas', await expired('fichas_medicas', days, `AND NOT ${fichaFirmada('t')}`), async (id) => {
+    const adjuntos = await AttachmentService.listByFicha(id);
+    await db.query('DELETE FROM fichas_medicas WHERE id = ?', [id]);
+    await AttachmentService.removeFiles(adjuntos);
+  });
+  // encuentros.cita_id no tiene cascada: la cita con encuentro se conserva
+  await purgeRows(
+    'citas',
+    await expired('citas', days, 'AND NOT EXISTS (SELECT 1 FROM encuentros e WHERE e.cita_id = t.id)'),
+    (id) => db.query('DELETE FROM citas WHERE id = ?', [id])
+  );
+  // encuentros y vacunas_aplicadas sí tienen cascada sobre la mascota: se perderían con ella
+  await purgeRows(
+    'mascotas',
+    await expired('mascotas', days, `AND NOT EXISTS (SELECT 1 FROM fichas_medicas f WHERE f.mascota_id = t.id)
+      AND NOT EXISTS (SELECT 1 FROM encuentros e WHERE e.mascota_id = t.id)
+      AND NOT EXISTS (SELECT 1 FROM vacunas_aplicadas v WHERE v.mascota_id = t.id)`),
+    (id) => db.query('DELETE FROM mascotas WHERE id = ?', [id])
+  );
+  await purgeRows(
+    'propietarios',
+    await expired('propietarios', days, 'AND NOT EXISTS (SELECT 1 FROM mascotas m WHERE m.owner_id = t.id)'),
+    (id) => db.query('DELETE FROM propietarios WHERE id = ?', [id])
+  );
+  return out;
+}
+
+/**
+ * Arranca la purga periódica (cada PURGE_INTERVAL_HOURS)
+ * @returns {Function} stop
+ */
+function startPurgeJob({ intervalHours = PURGE_INTERVAL_HOURS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await purge();
+      const total = r.fichas_medicas + r.citas + r.mascotas + r.propietarios;
+      if (total || r.errores) console.log(`🗑️ Purga de eliminados: ${total} filas, ${r.errores} errores`);
+    } catch (err) {
+      console.error('Error en la purga de eliminados:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalHours * 3600 * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  CITA_FUTURA,
+  ESTADOS_CERRADOS,
+  ENTRADAS_ABIERTAS,
+  SoftDeleteError,
+  softDelete,
+  softDeleteCancelling,
+  releaseCancelled,
+  restore,
+  purge,
+  startPurgeJob
+};
@@ -0,0 +1,101 @@
+// services/storage/localDriver.js
+/**
+ * Driver de almacenamiento en disco local (STORAGE_DRIVER=local).
+ * Las claves ("medical/123-informe.pdf") son rutas relativas a `root`; nunca pueden salir de él.
+ * Las escrituras van a un temporal y se renombran al terminar: un archivo a medio subir no
+ * queda visible con su nombre final.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.root - carpeta base
+ */
+function createLocalDriver({ root }) {
+  const base = path.resolve(root);
+
+  function resolveKey(key) {
+    const full = path.resolve(base, key);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    return full;
+  }
+
+  async function put(key, body) {
+    const full = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    const tmp = `${full}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await pipeline(body, fs.createWriteStream(tmp));
+      await fs.promises.rename(tmp, full);
+    } catch (err) {
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw err;
+    }
+  }
+
+  async function stat(key) {
+    try {
+      return await fs.promises.stat(resolveKey(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // null si no existe
+  async function get(key) {
+    const st = await stat(key);
+    if (!st || !st.isFile()) return null;
+    return { stream: fs.createReadStream(resolveKey(key)), size: st.size };
+  }
+
+  async function exists(key) {
+    const st = await stat(key);
+    return Boolean(st && st.isFile());
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  // recorre la carpeta del prefijo (recursivo); omite temporales de subidas en curso
+  async function* list(prefix = '') {
+    const dir = prefix ? resolveKey(prefix) : base;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const key = prefix ? `${prefix.replace(/\/+$/, '')}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        yield* list(key);
+      } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+        const st = await fs.promises.stat(path.join(dir, entry.name));
+        yield { key, size: st.size, modified: st.mtime };
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    describe: () => `local (${base})`,
+    put,
+    get,
+    exists,
+    remove,
+    list
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,106 @@
+// services/storage/s3Driver.js
+/**
+ * Driver de almacenamiento S3 o compatible (MinIO, R2, Spaces...) (STORAGE_DRIVER=s3).
+ * Las subidas van en streaming con multipart upload (@aws-sdk/lib-storage): no hace falta
+ * conocer el tamaño ni tener el archivo entero en memoria. Las descargas devuelven el
+ * stream del objeto.
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+function isNotFound(err) {
+  return err && (err.name === 'NoSuchKey' || err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404));
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.bucket
+ * @param {string} [opts.region]
+ * @param {string} [opts.endpoint] - URL del servicio compatible (p. ej. http://localhost:9000 para MinIO)
+ * @param {string} [opts.accessKeyId]
+ * @param {string} [opts.secretAccessKey]
+ * @param {boolean} [opts.forcePathStyle] - http://host/bucket/clave (necesario en MinIO)
+ * @param {string} [opts.prefix] - prefijo de todas las claves dentro del bucket
+ */
+function createS3Driver({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+  if (!bucket) throw new Error('S3_BUCKET es obligatorio con STORAGE_DRIVER=s3');
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // sin claves: cadena de credenciales por defecto (variables AWS_*, rol de la instancia / tarea)
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const root = prefix.replace(/^\/+|\/+$/g, '');
+  const fullKey = (key) => (root ? `${root}/${key}` : key);
+
+  async function put(key, body, { contentType } = {}) {
+    await new Upload({
+      client,
+      params: { Bucket: bucket, Key: fullKey(key), Body: body, ContentType: contentType || undefined }
+    }).done();
+  }
+
+  // null si no existe
+  async function get(key) {
+    try {
+      const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      return { stream: out.Body, size: out.ContentLength, contentType: out.ContentType };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function exists(key) {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      return true;
+    } catch (err) {
+      if (isNotFound(err)) return false;
+      throw err;
+    }
+  }
+
+  // DeleteObject no falla si la clave no existe
+  async function remove(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+  }
+
+  async function* list(listPrefix = '') {
+    const strip = root ? root.length + 1 : 0;
+    let token;
+    do {
+      const out = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: fullKey(listPrefix),
+        ContinuationToken: token
+      }));
+      for (const obj of out.Contents || []) {
+        yield { key: obj.Key.slice(strip), size: obj.Size, modified: obj.LastModified };
+      }
+      token = out.IsTruncated ? out.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  return {
+    name: 's3',
+    describe: () => `s3 (${endpoint || 'aws'}/${bucket}${root ? '/' + root : ''})`,
+    put,
+    get,
+    exists,
+    remove,
+    list
+  };
+}
+
+module.exports = { createS3Driver };
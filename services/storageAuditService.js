@@ -0,0 +1,200 @@
+// services/storageAuditService.js
+/**
+ * Conciliación entre el almacenamiento de adjuntos y la BD, y uso de espacio.
+ *
+ * - Huérfanos: archivos bajo "medical/" que ninguna fila de ficha_adjuntos referencia
+ *   (original, miniatura o vista previa). Aparecen cuando falla el registro tras la subida
+ *   (multer escribe antes del INSERT), cuando falla un borrado o al eliminar mascotas
+ *   antiguas. Los más recientes que STORAGE_ORPHAN_GRACE_MINUTES se listan pero no se
+ *   borran: pueden ser subidas en curso que aún no se han registrado.
+ * - Referencias rotas: filas cuyo archivo ya no está en el almacenamiento. Si falta el
+ *   original se elimina el adjunto; si falta una variante solo se vacía su columna.
+ * - Uso: bytes ocupados por mascota y por propietario (originales y variantes).
+ *
+ * Se usa desde GET/POST /almacenamiento (admin) y desde npm run storage:reconcile.
+ */
+
+const db = require('../db');
+const Storage = require('./storageService');
+const AttachmentService = require('./attachmentService');
+
+const ORPHAN_GRACE_MINUTES = Math.max(0, parseInt(process.env.STORAGE_ORPHAN_GRACE_MINUTES, 10) || 60);
+
+// columna de ficha_adjuntos -> tipo de archivo en el informe
+const FILE_COLUMNS = {
+  filename: 'original',
+  ...Object.fromEntries(Object.entries(AttachmentService.VARIANTS).map(([variant, col]) => [col, variant]))
+};
+
+// nombre relativo al prefijo de los adjuntos, o null si la clave no es de un adjunto
+function filenameOf(key) {
+  const prefix = `${AttachmentService.KEY_PREFIX}/`;
+  return key.startsWith(prefix) ? key.slice(prefix.length) : null;
+}
+
+// filename -> { tipo, fila }
+async function loadReferences() {
+  const [rows] = await db.query(
+    `SELECT a.id AS adjunto_id, a.ficha_id, a.filename, a.thumbnail_filename, a.preview_filename,
+            f.mascota_id, m.nombre AS mascota_nombre, m.owner_id, p.nombre AS propietario_nombre
+     FROM ficha_adjuntos a
+     JOIN fichas_medicas f ON a.ficha_id = f.id
+     LEFT JOIN mascotas m ON f.mascota_id = m.id
+     LEFT JOIN propietarios p ON m.owner_id = p.id`
+  );
+  const refs = new Map();
+  for (const row of rows) {
+    for (const [col, tipo] of Object.entries(FILE_COLUMNS)) {
+      if (row[col]) refs.set(row[col], { tipo, row });
+    }
+  }
+  return refs;
+}
+
+function addUsage(map, id, base, size) {
+  if (!map.has(id)) map.set(id, { ...base, archivos: 0, bytes: 0 });
+  const entry = map.get(id);
+  entry.archivos++;
+  entry.bytes += size;
+  return entry;
+}
+
+const byBytes = (a, b) => b.bytes - a.bytes;
+
+/**
+ * Recorre el almacenamiento y lo cruza con ficha_adjuntos (no modifica nada)
+ * @returns {Promise<Object>} { totales, huerfanos, referencias_rotas, por_mascota, por_propietario }
+ */
+async function audit() {
+  const refs = await loadReferences();
+  const graceLimit = Date.now() - ORPHAN_GRACE_MINUTES * 60 * 1000;
+
+  const huerfanos = [];
+  const found = new Set();
+  const porMascota = new Map();
+  const porPropietario = new Map();
+  const totales = {
+    archivos: 0,
+    bytes: 0,
+    referenciados: { archivos: 0, bytes: 0 },
+    huerfanos: { archivos: 0, bytes: 0 },
+    referencias_rotas: 0
+  };
+
+  for await (const item of Storage.list(AttachmentService.KEY_PREFIX)) {
+    const filename = filenameOf(item.key);
+    if (!filename) continue;
+    const size = Number(item.size) || 0;
+    totales.archivos++;
+    totales.bytes += size;
+
+    const ref = refs.get(filename);
+    if (!ref) {
+      const modified = item.modified ? new Date(item.modified) : null;
+      huerfanos.push({ key: item.key, size, modified, en_gracia: Boolean(modified && modified.getTime() > graceLimit) });
+      totales.huerfanos.archivos++;
+      totales.huerfanos.bytes += size;
+      continue;
+    }
+
+    found.add(filename);
+    totales.referenciados.archivos++;
+    totales.referenciados.bytes += size;
+    const { row } = ref;
+    addUsage(porMascota, Number(row.mascota_id), {
+      mascota_id: Number(row.mascota_id),
+      mascota_nombre: row.mascota_nombre,
+      owner_id: row.owner_id
+    }, size);
+    if (row.owner_id) {
+      const owner = addUsage(porPropietario, Number(row.owner_id), {
+        owner_id: Number(row.owner_id),
+        propietario_nombre: row.propietario_nombre,
+        mascotas: new Set()
+      }, size);
+      owner.mascotas.add(Number(row.mascota_id));
+    }
+  }
+
+  const referencias_rotas = [];
+  for (const [filename, { tipo, row }] of refs) {
+    if (found.has(filename)) continue;
+    referencias_rotas.push({
+      adjunto_id: Number(row.adjunto_id),
+      ficha_id: Number(row.ficha_id),
+      mascota_id: Number(row.mascota_id),
+      filename,
+      tipo
+    });
+  }
+  totales.referencias_rotas = referencias_rotas.length;
+
+  return {
+    almacenamiento: Storage.describe(),
+    gracia_minutos: ORPHAN_GRACE_MINUTES,
+    totales,
+    huerfanos,
+    referencias_rotas,
+    por_mascota: [...porMascota.values()].sort(byBytes),
+    por_propietario: [...porPropietario.values()]
+      .map(p => ({ ...p, mascotas: p.mascotas.size }))
+      .sort(byBytes)
+  };
+}
+
+/**
+ * Audita y elimina lo indicado
+ * @param {Object} opts
+ * @param {boolean} [opts.huerfanos] - borrar los archivos huérfanos (salvo los en_gracia)
+ * @param {boolean} [opts.referencias] - limpiar las referencias rotas
+ * @returns {Promise<Object>} informe de audit() (previo a los cambios) + eliminados
+ */
+async function reconcile({ huerfanos = false, referencias = false } = {}) {
+  const report = await audit();
+  const eliminados = { huerfanos: 0, bytes: 0, adjuntos: 0, variantes: 0, errores: 0 };
+
+  if (huerfanos) {
+    for (const h of report.huerfanos) {
+      if (h.en_gracia) continue;
+      try {
+        await Storage.remove(h.key);
+        eliminados.huerfanos++;
+        eliminados.bytes += h.size;
+      } catch (err) {
+        eliminados.errores++;
+        console.warn(`⚠️ No se pudo borrar el huérfano ${h.key}:`, err.message || err);
+      }
+    }
+  }
+
+  if (referencias) {
+    const sinOriginal = new Set(report.referencias_rotas.filter(r => r.tipo === 'original').map(r => r.adjunto_id));
+    for (const r of report.referencias_rotas) {
+      if (sinOriginal.has(r.adjunto_id) && r.tipo !== 'original') continue; // la fila se elimina entera
+      try {
+        if (r.tipo === 'original') {
+          const [rows] = await db.query('SELECT * FROM ficha_adjuntos WHERE id = ?', [r.adjunto_id]);
+          await db.query('DELETE FROM ficha_adjuntos WHERE id = ?', [r.adjunto_id]);
+          // sus variantes quedarían huérfanas
+          await AttachmentService.removeFiles(rows);
+          eliminados.adjuntos++;
+        } else {
+          const col = AttachmentService.VARIANTS[r.tipo];
+          await db.query(`UPDATE ficha_adjuntos SET ${col} = NULL WHERE id = ? AND ${col} = ?`, [r.adjunto_id, r.filename]);
+          eliminados.variantes++;
+        }
+      } catch (err) {
+        eliminados.errores++;
+        console.warn(`⚠️ No se pudo limpiar la referencia ${r.filename} (adjunto ${r.adjunto_id}):`, err.message || err);
+      }
+    }
+  }
+
+  return { ...report, eliminados };
+}
+
+module.exports = {
+  ORPHAN_GRACE_MINUTES,
+  audit,
+  reconcile
+};
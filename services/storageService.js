@@ -0,0 +1,177 @@
+// services/storageService.js
+/**
+ * Almacenamiento de archivos subidos (adjuntos médicos) desacoplado del disco.
+ *
+ * - STORAGE_DRIVER elige el driver: 'local' (carpeta STORAGE_LOCAL_DIR, por defecto uploads/)
+ *   o 's3' (S3 o compatible: MinIO, R2...; ver services/storage/s3Driver.js).
+ * - Todos los archivos se identifican por una clave relativa ("medical/<archivo>").
+ * - Subida y descarga en streaming; multerStorage() es el storage engine de multer que
+ *   escribe directamente en el driver (sin pasar por el disco local).
+ * - Para mover los archivos existentes de un driver a otro: npm run storage:migrate.
+ */
+
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { createLocalDriver } = require('./storage/localDriver');
+const { createS3Driver } = require('./storage/s3Driver');
+
+const DRIVERS = ['local', 's3'];
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+/**
+ * Crea un driver a partir de la configuración del entorno
+ * @param {string} name - 'local' | 's3'
+ * @param {Object} [env] - process.env por defecto
+ */
+function createDriver(name, env = process.env) {
+  if (name === 'local') {
+    return createLocalDriver({ root: env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads') });
+  }
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: env.S3_PREFIX || ''
+    });
+  }
+  throw new Error(`STORAGE_DRIVER desconocido: "${name}" (usa ${DRIVERS.join(' | ')})`);
+}
+
+let driver = null;
+function getDriver() {
+  if (!driver) driver = createDriver(STORAGE_DRIVER);
+  return driver;
+}
+
+// Claves relativas con '/', sin '..' ni rutas absolutas (válidas igual en disco y en S3)
+function normalizeKey(key) {
+  const k = String(key || '');
+  if (!k || k.startsWith('/') || k.includes('\\') || k.split('/').some(seg => !seg || seg === '.' || seg === '..')) {
+    throw new Error(`Clave de almacenamiento inválida: ${k}`);
+  }
+  return k;
+}
+
+// cuenta los bytes que pasan por el stream
+function byteCounter() {
+  const counter = new Transform({
+    transform(chunk, enc, cb) {
+      counter.bytes += chunk.length;
+      cb(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+/**
+ * Guarda un stream bajo la clave indicada
+ * @param {string} key
+ * @param {import('stream').Readable} stream
+ * @param {Object} [opts] - { contentType }
+ * @returns {Promise<{ size: number }>}
+ */
+async function put(key, stream, opts = {}) {
+  const k = normalizeKey(key);
+  const counter = byteCounter();
+  // pipeline propaga al driver los errores del origen (p. ej. límite de tamaño de multer)
+  pipeline(stream, counter, () => {});
+  await getDriver().put(k, counter, opts);
+  return { size: counter.bytes };
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ stream, size }|null>} null si no existe
+ */
+async function get(key) {
+  return getDriver().get(normalizeKey(key));
+}
+
+/**
+ * Contenido completo en memoria (p. ej. imágenes para el PDF del historial)
+ * @returns {Promise<Buffer|null>}
+ */
+async function readBuffer(key) {
+  const file = await get(key);
+  if (!file) return null;
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function exists(key) {
+  return getDriver().exists(normalizeKey(key));
+}
+
+async function remove(key) {
+  return getDriver().remove(normalizeKey(key));
+}
+
+/**
+ * Claves bajo un prefijo: for await (const { key, size, modified } of list('medical'))
+ */
+function list(prefix = '') {
+  return getDriver().list(prefix);
+}
+
+function describe() {
+  return getDriver().describe();
+}
+
+/**
+ * Storage engine de multer que escribe en el driver configurado
+ * @param {Object} opts
+ * @param {string} opts.prefix - carpeta / prefijo de las claves (p. ej. 'medical')
+ * @param {Function} opts.filename - (req, file) => nombre del archivo dentro del prefijo
+ * @param {Function} [opts.transform] - (req, file) => Transform por el que pasa el archivo
+ *   antes de guardarse (si emite un error, no se guarda nada)
+ * @param {Function} [opts.onStored] - async (req, file, info) => datos extra para el archivo de
+ *   multer, o error (la función debe dejar el almacenamiento limpio si rechaza el archivo).
+ *   Si guarda otros archivos derivados, los devuelve en `extraKeys` para que se borren
+ *   junto al original cuando multer descarta la subida.
+ */
+function multerStorage({ prefix, filename, transform, onStored }) {
+  return {
+    _handleFile(req, file, cb) {
+      const name = filename(req, file);
+      const key = `${prefix}/${name}`;
+      let body = file.stream;
+      if (transform) {
+        const t = transform(req, file);
+        pipeline(file.stream, t, () => {});
+        body = t;
+      }
+      put(key, body, { contentType: file.mimetype })
+        .then(async ({ size }) => {
+          const info = { filename: name, key, size };
+          const extra = onStored ? await onStored(req, file, info) : null;
+          return { ...info, ...(extra || {}) };
+        })
+        .then(info => cb(null, info), cb);
+    },
+    _removeFile(req, file, cb) {
+      Promise.all([file.key, ...(file.extraKeys || [])].map(k => remove(k))).then(() => cb(null), cb);
+    }
+  };
+}
+
+module.exports = {
+  DRIVERS,
+  STORAGE_DRIVER,
+  createDriver,
+  normalizeKey,
+  put,
+  get,
+  readBuffer,
+  exists,
+  remove,
+  list,
+  describe,
+  multerStorage
+};
@@ -0,0 +1,225 @@
+// services/timezoneService.js
+/**
+ * Zona horaria de la clínica.
+ *
+ * - Las fechas con hora (citas, fichas médicas, reservas de lista de espera) se
+ *   guardan en UTC: el pool de MySQL usa timezone 'Z' y la sesión time_zone '+00:00'
+ *   (config/database.js), así NOW() y los Date de mysql2 hablan el mismo idioma.
+ * - Las fechas "de calendario" (horarios, ausencias, feriados, franjas HH:MM de tipos
+ *   de cita y de lista de espera) son hora local de la clínica (CLINIC_TIMEZONE).
+ * - La entrada sin offset ("2026-03-10T09:00") se interpreta en CLINIC_TIMEZONE;
+ *   con offset o "Z" se respeta. Las respuestas JSON emiten las fechas en hora local
+ *   de la clínica con offset explícito ("2026-03-10T09:00:00-06:00", ver jsonReplacer).
+ *
+ * Todo se calcula con Intl, sin depender de la zona horaria del servidor, por lo que
+ * los cambios de horario de verano (DST) se resuelven según las reglas de la zona.
+ */
+
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function resolveTimezone(tz) {
+  if (!tz) return SERVER_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch (err) {
+    console.error(`CLINIC_TIMEZONE inválida ("${tz}"); se usa ${SERVER_TIMEZONE}`);
+    return SERVER_TIMEZONE;
+  }
+}
+
+const CLINIC_TIMEZONE = resolveTimezone(process.env.CLINIC_TIMEZONE);
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CLINIC_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Componentes de fecha/hora de un instante en la zona de la clínica
+ * @param {Date} date
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+function localParts(date) {
+  const out = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') out[type] = Number(value);
+  }
+  return { year: out.year, month: out.month, day: out.day, hour: out.hour, minute: out.minute, second: out.second };
+}
+
+// offset (minutos) de la zona de la clínica en un instante: -360 = UTC-06:00
+function offsetMinutes(date) {
+  const p = localParts(date);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// "HH:MM[:SS]" | minutos -> segundos desde medianoche
+function toSeconds(time) {
+  if (typeof time === 'number') return time * 60;
+  const [h, m, s] = String(time || '00:00').split(':').map(Number);
+  return h * 3600 + (m || 0) * 60 + (s || 0);
+}
+
+/**
+ * Instante (Date) de una fecha y hora locales de la clínica.
+ * Horas ambiguas (cambio de horario hacia atrás): la primera ocurrencia.
+ * Horas inexistentes (salto hacia adelante): se desplazan hacia adelante lo que dure el salto.
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {string|number} [time] - "HH:MM[:SS]" o minutos desde medianoche
+ * @returns {Date}
+ */
+function fromLocal(dateStr, time = 0) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d) + toSeconds(time) * 1000;
+  // el offset puede cambiar entre el primer intento y el instante real: dos candidatos
+  const candidates = [...new Set([
+    wall - offsetMinutes(new Date(wall - 12 * 3600000)) * 60000,
+    wall - offsetMinutes(new Date(wall + 12 * 3600000)) * 60000
+  ])];
+  const valid = candidates.filter(ts => {
+    const p = localParts(new Date(ts));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) === wall;
+  });
+  return new Date(valid.length ? Math.min(...valid) : Math.max(...candidates));
+}
+
+// true si la hora local existe ese día (no cae en el salto de horario de verano)
+function isValidLocal(dateStr, time) {
+  const dt = fromLocal(dateStr, time);
+  return localDateStr(dt) === dateStr && localMinutes(dt) * 60 + localParts(dt).second === toSeconds(time);
+}
+
+// Date -> "YYYY-MM-DD" en la zona de la clínica
+function localDateStr(date) {
+  const p = localParts(date);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Date -> minutos desde medianoche en la zona de la clínica
+function localMinutes(date) {
+  const p = localParts(date);
+  return p.hour * 60 + p.minute;
+}
+
+// Date -> "HH:MM:SS" en la zona de la clínica
+function localTimeStr(date) {
+  const p = localParts(date);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// "YYYY-MM-DD" + n días (aritmética de calendario)
+function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+/**
+ * Desplaza `date` lo mismo que va de `from` a `to` en hora de reloj de la clínica
+ * (días de calendario + minutos), no en milisegundos: al mover una serie semanal
+ * las ocurrencias al otro lado de un cambio de horario conservan su hora local.
+ * @param {Date} date
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date}
+ */
+function shiftLocal(date, from, to) {
+  const dayMs = 86400000;
+  const days = Math.round((Date.parse(localDateStr(to)) - Date.parse(localDateStr(from))) / dayMs);
+  const seconds = (localMinutes(to) - localMinutes(from)) * 60 + (localParts(to).second - localParts(from).second);
+  const p = localParts(date);
+  return fromLocal(addDays(localDateStr(date), days), (p.hour * 3600 + p.minute * 60 + p.second + seconds) / 60);
+}
+
+/**
+ * Date -> "YYYY-MM-DD HH:MM:SS" en UTC (formato de almacenamiento)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toSQL(date) {
+  return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Date -> ISO 8601 en hora de la clínica con offset explícito
+ * @param {Date} date
+ * @returns {string} p.ej. "2026-03-10T09:00:00-06:00"
+ */
+function toISO(date) {
+  const d = new Date(date);
+  const p = localParts(d);
+  const off = offsetMinutes(d);
+  const sign = off < 0 ? '-' : '+';
+  const abs = Math.abs(off);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+const LOCAL_DATETIME = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?)?$/;
+
+/**
+ * Interpreta una fecha de entrada de la API.
+ *   - Date / ISO con offset o "Z": instante exacto
+ *   - "YYYY-MM-DD[THH:MM[:SS]]" sin offset: hora local de la clínica
+ * @param {string|Date} val
+ * @returns {Date|null} null si no es válida
+ */
+function parseInput(val) {
+  if (val === null || val === undefined || val === '') return null;
+  if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+  const str = String(val).trim();
+  const m = str.match(LOCAL_DATETIME);
+  if (m) {
+    const [y, mo, d] = m[1].split('-').map(Number);
+    const check = new Date(Date.UTC(y, mo - 1, d));
+    if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return null;
+    return fromLocal(m[1], m[2] || 0);
+  }
+  const d = new Date(str);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Límites UTC [desde, hasta) de un día local de la clínica (23, 24 o 25 horas)
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {[string, string]} "YYYY-MM-DD HH:MM:SS" en UTC
+ */
+function dayRangeSQL(dateStr) {
+  return [toSQL(fromLocal(dateStr, 0)), toSQL(fromLocal(addDays(dateStr, 1), 0))];
+}
+
+/**
+ * Replacer para res.json (app.set('json replacer')): los Date salen en hora de la clínica
+ * con offset. `this[key]` es el valor original, antes de Date.prototype.toJSON.
+ */
+function jsonReplacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) return isNaN(raw.getTime()) ? null : toISO(raw);
+  return value;
+}
+
+module.exports = {
+  CLINIC_TIMEZONE,
+  localParts,
+  offsetMinutes,
+  fromLocal,
+  isValidLocal,
+  localDateStr,
+  localMinutes,
+  localTimeStr,
+  addDays,
+  shiftLocal,
+  toSQL,
+  toISO,
+  parseInput,
+  dayRangeSQL,
+  jsonReplacer
+};
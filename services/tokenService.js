@@ -0,0 +1,277 @@
+// services/tokenService.js
+/**
+ * Servicio de tokens: access tokens JWT de corta duración + refresh tokens opacos.
+ *
+ * - Los refresh tokens se guardan hasheados (SHA-256) en `refresh_tokens`.
+ * - Cada uso rota el token: el anterior queda revocado y apunta al nuevo (replaced_by_id).
+ * - Si se presenta un refresh token ya rotado/revocado se asume robo y se revoca
+ *   toda la familia (todas las sesiones derivadas del mismo login).
+ * - Los access tokens llevan `jti`; logout los registra en `revoked_access_tokens`.
+ *   "Cerrar todas las sesiones" registra un corte en `session_revocations`
+ *   que invalida todo access token emitido antes de ese momento.
+ *
+ * Sujetos: 'usuario' (tabla usuarios, personal) y 'propietario' (tabla propietarios).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default_secret_key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Audiencia (`aud`) del access token según el tipo de sujeto
+const AUDIENCES = {
+  usuario: 'staff',
+  propietario: 'owner'
+};
+
+class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function generateOpaqueToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Firma un access token JWT (incluye jti para poder revocarlo y aud según el tipo de sujeto)
+ * @param {Object} payload - { userId, email, role }
+ * @param {string} subjectType - 'usuario' | 'propietario'
+ */
+function signAccessToken(payload, subjectType) {
+  if (!AUDIENCES[subjectType]) throw new Error(`subjectType inválido: ${subjectType}`);
+  // iat_ms: instante de emisión en milisegundos (iat solo tiene segundos), para el corte de sesiones
+  return jwt.sign(
+    { ...payload, jti: crypto.randomUUID(), iat_ms: Date.now() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, audience: AUDIENCES[subjectType] }
+  );
+}
+
+/**
+ * Verifica un access token. Solo acepta tokens con audiencia conocida
+ * (los tokens antiguos sin `aud` se rechazan como inválidos).
+ * @throws errores de jsonwebtoken (JsonWebTokenError, TokenExpiredError)
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: Object.values(AUDIENCES) });
+}
+
+async function _insertRefreshToken(conn, { subjectType, subjectId, familyId, meta }) {
+  const raw = generateOpaqueToken();
+  const [result] = await conn.query(
+    `INSERT INTO refresh_tokens (subject_type, subject_id, token_hash, family_id, expires_at, user_agent, ip)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+    [
+      subjectType,
+      subjectId,
+      hashToken(raw),
+      familyId,
+      REFRESH_TOKEN_TTL_DAYS,
+      meta && meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+      meta && meta.ip ? String(meta.ip).slice(0, 45) : null
+    ]
+  );
+  return { raw, id: result.insertId };
+}
+
+/**
+ * Emite un par access/refresh para un sujeto recién autenticado (nueva familia)
+ * @param {Object} subject - { subjectType, subjectId, payload }
+ * @param {Object} [meta] - { userAgent, ip }
+ */
+async function issueTokenPair({ subjectType, subjectId, payload }, meta = {}) {
+  const { raw } = await _insertRefreshToken(db, {
+    subjectType,
+    subjectId,
+    familyId: crypto.randomUUID(),
+    meta
+  });
+  return {
+    token: signAccessToken(payload, subjectType),
+    refreshToken: raw,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresInDays: REFRESH_TOKEN_TTL_DAYS
+  };
+}
+
+async function _revokeFamily(conn, familyId) {
+  await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+}
+
+/**
+ * Rota un refresh token: revoca el presentado y emite uno nuevo de la misma familia.
+ * @param {string} rawToken
+ * @param {Function} loadPayload - async (subjectType, subjectId) => payload del access token o null si el sujeto ya no existe
+ * @param {Object} [meta]
+ * @throws {TokenError} token desconocido, expirado, revocado o reutilizado
+ */
+async function rotateRefreshToken(rawToken, loadPayload, meta = {}) {
+  if (!rawToken) throw new TokenError('Refresh token requerido', 400);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT *, (expires_at <= NOW()) AS expired FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+      [hashToken(rawToken)]
+    );
+    if (!rows.length) {
+      await conn.rollback();
+      throw new TokenError('Refresh token inválido');
+    }
+    const current = rows[0];
+
+    if (current.revoked_at) {
+      // reutilización de un token ya rotado -> revocar toda la familia
+      await _revokeFamily(conn, current.family_id);
+      await conn.commit();
+      console.warn(`⚠️ Reutilización de refresh token detectada (family ${current.family_id}, ${current.subject_type} ${current.subject_id})`);
+      throw new TokenError('Refresh token reutilizado: sesión revocada');
+    }
+
+    if (Number(current.expired)) {
+      await conn.rollback();
+      throw new TokenError('Refresh token expirado');
+    }
+
+    const payload = await loadPayload(current.subject_type, current.subject_id);
+    if (!payload) {
+      await _revokeFamily(conn, current.family_id);
+      await conn.commit();
+      throw new TokenError('El usuario asociado al token no existe');
+    }
+
+    const next = await _insertRefreshToken(conn, {
+      subjectType: current.subject_type,
+      subjectId: current.subject_id,
+      familyId: current.family_id,
+      meta
+    });
+    await conn.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by_id = ?, last_used_at = NOW() WHERE id = ?',
+      [next.id, current.id]
+    );
+
+    await conn.commit();
+
+    return {
+      subjectType: current.subject_type,
+      subjectId: current.subject_id,
+      token: signAccessToken(payload, current.subject_type),
+      refreshToken: next.raw,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      refreshExpiresInDays: REFRESH_TOKEN_TTL_DAYS
+    };
+  } catch (err) {
+    if (!(err instanceof TokenError)) {
+      try { await conn.rollback(); } catch (e) { /* ya cerrada */ }
+    }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Revoca la familia del refresh token indicado (logout de un dispositivo).
+ * Solo actúa si el token pertenece al sujeto indicado.
+ */
+async function revokeRefreshToken(rawToken, subjectType, subjectId) {
+  if (!rawToken) return false;
+  const [rows] = await db.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND subject_type = ? AND subject_id = ?',
+    [hashToken(rawToken), subjectType, subjectId]
+  );
+  if (!rows.length) return false;
+  await _revokeFamily(db, rows[0].family_id);
+  return true;
+}
+
+/**
+ * Revoca un access token concreto hasta su expiración natural
+ * @param {Object} decoded - payload JWT verificado (necesita jti y exp)
+ */
+async function revokeAccessToken(decoded) {
+  if (!decoded || !decoded.jti) return false;
+  await db.query(
+    'INSERT IGNORE INTO revoked_access_tokens (jti, expires_at) VALUES (?, FROM_UNIXTIME(?))',
+    [decoded.jti, decoded.exp || Math.floor(Date.now() / 1000)]
+  );
+  return true;
+}
+
+/**
+ * Cierra todas las sesiones de un sujeto: revoca todos sus refresh tokens
+ * e invalida cualquier access token emitido hasta ahora. El instante del corte se
+ * guarda con milisegundos y con el mismo reloj que iat_ms (el de la API), así un
+ * token emitido justo después, aunque sea en el mismo segundo, sigue siendo válido.
+ */
+async function revokeAllForSubject(subjectType, subjectId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL',
+    [subjectType, subjectId]
+  );
+  const corte = Date.now() / 1000;
+  await db.query(
+    `INSERT INTO session_revocations (subject_type, subject_id, revoked_before)
+     VALUES (?, ?, FROM_UNIXTIME(?))
+     ON DUPLICATE KEY UPDATE revoked_before = GREATEST(revoked_before, FROM_UNIXTIME(?))`,
+    [subjectType, subjectId, corte, corte]
+  );
+}
+
+/**
+ * Indica si un access token (ya verificado) fue revocado, por jti o por corte de sesiones
+ * (emitido antes de revoked_before; los tokens sin iat_ms se comparan por iat en segundos)
+ */
+async function isAccessTokenRevoked(decoded, subjectType, subjectId) {
+  const params = [];
+  const parts = [];
+  if (decoded.jti) {
+    parts.push('SELECT 1 AS r FROM revoked_access_tokens WHERE jti = ?');
+    params.push(decoded.jti);
+  }
+  parts.push('SELECT 1 AS r FROM session_revocations WHERE subject_type = ? AND subject_id = ? AND revoked_before > FROM_UNIXTIME(?)');
+  params.push(subjectType, subjectId, decoded.iat_ms ? decoded.iat_ms / 1000 : (decoded.iat || 0));
+
+  const [rows] = await db.query(`${parts.join(' UNION ALL ')} LIMIT 1`, params);
+  return rows.length > 0;
+}
+
+/**
+ * Limpieza de filas expiradas (puede ejecutarse periódicamente)
+ */
+async function purgeExpired() {
+  const [r1] = await db.query('DELETE FROM revoked_access_tokens WHERE expires_at < NOW()');
+  const [r2] = await db.query('DELETE FROM refresh_tokens WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY)');
+  return { accessTokens: r1.affectedRows, refreshTokens: r2.affectedRows };
+}
+
+module.exports = {
+  AUDIENCES,
+  TokenError,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForSubject,
+  isAccessTokenRevoked,
+  purgeExpired
+};
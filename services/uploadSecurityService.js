@@ -0,0 +1,244 @@
+// services/uploadSecurityService.js
+/**
+ * Controles de seguridad de los archivos subidos (adjuntos médicos).
+ *
+ * - Tipos admitidos: PDF, PNG, JPEG, WEBP y GIF. El tipo se decide por el contenido
+ *   (firma / magic bytes de los primeros bytes), no por la cabecera del cliente:
+ *   un archivo que no empieza como uno de esos tipos se rechaza con 415.
+ * - Antivirus: UPLOAD_SCANNER elige el analizador que revisa cada archivo ya guardado y
+ *   antes de que la petición llegue al controlador (es decir, antes de enlazarlo a una ficha):
+ *     'none'   sin análisis (por defecto)
+ *     'clamav' demonio clamd por TCP (CLAMAV_HOST / CLAMAV_PORT, protocolo INSTREAM)
+ *     'eicar'  stub local: solo detecta la firma de prueba EICAR (desarrollo y pruebas)
+ *   Otros analizadores se añaden con registerScanner(nombre, fn).
+ * - Un archivo infectado se mueve a "quarantine/<clave>" en el almacenamiento y la subida
+ *   se rechaza con 422. Si el analizador no responde, el archivo se borra y se responde 503.
+ */
+
+const net = require('net');
+const { Transform } = require('stream');
+const Storage = require('./storageService');
+
+const UPLOAD_SCANNER = (process.env.UPLOAD_SCANNER || 'none').toLowerCase();
+const CLAMAV_HOST = process.env.CLAMAV_HOST || '127.0.0.1';
+const CLAMAV_PORT = Number(process.env.CLAMAV_PORT || 3310);
+const CLAMAV_TIMEOUT_MS = Number(process.env.CLAMAV_TIMEOUT_MS || 30000);
+
+const QUARANTINE_PREFIX = 'quarantine';
+
+// tipo -> extensiones aceptadas en el nombre original
+const ALLOWED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/webp': ['.webp'],
+  'image/gif': ['.gif']
+};
+
+// alias que algunos navegadores envían como Content-Type
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg'
+};
+
+// bytes necesarios para reconocer cualquiera de los tipos admitidos
+const SNIFF_BYTES = 12;
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+function normalizeMime(mime) {
+  const m = String(mime || '').toLowerCase().split(';')[0].trim();
+  return MIME_ALIASES[m] || m;
+}
+
+/**
+ * Tipo real del archivo a partir de sus primeros bytes
+ * @param {Buffer} buf
+ * @returns {string|null} mime admitido o null
+ */
+function sniffMime(buf) {
+  if (buf.length >= 5 && buf.toString('latin1', 0, 5) === '%PDF-') return 'application/pdf';
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 6 && ['GIF87a', 'GIF89a'].includes(buf.toString('latin1', 0, 6))) return 'image/gif';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Filtro previo (fileFilter de multer): tipo declarado y extensión. Solo evita empezar a
+ * subir lo que ya se sabe que no vale; la decisión final es por contenido (sniffer).
+ * @throws {UploadError} 415
+ */
+function checkDeclared(file) {
+  const mime = normalizeMime(file.mimetype);
+  const ext = (String(file.originalname || '').match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const allowedExt = Object.values(ALLOWED_TYPES).flat();
+  if (!ALLOWED_TYPES[mime] && !allowedExt.includes(ext)) {
+    throw new UploadError(
+      `Tipo de archivo no permitido: "${file.originalname}" (${file.mimetype || 'sin tipo'}). Se admiten PDF, PNG, JPEG, WEBP y GIF`,
+      415
+    );
+  }
+}
+
+/**
+ * Transform que deja pasar el archivo solo si sus primeros bytes son de un tipo admitido.
+ * Al terminar, `sniffer.mime` tiene el tipo detectado.
+ * @param {Object} file - archivo de multer (para el mensaje de error)
+ */
+function createSniffer(file) {
+  let head = Buffer.alloc(0);
+  let checked = false;
+  const sniffer = new Transform({
+    transform(chunk, enc, cb) {
+      if (checked) return cb(null, chunk);
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SNIFF_BYTES) return cb();
+      checked = true;
+      cb(verify(), head);
+    },
+    flush(cb) {
+      if (checked) return cb();
+      checked = true;
+      cb(verify(), head.length ? head : undefined);
+    }
+  });
+  sniffer.mime = null;
+
+  function verify() {
+    sniffer.mime = sniffMime(head);
+    if (sniffer.mime) return null;
+    return new UploadError(
+      `El contenido de "${file.originalname}" no es un PDF ni una imagen admitida (PNG, JPEG, WEBP, GIF)`,
+      415
+    );
+  }
+
+  return sniffer;
+}
+
+/* ------------------ Analizadores ------------------ */
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// clamd INSTREAM: "zINSTREAM\0", bloques <longitud uint32 BE><datos>, bloque de longitud 0; responde
+// "stream: OK" o "stream: <firma> FOUND"
+function clamavScan(stream) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: CLAMAV_HOST, port: CLAMAV_PORT });
+    let reply = '';
+    let settled = false;
+    const done = (err, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err); else resolve(result);
+    };
+    socket.setTimeout(CLAMAV_TIMEOUT_MS, () => done(new Error('clamd no respondió a tiempo')));
+    socket.on('error', done);
+    socket.on('data', (data) => { reply += data.toString(); });
+    socket.on('end', () => {
+      const text = reply.replace(/\0/g, '').trim();
+      const found = text.match(/^stream: (.+) FOUND$/);
+      if (found) return done(null, { clean: false, virus: found[1] });
+      if (/^stream: OK$/.test(text)) return done(null, { clean: true });
+      done(new Error(`Respuesta inesperada de clamd: ${text || '(vacía)'}`));
+    });
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        for await (const chunk of stream) {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length, 0);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.write(Buffer.alloc(4));
+      } catch (err) {
+        done(err);
+      }
+    });
+  });
+}
+
+async function eicarScan(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  const infected = Buffer.concat(chunks).includes(EICAR);
+  return infected ? { clean: false, virus: 'Eicar-Test-Signature' } : { clean: true };
+}
+
+// nombre -> async (stream) => { clean, virus? }
+const SCANNERS = {
+  none: null,
+  clamav: clamavScan,
+  eicar: eicarScan
+};
+
+/**
+ * Registra un analizador (p. ej. otro antivirus) seleccionable con UPLOAD_SCANNER
+ * @param {string} name
+ * @param {Function} fn - async (stream) => ({ clean: boolean, virus?: string })
+ */
+function registerScanner(name, fn) {
+  SCANNERS[String(name).toLowerCase()] = fn;
+}
+
+/**
+ * Analiza un archivo ya guardado. Si está infectado lo mueve a cuarentena; si el
+ * analizador falla, lo borra (nunca queda un archivo sin analizar).
+ * @param {string} key - clave en el almacenamiento
+ * @param {Object} [meta] - { originalname } para los mensajes
+ * @throws {UploadError} 422 infectado, 503 analizador no disponible
+ */
+async function scanStored(key, meta = {}) {
+  if (!(UPLOAD_SCANNER in SCANNERS)) {
+    await Storage.remove(key).catch(() => {});
+    throw new UploadError(`UPLOAD_SCANNER desconocido: "${UPLOAD_SCANNER}"`, 500);
+  }
+  const scanner = SCANNERS[UPLOAD_SCANNER];
+  if (!scanner) return;
+
+  let result;
+  try {
+    const file = await Storage.get(key);
+    if (!file) throw new Error('el archivo no está en el almacenamiento');
+    result = await scanner(file.stream);
+  } catch (err) {
+    console.error(`❌ Análisis antivirus fallido (${UPLOAD_SCANNER}) de ${key}:`, err.message || err);
+    await Storage.remove(key).catch(() => {});
+    throw new UploadError('No se pudo analizar el archivo en busca de virus; inténtalo de nuevo más tarde', 503);
+  }
+  if (result.clean) return;
+
+  await quarantine(key);
+  console.warn(`☣️ Archivo infectado en cuarentena: ${key} (${result.virus}) "${meta.originalname || ''}"`);
+  throw new UploadError(`El archivo "${meta.originalname || key}" contiene malware (${result.virus}) y se ha rechazado`, 422);
+}
+
+// mueve el archivo a quarantine/<clave> (fuera de medical/: nunca se sirve ni se enlaza)
+async function quarantine(key) {
+  const file = await Storage.get(key);
+  if (file) await Storage.put(`${QUARANTINE_PREFIX}/${key}`, file.stream);
+  await Storage.remove(key);
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  UPLOAD_SCANNER,
+  QUARANTINE_PREFIX,
+  UploadError,
+  normalizeMime,
+  sniffMime,
+  checkDeclared,
+  createSniffer,
+  registerScanner,
+  scanStored
+};
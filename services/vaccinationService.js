@@ -0,0 +1,277 @@
+// services/vaccinationService.js
+/**
+ * Vacunación: catálogo (vacunas) y dosis aplicadas (vacunas_aplicadas).
+ *
+ * Próxima fecha de cada dosis:
+ *   - dentro de la pauta inicial (numero_dosis < dosis_iniciales): + intervalo_dosis_dias
+ *   - pauta completa: + refuerzo_dias (NULL si la vacuna no tiene refuerzo)
+ * La última dosis de cada vacuna y mascota es la que marca si está al día.
+ *
+ * Las fechas de aplicación, caducidad y próxima dosis son días locales de la
+ * clínica (YYYY-MM-DD, ver services/timezoneService.js).
+ */
+
+const db = require('../db');
+const TimezoneService = require('./timezoneService');
+const NotificationService = require('./notificationService');
+const { hasPermission } = require('../middleware/auth');
+
+// días antes del vencimiento en que una vacuna pasa a "proxima"
+const DUE_SOON_DAYS = Number(process.env.VACCINATION_DUE_SOON_DAYS || 30);
+
+const ESTADOS_VACUNA = {
+  AL_DIA: 'al_dia',
+  PROXIMA: 'proxima',
+  VENCIDA: 'vencida',
+  COMPLETA: 'completa'
+};
+
+class VacunaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VacunaError';
+    this.status = status;
+  }
+}
+
+function today() {
+  return TimezoneService.localDateStr(new Date());
+}
+
+// días entre dos fechas YYYY-MM-DD (b - a)
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+/**
+ * Próxima fecha tras aplicar una dosis
+ * @param {Object} vacuna - fila de vacunas
+ * @param {number} numeroDosis
+ * @param {string} fechaAplicacion - YYYY-MM-DD
+ * @returns {string|null} YYYY-MM-DD o null si no hay más dosis
+ */
+function nextDueDate(vacuna, numeroDosis, fechaAplicacion) {
+  if (numeroDosis < Number(vacuna.dosis_iniciales) && vacuna.intervalo_dosis_dias) {
+    return TimezoneService.addDays(fechaAplicacion, Number(vacuna.intervalo_dosis_dias));
+  }
+  if (vacuna.refuerzo_dias) return TimezoneService.addDays(fechaAplicacion, Number(vacuna.refuerzo_dias));
+  return null;
+}
+
+/**
+ * Estado de una vacuna según la próxima fecha de su última dosis
+ * @param {string|null} proximaFecha
+ * @param {string} [hoy]
+ * @returns {string} ESTADOS_VACUNA
+ */
+function statusOf(proximaFecha, hoy = today()) {
+  if (!proximaFecha) return ESTADOS_VACUNA.COMPLETA;
+  const dias = daysBetween(hoy, proximaFecha);
+  if (dias < 0) return ESTADOS_VACUNA.VENCIDA;
+  if (dias <= DUE_SOON_DAYS) return ESTADOS_VACUNA.PROXIMA;
+  return ESTADOS_VACUNA.AL_DIA;
+}
+
+function normalizeEspecie(especie) {
+  const e = String(especie || '').trim().toLowerCase();
+  return e || null;
+}
+
+// la vacuna es de otra especie (si alguna de las dos no la indica, se acepta)
+function especieIncompatible(vacuna, mascota) {
+  const v = normalizeEspecie(vacuna.especie);
+  const m = normalizeEspecie(mascota.especie);
+  return Boolean(v && m && v !== m);
+}
+
+// fecha de la ficha: ahora si la dosis es de hoy; si no, las 12:00 de ese día en la clínica
+function fichaDate(fecha) {
+  return fecha === today() ? new Date() : TimezoneService.fromLocal(fecha, '12:00');
+}
+
+/**
+ * Registra dosis aplicadas a una mascota (y opcionalmente una ficha médica 'vacuna'
+ * que las resume, con su aviso al propietario). Usa la conexión recibida: el llamador
+ * controla la transacción.
+ * @param {Object} conn - conexión en transacción
+ * @param {Object} params
+ * @param {Object} params.mascota - fila de mascotas
+ * @param {Array} params.dosis - [{ vacuna_id, fecha_aplicacion?, numero_dosis?, lote?, fecha_caducidad?, notas? }]
+ * @param {number} [params.veterinarioId]
+ * @param {number} [params.citaId]
+ * @param {boolean} [params.crearFicha=true]
+ * @param {Object} [params.user] - req.user (autor de la ficha)
+ * @returns {Promise<{ ids: number[], fichaId: number|null }>}
+ * @throws {VacunaError} 400 datos inválidos, 404 vacuna inexistente
+ */
+async function registerDoses(conn, { mascota, dosis, veterinarioId = null, citaId = null, crearFicha = true, user = null }) {
+  if (!Array.isArray(dosis) || !dosis.length) throw new VacunaError('Se requiere al menos una dosis');
+
+  const vacunaIds = [...new Set(dosis.map(d => Number(d.vacuna_id)))];
+  const [vRows] = await conn.query('SELECT * FROM vacunas WHERE id IN (?) AND activo = 1', [vacunaIds]);
+  const vacunas = new Map(vRows.map(v => [Number(v.id), v]));
+
+  const hoy = today();
+  const registradas = [];
+  for (const d of dosis) {
+    const vacuna = vacunas.get(Number(d.vacuna_id));
+    if (!vacuna) throw new VacunaError(`Vacuna ${d.vacuna_id} no encontrada o inactiva`, 404);
+    if (especieIncompatible(vacuna, mascota)) {
+      throw new VacunaError(`La vacuna "${vacuna.nombre}" es para ${vacuna.especie}, no para ${mascota.especie}`);
+    }
+
+    const fecha = d.fecha_aplicacion || hoy;
+    if (fecha > hoy) throw new VacunaError('fecha_aplicacion no puede ser futura');
+    if (d.fecha_caducidad && d.fecha_caducidad < fecha) {
+      throw new VacunaError(`El lote de "${vacuna.nombre}" caducó el ${d.fecha_caducidad}, antes de la fecha de aplicación`);
+    }
+
+    let numero = Number(d.numero_dosis) || null;
+    if (!numero) {
+      const [cRows] = await conn.query(
+        'SELECT COUNT(*) AS total FROM vacunas_aplicadas WHERE mascota_id = ? AND vacuna_id = ? AND fecha_aplicacion <= ?',
+        [mascota.id, vacuna.id, fecha]
+      );
+      numero = Number(cRows[0].total) + 1;
+    }
+    const proxima = nextDueDate(vacuna, numero, fecha);
+
+    const [result] = await conn.query(
+      `INSERT INTO vacunas_aplicadas
+         (mascota_id, vacuna_id, numero_dosis, fecha_aplicacion, lote, fecha_caducidad, proxima_fecha, veterinario_id, cita_id, notas)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [mascota.id, vacuna.id, numero, fecha, d.lote || null, d.fecha_caducidad || null, proxima,
+        veterinarioId, citaId, d.notas || null]
+    );
+    registradas.push({ id: result.insertId, vacuna, numero, fecha, lote: d.lote || null, proxima });
+  }
+
+  let fichaId = null;
+  if (crearFicha) {
+    const nota = registradas.map(r =>
+      `${r.vacuna.nombre} - dosis ${r.numero}` +
+      (r.lote ? `, lote ${r.lote}` : '') +
+      (r.proxima ? `, próxima ${r.proxima}` : ', pauta completa')
+    ).join('\n');
+    const fecha = registradas.map(r => r.fecha).sort().pop();
+    const [fResult] = await conn.query(
+      'INSERT INTO fichas_medicas (mascota_id, cita_id, tipo, fecha, nota, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [mascota.id, citaId, 'vacuna', TimezoneService.toSQL(fichaDate(fecha)), nota, user?.subjectType === 'usuario' ? user.userId : null]
+    );
+    fichaId = fResult.insertId;
+    await conn.query('UPDATE vacunas_aplicadas SET ficha_id = ? WHERE id IN (?)', [fichaId, registradas.map(r => r.id)]);
+    await NotificationService.notifyFicha(fichaId, conn);
+  }
+
+  return { ids: registradas.map(r => r.id), fichaId };
+}
+
+/**
+ * Registra las vacunas aplicadas en una cita al completarla (beforeCommit de la transición).
+ * @param {Object} conn - conexión de la transición
+ * @param {number|string} citaId
+ * @param {Array} dosis - ver registerDoses
+ * @param {Object} user - req.user
+ * @throws {VacunaError} 403 sin permiso medical:write
+ */
+async function registerFromCita(conn, citaId, dosis, user) {
+  if (!hasPermission(user, 'medical:write')) {
+    throw new VacunaError('No autorizado para registrar vacunas', 403);
+  }
+  const [rows] = await conn.query(
+    `SELECT c.id, c.veterinario_id, m.id AS mascota_id, m.especie
+     FROM citas c JOIN mascotas m ON c.mascota_id = m.id
+     WHERE c.id = ? AND c.deleted_at IS NULL`,
+    [citaId]
+  );
+  if (!rows.length) throw new VacunaError('La cita no tiene una mascota asociada', 400);
+  const cita = rows[0];
+  return registerDoses(conn, {
+    mascota: { id: cita.mascota_id, especie: cita.especie },
+    // se aplican hoy; el número de dosis se deduce del historial
+    dosis: dosis.map(d => ({ vacuna_id: d.vacuna_id, lote: d.lote, fecha_caducidad: d.fecha_caducidad, notas: d.notas })),
+    veterinarioId: cita.veterinario_id || user.userId,
+    citaId: cita.id,
+    user
+  });
+}
+
+/**
+ * Dosis aplicadas a una mascota y estado de cada vacuna (según su última dosis)
+ * @param {number|string} mascotaId
+ * @returns {Promise<{ dosis: Array, vacunas: Array }>}
+ */
+async function petSummary(mascotaId) {
+  const [dosis] = await db.query(
+    `SELECT va.*, v.nombre AS vacuna_nombre, u.nombre AS veterinario_nombre
+     FROM vacunas_aplicadas va
+     JOIN vacunas v ON va.vacuna_id = v.id
+     LEFT JOIN usuarios u ON va.veterinario_id = u.id
+     WHERE va.mascota_id = ?
+     ORDER BY va.fecha_aplicacion DESC, va.id DESC`,
+    [mascotaId]
+  );
+
+  const hoy = today();
+  const ultimas = new Map();
+  for (const d of dosis) {
+    if (!ultimas.has(d.vacuna_id)) ultimas.set(d.vacuna_id, d);
+  }
+  const vacunas = [...ultimas.values()].map(d => ({
+    vacuna_id: d.vacuna_id,
+    vacuna_nombre: d.vacuna_nombre,
+    dosis_aplicadas: dosis.filter(x => x.vacuna_id === d.vacuna_id).length,
+    ultima_dosis: d.numero_dosis,
+    ultima_fecha: d.fecha_aplicacion,
+    proxima_fecha: d.proxima_fecha,
+    estado: statusOf(d.proxima_fecha, hoy)
+  }));
+
+  return { dosis, vacunas };
+}
+
+/**
+ * Vacunas cuya próxima dosis vence en un rango (última dosis de cada vacuna y mascota)
+ * @param {Object} [filters] - { desde, hasta (por defecto hoy), vacuna_id, especie }
+ * @returns {Promise<Array>}
+ */
+async function listDue({ desde = null, hasta = null, vacunaId = null, especie = null } = {}) {
+  const hoy = today();
+  const params = [hasta || hoy];
+  let where = 'va.proxima_fecha <= ?';
+  if (desde) { where += ' AND va.proxima_fecha >= ?'; params.push(desde); }
+  if (vacunaId) { where += ' AND va.vacuna_id = ?'; params.push(vacunaId); }
+  if (especie) { where += ' AND LOWER(m.especie) = ?'; params.push(normalizeEspecie(especie)); }
+
+  const [rows] = await db.query(
+    `SELECT va.id, va.mascota_id, m.nombre AS mascota_nombre, m.especie,
+            p.id AS propietario_id, p.nombre AS propietario_nombre, p.email AS propietario_email, p.telefono AS propietario_telefono,
+            va.vacuna_id, v.nombre AS vacuna_nombre, va.numero_dosis, va.fecha_aplicacion, va.proxima_fecha
+     FROM vacunas_aplicadas va
+     JOIN vacunas v ON va.vacuna_id = v.id
+     JOIN mascotas m ON va.mascota_id = m.id
+     JOIN propietarios p ON m.owner_id = p.id
+     WHERE va.proxima_fecha IS NOT NULL AND m.deleted_at IS NULL AND p.deleted_at IS NULL AND ${where}
+       AND NOT EXISTS (
+         SELECT 1 FROM vacunas_aplicadas n
+         WHERE n.mascota_id = va.mascota_id AND n.vacuna_id = va.vacuna_id
+           AND (n.fecha_aplicacion > va.fecha_aplicacion OR (n.fecha_aplicacion = va.fecha_aplicacion AND n.id > va.id))
+       )
+     ORDER BY va.proxima_fecha, m.nombre`,
+    params
+  );
+  return rows.map(r => ({ ...r, dias_vencida: daysBetween(r.proxima_fecha, hoy), estado: statusOf(r.proxima_fecha, hoy) }));
+}
+
+module.exports = {
+  ESTADOS_VACUNA,
+  DUE_SOON_DAYS,
+  VacunaError,
+  nextDueDate,
+  statusOf,
+  normalizeEspecie,
+  registerDoses,
+  registerFromCita,
+  petSummary,
+  listDue
+};
@@ -0,0 +1,296 @@
+// services/waitlistService.js
+/**
+ * Lista de espera con ofertas de huecos liberados.
+ *
+ * Cuando una cita pasa a cancelada (o se elimina), el hueco se ofrece a la primera
+ * entrada activa de lista_espera que encaje (mismo tipo de consulta, fecha dentro del
+ * rango, veterinario y franja horaria preferidos). La oferta es una reserva temporal
+ * (lista_espera_ofertas) que bloquea el hueco durante WAITLIST_HOLD_MINUTES: nadie más
+ * puede reservarlo (BookingService.hasOverlap la tiene en cuenta) hasta que el propietario
+ * la acepte, la rechace o caduque. Si se rechaza o caduca, el hueco pasa a la siguiente entrada.
+ *
+ * Crear la reserva temporal y aceptarla pasan por la misma validación que POST /citas
+ * (horario laboral + solapamiento dentro de la transacción con bloqueo por veterinario).
+ * El aviso al propietario (lista_espera.oferta) se encola en la misma transacción que la reserva.
+ * Las ofertas vencidas las caduca el worker (startExpiryJob), no las consultas.
+ */
+
+const db = require('../db');
+const BookingService = require('./bookingService');
+const TimezoneService = require('./timezoneService');
+const NotificationService = require('./notificationService');
+
+const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || 120);
+const EXPIRE_POLL_SECONDS = Number(process.env.WAITLIST_EXPIRE_POLL_SECONDS || 60);
+
+const ENTRY_ESTADOS = { ACTIVA: 'activa', OFERTADA: 'ofertada', ATENDIDA: 'atendida', CANCELADA: 'cancelada' };
+const OFERTA_ESTADOS = { PENDIENTE: 'pendiente', ACEPTADA: 'aceptada', RECHAZADA: 'rechazada', EXPIRADA: 'expirada' };
+
+class WaitlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.status = status;
+  }
+}
+
+// "HH:MM:SS" de un Date en hora de la clínica (las franjas de lista_espera son hora local)
+const timeOf = TimezoneService.localTimeStr;
+
+/**
+ * Ofrece un hueco a la siguiente entrada de la lista de espera que encaje.
+ * @param {Object} slot - { cita_liberada_id, veterinario_id, fecha_inicio, duracion_min, tipo_consulta }
+ * @returns {Promise<Object|null>} la oferta creada o null si no hay candidatos / el hueco ya no está libre
+ */
+async function offerSlot(slot) {
+  const inicio = new Date(slot.fecha_inicio);
+  if (isNaN(inicio.getTime()) || inicio <= new Date()) return null;
+  const fin = new Date(inicio.getTime() + Number(slot.duracion_min) * 60000);
+  const fechaSQL = BookingService.formatDateToSQL(inicio);
+
+  // mismas comprobaciones que POST /citas: horario laboral y solapamiento
+  if (slot.veterinario_id && await BookingService.isOffSchedule(slot.veterinario_id, inicio, slot.duracion_min)) {
+    return null;
+  }
+
+  return BookingService.withBookingLock(slot.veterinario_id, async (conn) => {
+    const [entries] = await conn.query(
+      `SELECT le.* FROM lista_espera le
+       WHERE le.estado = ?
+         AND le.tipo_consulta = ?
+         AND ? BETWEEN le.fecha_desde AND le.fecha_hasta
+         AND (le.veterinario_id IS NULL OR le.veterinario_id = ?)
+         AND (le.hora_desde IS NULL OR le.hora_desde <= ?)
+         AND (le.hora_hasta IS NULL OR le.hora_hasta >= ?)
+         AND le.id NOT IN (
+           SELECT o.lista_espera_id FROM lista_espera_ofertas o
+           WHERE o.fecha_inicio = ? AND (o.veterinario_id <=> ?)
+         )
+       ORDER BY le.created_at, le.id
+       LIMIT 1
+       FOR UPDATE`,
+      [ENTRY_ESTADOS.ACTIVA, slot.tipo_consulta, TimezoneService.localDateStr(inicio), slot.veterinario_id || null,
+        timeOf(inicio), timeOf(fin), fechaSQL, slot.veterinario_id || null]
+    );
+    if (!entries.length) return null;
+    const entry = entries[0];
+
+    if (await BookingService.hasOverlap(slot.veterinario_id, fechaSQL, slot.duracion_min, { conn })) {
+      return null;
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO lista_espera_ofertas
+         (lista_espera_id, cita_liberada_id, veterinario_id, tipo_consulta, fecha_inicio, duracion_min, estado, expira_en)
+       VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [entry.id, slot.cita_liberada_id || null, slot.veterinario_id || null, slot.tipo_consulta, fechaSQL,
+        slot.duracion_min, OFERTA_ESTADOS.PENDIENTE, HOLD_MINUTES]
+    );
+    await conn.query('UPDATE lista_espera SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [ENTRY_ESTADOS.OFERTADA, entry.id]);
+    await NotificationService.notifyOferta(result.insertId, conn);
+
+    const [rows] = await conn.query('SELECT * FROM lista_espera_ofertas WHERE id = ?', [result.insertId]);
+    return rows[0];
+  });
+}
+
+/**
+ * Ofrece el hueco de una cita que se acaba de cancelar / eliminar
+ * @param {Object} cita - fila de citas
+ */
+async function offerFreedSlot(cita) {
+  return offerSlot({
+    cita_liberada_id: cita.id,
+    veterinario_id: cita.veterinario_id,
+    fecha_inicio: cita.fecha_inicio,
+    duracion_min: cita.duracion_min,
+    tipo_consulta: cita.tipo_consulta
+  });
+}
+
+// Marca una oferta como rechazada / expirada, reactiva su entrada y ofrece el hueco a la siguiente
+async function _releaseOffer(oferta, estado) {
+  const [result] = await db.query(
+    'UPDATE lista_espera_ofertas SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND estado = ?',
+    [estado, oferta.id, OFERTA_ESTADOS.PENDIENTE]
+  );
+  if (!result.affectedRows) return null; // otra petición ya la resolvió
+  await db.query(
+    'UPDATE lista_espera SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND estado = ?',
+    [ENTRY_ESTADOS.ACTIVA, oferta.lista_espera_id, ENTRY_ESTADOS.OFERTADA]
+  );
+  return offerSlot(oferta);
+}
+
+/**
+ * Caduca las ofertas vencidas y pasa sus huecos a la siguiente entrada.
+ * La llama el worker (startExpiryJob) y, antes de crear la cita, acceptOffer.
+ * @returns {Promise<number>} ofertas caducadas
+ */
+async function expireHolds() {
+  const [rows] = await db.query(
+    'SELECT * FROM lista_espera_ofertas WHERE estado = ? AND expira_en <= NOW()',
+    [OFERTA_ESTADOS.PENDIENTE]
+  );
+  for (const oferta of rows) {
+    try {
+      await _releaseOffer(oferta, OFERTA_ESTADOS.EXPIRADA);
+    } catch (err) {
+      console.error(`Error al caducar oferta de lista de espera ${oferta.id}:`, err.message);
+    }
+  }
+  return rows.length;
+}
+
+/**
+ * Arranca la caducidad periódica de ofertas (cada WAITLIST_EXPIRE_POLL_SECONDS)
+ * @returns {Function} stop
+ */
+function startExpiryJob({ intervalSeconds = EXPIRE_POLL_SECONDS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const n = await expireHolds();
+      if (n) console.log(`⏳ Lista de espera: ${n} ofertas caducadas`);
+    } catch (err) {
+      console.error('Error caducando ofertas de la lista de espera:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalSeconds * 1000);
+  tick();
+  return () => clearInterval(timer);
+}
+
+// Carga oferta + entrada y verifica que el usuario pueda responderla
+async function _loadOfferFor(ofertaId, user, conn = db, lock = false) {
+  const [rows] = await conn.query(
+    `SELECT o.*, le.mascota_id, le.propietario_id, le.notas
+     FROM lista_espera_ofertas o
+     JOIN lista_espera le ON le.id = o.lista_espera_id
+     WHERE o.id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [ofertaId]
+  );
+  if (!rows.length) throw new WaitlistError('Oferta no encontrada', 404);
+  const oferta = rows[0];
+  if (user.role === 'propietario' && Number(user.userId) !== Number(oferta.propietario_id)) {
+    throw new WaitlistError('No autorizado para responder esta oferta', 403);
+  }
+  return oferta;
+}
+
+/**
+ * Acepta una oferta: crea la cita en el hueco reservado.
+ * @param {number|string} ofertaId
+ * @param {Object} user - req.user
+ * @returns {Promise<number>} id de la cita creada
+ * @throws {WaitlistError|BookingService.BookingConflictError}
+ */
+async function acceptOffer(ofertaId, user) {
+  await expireHolds();
+  const oferta = await _loadOfferFor(ofertaId, user);
+  if (oferta.estado !== OFERTA_ESTADOS.PENDIENTE) {
+    throw new WaitlistError(`La oferta ya no está disponible (${oferta.estado})`, 409);
+  }
+
+  const inicio = new Date(oferta.fecha_inicio);
+  if (oferta.veterinario_id && await BookingService.isOffSchedule(oferta.veterinario_id, inicio, oferta.duracion_min)) {
+    throw new BookingService.BookingConflictError(BookingService.OFF_SCHEDULE_MESSAGE);
+  }
+
+  return BookingService.withBookingLock(oferta.veterinario_id, async (conn) => {
+    const current = await _loadOfferFor(ofertaId, user, conn, true);
+    if (current.estado !== OFERTA_ESTADOS.PENDIENTE) {
+      throw new WaitlistError(`La oferta ya no está disponible (${current.estado})`, 409);
+    }
+    const [[{ vigente }]] = await conn.query('SELECT expira_en > NOW() AS vigente FROM lista_espera_ofertas WHERE id = ?', [ofertaId]);
+    if (!Number(vigente)) throw new WaitlistError('La oferta ha caducado', 409);
+
+    // misma validación de solapamiento que POST /citas (ignorando la propia reserva temporal)
+    const fechaSQL = BookingService.formatDateToSQL(inicio);
+    if (await BookingService.hasOverlap(current.veterinario_id, fechaSQL, current.duracion_min, { excludeHoldId: current.id, conn })) {
+      throw new BookingService.BookingConflictError(BookingService.OVERLAP_MESSAGE);
+    }
+
+    const citaId = await BookingService.insertCita(conn, {
+      mascota_id: current.mascota_id,
+      propietario_id: current.propietario_id,
+      vetId: current.veterinario_id,
+      tipoDef: { nombre: current.tipo_consulta },
+      motivo: current.notas || 'Lista de espera',
+      durMin: current.duracion_min
+    }, inicio, user);
+
+    await conn.query(
+      'UPDATE lista_espera_ofertas SET estado = ?, cita_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [OFERTA_ESTADOS.ACEPTADA, citaId, current.id]
+    );
+    await conn.query(
+      'UPDATE lista_espera SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [ENTRY_ESTADOS.ATENDIDA, current.lista_espera_id]
+    );
+    await NotificationService.notifyCita(NotificationService.EVENTOS.CITA_CREADA, citaId, { conn });
+    return citaId;
+  });
+}
+
+/**
+ * Rechaza una oferta: la entrada vuelve a estar activa y el hueco pasa a la siguiente.
+ * @param {number|string} ofertaId
+ * @param {Object} user - req.user
+ * @throws {WaitlistError}
+ */
+async function declineOffer(ofertaId, user) {
+  const oferta = await _loadOfferFor(ofertaId, user);
+  if (oferta.estado !== OFERTA_ESTADOS.PENDIENTE) {
+    throw new WaitlistError(`La oferta ya no está disponible (${oferta.estado})`, 409);
+  }
+  await _releaseOffer(oferta, OFERTA_ESTADOS.RECHAZADA);
+}
+
+/**
+ * Cancela una entrada; si tenía una oferta pendiente, el hueco pasa a la siguiente.
+ * @param {Object} entry - fila de lista_espera
+ */
+async function cancelEntry(entry) {
+  await db.query('UPDATE lista_espera SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [ENTRY_ESTADOS.CANCELADA, entry.id]);
+  const [ofertas] = await db.query(
+    'SELECT * FROM lista_espera_ofertas WHERE lista_espera_id = ? AND estado = ?',
+    [entry.id, OFERTA_ESTADOS.PENDIENTE]
+  );
+  for (const oferta of ofertas) {
+    await _releaseOffer(oferta, OFERTA_ESTADOS.RECHAZADA);
+  }
+}
+
+/**
+ * Reservas temporales vigentes de una fecha (para excluirlas de /citas/slots)
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {Promise<Array>}
+ */
+async function activeHoldsOn(dateStr) {
+  const [rows] = await db.query(
+    `SELECT veterinario_id, fecha_inicio, duracion_min FROM lista_espera_ofertas
+     WHERE estado = ? AND expira_en > NOW() AND fecha_inicio >= ? AND fecha_inicio < ?`,
+    [OFERTA_ESTADOS.PENDIENTE, ...TimezoneService.dayRangeSQL(dateStr)]
+  );
+  return rows;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  ENTRY_ESTADOS,
+  OFERTA_ESTADOS,
+  WaitlistError,
+  offerSlot,
+  offerFreedSlot,
+  expireHolds,
+  startExpiryJob,
+  acceptOffer,
+  declineOffer,
+  cancelEntry,
+  activeHoldsOn
+};
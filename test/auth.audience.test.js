@@ -0,0 +1,152 @@
+// test/auth.audience.test.js
+/**
+ * Audiencia de los access tokens (middleware/auth.js): un propietario cuyo id coincide con el
+ * de un usuario del personal no entra en rutas del personal, y al revés. /auth/profile es
+ * solo del personal y /propietarios/me solo de propietarios.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria con usuarios
+ * y propietarios que comparten ids.
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+// id 1 existe en las dos tablas; 7 solo en usuarios; 8 solo en propietarios
+const USUARIOS = [
+  { id: 1, nombre: 'Admin', email: 'admin@clinica.test', telefono: null, role: 'admin' },
+  { id: 7, nombre: 'Vet', email: 'vet@clinica.test', telefono: null, role: 'veterinario' }
+];
+const PROPIETARIOS = [
+  { id: 1, nombre: 'Pepe', email: 'pepe@correo.test', telefono: '555-0101', direccion: 'Calle 1', idioma: 'es' },
+  { id: 8, nombre: 'Lola', email: 'lola@correo.test', telefono: '555-0108', direccion: 'Calle 8', idioma: 'es' }
+];
+
+async function run(sql, params = []) {
+  const s = sql.replace(/\s+/g, ' ').trim();
+  if (/FROM usuarios WHERE id = \?$/.test(s)) {
+    return [USUARIOS.filter(u => u.id === Number(params[0]))];
+  }
+  if (/FROM propietarios WHERE id = \? AND deleted_at IS NULL$/.test(s)) {
+    return [PROPIETARIOS.filter(p => p.id === Number(params[0]))];
+  }
+  if (/FROM revoked_access_tokens|FROM session_revocations/.test(s)) return [[]];
+  if (/^INSERT INTO auditoria/.test(s)) return [{ insertId: 1, affectedRows: 1 }];
+  throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+}
+
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database',
+  loaded: true,
+  exports: {
+    pool: { query: run, execute: run },
+    getConnection: async () => { throw new Error('Sin transacciones en esta prueba'); },
+    testConnection: async () => true,
+    closePool: async () => {}
+  }
+};
+
+/* ------------------ App ------------------ */
+
+const TokenService = require('../services/tokenService');
+
+const staffToken = (id, role) => TokenService.signAccessToken({ userId: id, email: 'x@test', role }, 'usuario');
+const ownerToken = (id, role = 'propietario') => TokenService.signAccessToken({ userId: id, email: 'x@test', role }, 'propietario');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const app = require('../app');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+function request(method, url, token, body) {
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+/* ------------------ Tests ------------------ */
+
+test('token de propietario con el mismo id que un admin: rechazado en rutas del personal', async () => {
+  const token = ownerToken(1);
+  const rutas = [
+    ['GET', '/auth/profile'],
+    ['PUT', '/auth/profile', { nombre: 'Otro' }],
+    ['GET', '/users'],
+    ['GET', '/users/1'],
+    ['GET', '/propietarios'],
+    ['GET', '/propietarios/8'],
+    ['GET', '/propietarios/8/delete-impact']
+  ];
+  for (const [method, url, body] of rutas) {
+    const res = await request(method, url, token, body);
+    assert.equal(res.status, 403, `${method} ${url}`);
+  }
+});
+
+test('el role del token de propietario se ignora: un role "admin" no da acceso', async () => {
+  const token = ownerToken(1, 'admin');
+  for (const url of ['/users', '/propietarios', '/auth/profile']) {
+    assert.equal((await request('GET', url, token)).status, 403, url);
+  }
+
+  const res = await request('GET', '/propietarios/me', token);
+  assert.equal(res.status, 200);
+});
+
+test('token del personal con el mismo id que un propietario: rechazado en rutas de propietarios', async () => {
+  const token = staffToken(1, 'admin');
+  assert.equal((await request('GET', '/propietarios/me', token)).status, 403);
+  assert.equal((await request('PUT', '/propietarios/me', token, { nombre: 'Otro' })).status, 403);
+});
+
+test('/auth/profile devuelve el usuario del personal, no el propietario con el mismo id', async () => {
+  const res = await request('GET', '/auth/profile', staffToken(1, 'admin'));
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.data.email, 'admin@clinica.test');
+  assert.equal(body.data.role, 'admin');
+});
+
+test('/propietarios/me devuelve el propietario, no el usuario del personal con el mismo id', async () => {
+  const res = await request('GET', '/propietarios/me', ownerToken(1));
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.data.email, 'pepe@correo.test');
+  assert.equal(body.data.nombre, 'Pepe');
+});
+
+test('cada audiencia se resuelve solo contra su tabla: un id que solo existe en la otra da 401', async () => {
+  // 7 solo es personal; 8 solo es propietario
+  assert.equal((await request('GET', '/propietarios/me', ownerToken(7))).status, 401);
+  assert.equal((await request('GET', '/auth/profile', ownerToken(7))).status, 401);
+  assert.equal((await request('GET', '/auth/profile', staffToken(8, 'admin'))).status, 401);
+  assert.equal((await request('GET', '/propietarios', staffToken(8, 'admin'))).status, 401);
+});
+
+test('token sin audiencia (anterior a la separación personal / propietarios): 401', async () => {
+  const legacy = jwt.sign({ userId: 1, email: 'admin@clinica.test', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+  assert.equal((await request('GET', '/auth/profile', legacy)).status, 401);
+  assert.equal((await request('GET', '/propietarios/me', legacy)).status, 401);
+});
@@ -0,0 +1,269 @@
+// test/citaEstado.test.js
+/**
+ * Máquina de estados de las citas (services/citaEstadoService.js, config/citaEstados.js):
+ * qué transiciones puede hacer cada quien, motivo obligatorio al cancelar, historial y
+ * que 'attend' solo vale para el veterinario asignado.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria con una cita
+ * y su historial; rollback repone el estado anterior a la transacción.
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+const CITA_ID = 40;
+const VET_ID = 2;
+const GROOMER_ID = 4;
+const OWNER_ID = 10;
+
+function createFakeDb() {
+  const db = { state: null, locks: [] };
+  db.reset = (cita = {}) => {
+    db.state = {
+      cita: {
+        id: CITA_ID, mascota_id: 5, propietario_id: OWNER_ID, veterinario_id: VET_ID,
+        tipo_consulta: 'consulta', fecha_inicio: new Date('2030-03-04T10:00:00Z'), duracion_min: 30,
+        estado: 'pendiente', motivo_cancelacion: null, deleted_at: null, ...cita
+      },
+      historial: []
+    };
+    db.locks = [];
+  };
+  db.reset();
+
+  async function run(sql, params = []) {
+    const s = sql.replace(/\s+/g, ' ').trim();
+    const { cita } = db.state;
+    const existe = Number(params[0]) === cita.id && !cita.deleted_at;
+
+    if (/^SELECT estado, veterinario_id FROM citas WHERE id = \? AND deleted_at IS NULL$/.test(s)) {
+      return [existe ? [{ estado: cita.estado, veterinario_id: cita.veterinario_id }] : []];
+    }
+    if (/^SELECT id FROM usuarios WHERE id = \? FOR UPDATE$/.test(s)) {
+      db.locks.push(Number(params[0]));
+      return [[{ id: params[0] }]];
+    }
+    if (/^SELECT \* FROM citas WHERE id = \? AND deleted_at IS NULL FOR UPDATE$/.test(s)) {
+      return [existe ? [{ ...cita }] : []];
+    }
+    if (/^UPDATE citas SET estado = \?, motivo_cancelacion = \?/.test(s)) {
+      Object.assign(cita, { estado: params[0], motivo_cancelacion: params[1] });
+      return [{ affectedRows: 1 }];
+    }
+    if (/^INSERT INTO citas_estado_historial/.test(s)) {
+      const [cita_id, estado_anterior, estado_nuevo, motivo, actor_type, actor_id, actor_role] = params;
+      db.state.historial.push({ cita_id, estado_anterior, estado_nuevo, motivo, actor_type, actor_id, actor_role });
+      return [{ insertId: db.state.historial.length, affectedRows: 1 }];
+    }
+    throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+  }
+
+  async function getConnection() {
+    let snapshot = null;
+    return {
+      query: run,
+      execute: run,
+      beginTransaction: async () => { snapshot = structuredClone(db.state); },
+      commit: async () => { snapshot = null; },
+      rollback: async () => {
+        if (snapshot) db.state = snapshot;
+        snapshot = null;
+      },
+      release: () => {}
+    };
+  }
+
+  db.module = { pool: { query: run, execute: run }, getConnection, testConnection: async () => true, closePool: async () => {} };
+  return db;
+}
+
+/* ------------------ Servicio ------------------ */
+
+const fakeDb = createFakeDb();
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database', loaded: true, exports: fakeDb.module
+};
+
+const CitaEstadoService = require('../services/citaEstadoService');
+const BookingService = require('../services/bookingService');
+const AppointmentType = require('../models/AppointmentType');
+const { ESTADOS_LIST } = require('../config/citaEstados');
+
+const staff = (userId, role) => ({ userId, role, subjectType: 'usuario' });
+const USERS = {
+  admin: staff(1, 'admin'),
+  recepcion: staff(3, 'recepcionista'),
+  vetAsignado: staff(VET_ID, 'veterinario'),
+  vetOtro: staff(9, 'veterinario'),
+  groomerAsignado: staff(GROOMER_ID, 'groomer'),
+  groomerOtro: staff(8, 'groomer'),
+  sinPermisos: staff(7, 'user'),
+  propietario: { userId: OWNER_ID, role: 'propietario', subjectType: 'propietario' },
+  otroPropietario: { userId: 11, role: 'propietario', subjectType: 'propietario' }
+};
+
+beforeEach(() => {
+  fakeDb.reset();
+  // reabrir una cancelada comprueba el horario: libre y dentro del horario laboral
+  mock.method(BookingService, 'hasOverlap', async () => false);
+  mock.method(BookingService, 'isOffSchedule', async () => false);
+  mock.method(AppointmentType, 'findByNombre', async () => ({ nombre: 'consulta', buffer_min: 10 }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// cambia el estado de una cita que está en `from` (atendida por `veterinario_id`)
+async function intentar(from, to, user, { veterinario_id = VET_ID, motivo = 'Motivo de prueba' } = {}) {
+  fakeDb.reset({ estado: from, veterinario_id });
+  try {
+    await CitaEstadoService.transition(CITA_ID, to, user, { motivo });
+    return 200;
+  } catch (err) {
+    if (!(err instanceof CitaEstadoService.EstadoError)) throw err;
+    return err.status;
+  }
+}
+
+/* ------------------ Tests ------------------ */
+
+// transiciones permitidas y quién puede hacerlas (tabla "Estados de Citas" del README)
+const PERMITIDAS = {
+  pendiente: { confirmada: ['write', 'owner'], cancelada: ['write', 'owner'], no_show: ['write'] },
+  confirmada: {
+    pendiente: ['write'],
+    en_curso: ['write', 'attend'],
+    completada: ['write', 'attend'],
+    cancelada: ['write', 'owner'],
+    no_show: ['write', 'attend']
+  },
+  en_curso: { confirmada: ['write'], completada: ['write', 'attend'] },
+  cancelada: { pendiente: ['write'] },
+  completada: {},
+  no_show: {}
+};
+
+// un actor por capacidad: recepción solo tiene write, el groomer asignado solo attend
+const ACTORES = [
+  ['write', USERS.recepcion, VET_ID],
+  ['attend', USERS.groomerAsignado, GROOMER_ID],
+  ['owner', USERS.propietario, VET_ID]
+];
+
+test('cada transición según la capacidad de quien la pide: 200, 403 sin capacidad o 409 no permitida', async () => {
+  for (const from of ESTADOS_LIST) {
+    for (const to of ESTADOS_LIST) {
+      for (const [cap, user, veterinario_id] of ACTORES) {
+        const caps = (PERMITIDAS[from] || {})[to];
+        const esperado = from === to || !caps ? 409 : (caps.includes(cap) ? 200 : 403);
+        assert.equal(await intentar(from, to, user, { veterinario_id }), esperado, `${cap}: ${from} -> ${to}`);
+      }
+    }
+  }
+});
+
+test('capacidades por rol sobre una cita', () => {
+  const cita = { propietario_id: OWNER_ID, veterinario_id: VET_ID };
+  const casos = [
+    [USERS.admin, ['write']],
+    [USERS.recepcion, ['write']],
+    [USERS.vetAsignado, ['write', 'attend']],
+    [USERS.vetOtro, ['write']],
+    [USERS.groomerOtro, []],
+    [USERS.sinPermisos, []],
+    [USERS.propietario, ['owner']],
+    [USERS.otroPropietario, []],
+    [null, []]
+  ];
+  for (const [user, caps] of casos) {
+    assert.deepEqual(CitaEstadoService.capabilitiesOf(user, cita), caps, user ? `${user.role} ${user.userId}` : 'anónimo');
+  }
+  assert.deepEqual(CitaEstadoService.capabilitiesOf(USERS.groomerAsignado, { ...cita, veterinario_id: GROOMER_ID }), ['attend']);
+  assert.deepEqual(CitaEstadoService.capabilitiesOf(USERS.admin, { ...cita, veterinario_id: 1 }), ['write', 'attend']);
+  // un token de propietario con el id del veterinario no atiende
+  assert.deepEqual(CitaEstadoService.capabilitiesOf({ ...USERS.propietario, userId: VET_ID }, cita), []);
+});
+
+test('attend solo para el asignado: otro groomer, un usuario sin permisos u otro propietario dan 403', async () => {
+  for (const user of [USERS.groomerOtro, USERS.sinPermisos, USERS.otroPropietario]) {
+    assert.equal(await intentar('confirmada', 'completada', user, { veterinario_id: GROOMER_ID }), 403, user.role);
+  }
+  assert.equal(await intentar('confirmada', 'en_curso', USERS.groomerAsignado, { veterinario_id: GROOMER_ID }), 200);
+  assert.equal(await intentar('en_curso', 'completada', USERS.groomerAsignado, { veterinario_id: GROOMER_ID }), 200);
+  // una cita sin veterinario asignado no la atiende nadie por attend
+  assert.equal(await intentar('confirmada', 'completada', USERS.groomerAsignado, { veterinario_id: null }), 403);
+  assert.equal(fakeDb.state.historial.length, 0);
+});
+
+test('cancelar exige motivo: vacío o solo espacios da 400 y no toca la cita', async () => {
+  for (const motivo of [undefined, '', '   ']) {
+    fakeDb.reset({ estado: 'confirmada' });
+    await assert.rejects(
+      CitaEstadoService.transition(CITA_ID, 'cancelada', USERS.recepcion, { motivo }),
+      { name: 'EstadoError', status: 400, message: 'Se requiere un motivo para pasar la cita a "cancelada"' }
+    );
+    assert.equal(fakeDb.state.cita.estado, 'confirmada');
+    assert.equal(fakeDb.state.historial.length, 0);
+  }
+});
+
+test('estado desconocido: 400; cita inexistente o eliminada: 404', async () => {
+  await assert.rejects(CitaEstadoService.transition(CITA_ID, 'archivada', USERS.admin), { status: 400 });
+  await assert.rejects(CitaEstadoService.transition(999, 'confirmada', USERS.admin), { status: 404 });
+  fakeDb.reset({ deleted_at: new Date() });
+  await assert.rejects(CitaEstadoService.transition(CITA_ID, 'confirmada', USERS.admin), { status: 404 });
+});
+
+test('historial: una fila por cambio con estados, motivo recortado y actor', async () => {
+  await CitaEstadoService.transition(CITA_ID, 'confirmada', USERS.propietario);
+  await CitaEstadoService.transition(CITA_ID, 'cancelada', USERS.recepcion, { motivo: '  El dueño está de viaje  ' });
+
+  assert.equal(fakeDb.state.cita.estado, 'cancelada');
+  assert.equal(fakeDb.state.cita.motivo_cancelacion, 'El dueño está de viaje');
+  assert.deepEqual(fakeDb.state.historial, [
+    { cita_id: CITA_ID, estado_anterior: 'pendiente', estado_nuevo: 'confirmada', motivo: null, actor_type: 'propietario', actor_id: OWNER_ID, actor_role: 'propietario' },
+    { cita_id: CITA_ID, estado_anterior: 'confirmada', estado_nuevo: 'cancelada', motivo: 'El dueño está de viaje', actor_type: 'usuario', actor_id: 3, actor_role: 'recepcionista' }
+  ]);
+});
+
+test('historial: un cambio rechazado o que falla antes del commit no deja fila', async () => {
+  fakeDb.reset({ estado: 'completada' });
+  await assert.rejects(CitaEstadoService.transition(CITA_ID, 'pendiente', USERS.admin), { status: 409 });
+
+  fakeDb.reset({ estado: 'pendiente' });
+  await assert.rejects(
+    CitaEstadoService.transition(CITA_ID, 'confirmada', USERS.admin, {
+      beforeCommit: async () => { throw new Error('Fallo al encolar el aviso'); }
+    }),
+    /Fallo al encolar/
+  );
+  assert.equal(fakeDb.state.cita.estado, 'pendiente');
+  assert.deepEqual(fakeDb.state.historial, []);
+});
+
+test('recordHistory sin usuario registra al sistema como actor', async () => {
+  await CitaEstadoService.recordHistory({ citaId: CITA_ID, from: 'confirmada', to: 'no_show' });
+  assert.deepEqual(fakeDb.state.historial, [
+    { cita_id: CITA_ID, estado_anterior: 'confirmada', estado_nuevo: 'no_show', motivo: null, actor_type: 'sistema', actor_id: null, actor_role: null }
+  ]);
+});
+
+test('reabrir una cancelada bloquea al veterinario y responde 409 si su horario ya está ocupado', async () => {
+  fakeDb.reset({ estado: 'cancelada' });
+  BookingService.hasOverlap.mock.mockImplementation(async () => true);
+
+  await assert.rejects(CitaEstadoService.transition(CITA_ID, 'pendiente', USERS.recepcion), { status: 409 });
+  assert.deepEqual(fakeDb.locks, [VET_ID]);
+  assert.equal(fakeDb.state.cita.estado, 'cancelada');
+  assert.equal(fakeDb.state.historial.length, 0);
+
+  BookingService.hasOverlap.mock.mockImplementation(async () => false);
+  await CitaEstadoService.transition(CITA_ID, 'pendiente', USERS.recepcion);
+  assert.equal(fakeDb.state.cita.estado, 'pendiente');
+});
@@ -0,0 +1,225 @@
+// test/citas.concurrency.test.js
+/**
+ * Reservas concurrentes: varias peticiones POST /citas en paralelo para el mismo
+ * veterinario y horario deben dar exactamente un 201 y el resto 409.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria que
+ * emula lo que usa la reserva (bloqueo de fila con SELECT ... FOR UPDATE hasta
+ * commit / rollback, citas visibles para otras conexiones solo tras el commit y
+ * la consulta de solapamiento de BookingService.hasOverlap).
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+const VET_ID = 2;
+const ADMIN_ID = 1;
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+// "YYYY-MM-DD HH:MM:SS" (UTC) -> ms
+const sqlToMs = (s) => Date.parse(String(s).replace(' ', 'T') + 'Z');
+// cede el turno entre consultas para que las peticiones se intercalen como en un pool real
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createFakeDb() {
+  const state = { citas: [], nextId: 1, locks: new Map() };
+
+  // mutex por fila de usuarios (SELECT id FROM usuarios WHERE id = ? FOR UPDATE)
+  async function lockRow(conn, id) {
+    while (state.locks.has(id) && state.locks.get(id).owner !== conn) {
+      await state.locks.get(id).released;
+    }
+    if (!state.locks.has(id)) {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      state.locks.set(id, { owner: conn, released, release });
+    }
+  }
+
+  function releaseLocks(conn) {
+    for (const [id, lock] of state.locks) {
+      if (lock.owner === conn) {
+        state.locks.delete(id);
+        lock.release();
+      }
+    }
+  }
+
+  function overlaps(citas, params) {
+    const [vetId, liberan, inicio, bufferMin, , durMin] = params;
+    const exclude = params[7] ? [].concat(params[7]).map(Number) : [];
+    const start = sqlToMs(inicio);
+    const end = start + (Number(durMin) + Number(bufferMin)) * 60000;
+    return citas.filter(c =>
+      Number(c.veterinario_id) === Number(vetId) &&
+      !c.deleted_at &&
+      !liberan.includes(c.estado) &&
+      !exclude.includes(c.id) &&
+      start < sqlToMs(c.fecha_inicio) + (c.duracion_min + Number(bufferMin)) * 60000 &&
+      sqlToMs(c.fecha_inicio) < end
+    );
+  }
+
+  async function run(conn, sql, params = []) {
+    await tick();
+    const s = sql.replace(/\s+/g, ' ').trim();
+    const visibles = conn ? [...state.citas, ...conn.pending] : state.citas;
+
+    if (/^SELECT id FROM usuarios WHERE id = \? FOR UPDATE/.test(s)) {
+      await lockRow(conn, Number(params[0]));
+      return [[{ id: params[0] }]];
+    }
+    if (/FROM usuarios WHERE id = \?/.test(s)) {
+      const id = Number(params[0]);
+      return [[{ id, nombre: `Usuario ${id}`, email: `u${id}@test`, role: id === VET_ID ? 'veterinario' : 'admin' }]];
+    }
+    if (/FROM revoked_access_tokens|FROM session_revocations/.test(s)) return [[]];
+    if (/FROM mascotas WHERE id = \?/.test(s)) return [[{ id: Number(params[0]), owner_id: 1 }]];
+    if (/FROM appointment_types WHERE nombre = \?/.test(s)) {
+      return [[{
+        id: 1, nombre: params[0], descripcion: null, duracion_min: 30, buffer_min: 10, ventanas: '[]',
+        color: null, precio: null, recursos: '[]', roles: '["veterinario"]',
+        reservable_por_propietario: 1, encuentro: 'abrir', activo: 1
+      }]];
+    }
+    if (/^SELECT 1 FROM citas c WHERE c.veterinario_id = \?/.test(s)) {
+      return [overlaps(visibles, params).slice(0, 1).map(() => ({ 1: 1 }))];
+    }
+    if (/FROM lista_espera_ofertas/.test(s)) return [[]];
+    if (/^INSERT INTO citas \(/.test(s)) {
+      const [mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo, fecha_inicio, duracion_min, estado] = params;
+      const cita = {
+        id: state.nextId++, mascota_id, propietario_id, veterinario_id, tipo_consulta, motivo,
+        fecha_inicio, duracion_min: Number(duracion_min), estado, deleted_at: null
+      };
+      conn.pending.push(cita);
+      return [{ insertId: cita.id, affectedRows: 1 }];
+    }
+    if (/^INSERT INTO citas_estado_historial/.test(s)) return [{ insertId: 1, affectedRows: 1 }];
+    if (/FROM citas c .*WHERE c.id IN \(\?\)/.test(s)) {
+      const ids = [].concat(params[0]).map(Number);
+      return [visibles.filter(c => ids.includes(c.id))];
+    }
+    throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+  }
+
+  const pool = {
+    query: (sql, params) => run(null, sql, params),
+    execute: (sql, params) => run(null, sql, params)
+  };
+
+  async function getConnection() {
+    const conn = { pending: [] };
+    conn.query = (sql, params) => run(conn, sql, params);
+    conn.execute = conn.query;
+    conn.beginTransaction = async () => { conn.pending = []; };
+    conn.commit = async () => {
+      await tick();
+      state.citas.push(...conn.pending);
+      conn.pending = [];
+      releaseLocks(conn);
+    };
+    conn.rollback = async () => {
+      conn.pending = [];
+      releaseLocks(conn);
+    };
+    conn.release = () => releaseLocks(conn);
+    return conn;
+  }
+
+  return {
+    state,
+    module: { pool, getConnection, testConnection: async () => true, closePool: async () => {} }
+  };
+}
+
+/* ------------------ App ------------------ */
+
+const fakeDb = createFakeDb();
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database', loaded: true, exports: fakeDb.module
+};
+
+const BookingService = require('../services/bookingService');
+const NotificationService = require('../services/notificationService');
+const TokenService = require('../services/tokenService');
+
+let server;
+let baseUrl;
+const token = TokenService.signAccessToken({ userId: ADMIN_ID, email: 'u1@test', role: 'admin' }, 'usuario');
+
+before(async () => {
+  // el horario laboral y el envío de avisos no son parte de lo que se prueba
+  mock.method(BookingService, 'isOffSchedule', async () => false);
+  mock.method(NotificationService, 'notifyCita', async () => null);
+  mock.method(console, 'log', () => {});
+
+  const app = require('../app');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+beforeEach(() => {
+  fakeDb.state.citas = [];
+});
+
+function crearCita(body) {
+  return fetch(`${baseUrl}/citas`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify({ mascota_id: 1, propietario_id: 1, veterinario_id: VET_ID, ...body })
+  });
+}
+
+/* ------------------ Tests ------------------ */
+
+test('reservas paralelas del mismo veterinario y horario: un 201 y el resto 409', async () => {
+  const N = 8;
+  const responses = await Promise.all(
+    Array.from({ length: N }, () => crearCita({ fecha_inicio: '2030-03-04T10:00:00Z' }))
+  );
+  const statuses = responses.map(r => r.status).sort();
+
+  assert.deepEqual(statuses, [201, ...Array(N - 1).fill(409)]);
+  assert.equal(fakeDb.state.citas.length, 1);
+});
+
+test('reservas paralelas que se solapan por el buffer: un 201 y el resto 409', async () => {
+  // 30 min + 10 de buffer: 10:00, 10:15 y 10:35 chocan con cualquiera de las otras
+  const responses = await Promise.all(
+    ['10:00', '10:15', '10:35'].map(h => crearCita({ fecha_inicio: `2030-03-04T${h}:00Z` }))
+  );
+  const statuses = responses.map(r => r.status).sort();
+
+  assert.deepEqual(statuses, [201, 409, 409]);
+  assert.equal(fakeDb.state.citas.length, 1);
+});
+
+test('reservas paralelas en horarios libres: todas 201', async () => {
+  const responses = await Promise.all(
+    ['09:00', '11:00', '13:00'].map(h => crearCita({ fecha_inicio: `2030-03-04T${h}:00Z` }))
+  );
+
+  assert.deepEqual(responses.map(r => r.status), [201, 201, 201]);
+  assert.equal(fakeDb.state.citas.length, 3);
+});
+
+test('buffer_min negativo o no entero: 400', async () => {
+  for (const buffer_min of [-30, 'abc', 2.5]) {
+    const res = await crearCita({ fecha_inicio: '2030-03-04T10:00:00Z', buffer_min });
+    assert.equal(res.status, 400, `buffer_min=${buffer_min}`);
+  }
+  assert.equal(fakeDb.state.citas.length, 0);
+});
@@ -0,0 +1,359 @@
+// test/ownerDeletion.test.js
+/**
+ * Eliminación de propietarios (services/ownerDeletionService.js): impacto, estrategias
+ * block / transfer / cascade y que todo ocurre en una sola transacción.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria con las tablas
+ * que tocan impact() y remove(); beginTransaction guarda una copia que rollback repone.
+ * Los avisos y la lista de espera se sustituyen por mocks que registran las llamadas.
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+const FUTURO = new Date(Date.now() + 7 * 86400000);
+const PASADO = new Date(Date.now() - 7 * 86400000);
+
+function seed() {
+  return {
+    propietarios: [
+      { id: 1, nombre: 'Ana', email: 'ana@test', deleted_at: null },
+      { id: 2, nombre: 'Beto', email: 'beto@test', deleted_at: null },
+      { id: 3, nombre: 'Caro', email: 'caro@test', deleted_at: new Date('2025-01-01T00:00:00Z') }
+    ],
+    mascotas: [
+      { id: 10, owner_id: 1, nombre: 'Luna', especie: 'perro', deleted_at: null },
+      { id: 11, owner_id: 1, nombre: 'Michi', especie: 'gato', deleted_at: null },
+      { id: 20, owner_id: 2, nombre: 'Rex', especie: 'perro', deleted_at: null }
+    ],
+    citas: [
+      { id: 100, mascota_id: 10, propietario_id: 1, veterinario_id: 5, fecha_inicio: FUTURO, duracion_min: 30, estado: 'confirmada', deleted_at: null },
+      { id: 101, mascota_id: 10, propietario_id: 1, veterinario_id: 5, fecha_inicio: PASADO, duracion_min: 30, estado: 'completada', deleted_at: null },
+      { id: 102, mascota_id: 11, propietario_id: 1, veterinario_id: 5, fecha_inicio: FUTURO, duracion_min: 30, estado: 'cancelada', deleted_at: null }
+    ],
+    citas_series: [{ id: 1, mascota_id: 10, propietario_id: 1 }],
+    fichas_medicas: [
+      { id: 50, mascota_id: 10, cita_id: null, deleted_at: null },
+      { id: 51, mascota_id: 10, cita_id: 101, deleted_at: null }
+    ],
+    ficha_adjuntos: [
+      { id: 1, ficha_id: 50, size_bytes: 1000 },
+      { id: 2, ficha_id: 51, size_bytes: 500 }
+    ],
+    encuentros: [{ id: 9, cita_id: 101, ficha_id: 51, estado: 'firmado' }],
+    lista_espera: [
+      { id: 7, propietario_id: 1, mascota_id: 11, estado: 'activa' },
+      { id: 8, propietario_id: 1, mascota_id: 11, estado: 'atendida' }
+    ]
+  };
+}
+
+function createFakeDb() {
+  const db = { state: seed(), tx: { begin: 0, commit: 0, rollback: 0 }, failOn: null };
+  const ids = (rows) => rows.map(r => ({ id: r.id }));
+  const update = (rows, fn) => {
+    rows.forEach(fn);
+    return [{ affectedRows: rows.length }];
+  };
+
+  async function run(sql, params = []) {
+    const s = sql.replace(/\s+/g, ' ').trim();
+    const t = db.state;
+    if (db.failOn && db.failOn.test(s)) throw new Error('Fallo simulado de la BD');
+
+    const activo = (table, id) => t[table].filter(r => r.id === Number(id) && !r.deleted_at);
+    const mascotasDe = (ownerId) => t.mascotas.filter(m => m.owner_id === Number(ownerId) && !m.deleted_at);
+    // citas futuras que ocupan horario (CITA_FUTURA)
+    const futura = (c, cerrados) => !c.deleted_at && c.fecha_inicio > new Date() && !cerrados.includes(c.estado);
+    const firmada = (f) => t.encuentros.some(e => e.ficha_id === f.id || (e.cita_id === f.cita_id && e.estado === 'firmado'));
+
+    if (/^SELECT id FROM propietarios WHERE id = \? AND deleted_at IS NULL FOR UPDATE$/.test(s)) {
+      return [ids(activo('propietarios', params[0]))];
+    }
+    if (/^SELECT id, nombre, email FROM propietarios WHERE id = \? AND deleted_at IS NULL$/.test(s)) {
+      return [activo('propietarios', params[0]).map(({ id, nombre, email }) => ({ id, nombre, email }))];
+    }
+    if (/^SELECT m.id, m.nombre, m.especie,/.test(s)) {
+      const [cerrados, ownerId] = params;
+      return [mascotasDe(ownerId).map(m => {
+        const fichas = t.fichas_medicas.filter(f => f.mascota_id === m.id && !f.deleted_at);
+        const adjuntos = t.ficha_adjuntos.filter(a => fichas.some(f => f.id === a.ficha_id));
+        return {
+          id: m.id,
+          nombre: m.nombre,
+          especie: m.especie,
+          citas_futuras: t.citas.filter(c => c.mascota_id === m.id && futura(c, cerrados)).length,
+          fichas: fichas.length,
+          archivos: adjuntos.length,
+          bytes: adjuntos.reduce((acc, a) => acc + a.size_bytes, 0)
+        };
+      })];
+    }
+    if (/^SELECT COUNT\(\*\) AS total FROM citas c WHERE c.propietario_id = \?/.test(s)) {
+      const [ownerId, cerrados] = params;
+      return [[{ total: t.citas.filter(c => c.propietario_id === Number(ownerId) && futura(c, cerrados)).length }]];
+    }
+    if (/^SELECT COUNT\(\*\) AS total FROM lista_espera WHERE propietario_id = \? AND estado IN \(\?\)$/.test(s)) {
+      const [ownerId, estados] = params;
+      return [[{ total: t.lista_espera.filter(e => e.propietario_id === Number(ownerId) && estados.includes(e.estado)).length }]];
+    }
+    if (/^SELECT \* FROM lista_espera WHERE propietario_id = \? AND estado IN \(\?\)$/.test(s)) {
+      const [ownerId, estados] = params;
+      return [t.lista_espera.filter(e => e.propietario_id === Number(ownerId) && estados.includes(e.estado))];
+    }
+    if (/^SELECT c.\* FROM citas c WHERE c.propietario_id = \? AND .* FOR UPDATE$/.test(s)) {
+      const [ownerId, cerrados] = params;
+      return [t.citas.filter(c => c.propietario_id === Number(ownerId) && futura(c, cerrados))];
+    }
+
+    // transferencia (las de la mascota se identifican por su owner_id actual)
+    const transferidas = (table, [, origen]) => {
+      const mascotas = mascotasDe(origen).map(m => m.id);
+      return t[table].filter(r => r.propietario_id === Number(origen) && mascotas.includes(r.mascota_id) && !r.deleted_at);
+    };
+    if (/^UPDATE citas c JOIN mascotas m ON c.mascota_id = m.id SET c.propietario_id = \?/.test(s)) {
+      return update(transferidas('citas', params), c => { c.propietario_id = Number(params[0]); });
+    }
+    if (/^UPDATE citas_series s JOIN mascotas m ON s.mascota_id = m.id SET s.propietario_id = \?/.test(s)) {
+      return update(transferidas('citas_series', params), r => { r.propietario_id = Number(params[0]); });
+    }
+    if (/^UPDATE lista_espera le JOIN mascotas m ON le.mascota_id = m.id SET le.propietario_id = \?/.test(s)) {
+      return update(transferidas('lista_espera', params), r => { r.propietario_id = Number(params[0]); });
+    }
+    if (/^UPDATE mascotas SET owner_id = \? WHERE owner_id = \? AND deleted_at IS NULL$/.test(s)) {
+      return update(mascotasDe(params[1]), m => { m.owner_id = Number(params[0]); });
+    }
+
+    // borrado lógico en cascada (SoftDeleteService.softDelete)
+    if (/^UPDATE fichas_medicas f JOIN mascotas m ON f.mascota_id = m.id SET .* WHERE m.owner_id = \? AND f.deleted_at IS NULL AND NOT EXISTS/.test(s)) {
+      const [at, by, ownerId] = params;
+      const mascotas = mascotasDe(ownerId).map(m => m.id);
+      const rows = t.fichas_medicas.filter(f => mascotas.includes(f.mascota_id) && !f.deleted_at && !firmada(f));
+      return update(rows, f => Object.assign(f, { deleted_at: at, deleted_by: by }));
+    }
+    if (/^UPDATE citas c SET .* WHERE c.propietario_id = \? AND c.deleted_at IS NULL$/.test(s)) {
+      const [at, by, type, ownerId] = params;
+      const rows = t.citas.filter(c => c.propietario_id === Number(ownerId) && !c.deleted_at);
+      return update(rows, c => Object.assign(c, { deleted_at: at, deleted_by: by, deleted_by_type: type }));
+    }
+    if (/^UPDATE mascotas m SET .* WHERE m.owner_id = \? AND m.deleted_at IS NULL$/.test(s)) {
+      const [at, by, ownerId] = params;
+      return update(mascotasDe(ownerId), m => Object.assign(m, { deleted_at: at, deleted_by: by }));
+    }
+    if (/^UPDATE propietarios t SET .* WHERE t.id = \?$/.test(s)) {
+      const [at, by, id] = params;
+      return update(t.propietarios.filter(p => p.id === Number(id)), p => Object.assign(p, { deleted_at: at, deleted_by: by }));
+    }
+    throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+  }
+
+  const pool = { query: run, execute: run };
+
+  async function getConnection() {
+    let snapshot = null;
+    return {
+      query: run,
+      execute: run,
+      beginTransaction: async () => {
+        db.tx.begin++;
+        snapshot = structuredClone(db.state);
+      },
+      commit: async () => {
+        db.tx.commit++;
+        snapshot = null;
+      },
+      rollback: async () => {
+        db.tx.rollback++;
+        if (snapshot) db.state = snapshot;
+        snapshot = null;
+      },
+      release: () => {}
+    };
+  }
+
+  db.module = { pool, getConnection, testConnection: async () => true, closePool: async () => {} };
+  return db;
+}
+
+/* ------------------ Servicio ------------------ */
+
+const fakeDb = createFakeDb();
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database', loaded: true, exports: fakeDb.module
+};
+
+const OwnerDeletionService = require('../services/ownerDeletionService');
+const NotificationService = require('../services/notificationService');
+const IcalService = require('../services/icalService');
+const WaitlistService = require('../services/waitlistService');
+
+const ACTOR = { userId: 99, role: 'admin', subjectType: 'usuario' };
+let calls;
+
+beforeEach(() => {
+  fakeDb.state = seed();
+  fakeDb.tx = { begin: 0, commit: 0, rollback: 0 };
+  fakeDb.failOn = null;
+  calls = { notify: [], offer: [], cancel: [] };
+  mock.method(IcalService, 'loadCita', async (id) => ({ ...fakeDb.state.citas.find(c => c.id === Number(id)) }));
+  mock.method(NotificationService, 'notifyCita', async (evento, id) => { calls.notify.push([evento, id]); });
+  mock.method(WaitlistService, 'offerFreedSlot', async (cita) => { calls.offer.push(cita.id); });
+  mock.method(WaitlistService, 'cancelEntry', async (entry) => { calls.cancel.push(entry.id); });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const find = (table, id) => fakeDb.state[table].find(r => r.id === id);
+
+/* ------------------ Tests ------------------ */
+
+test('impact: cuenta mascotas, citas futuras activas, fichas, archivos y lista de espera', async () => {
+  const impacto = await OwnerDeletionService.impact(1);
+
+  assert.deepEqual(impacto.propietario, { id: 1, nombre: 'Ana', email: 'ana@test' });
+  assert.deepEqual(impacto.totales, {
+    mascotas: 2, citas_futuras: 1, fichas: 2, archivos: 2, bytes: 1500, lista_espera: 1
+  });
+  assert.deepEqual(impacto.mascotas, [
+    { id: 10, nombre: 'Luna', especie: 'perro', citas_futuras: 1, fichas: 2, archivos: 2, bytes: 1500 },
+    { id: 11, nombre: 'Michi', especie: 'gato', citas_futuras: 0, fichas: 0, archivos: 0, bytes: 0 }
+  ]);
+  assert.equal(impacto.bloqueado, true);
+});
+
+test('impact: propietario sin nada no está bloqueado; inexistente o eliminado da null', async () => {
+  fakeDb.state.mascotas = fakeDb.state.mascotas.filter(m => m.owner_id !== 2);
+  const impacto = await OwnerDeletionService.impact(2);
+  assert.equal(impacto.bloqueado, false);
+  assert.equal(impacto.totales.mascotas, 0);
+
+  assert.equal(await OwnerDeletionService.impact(3), null);
+  assert.equal(await OwnerDeletionService.impact(404), null);
+});
+
+test('block: con impacto responde 409 con el impacto y no cambia nada', async () => {
+  const antes = structuredClone(fakeDb.state);
+
+  await assert.rejects(OwnerDeletionService.remove(1, {}, ACTOR), (err) => {
+    assert.ok(err instanceof OwnerDeletionService.BorradoError);
+    assert.equal(err.status, 409);
+    assert.equal(err.impacto.totales.mascotas, 2);
+    return true;
+  });
+  assert.deepEqual(fakeDb.state, antes);
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 0, rollback: 1 });
+  assert.deepEqual(calls, { notify: [], offer: [], cancel: [] });
+});
+
+test('block: sin impacto elimina solo el propietario', async () => {
+  fakeDb.state.mascotas = fakeDb.state.mascotas.filter(m => m.owner_id !== 2);
+  const result = await OwnerDeletionService.remove(2, { strategy: 'block' }, ACTOR);
+
+  assert.equal(result.strategy, 'block');
+  assert.ok(result.deleted_at instanceof Date);
+  assert.deepEqual(result.cascada, { fichas_medicas: 0, citas: 0, mascotas: 0 });
+  assert.equal(find('propietarios', 2).deleted_at, result.deleted_at);
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 1, rollback: 0 });
+});
+
+test('transfer: las mascotas pasan al destino con sus citas, series y lista de espera', async () => {
+  const result = await OwnerDeletionService.remove(1, { strategy: 'transfer', transferTo: 2 }, ACTOR);
+
+  assert.deepEqual(result.transferencia, { propietario_id: 2, mascotas: 2, citas: 3, series: 1, lista_espera: 2 });
+  assert.deepEqual(result.cascada, { fichas_medicas: 0, citas: 0, mascotas: 0 });
+  for (const id of [10, 11]) {
+    assert.equal(find('mascotas', id).owner_id, 2);
+    assert.equal(find('mascotas', id).deleted_at, null);
+  }
+  assert.ok(fakeDb.state.citas.every(c => c.propietario_id === 2 && !c.deleted_at));
+  assert.equal(fakeDb.state.citas_series[0].propietario_id, 2);
+  assert.ok(fakeDb.state.lista_espera.every(e => e.propietario_id === 2));
+  assert.ok(find('propietarios', 1).deleted_at);
+  // las citas siguen en pie con el nuevo propietario: nada se cancela
+  assert.deepEqual(calls, { notify: [], offer: [], cancel: [] });
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 1, rollback: 0 });
+});
+
+test('transfer: destino inexistente o eliminado responde 400 y no cambia nada', async () => {
+  const antes = structuredClone(fakeDb.state);
+
+  for (const destino of [404, 3]) {
+    await assert.rejects(
+      OwnerDeletionService.remove(1, { strategy: 'transfer', transferTo: destino }, ACTOR),
+      { name: 'BorradoError', status: 400, message: 'El propietario destino no existe o está eliminado' }
+    );
+  }
+  assert.deepEqual(fakeDb.state, antes);
+  assert.deepEqual(fakeDb.tx, { begin: 2, commit: 0, rollback: 2 });
+});
+
+test('transfer sin destino o al mismo propietario, o estrategia desconocida: 400 sin abrir transacción', async () => {
+  await assert.rejects(OwnerDeletionService.remove(1, { strategy: 'transfer' }, ACTOR), { status: 400 });
+  await assert.rejects(OwnerDeletionService.remove(1, { strategy: 'transfer', transferTo: '1' }, ACTOR), { status: 400 });
+  await assert.rejects(OwnerDeletionService.remove(1, { strategy: 'purge' }, ACTOR), { status: 400 });
+  assert.equal(fakeDb.tx.begin, 0);
+});
+
+test('cascade: marca todo con el mismo deleted_at, cancela las citas futuras y limpia la lista de espera', async () => {
+  const result = await OwnerDeletionService.remove(1, { strategy: 'cascade' }, ACTOR);
+  const at = result.deleted_at;
+
+  // la ficha 51 es de un encuentro firmado: se conserva
+  assert.deepEqual(result.cascada, { fichas_medicas: 1, citas: 3, mascotas: 2 });
+  assert.equal(find('fichas_medicas', 50).deleted_at, at);
+  assert.equal(find('fichas_medicas', 51).deleted_at, null);
+  for (const id of [10, 11]) assert.equal(find('mascotas', id).deleted_at, at);
+  for (const id of [100, 101, 102]) {
+    assert.equal(find('citas', id).deleted_at, at);
+    assert.equal(find('citas', id).deleted_by_type, 'usuario');
+  }
+  assert.equal(find('propietarios', 1).deleted_at, at);
+  assert.equal(find('propietarios', 1).deleted_by, ACTOR.userId);
+  assert.equal(find('mascotas', 20).deleted_at, null);
+
+  // solo la cita futura activa se avisa y libera su hueco; solo la entrada abierta se cancela
+  assert.deepEqual(calls.notify, [[NotificationService.EVENTOS.CITA_CANCELADA, 100]]);
+  assert.deepEqual(calls.offer, [100]);
+  assert.deepEqual(calls.cancel, [7]);
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 1, rollback: 0 });
+});
+
+test('propietario inexistente o ya eliminado: 404', async () => {
+  for (const id of [404, 3]) {
+    await assert.rejects(
+      OwnerDeletionService.remove(id, { strategy: 'cascade' }, ACTOR),
+      { name: 'BorradoError', status: 404 }
+    );
+  }
+  assert.deepEqual(fakeDb.tx, { begin: 2, commit: 0, rollback: 2 });
+});
+
+test('rollback: un fallo al final de transfer deshace la transferencia', async () => {
+  const antes = structuredClone(fakeDb.state);
+  fakeDb.failOn = /^UPDATE propietarios t SET/;
+
+  await assert.rejects(
+    OwnerDeletionService.remove(1, { strategy: 'transfer', transferTo: 2 }, ACTOR),
+    /Fallo simulado/
+  );
+  assert.deepEqual(fakeDb.state, antes);
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 0, rollback: 1 });
+});
+
+test('rollback: un aviso que falla en cascade deshace el borrado y no toca la lista de espera', async () => {
+  const antes = structuredClone(fakeDb.state);
+  NotificationService.notifyCita.mock.mockImplementation(async () => { throw new Error('SMTP caído'); });
+
+  await assert.rejects(OwnerDeletionService.remove(1, { strategy: 'cascade' }, ACTOR), /SMTP caído/);
+  assert.deepEqual(fakeDb.state, antes);
+  assert.deepEqual(fakeDb.tx, { begin: 1, commit: 0, rollback: 1 });
+  assert.deepEqual(calls.offer, []);
+  assert.deepEqual(calls.cancel, []);
+});
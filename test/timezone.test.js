@@ -0,0 +1,217 @@
+// test/timezone.test.js
+/**
+ * Zona horaria de la clínica (services/timezoneService.js) y generación de slots
+ * (GET /citas/slots) en los días de cambio de horario: 23 horas al adelantar el reloj
+ * y 25 al atrasarlo. También el replacer de JSON que emite las fechas con offset.
+ *
+ * La clínica se fija en America/New_York (2026: el reloj se adelanta el 8 de marzo a las
+ * 02:00 y se atrasa el 1 de noviembre a las 02:00). No hace falta MySQL: config/database se
+ * sustituye por una base en memoria con los veterinarios y las citas del día.
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+process.env.CLINIC_TIMEZONE = 'America/New_York';
+
+const VET_ID = 2;
+const ADMIN_ID = 1;
+const SPRING = '2026-03-08';
+const FALL = '2026-11-01';
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+const fakeDb = { citas: [], dayQueries: [] };
+
+async function run(sql, params = []) {
+  const s = sql.replace(/\s+/g, ' ').trim();
+  if (/FROM usuarios WHERE id = \?$/.test(s)) {
+    return [[{ id: Number(params[0]), nombre: 'Admin', email: 'admin@test', role: 'admin' }]];
+  }
+  if (/FROM revoked_access_tokens|FROM session_revocations/.test(s)) return [[]];
+  if (/^SELECT id, nombre, email, role FROM usuarios WHERE role IN \(\?\)$/.test(s)) {
+    return [[{ id: VET_ID, nombre: 'Vet', email: 'vet@test', role: 'veterinario' }]];
+  }
+  if (/^SELECT \* FROM citas WHERE fecha_inicio >= \? AND fecha_inicio < \?/.test(s)) {
+    fakeDb.dayQueries.push([params[0], params[1]]);
+    return [fakeDb.citas];
+  }
+  throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+}
+
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database',
+  loaded: true,
+  exports: {
+    pool: { query: run, execute: run },
+    getConnection: async () => { throw new Error('Sin transacciones en esta prueba'); },
+    testConnection: async () => true,
+    closePool: async () => {}
+  }
+};
+
+const TimezoneService = require('../services/timezoneService');
+const TokenService = require('../services/tokenService');
+const AppointmentType = require('../models/AppointmentType');
+const ScheduleService = require('../services/scheduleService');
+const WaitlistService = require('../services/waitlistService');
+
+const iso = (s) => new Date(s);
+const hours = ([from, to]) => (Date.parse(to.replace(' ', 'T') + 'Z') - Date.parse(from.replace(' ', 'T') + 'Z')) / 3600000;
+
+/* ------------------ timezoneService ------------------ */
+
+test('la zona de la clínica es la configurada', () => {
+  assert.equal(TimezoneService.CLINIC_TIMEZONE, 'America/New_York');
+});
+
+test('dayRangeSQL: días de 23, 24 y 25 horas en UTC', () => {
+  assert.deepEqual(TimezoneService.dayRangeSQL(SPRING), ['2026-03-08 05:00:00', '2026-03-09 04:00:00']);
+  assert.deepEqual(TimezoneService.dayRangeSQL(FALL), ['2026-11-01 04:00:00', '2026-11-02 05:00:00']);
+  assert.equal(hours(TimezoneService.dayRangeSQL(SPRING)), 23);
+  assert.equal(hours(TimezoneService.dayRangeSQL('2026-03-09')), 24);
+  assert.equal(hours(TimezoneService.dayRangeSQL(FALL)), 25);
+});
+
+test('fromLocal / isValidLocal: la hora que no existe se adelanta y la repetida es la primera', () => {
+  // 02:30 no existe el 8 de marzo: se desplaza lo que dura el salto (03:30 EDT)
+  assert.equal(TimezoneService.isValidLocal(SPRING, '02:30'), false);
+  assert.equal(TimezoneService.fromLocal(SPRING, '02:30').toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(TimezoneService.isValidLocal(SPRING, '01:59'), true);
+  assert.equal(TimezoneService.isValidLocal(SPRING, '03:00'), true);
+  assert.equal(TimezoneService.fromLocal(SPRING, '03:00').toISOString(), '2026-03-08T07:00:00.000Z');
+
+  // 01:30 ocurre dos veces el 1 de noviembre: la primera (EDT, -04:00)
+  assert.equal(TimezoneService.isValidLocal(FALL, '01:30'), true);
+  assert.equal(TimezoneService.fromLocal(FALL, '01:30').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(TimezoneService.fromLocal(FALL, '02:00').toISOString(), '2026-11-01T07:00:00.000Z');
+  // minutos desde medianoche, como en los horarios
+  assert.equal(TimezoneService.fromLocal(FALL, 150).toISOString(), '2026-11-01T07:30:00.000Z');
+});
+
+test('toISO: el offset cambia en el instante del salto', () => {
+  assert.equal(TimezoneService.toISO(iso('2026-03-08T06:59:00Z')), '2026-03-08T01:59:00-05:00');
+  assert.equal(TimezoneService.toISO(iso('2026-03-08T07:00:00Z')), '2026-03-08T03:00:00-04:00');
+  assert.equal(TimezoneService.toISO(iso('2026-11-01T05:30:00Z')), '2026-11-01T01:30:00-04:00');
+  assert.equal(TimezoneService.toISO(iso('2026-11-01T06:30:00Z')), '2026-11-01T01:30:00-05:00');
+  assert.equal(TimezoneService.offsetMinutes(iso('2026-03-08T06:59:00Z')), -300);
+  assert.equal(TimezoneService.offsetMinutes(iso('2026-03-08T07:00:00Z')), -240);
+});
+
+test('parseInput: sin offset es hora de la clínica; con offset o Z se respeta', () => {
+  assert.equal(TimezoneService.parseInput('2026-03-08T09:00').toISOString(), '2026-03-08T13:00:00.000Z');
+  assert.equal(TimezoneService.parseInput('2026-03-07T09:00').toISOString(), '2026-03-07T14:00:00.000Z');
+  assert.equal(TimezoneService.parseInput('2026-03-08T09:00:00Z').toISOString(), '2026-03-08T09:00:00.000Z');
+  assert.equal(TimezoneService.parseInput('2026-03-08T09:00:00+02:00').toISOString(), '2026-03-08T07:00:00.000Z');
+  assert.equal(TimezoneService.parseInput('2026-02-30T09:00'), null);
+  assert.equal(TimezoneService.parseInput('no es fecha'), null);
+  assert.equal(TimezoneService.parseInput(''), null);
+});
+
+test('localDateStr / localMinutes y shiftLocal conservan la hora local al cruzar el cambio', () => {
+  // 23:30 del 7 de marzo en la clínica es ya 8 de marzo en UTC
+  assert.equal(TimezoneService.localDateStr(iso('2026-03-08T04:30:00Z')), '2026-03-07');
+  assert.equal(TimezoneService.localMinutes(iso('2026-03-08T04:30:00Z')), 23 * 60 + 30);
+
+  // serie semanal a las 10:00 que se mueve a las 11:00: la ocurrencia tras el salto queda a las 11:00 EDT
+  const from = TimezoneService.fromLocal('2026-03-01', '10:00');
+  const to = TimezoneService.fromLocal('2026-03-01', '11:00');
+  const despues = TimezoneService.fromLocal('2026-03-15', '10:00');
+  assert.equal(TimezoneService.toISO(TimezoneService.shiftLocal(despues, from, to)), '2026-03-15T11:00:00-04:00');
+});
+
+test('jsonReplacer: los Date salen en hora de la clínica con offset, también anidados', () => {
+  const body = {
+    a: iso('2026-07-01T14:00:00Z'),
+    b: [iso('2026-12-01T14:00:00Z')],
+    c: { d: iso('2026-11-01T06:30:00Z') },
+    invalida: new Date('x'),
+    texto: '2026-07-01T14:00:00Z',
+    n: null
+  };
+  assert.deepEqual(JSON.parse(JSON.stringify(body, TimezoneService.jsonReplacer)), {
+    a: '2026-07-01T10:00:00-04:00',
+    b: ['2026-12-01T09:00:00-05:00'],
+    c: { d: '2026-11-01T01:30:00-05:00' },
+    invalida: null,
+    texto: '2026-07-01T14:00:00Z',
+    n: null
+  });
+});
+
+/* ------------------ GET /citas/slots ------------------ */
+
+let server;
+let baseUrl;
+const token = TokenService.signAccessToken({ userId: ADMIN_ID, email: 'admin@test', role: 'admin' }, 'usuario');
+
+before(async () => {
+  // tipo de 60 min sin buffer que se atiende de 00:00 a 05:00 (cubre el cambio de las 02:00)
+  mock.method(AppointmentType, 'findByNombre', async (nombre) => ({
+    nombre, duracion_min: 60, buffer_min: 0, ventanas: [{ from: '00:00', to: '05:00' }],
+    roles: ['veterinario'], reservable_por_propietario: true, activo: true
+  }));
+  mock.method(ScheduleService, 'getAvailability', async (ids) => Object.fromEntries(ids.map(id => [String(id), [{ from: 0, to: 1440 }]])));
+  mock.method(WaitlistService, 'activeHoldsOn', async () => []);
+  mock.method(console, 'log', () => {});
+
+  const app = require('../app');
+  assert.equal(app.get('json replacer'), TimezoneService.jsonReplacer);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+beforeEach(() => {
+  fakeDb.citas = [];
+  fakeDb.dayQueries = [];
+});
+
+async function slots(date) {
+  const res = await fetch(`${baseUrl}/citas/slots?date=${date}&veterinario_id=${VET_ID}`, {
+    headers: { authorization: `Bearer ${token}` }
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  return body.data.slotsByVet[String(VET_ID)].map(s => s.start);
+}
+
+test('slots el día de 23 horas: no se ofrece la hora que no existe', async () => {
+  assert.deepEqual(await slots(SPRING), [
+    '2026-03-08T00:00:00-05:00',
+    '2026-03-08T01:00:00-05:00',
+    '2026-03-08T03:00:00-04:00',
+    '2026-03-08T04:00:00-04:00'
+  ]);
+  assert.deepEqual(fakeDb.dayQueries, [['2026-03-08 05:00:00', '2026-03-09 04:00:00']]);
+});
+
+test('slots el día de 25 horas: cada hora local una vez, con su offset', async () => {
+  assert.deepEqual(await slots(FALL), [
+    '2026-11-01T00:00:00-04:00',
+    '2026-11-01T01:00:00-04:00',
+    '2026-11-01T02:00:00-05:00',
+    '2026-11-01T03:00:00-05:00',
+    '2026-11-01T04:00:00-05:00'
+  ]);
+  assert.deepEqual(fakeDb.dayQueries, [['2026-11-01 04:00:00', '2026-11-02 05:00:00']]);
+});
+
+test('slots: una cita guardada en UTC ocupa la hora local correcta tras el salto', async () => {
+  // 08:00Z = 04:00 EDT (con el offset de invierno serían las 03:00)
+  fakeDb.citas = [{ id: 1, veterinario_id: VET_ID, fecha_inicio: iso('2026-03-08T08:00:00Z'), duracion_min: 60, estado: 'confirmada' }];
+  assert.deepEqual(await slots(SPRING), [
+    '2026-03-08T00:00:00-05:00',
+    '2026-03-08T01:00:00-05:00',
+    '2026-03-08T03:00:00-04:00'
+  ]);
+});
@@ -0,0 +1,257 @@
+// test/tokenService.test.js
+/**
+ * Sesiones (services/tokenService.js): rotación de refresh tokens, detección de reutilización
+ * (revoca la familia), logout y "cerrar todas las sesiones" con precisión de milisegundos.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria con
+ * refresh_tokens, revoked_access_tokens y session_revocations (DATETIME(3)).
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+function createFakeDb() {
+  const db = { state: null, tx: { commit: 0, rollback: 0 } };
+  db.reset = () => {
+    db.state = { refresh_tokens: [], revoked_access_tokens: [], session_revocations: [], nextId: 1 };
+    db.tx = { commit: 0, rollback: 0 };
+  };
+  db.reset();
+
+  // FROM_UNIXTIME(segundos con decimales) -> ms
+  const fromUnixtime = (s) => Math.round(Number(s) * 1000);
+
+  async function run(sql, params = []) {
+    const s = sql.replace(/\s+/g, ' ').trim();
+    const t = db.state;
+    const now = Date.now();
+
+    if (/^INSERT INTO refresh_tokens/.test(s)) {
+      const [subject_type, subject_id, token_hash, family_id, days, user_agent, ip] = params;
+      const row = {
+        id: t.nextId++, subject_type, subject_id, token_hash, family_id,
+        expires_at: now + days * 86400000, user_agent, ip,
+        revoked_at: null, replaced_by_id: null, last_used_at: null
+      };
+      t.refresh_tokens.push(row);
+      return [{ insertId: row.id, affectedRows: 1 }];
+    }
+    if (/^SELECT \*, \(expires_at <= NOW\(\)\) AS expired FROM refresh_tokens WHERE token_hash = \? FOR UPDATE$/.test(s)) {
+      return [t.refresh_tokens.filter(r => r.token_hash === params[0]).map(r => ({ ...r, expired: r.expires_at <= now ? 1 : 0 }))];
+    }
+    if (/^UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE family_id = \? AND revoked_at IS NULL$/.test(s)) {
+      const rows = t.refresh_tokens.filter(r => r.family_id === params[0] && !r.revoked_at);
+      rows.forEach(r => { r.revoked_at = now; });
+      return [{ affectedRows: rows.length }];
+    }
+    if (/^UPDATE refresh_tokens SET revoked_at = NOW\(\), replaced_by_id = \?, last_used_at = NOW\(\) WHERE id = \?$/.test(s)) {
+      const row = t.refresh_tokens.find(r => r.id === params[1]);
+      Object.assign(row, { revoked_at: now, replaced_by_id: params[0], last_used_at: now });
+      return [{ affectedRows: 1 }];
+    }
+    if (/^UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE subject_type = \? AND subject_id = \? AND revoked_at IS NULL$/.test(s)) {
+      const rows = t.refresh_tokens.filter(r => r.subject_type === params[0] && r.subject_id === params[1] && !r.revoked_at);
+      rows.forEach(r => { r.revoked_at = now; });
+      return [{ affectedRows: rows.length }];
+    }
+    if (/^SELECT family_id FROM refresh_tokens WHERE token_hash = \? AND subject_type = \? AND subject_id = \?$/.test(s)) {
+      const [hash, type, id] = params;
+      return [t.refresh_tokens.filter(r => r.token_hash === hash && r.subject_type === type && r.subject_id === id)];
+    }
+    if (/^INSERT IGNORE INTO revoked_access_tokens/.test(s)) {
+      if (!t.revoked_access_tokens.some(r => r.jti === params[0])) {
+        t.revoked_access_tokens.push({ jti: params[0], expires_at: fromUnixtime(params[1]) });
+      }
+      return [{ affectedRows: 1 }];
+    }
+    if (/^INSERT INTO session_revocations .* ON DUPLICATE KEY UPDATE revoked_before = GREATEST/.test(s)) {
+      const [type, id, corte] = params;
+      const row = t.session_revocations.find(r => r.subject_type === type && r.subject_id === id);
+      if (row) row.revoked_before = Math.max(row.revoked_before, fromUnixtime(corte));
+      else t.session_revocations.push({ subject_type: type, subject_id: id, revoked_before: fromUnixtime(corte) });
+      return [{ affectedRows: 1 }];
+    }
+    if (/FROM session_revocations WHERE subject_type = \? AND subject_id = \? AND revoked_before > FROM_UNIXTIME\(\?\) LIMIT 1$/.test(s)) {
+      const conJti = /FROM revoked_access_tokens WHERE jti = \?/.test(s);
+      const [type, id, emitido] = conJti ? params.slice(1) : params;
+      const porJti = conJti && t.revoked_access_tokens.some(r => r.jti === params[0]);
+      const porCorte = t.session_revocations.some(r =>
+        r.subject_type === type && r.subject_id === id && r.revoked_before > fromUnixtime(emitido));
+      return [porJti || porCorte ? [{ r: 1 }] : []];
+    }
+    throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+  }
+
+  async function getConnection() {
+    let snapshot = null;
+    return {
+      query: run,
+      execute: run,
+      beginTransaction: async () => { snapshot = structuredClone(db.state); },
+      commit: async () => { db.tx.commit++; snapshot = null; },
+      rollback: async () => {
+        db.tx.rollback++;
+        if (snapshot) db.state = snapshot;
+        snapshot = null;
+      },
+      release: () => {}
+    };
+  }
+
+  db.module = { pool: { query: run, execute: run }, getConnection, testConnection: async () => true, closePool: async () => {} };
+  return db;
+}
+
+/* ------------------ Servicio ------------------ */
+
+const fakeDb = createFakeDb();
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database', loaded: true, exports: fakeDb.module
+};
+
+const TokenService = require('../services/tokenService');
+
+const PAYLOAD = { userId: 1, email: 'u1@test', role: 'admin' };
+const SUBJECT = { subjectType: 'usuario', subjectId: 1, payload: PAYLOAD };
+const loadPayload = async () => PAYLOAD;
+
+beforeEach(() => {
+  fakeDb.reset();
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const row = (id) => fakeDb.state.refresh_tokens.find(r => r.id === id);
+const isRevoked = (token) => {
+  const decoded = TokenService.verifyAccessToken(token);
+  return TokenService.isAccessTokenRevoked(decoded, 'usuario', decoded.userId);
+};
+
+/* ------------------ Tests ------------------ */
+
+test('refresh: rota el token dentro de la misma familia y emite un access token válido', async () => {
+  const login = await TokenService.issueTokenPair(SUBJECT);
+  const first = await TokenService.rotateRefreshToken(login.refreshToken, loadPayload);
+  const second = await TokenService.rotateRefreshToken(first.refreshToken, loadPayload);
+
+  assert.notEqual(first.refreshToken, login.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(first.subjectType, 'usuario');
+  assert.equal(first.subjectId, 1);
+  assert.equal(TokenService.verifyAccessToken(first.token).userId, 1);
+  assert.equal(TokenService.verifyAccessToken(first.token).aud, 'staff');
+
+  const [a, b, c] = fakeDb.state.refresh_tokens;
+  assert.equal(new Set([a.family_id, b.family_id, c.family_id]).size, 1);
+  assert.deepEqual([a.replaced_by_id, b.replaced_by_id, c.replaced_by_id], [b.id, c.id, null]);
+  assert.ok(a.revoked_at && b.revoked_at);
+  assert.equal(c.revoked_at, null);
+  // solo se guarda el hash
+  assert.ok(fakeDb.state.refresh_tokens.every(r => r.token_hash !== login.refreshToken && r.token_hash.length === 64));
+});
+
+test('refresh: reutilizar un token ya rotado revoca toda la familia, no las demás sesiones', async () => {
+  const login = await TokenService.issueTokenPair(SUBJECT);
+  const otroDispositivo = await TokenService.issueTokenPair(SUBJECT);
+  const rotated = await TokenService.rotateRefreshToken(login.refreshToken, loadPayload);
+
+  await assert.rejects(
+    TokenService.rotateRefreshToken(login.refreshToken, loadPayload),
+    { name: 'TokenError', status: 401, message: 'Refresh token reutilizado: sesión revocada' }
+  );
+  // la revocación se confirma aunque la petición falle
+  assert.equal(fakeDb.state.refresh_tokens.filter(r => r.revoked_at).length, 2);
+  await assert.rejects(TokenService.rotateRefreshToken(rotated.refreshToken, loadPayload), { name: 'TokenError' });
+
+  const otro = await TokenService.rotateRefreshToken(otroDispositivo.refreshToken, loadPayload);
+  assert.ok(otro.refreshToken);
+});
+
+test('refresh: token vacío, desconocido, expirado o de un sujeto que ya no existe', async () => {
+  await assert.rejects(TokenService.rotateRefreshToken('', loadPayload), { status: 400 });
+  await assert.rejects(TokenService.rotateRefreshToken('no-existe', loadPayload), { status: 401, message: 'Refresh token inválido' });
+
+  const expirado = await TokenService.issueTokenPair(SUBJECT);
+  fakeDb.state.refresh_tokens[0].expires_at = Date.now() - 1000;
+  await assert.rejects(TokenService.rotateRefreshToken(expirado.refreshToken, loadPayload), { message: 'Refresh token expirado' });
+
+  const huerfano = await TokenService.issueTokenPair(SUBJECT);
+  await assert.rejects(
+    TokenService.rotateRefreshToken(huerfano.refreshToken, async () => null),
+    { message: 'El usuario asociado al token no existe' }
+  );
+  assert.ok(row(2).revoked_at);
+});
+
+test('logout: revoca el access token presentado y la familia de su refresh token', async () => {
+  const login = await TokenService.issueTokenPair(SUBJECT);
+  const otro = await TokenService.issueTokenPair(SUBJECT);
+
+  assert.equal(await TokenService.revokeAccessToken(TokenService.verifyAccessToken(login.token)), true);
+  assert.equal(await TokenService.revokeRefreshToken(login.refreshToken, 'usuario', 1), true);
+
+  assert.equal(await isRevoked(login.token), true);
+  assert.equal(await isRevoked(otro.token), false);
+  await assert.rejects(TokenService.rotateRefreshToken(login.refreshToken, loadPayload), { name: 'TokenError' });
+  assert.ok(await TokenService.rotateRefreshToken(otro.refreshToken, loadPayload));
+});
+
+test('logout: el refresh token de otro sujeto no se revoca', async () => {
+  const login = await TokenService.issueTokenPair(SUBJECT);
+
+  assert.equal(await TokenService.revokeRefreshToken(login.refreshToken, 'propietario', 1), false);
+  assert.equal(await TokenService.revokeRefreshToken(login.refreshToken, 'usuario', 2), false);
+  assert.equal(await TokenService.revokeRefreshToken(undefined, 'usuario', 1), false);
+  assert.equal(row(1).revoked_at, null);
+});
+
+test('cerrar todas las sesiones: un login en el mismo segundo sigue válido y uno anterior no', async () => {
+  // a mitad de segundo: los tres instantes comparten el mismo iat (segundos)
+  const T = 1893456000500;
+  const now = mock.method(Date, 'now', () => T);
+
+  const antes = await TokenService.issueTokenPair(SUBJECT);
+  const legacy = TokenService.signAccessToken(PAYLOAD, 'usuario');
+  now.mock.mockImplementation(() => T + 200);
+  await TokenService.revokeAllForSubject('usuario', 1);
+  now.mock.mockImplementation(() => T + 400);
+  const despues = await TokenService.issueTokenPair(SUBJECT);
+
+  assert.equal(
+    Math.floor(TokenService.verifyAccessToken(antes.token).iat),
+    Math.floor(TokenService.verifyAccessToken(despues.token).iat)
+  );
+  assert.equal(await isRevoked(antes.token), true);
+  assert.equal(await isRevoked(despues.token), false);
+  await assert.rejects(TokenService.rotateRefreshToken(antes.refreshToken, loadPayload), { name: 'TokenError' });
+  assert.ok(await TokenService.rotateRefreshToken(despues.refreshToken, loadPayload));
+
+  // un token sin iat_ms (emitido antes de esta versión) se compara por iat: en el mismo segundo, revocado
+  const decoded = TokenService.verifyAccessToken(legacy);
+  delete decoded.iat_ms;
+  assert.equal(await TokenService.isAccessTokenRevoked(decoded, 'usuario', 1), true);
+});
+
+test('cerrar todas las sesiones: un corte anterior no adelanta el vigente', async () => {
+  const T = 1893456000500;
+  const now = mock.method(Date, 'now', () => T);
+  await TokenService.revokeAllForSubject('usuario', 1);
+  now.mock.mockImplementation(() => T - 5000);
+  await TokenService.revokeAllForSubject('usuario', 1);
+
+  assert.deepEqual(fakeDb.state.session_revocations, [{ subject_type: 'usuario', subject_id: 1, revoked_before: T }]);
+  // solo afecta al sujeto indicado
+  now.mock.mockImplementation(() => T - 1000);
+  const owner = TokenService.signAccessToken({ userId: 1, email: 'o@test', role: 'propietario' }, 'propietario');
+  assert.equal(await TokenService.isAccessTokenRevoked(TokenService.verifyAccessToken(owner), 'propietario', 1), false);
+});
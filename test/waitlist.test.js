@@ -0,0 +1,227 @@
+// test/waitlist.test.js
+/**
+ * Lista de espera (services/waitlistService.js): el hueco de una cita cancelada se reserva
+ * para una sola entrada (aunque se ofrezca dos veces a la vez), bloquea el horario mientras
+ * dura la reserva y, al caducar (expireHolds), pasa a la siguiente entrada o queda libre.
+ *
+ * No hace falta MySQL: config/database se sustituye por una base en memoria con lista_espera,
+ * lista_espera_ofertas y el bloqueo por veterinario de BookingService.withBookingLock.
+ * El reloj de la base (NOW()) se puede adelantar para que caduquen las reservas.
+ *
+ * Ejecutar: npm test
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const VET_ID = 2;
+
+/* ------------------ Base de datos en memoria ------------------ */
+
+// "YYYY-MM-DD HH:MM:SS" (UTC) -> ms
+const sqlToMs = (s) => Date.parse(String(s).replace(' ', 'T') + 'Z');
+// cede el turno entre consultas para que las llamadas paralelas se intercalen
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createFakeDb() {
+  const db = { state: null, clockMs: 0, locks: new Map() };
+  db.reset = (entries) => {
+    db.state = { lista_espera: entries, ofertas: [] };
+    db.clockMs = 0;
+  };
+  const now = () => Date.now() + db.clockMs;
+
+  // mutex por fila de usuarios (SELECT id FROM usuarios WHERE id = ? FOR UPDATE)
+  async function lockRow(conn, id) {
+    while (db.locks.has(id) && db.locks.get(id).owner !== conn) {
+      await db.locks.get(id).released;
+    }
+    if (!db.locks.has(id)) {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      db.locks.set(id, { owner: conn, released, release });
+    }
+  }
+
+  function releaseLocks(conn) {
+    for (const [id, lock] of db.locks) {
+      if (lock.owner === conn) {
+        db.locks.delete(id);
+        lock.release();
+      }
+    }
+  }
+
+  async function run(conn, sql, params = []) {
+    await tick();
+    const s = sql.replace(/\s+/g, ' ').trim();
+    const { lista_espera: entries, ofertas } = db.state;
+
+    if (/^SELECT id FROM usuarios WHERE id = \? FOR UPDATE$/.test(s)) {
+      await lockRow(conn, Number(params[0]));
+      return [[{ id: params[0] }]];
+    }
+    if (/^SELECT le.\* FROM lista_espera le/.test(s)) {
+      const [estado, tipo, fecha, vetId, , , fechaSQL, vetOferta] = params;
+      const yaOfrecidas = ofertas
+        .filter(o => o.fecha_inicio.getTime() === sqlToMs(fechaSQL) && o.veterinario_id === vetOferta)
+        .map(o => o.lista_espera_id);
+      const found = entries
+        .filter(e => e.estado === estado && e.tipo_consulta === tipo && e.fecha_desde <= fecha && fecha <= e.fecha_hasta)
+        .filter(e => e.veterinario_id === null || e.veterinario_id === vetId)
+        .filter(e => !yaOfrecidas.includes(e.id))
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id);
+      return [found.slice(0, 1)];
+    }
+    if (/^SELECT 1 FROM citas c WHERE c.veterinario_id = \?/.test(s)) return [[]];
+    if (/^SELECT 1 FROM lista_espera_ofertas o WHERE o.veterinario_id = \?/.test(s)) {
+      const [vetId, inicio, buffer, , dur, , excludeHoldId] = params;
+      const start = sqlToMs(inicio);
+      const end = start + (Number(dur) + Number(buffer)) * 60000;
+      const holds = ofertas.filter(o =>
+        o.veterinario_id === Number(vetId) && o.estado === 'pendiente' && o.expira_en > now() &&
+        o.id !== excludeHoldId &&
+        start < o.fecha_inicio.getTime() + (o.duracion_min + Number(buffer)) * 60000 &&
+        o.fecha_inicio.getTime() < end);
+      return [holds.slice(0, 1).map(() => ({ 1: 1 }))];
+    }
+    if (/^INSERT INTO lista_espera_ofertas/.test(s)) {
+      const [lista_espera_id, cita_liberada_id, veterinario_id, tipo_consulta, fecha, duracion_min, estado, minutos] = params;
+      const oferta = {
+        id: ofertas.length + 1, lista_espera_id, cita_liberada_id, veterinario_id, tipo_consulta,
+        fecha_inicio: new Date(sqlToMs(fecha)), duracion_min: Number(duracion_min), estado,
+        expira_en: now() + minutos * 60000
+      };
+      ofertas.push(oferta);
+      return [{ insertId: oferta.id, affectedRows: 1 }];
+    }
+    if (/^SELECT \* FROM lista_espera_ofertas WHERE id = \?$/.test(s)) {
+      return [ofertas.filter(o => o.id === params[0]).map(o => ({ ...o }))];
+    }
+    if (/^SELECT \* FROM lista_espera_ofertas WHERE estado = \? AND expira_en <= NOW\(\)$/.test(s)) {
+      return [ofertas.filter(o => o.estado === params[0] && o.expira_en <= now()).map(o => ({ ...o }))];
+    }
+    if (/^UPDATE lista_espera_ofertas SET estado = \?, updated_at = CURRENT_TIMESTAMP WHERE id = \? AND estado = \?$/.test(s)) {
+      const rows = ofertas.filter(o => o.id === params[1] && o.estado === params[2]);
+      rows.forEach(o => { o.estado = params[0]; });
+      return [{ affectedRows: rows.length }];
+    }
+    if (/^UPDATE lista_espera SET estado = \?, updated_at = CURRENT_TIMESTAMP WHERE id = \?( AND estado = \?)?$/.test(s)) {
+      const rows = entries.filter(e => e.id === params[1] && (params.length < 3 || e.estado === params[2]));
+      rows.forEach(e => { e.estado = params[0]; });
+      return [{ affectedRows: rows.length }];
+    }
+    throw new Error(`Consulta no emulada: ${s.slice(0, 80)}`);
+  }
+
+  async function getConnection() {
+    const conn = {};
+    conn.query = (sql, params) => run(conn, sql, params);
+    conn.execute = conn.query;
+    conn.beginTransaction = async () => {};
+    conn.commit = async () => releaseLocks(conn);
+    conn.rollback = async () => releaseLocks(conn);
+    conn.release = () => releaseLocks(conn);
+    return conn;
+  }
+
+  const pool = { query: (sql, params) => run(null, sql, params), execute: (sql, params) => run(null, sql, params) };
+  db.module = { pool, getConnection, testConnection: async () => true, closePool: async () => {} };
+  return db;
+}
+
+/* ------------------ Servicio ------------------ */
+
+const fakeDb = createFakeDb();
+require.cache[require.resolve(path.join(__dirname, '..', 'config', 'database'))] = {
+  id: 'config/database', loaded: true, exports: fakeDb.module
+};
+
+const WaitlistService = require('../services/waitlistService');
+const BookingService = require('../services/bookingService');
+const NotificationService = require('../services/notificationService');
+const TimezoneService = require('../services/timezoneService');
+
+// cita cancelada dentro de una semana: su hueco es el que se ofrece
+const INICIO = new Date(Math.ceil((Date.now() + 7 * 86400000) / 3600000) * 3600000);
+const FECHA_SQL = TimezoneService.toSQL(INICIO);
+const DIA = TimezoneService.localDateStr(INICIO);
+const CANCELADA = { id: 30, veterinario_id: VET_ID, fecha_inicio: INICIO, duracion_min: 30, tipo_consulta: 'consulta', estado: 'cancelada' };
+
+const entrada = (id, extra = {}) => ({
+  id, mascota_id: 100 + id, propietario_id: 200 + id, tipo_consulta: 'consulta', veterinario_id: null,
+  fecha_desde: DIA, fecha_hasta: DIA, hora_desde: null, hora_hasta: null, estado: 'activa', created_at: id, ...extra
+});
+
+let avisos;
+
+beforeEach(() => {
+  // la 3 es de otro tipo de consulta: nunca recibe este hueco
+  fakeDb.reset([entrada(1), entrada(2), entrada(3, { tipo_consulta: 'cirugía' })]);
+  avisos = [];
+  mock.method(BookingService, 'isOffSchedule', async () => false);
+  mock.method(NotificationService, 'notifyOferta', async (ofertaId) => { avisos.push(ofertaId); });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const estados = () => fakeDb.state.lista_espera.map(e => e.estado);
+const pendientes = () => fakeDb.state.ofertas.filter(o => o.estado === 'pendiente');
+const ocupado = (opts) => BookingService.hasOverlap(VET_ID, FECHA_SQL, 30, opts);
+const pasaLaReserva = () => { fakeDb.clockMs += (WaitlistService.HOLD_MINUTES + 1) * 60000; };
+
+/* ------------------ Tests ------------------ */
+
+test('el hueco se reserva para una sola entrada aunque se ofrezca dos veces a la vez', async () => {
+  const results = await Promise.all([WaitlistService.offerFreedSlot(CANCELADA), WaitlistService.offerFreedSlot(CANCELADA)]);
+
+  const ofertas = results.filter(Boolean);
+  assert.equal(ofertas.length, 1);
+  assert.equal(ofertas[0].lista_espera_id, 1);
+  assert.equal(ofertas[0].cita_liberada_id, CANCELADA.id);
+  assert.equal(ofertas[0].fecha_inicio.getTime(), INICIO.getTime());
+  assert.equal(fakeDb.state.ofertas.length, 1);
+  assert.deepEqual(estados(), ['ofertada', 'activa', 'activa']);
+  assert.deepEqual(avisos, [ofertas[0].id]);
+
+  // mientras dura la reserva nadie más puede reservar ese horario; aceptarla sí
+  assert.equal(await ocupado(), true);
+  assert.equal(await ocupado({ excludeHoldId: ofertas[0].id }), false);
+});
+
+test('expireHolds no toca las reservas vigentes', async () => {
+  await WaitlistService.offerFreedSlot(CANCELADA);
+
+  assert.equal(await WaitlistService.expireHolds(), 0);
+  assert.equal(pendientes().length, 1);
+  assert.deepEqual(estados(), ['ofertada', 'activa', 'activa']);
+});
+
+test('al caducar la reserva el hueco pasa a la siguiente entrada y, sin más candidatas, queda libre', async () => {
+  await WaitlistService.offerFreedSlot(CANCELADA);
+
+  pasaLaReserva();
+  assert.equal(await WaitlistService.expireHolds(), 1);
+  assert.deepEqual(fakeDb.state.ofertas.map(o => [o.lista_espera_id, o.estado]), [[1, 'expirada'], [2, 'pendiente']]);
+  assert.deepEqual(estados(), ['activa', 'ofertada', 'activa']);
+  assert.equal(await ocupado(), true);
+
+  // la entrada 1 ya tuvo su oferta para este hueco: no se le vuelve a ofrecer
+  pasaLaReserva();
+  assert.equal(await WaitlistService.expireHolds(), 1);
+  assert.deepEqual(pendientes(), []);
+  assert.deepEqual(estados(), ['activa', 'activa', 'activa']);
+  assert.equal(await ocupado(), false);
+  assert.equal(avisos.length, 2);
+});
+
+test('un hueco pasado no se ofrece', async () => {
+  const pasada = { ...CANCELADA, fecha_inicio: new Date(Date.now() - 3600000) };
+
+  assert.equal(await WaitlistService.offerFreedSlot(pasada), null);
+  assert.deepEqual(fakeDb.state.ofertas, []);
+  assert.deepEqual(avisos, []);
+});
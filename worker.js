@@ -0,0 +1,53 @@
+/**
+ * worker.js — envío de notificaciones por correo, recordatorios de citas, caducidad de ofertas de la
+ * lista de espera y purga de registros eliminados fuera del proceso de la API.
+ *
+ *   node worker.js          bucle: outbox cada NOTIFICATIONS_POLL_SECONDS, recordatorios cada REMINDERS_POLL_SECONDS,
+ *                           ofertas vencidas cada WAITLIST_EXPIRE_POLL_SECONDS, purga cada PURGE_INTERVAL_HOURS
+ *   node worker.js --once   busca recordatorios, caduca ofertas, procesa un lote del outbox, purga y termina (cron)
+ */
+
+require('dotenv').config();
+const { testConnection, closePool } = require('./config/database');
+const NotificationService = require('./services/notificationService');
+const ReminderService = require('./services/reminderService');
+const SoftDeleteService = require('./services/softDeleteService');
+const WaitlistService = require('./services/waitlistService');
+
+const run = async () => {
+  if (!(await testConnection())) process.exit(1);
+
+  if (process.argv.includes('--once')) {
+    const rec = await ReminderService.scan();
+    console.log(`⏰ Recordatorios: ${rec.encolados} encolados (${rec.revisadas} citas revisadas)`);
+    const caducadas = await WaitlistService.expireHolds();
+    console.log(`⏳ Lista de espera: ${caducadas} ofertas caducadas`);
+    const r = await NotificationService.processOutbox();
+    console.log(`📬 Notificaciones: ${r.enviadas} enviadas, ${r.reintentos} a reintentar, ${r.fallidas} fallidas`);
+    const p = await SoftDeleteService.purge();
+    console.log(`🗑️ Purga: ${p.fichas_medicas} fichas, ${p.citas} citas, ${p.mascotas} mascotas, ${p.propietarios} propietarios, ${p.errores} errores`);
+    await closePool();
+    return;
+  }
+
+  const stopWorker = NotificationService.startWorker();
+  const stopScheduler = ReminderService.startScheduler();
+  const stopPurge = SoftDeleteService.startPurgeJob();
+  const stopExpiry = WaitlistService.startExpiryJob();
+  console.log('📬 Worker de notificaciones, recordatorios, lista de espera y purga activo');
+  const shutdown = async () => {
+    stopWorker();
+    stopScheduler();
+    stopPurge();
+    stopExpiry();
+    await closePool();
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+};
+
+run().catch((err) => {
+  console.error('❌ Error en el worker:', err.message || err);
+  process.exit(1);
+});